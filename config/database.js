@@ -1,7 +1,11 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
-const DB_PATH = path.join(__dirname, '..', 'data', 'ecommerce.db');
+// DB_PATH points elsewhere for tests, which each use a database of their own
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'ecommerce.db');
+// How long a statement waits for another connection's write transaction
+// (e.g. the recommendations rebuild) before failing with SQLITE_BUSY
+const BUSY_TIMEOUT_MS = parseInt(process.env.DB_BUSY_TIMEOUT_MS) || 5000;
 
 // Create database connection
 const db = new sqlite3.Database(DB_PATH, (err) => {
@@ -11,6 +15,48 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
     console.log('Connected to SQLite database');
   }
 });
+db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+// Shared with upgradeShoppingCart(), which rebuilds carts created before variants
+const shoppingCartTable = `
+      CREATE TABLE IF NOT EXISTS shopping_cart (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        variant_id INTEGER,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+      );`;
+
+// Tables shown in a product's catalog feed entry, with the column holding the
+// product. Any change drops the entries of that product and of the bundles it
+// is a component of, so services/catalogFeedService.js renders them again.
+const catalogFeedSources = [
+  { table: 'products', column: 'id', events: ['UPDATE'] },
+  { table: 'inventory', column: 'product_id' },
+  { table: 'product_images', column: 'product_id' },
+  { table: 'product_attributes', column: 'product_id' },
+  { table: 'product_variants', column: 'product_id' },
+  { table: 'price_schedules', column: 'product_id' },
+  { table: 'product_bundles', column: 'product_id' },
+  { table: 'product_bundle_items', column: 'bundle_product_id' }
+];
+
+const catalogFeedTriggers = catalogFeedSources.flatMap(({ table, column, events = ['INSERT', 'UPDATE', 'DELETE'] }) =>
+  events.map(event => {
+    const rows = { INSERT: ['new'], UPDATE: ['old', 'new'], DELETE: ['old'] }[event];
+    const productIds = rows.map(row => `${row}.${column}`).join(', ');
+    return `
+      CREATE TRIGGER IF NOT EXISTS ${table}_feed_${event.toLowerCase()} AFTER ${event} ON ${table} BEGIN
+        DELETE FROM catalog_feed_entries WHERE product_id IN (${productIds})
+          OR product_id IN (SELECT bundle_product_id FROM product_bundle_items WHERE component_product_id IN (${productIds}));
+      END;`;
+  })
+).join('\n');
 
 // Initialize database tables
 async function initializeDatabase() {
@@ -61,6 +107,8 @@ async function initializeDatabase() {
         FOREIGN KEY (parent_id) REFERENCES categories(id)
       );
 
+      CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+
       -- Products table
       CREATE TABLE IF NOT EXISTS products (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -150,17 +198,7 @@ async function initializeDatabase() {
       );
 
       -- Shopping cart table
-      CREATE TABLE IF NOT EXISTS shopping_cart (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        product_id INTEGER NOT NULL,
-        quantity INTEGER NOT NULL DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
-        UNIQUE(user_id, product_id)
-      );
+      ${shoppingCartTable}
 
       -- Notifications table
       CREATE TABLE IF NOT EXISTS notifications (
@@ -187,28 +225,1065 @@ async function initializeDatabase() {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id)
       );
+
+      -- Login sessions table (one row per refresh token family)
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        refresh_token_hash VARCHAR(64),
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        expires_at DATETIME NOT NULL,
+        last_used_at DATETIME,
+        revoked_at DATETIME,
+        revoked_reason VARCHAR(50),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+      -- Refresh tokens a session has rotated away from. Presenting one of them
+      -- again means it was copied, so the session is revoked.
+      CREATE TABLE IF NOT EXISTS session_rotated_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        token_hash VARCHAR(64) NOT NULL,
+        rotated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_session_rotated_tokens_session ON session_rotated_tokens(session_id, token_hash);
+
+      -- Single-use account tokens (password reset, email verification)
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        type VARCHAR(30) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      -- Two-factor recovery codes table
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      -- Pending second login steps for two-factor accounts
+      CREATE TABLE IF NOT EXISTS two_factor_challenges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at DATETIME NOT NULL,
+        completed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      -- Sign-in attempts (brute-force protection and login history)
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(100) NOT NULL,
+        user_id INTEGER,
+        ip_address VARCHAR(45),
+        user_agent VARCHAR(255),
+        success BOOLEAN NOT NULL DEFAULT 0,
+        failure_reason VARCHAR(30),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username, created_at);
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_user_id ON login_attempts(user_id, created_at);
+
+      -- Roles (users.role is the base role; user_roles grants additional ones)
+      CREATE TABLE IF NOT EXISTS roles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description TEXT,
+        is_system BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Permissions table
+      CREATE TABLE IF NOT EXISTS permissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description TEXT
+      );
+
+      -- Permissions granted by each role
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INTEGER NOT NULL,
+        permission_id INTEGER NOT NULL,
+        PRIMARY KEY (role_id, permission_id),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+      );
+
+      -- Additional roles assigned to users
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id INTEGER NOT NULL,
+        role_id INTEGER NOT NULL,
+        assigned_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, role_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (assigned_by) REFERENCES users(id)
+      );
+
+      -- Key pairs used to sign access tokens (published at /.well-known/jwks.json)
+      CREATE TABLE IF NOT EXISTS signing_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kid VARCHAR(64) UNIQUE NOT NULL,
+        algorithm VARCHAR(10) NOT NULL,
+        public_key TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        retired_at DATETIME
+      );
+
+      -- API keys for integrations (scopes are permission names)
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(20) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        scopes TEXT NOT NULL,
+        rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        last_used_ip VARCHAR(45),
+        created_by INTEGER,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      );
+
+      -- Account erasure requests (GDPR / PIPA right to erasure)
+      CREATE TABLE IF NOT EXISTS data_erasure_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        reason TEXT,
+        requested_by INTEGER,
+        processed_by INTEGER,
+        processed_at DATETIME,
+        resolution_note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (requested_by) REFERENCES users(id),
+        FOREIGN KEY (processed_by) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_data_erasure_requests_user_id ON data_erasure_requests(user_id, status);
+
+      -- Previous password hashes (prevents reusing recent passwords)
+      CREATE TABLE IF NOT EXISTS password_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON password_history(user_id);
+
+      -- Product attributes used for catalog filters (e.g. brand, color, size)
+      CREATE TABLE IF NOT EXISTS product_attributes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        value VARCHAR(200) NOT NULL,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE(product_id, name)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_product_attributes_name_value ON product_attributes(name, value);
+
+      -- Attribute definitions per category, inherited by its subcategories.
+      -- options is a JSON array of allowed values for enum attributes; unit is
+      -- the unit of number values for unit attributes (e.g. inch, GB).
+      CREATE TABLE IF NOT EXISTS category_attributes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category_id INTEGER NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        type VARCHAR(10) NOT NULL CHECK (type IN ('text', 'number', 'enum', 'unit')),
+        options TEXT,
+        unit VARCHAR(20),
+        is_required BOOLEAN DEFAULT 0,
+        sort_order INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+        UNIQUE(category_id, name)
+      );
+
+      -- Product option types (e.g. storage, color) and their values
+      CREATE TABLE IF NOT EXISTS product_options (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        position INTEGER DEFAULT 0,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE(product_id, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS product_option_values (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        option_id INTEGER NOT NULL,
+        value VARCHAR(100) NOT NULL,
+        position INTEGER DEFAULT 0,
+        FOREIGN KEY (option_id) REFERENCES product_options(id) ON DELETE CASCADE,
+        UNIQUE(option_id, value)
+      );
+
+      -- Purchasable variants of a product. price overrides products.price when set;
+      -- name is the option values joined for display (e.g. "256GB / 블랙")
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        sku VARCHAR(100) UNIQUE NOT NULL,
+        name VARCHAR(200) NOT NULL,
+        price DECIMAL(10,2),
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+
+      CREATE TABLE IF NOT EXISTS product_variant_values (
+        variant_id INTEGER NOT NULL,
+        option_value_id INTEGER NOT NULL,
+        PRIMARY KEY (variant_id, option_value_id),
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+        FOREIGN KEY (option_value_id) REFERENCES product_option_values(id) ON DELETE CASCADE
+      );
+
+      -- Customer reviews. Only buyers of a delivered order item can post one per
+      -- product, and it is shown once a moderator approves it.
+      CREATE TABLE IF NOT EXISTS product_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        order_item_id INTEGER,
+        rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        title VARCHAR(100),
+        body TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        moderation_note VARCHAR(500),
+        moderated_by INTEGER,
+        moderated_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE SET NULL,
+        FOREIGN KEY (moderated_by) REFERENCES users(id),
+        UNIQUE(product_id, user_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_product_reviews_product_status ON product_reviews(product_id, status);
+      CREATE INDEX IF NOT EXISTS idx_product_reviews_status ON product_reviews(status, created_at);
+
+      -- "Helpful" votes, one per user and review
+      CREATE TABLE IF NOT EXISTS product_review_votes (
+        review_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (review_id, user_id),
+        FOREIGN KEY (review_id) REFERENCES product_reviews(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      -- Average rating and count of approved reviews per product
+      CREATE VIEW IF NOT EXISTS product_rating_summary AS
+      SELECT product_id, ROUND(AVG(rating), 1) as average_rating, COUNT(*) as review_count
+      FROM product_reviews
+      WHERE status = 'approved'
+      GROUP BY product_id;
+
+      -- Precomputed recommendations, rebuilt by services/recommendationService.js.
+      -- shared_orders is the number of orders with both products (bought_together only)
+      CREATE TABLE IF NOT EXISTS product_recommendations (
+        product_id INTEGER NOT NULL,
+        recommended_product_id INTEGER NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('bought_together', 'similar')),
+        score REAL NOT NULL,
+        shared_orders INTEGER,
+        computed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (product_id, type, recommended_product_id),
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (recommended_product_id) REFERENCES products(id) ON DELETE CASCADE
+      );
+
+      -- Scheduled prices (sales, planned price changes). variant_id NULL applies to the
+      -- product and to its variants without their own price. Among the schedules running
+      -- now, the one that started last wins. Times are UTC, in CURRENT_TIMESTAMP format.
+      CREATE TABLE IF NOT EXISTS price_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        variant_id INTEGER,
+        price DECIMAL(10,2) NOT NULL,
+        compare_at_price DECIMAL(10,2),
+        starts_at DATETIME NOT NULL,
+        ends_at DATETIME,
+        note VARCHAR(200),
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_price_schedules_product ON price_schedules(product_id, variant_id, starts_at);
+
+      CREATE VIEW IF NOT EXISTS active_price_schedules AS
+      SELECT * FROM price_schedules
+      WHERE starts_at <= datetime('now') AND (ends_at IS NULL OR ends_at > datetime('now'));
+
+      -- Bundles (kits): a product sold as a set of other products. Its price is
+      -- either its own (fixed) or the sum of its components less a discount;
+      -- its stock is whatever its components allow (see bundle_stock).
+      CREATE TABLE IF NOT EXISTS product_bundles (
+        product_id INTEGER PRIMARY KEY,
+        pricing VARCHAR(20) NOT NULL DEFAULT 'fixed' CHECK (pricing IN ('fixed', 'discounted_sum')),
+        discount_percent DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (discount_percent >= 0 AND discount_percent < 100),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+      );
+
+      -- Components are plain products or variants, never other bundles
+      CREATE TABLE IF NOT EXISTS product_bundle_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bundle_product_id INTEGER NOT NULL,
+        component_product_id INTEGER NOT NULL,
+        component_variant_id INTEGER,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        sort_order INTEGER DEFAULT 0,
+        FOREIGN KEY (bundle_product_id) REFERENCES product_bundles(product_id) ON DELETE CASCADE,
+        FOREIGN KEY (component_product_id) REFERENCES products(id),
+        FOREIGN KEY (component_variant_id) REFERENCES product_variants(id)
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_product_bundle_items_component
+        ON product_bundle_items(bundle_product_id, component_product_id, COALESCE(component_variant_id, 0));
+      CREATE INDEX IF NOT EXISTS idx_product_bundle_items_component_product ON product_bundle_items(component_product_id);
+
+      -- The price views below changed when bundles were added, so they are
+      -- recreated on every start rather than only when missing
+      DROP VIEW IF EXISTS product_current_prices;
+      DROP VIEW IF EXISTS variant_current_prices;
+      DROP VIEW IF EXISTS bundle_component_totals;
+      DROP VIEW IF EXISTS product_scheduled_prices;
+
+      -- Product-level schedule in effect right now, if any
+      CREATE VIEW product_scheduled_prices AS
+      SELECT
+        p.id as product_id,
+        COALESCE(s.price, p.price) as price,
+        s.compare_at_price,
+        s.id as price_schedule_id,
+        s.ends_at as price_ends_at
+      FROM products p
+      LEFT JOIN price_schedules s ON s.id = (
+        SELECT id FROM active_price_schedules
+        WHERE product_id = p.id AND variant_id IS NULL
+        ORDER BY starts_at DESC, id DESC LIMIT 1
+      );
+
+      -- Variant schedule, else the variant's own price, else the product's current price
+      -- (bundles have no variants, so the product's scheduled price is its current price)
+      CREATE VIEW variant_current_prices AS
+      SELECT
+        v.id as variant_id,
+        v.product_id,
+        CASE WHEN s.id IS NOT NULL THEN s.price ELSE COALESCE(v.price, pp.price) END as price,
+        CASE WHEN s.id IS NOT NULL THEN s.compare_at_price WHEN v.price IS NULL THEN pp.compare_at_price END as compare_at_price,
+        CASE WHEN s.id IS NOT NULL THEN s.id WHEN v.price IS NULL THEN pp.price_schedule_id END as price_schedule_id,
+        CASE WHEN s.id IS NOT NULL THEN s.ends_at WHEN v.price IS NULL THEN pp.price_ends_at END as price_ends_at
+      FROM product_variants v
+      JOIN product_scheduled_prices pp ON pp.product_id = v.product_id
+      LEFT JOIN price_schedules s ON s.id = (
+        SELECT id FROM active_price_schedules
+        WHERE variant_id = v.id
+        ORDER BY starts_at DESC, id DESC LIMIT 1
+      );
+
+      -- What a bundle's components cost bought separately right now
+      CREATE VIEW bundle_component_totals AS
+      SELECT
+        bi.bundle_product_id as product_id,
+        SUM(bi.quantity * COALESCE(vp.price, pp.price)) as components_total
+      FROM product_bundle_items bi
+      JOIN product_scheduled_prices pp ON pp.product_id = bi.component_product_id
+      LEFT JOIN variant_current_prices vp ON vp.variant_id = bi.component_variant_id
+      GROUP BY bi.bundle_product_id;
+
+      -- Price a product sells for right now, and the compare-at price of the sale.
+      -- A scheduled price also applies to bundles; otherwise a discounted-sum bundle
+      -- is priced from its components, which are then shown as the compare-at price.
+      CREATE VIEW product_current_prices AS
+      SELECT
+        pp.product_id,
+        CASE
+          WHEN pp.price_schedule_id IS NULL AND b.pricing = 'discounted_sum'
+            THEN ROUND(COALESCE(bt.components_total, 0) * (100 - b.discount_percent) / 100, 2)
+          ELSE pp.price
+        END as price,
+        CASE
+          WHEN pp.price_schedule_id IS NOT NULL THEN pp.compare_at_price
+          WHEN b.pricing = 'discounted_sum' AND b.discount_percent > 0 THEN bt.components_total
+          WHEN b.pricing = 'fixed' AND bt.components_total > pp.price THEN bt.components_total
+        END as compare_at_price,
+        pp.price_schedule_id,
+        pp.price_ends_at
+      FROM product_scheduled_prices pp
+      LEFT JOIN product_bundles b ON b.product_id = pp.product_id
+      LEFT JOIN bundle_component_totals bt ON bt.product_id = b.product_id;
+
+      -- Every change of a product's or variant's base price, written by the triggers
+      -- below so imports and scripts are covered too (who changed it is in audit_logs).
+      -- A variant row with a NULL price means its override was cleared.
+      CREATE TABLE IF NOT EXISTS product_price_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        variant_id INTEGER,
+        price DECIMAL(10,2),
+        previous_price DECIMAL(10,2),
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_product_price_history_product ON product_price_history(product_id, changed_at);
+
+      CREATE TRIGGER IF NOT EXISTS products_price_insert AFTER INSERT ON products BEGIN
+        INSERT INTO product_price_history (product_id, price) VALUES (new.id, new.price);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS products_price_update AFTER UPDATE OF price ON products
+      WHEN new.price IS NOT old.price BEGIN
+        INSERT INTO product_price_history (product_id, price, previous_price) VALUES (new.id, new.price, old.price);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS product_variants_price_insert AFTER INSERT ON product_variants
+      WHEN new.price IS NOT NULL BEGIN
+        INSERT INTO product_price_history (product_id, variant_id, price) VALUES (new.product_id, new.id, new.price);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS product_variants_price_update AFTER UPDATE OF price ON product_variants
+      WHEN new.price IS NOT old.price BEGIN
+        INSERT INTO product_price_history (product_id, variant_id, price, previous_price)
+        VALUES (new.product_id, new.id, new.price, old.price);
+      END;
+
+      -- Slugs products and categories had before they were changed; requests
+      -- for an old slug are redirected to the current one
+      CREATE TABLE IF NOT EXISTS slug_redirects (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('product', 'category')),
+        entity_id INTEGER NOT NULL,
+        slug VARCHAR(100) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(entity_type, slug)
+      );
+
+      -- Product feed items and sitemap URL of each active product, rendered by
+      -- catalogFeedService. A row without generated_at is being rendered; one
+      -- dropped by a trigger meanwhile is rendered again on the next refresh.
+      -- refresh_after is when a scheduled price shown in it starts or ends.
+      CREATE TABLE IF NOT EXISTS catalog_feed_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL UNIQUE,
+        feed_xml TEXT,
+        feed_tsv TEXT,
+        sitemap_xml TEXT,
+        refresh_after DATETIME,
+        generated_at DATETIME,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+      );
+      ${catalogFeedTriggers}
+
+      -- Product types in the feed are full category paths
+      CREATE TRIGGER IF NOT EXISTS categories_feed_update AFTER UPDATE OF name, parent_id ON categories
+      WHEN new.name IS NOT old.name OR new.parent_id IS NOT old.parent_id BEGIN
+        DELETE FROM catalog_feed_entries;
+      END;
+
+      -- Full-text product search (rowid = products.id).
+      -- The trigram tokenizer matches any 3+ character substring, which works
+      -- for Korean names without a morphological analyzer.
+      CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+        name, description, sku, category_name,
+        tokenize = 'trigram'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+        INSERT INTO products_fts (rowid, name, description, sku, category_name)
+        VALUES (
+          new.id, new.name, COALESCE(new.description, ''), new.sku,
+          COALESCE((SELECT name FROM categories WHERE id = new.category_id), '')
+        );
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS products_fts_update AFTER UPDATE OF name, description, sku, category_id ON products BEGIN
+        DELETE FROM products_fts WHERE rowid = old.id;
+        INSERT INTO products_fts (rowid, name, description, sku, category_name)
+        VALUES (
+          new.id, new.name, COALESCE(new.description, ''), new.sku,
+          COALESCE((SELECT name FROM categories WHERE id = new.category_id), '')
+        );
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+        DELETE FROM products_fts WHERE rowid = old.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS categories_fts_update AFTER UPDATE OF name ON categories BEGIN
+        UPDATE products_fts SET category_name = new.name
+        WHERE rowid IN (SELECT id FROM products WHERE category_id = new.id);
+      END;
     `;
 
     db.exec(createTables, (err) => {
       if (err) {
         console.error('Error creating tables:', err.message);
-        reject(err);
-      } else {
-        console.log('Database tables created successfully');
-        resolve();
+        return reject(err);
+      }
+
+      applySchemaUpgrades((err) => {
+        if (err) {
+          console.error('Error upgrading tables:', err.message);
+          return reject(err);
+        }
+
+        seedRolesAndPermissions((err) => {
+          if (err) {
+            console.error('Error seeding roles:', err.message);
+            return reject(err);
+          }
+
+          indexUnindexedProducts((err) => {
+            if (err) {
+              console.error('Error building product search index:', err.message);
+              return reject(err);
+            }
+
+            recordMissingPriceHistory((err) => {
+              if (err) {
+                console.error('Error recording price history:', err.message);
+                return reject(err);
+              }
+
+              assignMissingSlugs((err) => {
+                if (err) {
+                  console.error('Error assigning slugs:', err.message);
+                  reject(err);
+                } else {
+                  console.log('Database tables created successfully');
+                  resolve();
+                }
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Columns added to tables that already exist in deployed databases.
+// Each one is only added when missing, so this is safe to run on every start.
+const columnUpgrades = [
+  { table: 'users', column: 'email_verified', definition: 'BOOLEAN DEFAULT 0' },
+  { table: 'users', column: 'email_verified_at', definition: 'DATETIME' },
+  { table: 'users', column: 'two_factor_enabled', definition: 'BOOLEAN DEFAULT 0' },
+  { table: 'users', column: 'two_factor_secret', definition: 'VARCHAR(64)' },
+  { table: 'users', column: 'two_factor_last_step', definition: 'INTEGER' },
+  { table: 'users', column: 'two_factor_enabled_at', definition: 'DATETIME' },
+  { table: 'sessions', column: 'impersonator_id', definition: 'INTEGER REFERENCES users(id)' },
+  { table: 'users', column: 'erased_at', definition: 'DATETIME' },
+  { table: 'users', column: 'password_changed_at', definition: 'DATETIME' },
+  // Product-level rows keep variant_id NULL; products with variants get one row per variant
+  { table: 'inventory', column: 'variant_id', definition: 'INTEGER REFERENCES product_variants(id) ON DELETE CASCADE' },
+  { table: 'product_images', column: 'variant_id', definition: 'INTEGER REFERENCES product_variants(id) ON DELETE SET NULL' },
+  { table: 'order_items', column: 'variant_id', definition: 'INTEGER REFERENCES product_variants(id)' },
+  { table: 'order_items', column: 'variant_sku', definition: 'VARCHAR(100)' },
+  { table: 'order_items', column: 'variant_name', definition: 'VARCHAR(200)' },
+  // Position among sibling categories
+  { table: 'categories', column: 'sort_order', definition: 'INTEGER DEFAULT 0' },
+  { table: 'categories', column: 'updated_at', definition: 'DATETIME' },
+  // Size of the full-size image and the JSON list of resized JPEG/WebP files
+  { table: 'product_images', column: 'width', definition: 'INTEGER' },
+  { table: 'product_images', column: 'height', definition: 'INTEGER' },
+  { table: 'product_images', column: 'renditions', definition: 'TEXT' },
+  // Scheduled price the item was sold at (NULL: base price)
+  { table: 'order_items', column: 'price_schedule_id', definition: 'INTEGER REFERENCES price_schedules(id) ON DELETE SET NULL' },
+  // When the product was last deactivated (archived); NULL while it is active
+  { table: 'products', column: 'archived_at', definition: 'DATETIME' },
+  // URL slugs (unique per table) and search engine metadata
+  { table: 'products', column: 'slug', definition: 'VARCHAR(100)' },
+  { table: 'products', column: 'meta_title', definition: 'VARCHAR(100)' },
+  { table: 'products', column: 'meta_description', definition: 'VARCHAR(300)' },
+  { table: 'categories', column: 'slug', definition: 'VARCHAR(100)' },
+  { table: 'categories', column: 'meta_title', definition: 'VARCHAR(100)' },
+  { table: 'categories', column: 'meta_description', definition: 'VARCHAR(300)' }
+];
+
+// Indexes and views that use upgrade columns, created once the columns exist.
+// A product with variants is only sold through its active variants, so its
+// product-level inventory row is left out of sellable_inventory. A bundle's
+// own row is left out too: its stock is what its components allow.
+// The stock views changed when bundles were added and are recreated on start.
+const upgradeSchema = `
+  CREATE INDEX IF NOT EXISTS idx_inventory_product_variant ON inventory(product_id, variant_id);
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_shopping_cart_item ON shopping_cart(user_id, product_id, COALESCE(variant_id, 0));
+
+  -- Products are archived by deactivating them (DELETE /api/products/:id, product
+  -- edits and imports alike); products archived before the column existed
+  -- count from their last update
+  CREATE TRIGGER IF NOT EXISTS products_archived_at AFTER UPDATE OF is_active ON products
+  WHEN new.is_active IS NOT old.is_active BEGIN
+    UPDATE products SET archived_at = CASE WHEN new.is_active THEN NULL ELSE CURRENT_TIMESTAMP END WHERE id = new.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS products_archived_at_insert AFTER INSERT ON products
+  WHEN NOT new.is_active BEGIN
+    UPDATE products SET archived_at = CURRENT_TIMESTAMP WHERE id = new.id;
+  END;
+
+  UPDATE products SET archived_at = updated_at WHERE is_active = 0 AND archived_at IS NULL;
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_products_slug ON products(slug);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_slug ON categories(slug);
+
+  -- A replaced slug keeps redirecting to its product or category, until another
+  -- one takes it over; redirects go when the product or category is deleted
+  CREATE TRIGGER IF NOT EXISTS products_slug_insert AFTER INSERT ON products
+  WHEN new.slug IS NOT NULL BEGIN
+    DELETE FROM slug_redirects WHERE entity_type = 'product' AND slug = new.slug;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS products_slug_update AFTER UPDATE OF slug ON products
+  WHEN new.slug IS NOT old.slug BEGIN
+    DELETE FROM slug_redirects WHERE entity_type = 'product' AND slug = new.slug;
+    INSERT OR REPLACE INTO slug_redirects (entity_type, entity_id, slug)
+    SELECT 'product', old.id, old.slug WHERE old.slug IS NOT NULL;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS products_slug_delete AFTER DELETE ON products BEGIN
+    DELETE FROM slug_redirects WHERE entity_type = 'product' AND entity_id = old.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS categories_slug_insert AFTER INSERT ON categories
+  WHEN new.slug IS NOT NULL BEGIN
+    DELETE FROM slug_redirects WHERE entity_type = 'category' AND slug = new.slug;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS categories_slug_update AFTER UPDATE OF slug ON categories
+  WHEN new.slug IS NOT old.slug BEGIN
+    DELETE FROM slug_redirects WHERE entity_type = 'category' AND slug = new.slug;
+    INSERT OR REPLACE INTO slug_redirects (entity_type, entity_id, slug)
+    SELECT 'category', old.id, old.slug WHERE old.slug IS NOT NULL;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS categories_slug_delete AFTER DELETE ON categories BEGIN
+    DELETE FROM slug_redirects WHERE entity_type = 'category' AND entity_id = old.id;
+  END;
+
+  DROP VIEW IF EXISTS product_stock;
+  DROP VIEW IF EXISTS bundle_stock;
+  DROP VIEW IF EXISTS sellable_inventory;
+
+  CREATE VIEW sellable_inventory AS
+  SELECT i.*
+  FROM inventory i
+  LEFT JOIN product_variants v ON v.id = i.variant_id
+  WHERE ((i.variant_id IS NULL AND NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = i.product_id))
+    OR v.is_active = 1)
+    AND NOT EXISTS (SELECT 1 FROM product_bundles b WHERE b.product_id = i.product_id);
+
+  -- Complete bundles that can be put together from available component stock
+  -- (an inactive or missing component means none)
+  CREATE VIEW bundle_stock AS
+  SELECT
+    bi.bundle_product_id as product_id,
+    MIN(CASE WHEN c.is_active = 1 THEN MAX(0, COALESCE(si.quantity - si.reserved_quantity, 0)) / bi.quantity ELSE 0 END) as quantity
+  FROM product_bundle_items bi
+  JOIN products c ON c.id = bi.component_product_id
+  LEFT JOIN sellable_inventory si ON si.product_id = bi.component_product_id AND si.variant_id IS bi.component_variant_id
+  GROUP BY bi.bundle_product_id;
+
+  -- Bundles reserve their components rather than stock of their own
+  CREATE VIEW product_stock AS
+  SELECT product_id, SUM(quantity) as quantity, SUM(reserved_quantity) as reserved_quantity
+  FROM sellable_inventory
+  GROUP BY product_id
+  UNION ALL
+  SELECT b.product_id, COALESCE(bs.quantity, 0), 0
+  FROM product_bundles b
+  LEFT JOIN bundle_stock bs ON bs.product_id = b.product_id;
+`;
+
+// Bring an existing database up to the current schema
+function applySchemaUpgrades(callback) {
+  applyColumnUpgrades((err) => {
+    if (err) {
+      return callback(err);
+    }
+
+    upgradeShoppingCart((err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      db.exec(upgradeSchema, callback);
+    });
+  });
+}
+
+// Add missing upgrade columns one at a time
+function applyColumnUpgrades(callback, index = 0) {
+  if (index >= columnUpgrades.length) {
+    return callback(null);
+  }
+
+  const { table, column, definition } = columnUpgrades[index];
+
+  db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (columns.some(existing => existing.name === column)) {
+      return applyColumnUpgrades(callback, index + 1);
+    }
+
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+      if (err) {
+        return callback(err);
       }
+
+      applyColumnUpgrades(callback, index + 1);
+    });
+  });
+}
+
+// Carts created before variants allow one row per product (UNIQUE(user_id, product_id)).
+// SQLite cannot drop a table constraint, so the table is rebuilt with a variant column.
+function upgradeShoppingCart(callback) {
+  db.all('PRAGMA table_info(shopping_cart)', [], (err, columns) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (columns.some(column => column.name === 'variant_id')) {
+      return callback(null);
+    }
+
+    db.exec(`
+      BEGIN TRANSACTION;
+      ALTER TABLE shopping_cart RENAME TO shopping_cart_before_variants;
+      ${shoppingCartTable}
+      INSERT INTO shopping_cart (id, user_id, product_id, quantity, created_at, updated_at)
+      SELECT id, user_id, product_id, quantity, created_at, updated_at FROM shopping_cart_before_variants;
+      DROP TABLE shopping_cart_before_variants;
+      COMMIT;
+    `, (err) => {
+      if (err) {
+        return db.exec('ROLLBACK', () => callback(err));
+      }
+
+      callback(null);
+    });
+  });
+}
+
+// Create missing permissions and default roles.
+// Default roles only receive their permissions when first created, so later
+// edits survive restarts; the superuser role is always given every permission.
+function seedRolesAndPermissions(callback) {
+  const { PERMISSIONS, DEFAULT_ROLES, SUPERUSER_ROLE } = require('./permissions');
+
+  db.serialize(() => {
+    const permissionStmt = db.prepare('INSERT OR IGNORE INTO permissions (name, description) VALUES (?, ?)');
+    Object.entries(PERMISSIONS).forEach(([name, description]) => permissionStmt.run([name, description]));
+    permissionStmt.finalize();
+
+    const roleNames = Object.keys(DEFAULT_ROLES);
+    let pending = roleNames.length;
+    let failed = false;
+
+    const done = (err) => {
+      if (failed) {
+        return;
+      }
+      if (err) {
+        failed = true;
+        return callback(err);
+      }
+      if (--pending === 0) {
+        db.run(
+          `INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+           SELECT r.id, p.id FROM roles r, permissions p WHERE r.name = ?`,
+          [SUPERUSER_ROLE],
+          callback
+        );
+      }
+    };
+
+    roleNames.forEach(name => {
+      const role = DEFAULT_ROLES[name];
+
+      db.run(
+        'INSERT OR IGNORE INTO roles (name, description, is_system) VALUES (?, ?, 1)',
+        [name, role.description],
+        function(err) {
+          if (err || this.changes === 0 || role.permissions.length === 0) {
+            return done(err);
+          }
+
+          db.run(
+            `INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+             SELECT ?, id FROM permissions WHERE name IN (${role.permissions.map(() => '?').join(', ')})`,
+            [this.lastID, ...role.permissions],
+            done
+          );
+        }
+      );
+    });
+  });
+}
+
+// Add products that predate the search index (the triggers keep it current afterwards)
+function indexUnindexedProducts(callback) {
+  db.run(
+    `INSERT INTO products_fts (rowid, name, description, sku, category_name)
+     SELECT p.id, p.name, COALESCE(p.description, ''), p.sku, COALESCE(c.name, '')
+     FROM products p
+     LEFT JOIN categories c ON c.id = p.category_id
+     WHERE p.id NOT IN (SELECT rowid FROM products_fts)`,
+    callback
+  );
+}
+
+// Start the price history of products and variants that predate it
+// (the triggers record every change afterwards)
+function recordMissingPriceHistory(callback) {
+  db.exec(`
+    INSERT INTO product_price_history (product_id, price, changed_at)
+    SELECT id, price, created_at FROM products
+    WHERE id NOT IN (SELECT product_id FROM product_price_history WHERE variant_id IS NULL);
+
+    INSERT INTO product_price_history (product_id, variant_id, price, changed_at)
+    SELECT product_id, id, price, created_at FROM product_variants
+    WHERE price IS NOT NULL AND id NOT IN (SELECT variant_id FROM product_price_history WHERE variant_id IS NOT NULL);
+  `, callback);
+}
+
+// Give products and categories without a slug (created before slugs existed,
+// or by scripts/init-database.js) one made from their name
+function assignMissingSlugs(callback, tables = [['products', 'product'], ['categories', 'category']]) {
+  if (tables.length === 0) {
+    return callback(null);
+  }
+
+  const { slugify, uniqueSlug } = require('../utils/slug');
+  const [[table, entityType], ...remaining] = tables;
+
+  db.all(
+    `SELECT id, name, slug FROM ${table}
+     UNION ALL
+     SELECT NULL, NULL, slug FROM slug_redirects WHERE entity_type = ?
+     ORDER BY id`,
+    [entityType],
+    (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const taken = new Set(rows.filter(row => row.slug).map(row => row.slug));
+      const missing = rows.filter(row => row.id !== null && !row.slug);
+      if (missing.length === 0) {
+        return assignMissingSlugs(callback, remaining);
+      }
+
+      const stmt = db.prepare(`UPDATE ${table} SET slug = ? WHERE id = ?`);
+      missing.forEach(row => {
+        const slug = uniqueSlug(slugify(row.name, entityType), taken);
+        taken.add(slug);
+        stmt.run([slug, row.id]);
+      });
+      stmt.finalize((err) => (err ? callback(err) : assignMissingSlugs(callback, remaining)));
+    }
+  );
+}
+
+/**
+ * Run a query and resolve all rows
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<object[]>} Rows
+ */
+function queryAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        return reject(new Error('Database error: ' + err.message));
+      }
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Run a query and resolve the first row
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<object|undefined>} Row
+ */
+function queryOne(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        return reject(new Error('Database error: ' + err.message));
+      }
+      resolve(row);
+    });
+  });
+}
+
+/**
+ * Run a statement
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<object>} { lastID, changes }
+ */
+function execute(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        return reject(new Error('Database error: ' + err.message));
+      }
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+// Transactions on the shared connection run one at a time: SQLite cannot open
+// a second one on a connection that already has one, so callers queue here
+let transactionQueue = Promise.resolve();
+
+/**
+ * Run work inside a transaction on the shared connection. Callers are queued
+ * so transactions never overlap, and a failed BEGIN, COMMIT or ROLLBACK
+ * rejects the returned promise instead of crashing the process. Statements
+ * other requests run meanwhile share the connection, so keep the work short.
+ * @param {Function} work - Async function that runs the transaction's statements
+ * on db and resolves once they are done; the transaction is rolled back if it rejects
+ * @returns {Promise<*>} What work resolved to, once committed
+ */
+function runTransaction(work) {
+  const result = transactionQueue.then(async () => {
+    // IMMEDIATE takes the write lock up front, waiting out other connections'
+    // transactions, instead of failing with SQLITE_BUSY part way through
+    await execute('BEGIN IMMEDIATE TRANSACTION');
+
+    let value;
+    try {
+      value = await work();
+      await execute('COMMIT');
+    } catch (error) {
+      // SQLite may have rolled back already (e.g. after a failed COMMIT)
+      await execute('ROLLBACK').catch(() => null);
+      throw error;
+    }
+    return value;
+  });
+
+  transactionQueue = result.catch(() => null);
+  return result;
+}
+
+/**
+ * Run statements in one transaction (see runTransaction), rolling back if any of them fails
+ * @param {Function} queue - Called with a run(sql, params) function that queues a statement
+ * @param {string} failureMessage - Prefix of the error message on failure
+ * @returns {Promise<number[]>} Rows changed by each statement, in the order they were queued
+ */
+function runStatements(queue, failureMessage) {
+  return runTransaction(() => new Promise((resolve, reject) => {
+    const changes = [];
+    let failed = null;
+
+    db.serialize(() => {
+      queue((sql, params = []) => {
+        const index = changes.push(0) - 1;
+        db.run(sql, params, function(err) {
+          failed = failed || err;
+          changes[index] = err ? 0 : this.changes;
+        });
+      });
+
+      // Runs after every queued statement has reported back
+      db.get('SELECT 1', () => (failed ? reject(failed) : resolve(changes)));
+    });
+  })).catch(error => {
+    throw new Error(`${failureMessage}: ${error.message}`);
+  });
+}
+
+/**
+ * Open a separate connection to the database, for batch jobs whose
+ * transactions must not take in statements from requests on the shared
+ * connection. The caller closes it when done.
+ * @returns {Promise<sqlite3.Database>} Open connection
+ */
+function openConnection() {
+  return new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        return reject(new Error('Error opening database: ' + err.message));
+      }
+
+      connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+      resolve(connection);
     });
   });
 }
 
 // Create data directory if it doesn't exist
 const fs = require('fs');
-const dataDir = path.join(__dirname, '..', 'data');
+const dataDir = path.dirname(DB_PATH);
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
 module.exports = {
   db,
-  initializeDatabase
+  initializeDatabase,
+  queryAll,
+  queryOne,
+  execute,
+  runTransaction,
+  runStatements,
+  openConnection
 };
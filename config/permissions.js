@@ -0,0 +1,51 @@
+// Permissions checked by requirePermission() and hasPermission().
+// Adding one here is enough for it to be created on the next start.
+const PERMISSIONS = {
+  'users:read': 'View any user account, address book, cart and login history',
+  'users:write': 'Edit or deactivate any user account and revoke its sessions',
+  'users:erase': 'Process account erasure requests (anonymizes the account)',
+  'users:impersonate': 'Sign in as a customer to see what they see',
+  'roles:manage': 'Create roles, change their permissions and assign them to users',
+  'api_keys:manage': 'Create and revoke API keys for integrations',
+  'products:write': 'Create, update and delete products',
+  'categories:write': 'Create, update, move and delete product categories',
+  'reviews:moderate': 'Approve, reject and delete customer product reviews',
+  'orders:read': 'View all orders and order statistics',
+  'orders:write': 'Change order status and cancel any order',
+  'payments:read': 'View all payments and payment statistics',
+  'payments:refund': 'Refund payments',
+  'inventory:read': 'View stock levels, low stock alerts and inventory statistics',
+  'inventory:write': 'Adjust stock levels',
+  'notifications:read': 'View system notifications and notification statistics',
+  'notifications:broadcast': 'Send notifications to users'
+};
+
+// Roles created on first start. Their permissions can be changed afterwards
+// (except admin, which always holds every permission).
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to every administrative function',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  customer: {
+    description: 'Shopper account with access to its own data only',
+    permissions: []
+  },
+  warehouse: {
+    description: 'Warehouse staff managing stock',
+    permissions: ['inventory:read', 'inventory:write']
+  },
+  support: {
+    description: 'Customer support handling orders and accounts',
+    permissions: ['users:read', 'users:impersonate', 'orders:read', 'orders:write', 'payments:read', 'reviews:moderate']
+  }
+};
+
+// Role that cannot be edited or deleted, so an administrator can never lock everyone out
+const SUPERUSER_ROLE = 'admin';
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  SUPERUSER_ROLE
+};
@@ -1,10 +1,136 @@
 const jwt = require('jsonwebtoken');
 const { db } = require('../config/database');
+const { getActiveSession, revokeSession } = require('../services/sessionService');
+const { getUserPermissions } = require('../services/permissionService');
+const { SUPPORTED_ALGORITHMS, getSigningKey, getPublicKey } = require('../services/signingKeyService');
+const { verifyApiKey, consumeRateLimit } = require('../services/apiKeyService');
+const { logActivity } = require('../services/auditService');
+const { isPasswordExpired } = require('../services/passwordPolicyService');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const IMPERSONATION_TTL_SECONDS = parseInt(process.env.IMPERSONATION_TTL_SECONDS) || 15 * 60;
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === 'true';
 
-// Middleware to verify JWT token
+// Error shown when a pending restriction blocks a permission
+const RESTRICTION_MESSAGES = {
+  two_factor_enrollment: 'Two-factor authentication enrollment required',
+  password_change: 'Password change required'
+};
+
+// Look up the public key named by the token's kid header (jsonwebtoken key callback)
+function resolveVerificationKey(header, callback) {
+  if (!header.kid) {
+    return callback(new Error('Token has no key ID'));
+  }
+
+  getPublicKey(header.kid)
+    .then(publicKey => {
+      if (!publicKey) {
+        return callback(new Error('Unknown signing key'));
+      }
+      callback(null, publicKey);
+    })
+    .catch(callback);
+}
+
+// API keys are sent as "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+function getApiKeyFromRequest(req) {
+  const authHeader = req.headers['authorization'];
+
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authHeader.slice('ApiKey '.length).trim();
+  }
+  return null;
+}
+
+// Permissions declared by requirePermission()/requireOwnershipOrPermission() on the current route
+function getRoutePermissions(req) {
+  if (!req.route) {
+    return [];
+  }
+  return req.route.stack
+    .map(layer => layer.handle.requiredPermission)
+    .filter(Boolean);
+}
+
+// Authenticate an integration by API key instead of a user session
+function authenticateApiKey(apiKey, req, res, next) {
+  verifyApiKey(apiKey, req.ip)
+    .then(key => {
+      if (!key) {
+        return res.status(401).json({ error: 'Invalid or expired API key' });
+      }
+
+      // Keys act only through their scopes, so routes without a permission check
+      // (a user's own cart, profile, orders...) are off limits
+      if (getRoutePermissions(req).length === 0) {
+        return res.status(403).json({ error: 'This endpoint does not accept API keys' });
+      }
+
+      const rateLimit = consumeRateLimit(key);
+      res.set({
+        'X-RateLimit-Limit': String(rateLimit.limit),
+        'X-RateLimit-Remaining': String(rateLimit.remaining),
+        'X-RateLimit-Reset': String(rateLimit.resetSeconds)
+      });
+
+      if (!rateLimit.allowed) {
+        res.set('Retry-After', String(rateLimit.resetSeconds));
+        return res.status(429).json({ error: 'API key rate limit exceeded', retryAfter: rateLimit.resetSeconds });
+      }
+
+      req.user = {
+        id: null,
+        username: `api-key:${key.name}`,
+        role: 'api_key',
+        apiKeyId: key.id,
+        permissions: key.scopes
+      };
+      next();
+    })
+    .catch(() => res.status(500).json({ error: 'Database error' }));
+}
+
+// An impersonation token stays valid only while the staff member's own session
+// is active and they still hold the impersonation permission
+async function isImpersonationActive(user, session) {
+  if (session.impersonator_id !== user.act.id) {
+    return false;
+  }
+
+  const [impersonatorSession, impersonatorPermissions] = await Promise.all([
+    getActiveSession(user.act.sid),
+    getUserPermissions(user.act.id)
+  ]);
+
+  return !!impersonatorSession &&
+    impersonatorSession.user_id === user.act.id &&
+    impersonatorPermissions.includes('users:impersonate');
+}
+
+// Mark the response and write the request to the audit trail once it completes
+function auditImpersonatedRequest(req, res) {
+  res.set('X-Impersonated-By', req.user.act.username);
+
+  res.on('finish', () => {
+    logActivity('impersonation', req.user.id, req.method, null, {
+      path: req.originalUrl,
+      status: res.statusCode,
+      sessionId: req.user.sid
+    }, req.user.act.id);
+  });
+}
+
+// Middleware to verify JWT token (or an API key)
 function authenticateToken(req, res, next) {
+  const apiKey = getApiKeyFromRequest(req);
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -12,45 +138,177 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
+  jwt.verify(token, resolveVerificationKey, { algorithms: SUPPORTED_ALGORITHMS }, (err, user) => {
+    if (err || !user.sid) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
-    req.user = user;
-    next();
+
+    // Reject tokens whose session was revoked (logout, password change, admin action)
+    getActiveSession(user.sid)
+      .then(async session => {
+        if (!session || session.user_id !== user.id) {
+          return res.status(401).json({ error: 'Session has been revoked' });
+        }
+
+        if (user.act && !(await isImpersonationActive(user, session))) {
+          return res.status(401).json({ error: 'Impersonation has ended' });
+        }
+
+        // Permissions and restrictions are loaded per request so role changes apply immediately
+        const permissions = await getUserPermissions(user.id);
+
+        // Only customers can be impersonated; once the target is given a staff
+        // role the impersonator would act with its permissions, so it ends here
+        if (user.act && permissions.length > 0) {
+          await revokeSession(user.sid, 'impersonation_target_staff');
+          return res.status(401).json({ error: 'Impersonation has ended' });
+        }
+
+        const restrictions = await getCurrentRestrictions(user.id, permissions);
+        req.user = { ...user, permissions, restrictions };
+
+        if (user.act) {
+          auditImpersonatedRequest(req, res);
+        }
+        next();
+      })
+      .catch(() => res.status(500).json({ error: 'Database error' }));
   });
 }
 
-// Middleware to check if user is admin
-function requireAdmin(req, res, next) {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+// Check whether an authenticated user holds a permission
+// Pending access restrictions (e.g. 2FA enrollment) suspend every permission.
+function hasPermission(user, permission) {
+  if (!user || !user.permissions) {
+    return false;
   }
-  next();
+  if (user.restrictions && user.restrictions.length > 0) {
+    return false;
+  }
+  return user.permissions.includes(permission);
 }
 
-// Middleware to check if user owns the resource or is admin
-function requireOwnershipOrAdmin(req, res, next) {
-  const resourceUserId = parseInt(req.params.userId || req.body.userId);
-  const currentUserId = req.user.id;
-  const isAdmin = req.user.role === 'admin';
+// Middleware to require a permission
+function requirePermission(permission) {
+  const middleware = (req, res, next) => {
+    if (hasPermission(req.user, permission)) {
+      return next();
+    }
+
+    if (req.user.restrictions && req.user.restrictions.length > 0 && req.user.permissions.includes(permission)) {
+      return res.status(403).json({
+        error: RESTRICTION_MESSAGES[req.user.restrictions[0]],
+        restrictions: req.user.restrictions
+      });
+    }
+
+    res.status(403).json({ error: 'Permission denied', requiredPermission: permission });
+  };
+
+  middleware.requiredPermission = permission;
+  return middleware;
+}
 
-  if (!isAdmin && resourceUserId !== currentUserId) {
-    return res.status(403).json({ error: 'Access denied' });
+// Middleware to allow the user who owns the resource, or anyone holding a permission
+function requireOwnershipOrPermission(permission) {
+  const middleware = (req, res, next) => {
+    const resourceUserId = parseInt(req.params.id || req.params.userId || req.body.userId);
+
+    if (resourceUserId !== req.user.id && !hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    next();
+  };
+
+  middleware.requiredPermission = permission;
+  return middleware;
+}
+
+// Middleware to refuse sensitive actions (credentials, payments, ...) while impersonating
+function denyImpersonation(req, res, next) {
+  if (req.user.act) {
+    return res.status(403).json({ error: 'This action is not allowed while impersonating a user' });
   }
   next();
 }
 
-// Generate JWT token
-function generateToken(user) {
+// Staff accounts hold at least one permission, through their base role or an
+// assigned one; the 2FA and password age rules apply to all of them
+function isStaff(permissions) {
+  return permissions.length > 0;
+}
+
+// Whether the user must keep two-factor authentication enabled
+function isTwoFactorRequired(permissions) {
+  return REQUIRE_ADMIN_2FA && isStaff(permissions);
+}
+
+// Steps the user must complete before privileged routes are allowed
+// (permissions are loaded when not given)
+async function getAccessRestrictions(user, permissions = null) {
+  const effectivePermissions = permissions || await getUserPermissions(user.id);
+  const restrictions = [];
+
+  if (isTwoFactorRequired(effectivePermissions) && !user.two_factor_enabled) {
+    restrictions.push('two_factor_enrollment');
+  }
+
+  if (isStaff(effectivePermissions) && isPasswordExpired(user)) {
+    restrictions.push('password_change');
+  }
+
+  return restrictions;
+}
+
+// Restrictions from the user's current account state rather than the token,
+// so a role granted after sign-in cannot skip them
+function getCurrentRestrictions(userId, permissions) {
+  if (!isStaff(permissions)) {
+    return Promise.resolve([]);
+  }
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT id, two_factor_enabled, password_changed_at, created_at FROM users WHERE id = ?',
+      [userId],
+      (err, user) => {
+        if (err) {
+          return reject(err);
+        }
+
+        resolve(user ? getAccessRestrictions(user, permissions) : []);
+      }
+    );
+  });
+}
+
+// Generate short-lived JWT access token bound to a session
+// For impersonation, options.impersonator ({ id, username, sid }) is carried in the "act" claim.
+async function generateToken(user, sessionId, options = {}) {
   const payload = {
     id: user.id,
     username: user.username,
     email: user.email,
-    role: user.role
+    role: user.role,
+    sid: sessionId
   };
+
+  const restrictions = await getAccessRestrictions(user);
+  if (restrictions.length > 0) {
+    payload.restrictions = restrictions;
+  }
+
+  if (options.impersonator) {
+    payload.act = options.impersonator;
+  }
   
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '24h' });
+  const { kid, algorithm, privateKey } = getSigningKey();
+
+  return jwt.sign(payload, privateKey, {
+    algorithm,
+    keyid: kid,
+    expiresIn: options.impersonator ? IMPERSONATION_TTL_SECONDS : ACCESS_TOKEN_TTL_SECONDS
+  });
 }
 
 // Verify user exists and is active
@@ -81,9 +339,15 @@ function verifyUserExists(req, res, next) {
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  requireOwnershipOrAdmin,
+  hasPermission,
+  requirePermission,
+  requireOwnershipOrPermission,
+  denyImpersonation,
   generateToken,
+  getAccessRestrictions,
+  isTwoFactorRequired,
   verifyUserExists,
-  JWT_SECRET
+  ACCESS_TOKEN_TTL_SECONDS,
+  IMPERSONATION_TTL_SECONDS,
+  REQUIRE_ADMIN_2FA
 };
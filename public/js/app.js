@@ -5,6 +5,10 @@ let cartItems = [];
 let products = [];
 let currentPage = 1;
 let totalPages = 1;
+let resetToken = null;
+let twoFactorChallenge = null;
+let productFilters = { categories: [], priceRange: null, inStock: false, attributes: {} };
+let productFacets = null;
 
 // API Base URL
 const API_BASE_URL = `${window.location.protocol}//${window.location.host}/api`;
@@ -18,7 +22,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Initialize application
 function initializeApp() {
-    showSection('home');
+    // Password reset links point to /?resetToken=...
+    resetToken = new URLSearchParams(window.location.search).get('resetToken');
+    showSection(resetToken ? 'reset-password' : 'home');
     loadCategories();
 }
 
@@ -27,6 +33,9 @@ function setupEventListeners() {
     // Auth forms
     document.getElementById('login-form').addEventListener('submit', handleLogin);
     document.getElementById('register-form').addEventListener('submit', handleRegister);
+    document.getElementById('forgot-password-form').addEventListener('submit', handleForgotPassword);
+    document.getElementById('reset-password-form').addEventListener('submit', handleResetPassword);
+    document.getElementById('two-factor-form').addEventListener('submit', handleTwoFactorLogin);
     document.getElementById('checkout-form').addEventListener('submit', handleCheckout);
     
     // Payment method change
@@ -39,8 +48,11 @@ function setupEventListeners() {
         }
     });
     
-    // Category filter
-    document.getElementById('category-filter').addEventListener('change', searchProducts);
+    // Category filter (the sidebar can select several categories)
+    document.getElementById('category-filter').addEventListener('change', (e) => {
+        productFilters.categories = e.target.value ? [Number(e.target.value)] : [];
+        searchProducts();
+    });
 }
 
 // Check authentication status
@@ -131,16 +143,13 @@ async function handleLogin(e) {
         
         const data = await response.json();
         
-        if (response.ok) {
-            localStorage.setItem('token', data.token);
-            localStorage.setItem('userData', JSON.stringify(data.user));
-            currentUser = data.user;
-            
-            updateUIForLoggedInUser();
-            showToast('로그인 성공!', 'success');
-            showSection('home');
-            
-            // Clear form
+        if (response.ok && data.twoFactorRequired) {
+            // Password accepted; the second step finishes the login
+            twoFactorChallenge = data.challengeToken;
+            document.getElementById('login-form').reset();
+            showSection('two-factor');
+        } else if (response.ok) {
+            completeLogin(data);
             document.getElementById('login-form').reset();
         } else {
             showToast(data.error || '로그인에 실패했습니다.', 'error');
@@ -153,6 +162,88 @@ async function handleLogin(e) {
     }
 }
 
+// Handle second login step (authenticator code or recovery code)
+async function handleTwoFactorLogin(e) {
+    e.preventDefault();
+    
+    const code = document.getElementById('two-factor-code').value.trim();
+    const useRecoveryCode = document.getElementById('two-factor-recovery').checked;
+    
+    if (!twoFactorChallenge) {
+        showToast('다시 로그인해주세요.', 'error');
+        showSection('login');
+        return;
+    }
+    
+    if (!code) {
+        showToast('인증 코드를 입력해주세요.', 'error');
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/login/2fa`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(useRecoveryCode
+                ? { challengeToken: twoFactorChallenge, recoveryCode: code }
+                : { challengeToken: twoFactorChallenge, code })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            twoFactorChallenge = null;
+            document.getElementById('two-factor-form').reset();
+            completeLogin(data);
+        } else {
+            showToast(data.error || '인증에 실패했습니다.', 'error');
+            
+            // Expired or exhausted challenges need a fresh password login
+            if (data.error === 'Invalid or expired login challenge') {
+                twoFactorChallenge = null;
+                showSection('login');
+            }
+        }
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        showToast('인증 중 오류가 발생했습니다.', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Store tokens after a successful login
+function completeLogin(data) {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('userData', JSON.stringify(data.user));
+    currentUser = data.user;
+    
+    updateUIForLoggedInUser();
+    showToast('로그인 성공!', 'success');
+    showSection('home');
+    
+    if (data.restrictions && data.restrictions.includes('two_factor_enrollment')) {
+        showToast('관리자 계정은 2단계 인증을 설정해야 관리 기능을 사용할 수 있습니다.', 'info');
+    }
+    
+    if (data.restrictions && data.restrictions.includes('password_change')) {
+        showToast('관리자 비밀번호 사용 기간이 지났습니다. 비밀번호를 변경해야 관리 기능을 사용할 수 있습니다.', 'info');
+    }
+}
+
+// Error message for a failed request, including password policy violations
+function getErrorMessage(data, fallback) {
+    if (data.violations && data.violations.length > 0) {
+        return data.violations.join(' ');
+    }
+    return data.error || fallback;
+}
+
 // Handle register
 async function handleRegister(e) {
     e.preventDefault();
@@ -176,11 +267,6 @@ async function handleRegister(e) {
         return;
     }
     
-    if (password.length < 6) {
-        showToast('비밀번호는 최소 6자 이상이어야 합니다.', 'error');
-        return;
-    }
-    
     showLoading(true);
     
     try {
@@ -203,6 +289,7 @@ async function handleRegister(e) {
         
         if (response.ok) {
             localStorage.setItem('token', data.token);
+            localStorage.setItem('refreshToken', data.refreshToken);
             localStorage.setItem('userData', JSON.stringify(data.user));
             currentUser = data.user;
             
@@ -213,7 +300,7 @@ async function handleRegister(e) {
             // Clear form
             document.getElementById('register-form').reset();
         } else {
-            showToast(data.error || '회원가입에 실패했습니다.', 'error');
+            showToast(getErrorMessage(data, '회원가입에 실패했습니다.'), 'error');
         }
     } catch (error) {
         console.error('Register error:', error);
@@ -223,29 +310,197 @@ async function handleRegister(e) {
     }
 }
 
+// Handle forgot password
+async function handleForgotPassword(e) {
+    e.preventDefault();
+    
+    const email = document.getElementById('forgot-email').value;
+    
+    if (!email) {
+        showToast('이메일을 입력해주세요.', 'error');
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            showToast('비밀번호 재설정 링크를 이메일로 보냈습니다.', 'success');
+            document.getElementById('forgot-password-form').reset();
+            showSection('login');
+        } else {
+            showToast(data.error || '요청에 실패했습니다.', 'error');
+        }
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        showToast('요청 중 오류가 발생했습니다.', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Handle reset password
+async function handleResetPassword(e) {
+    e.preventDefault();
+    
+    const password = document.getElementById('reset-password').value;
+    const confirmPassword = document.getElementById('reset-confirm-password').value;
+    
+    if (!resetToken) {
+        showToast('유효하지 않은 재설정 링크입니다.', 'error');
+        return;
+    }
+    
+    if (password !== confirmPassword) {
+        showToast('비밀번호가 일치하지 않습니다.', 'error');
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token: resetToken, password })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            resetToken = null;
+            window.history.replaceState({}, '', window.location.pathname);
+            document.getElementById('reset-password-form').reset();
+            showToast('비밀번호가 변경되었습니다. 다시 로그인해주세요.', 'success');
+            showSection('login');
+        } else {
+            showToast(getErrorMessage(data, '비밀번호 변경에 실패했습니다.'), 'error');
+        }
+    } catch (error) {
+        console.error('Reset password error:', error);
+        showToast('비밀번호 변경 중 오류가 발생했습니다.', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
 // Logout
-function logout() {
-    localStorage.removeItem('token');
-    localStorage.removeItem('userData');
+async function logout() {
+    if (localStorage.getItem('token')) {
+        try {
+            // Revoke the session on the server so the tokens stop working
+            await fetch(`${API_BASE_URL}/auth/logout`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                }
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+    }
+    
+    clearAuthData();
     updateUIForLoggedOutUser();
     showToast('로그아웃되었습니다.', 'success');
     showSection('home');
 }
 
+// Remove stored tokens and user data
+function clearAuthData() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('userData');
+}
+
+// Refresh the access token (shared so parallel requests rotate it only once)
+let refreshPromise = null;
+
+function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) {
+                return false;
+            }
+            
+            try {
+                const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ refreshToken })
+                });
+                
+                if (!response.ok) {
+                    clearAuthData();
+                    updateUIForLoggedOutUser();
+                    return false;
+                }
+                
+                const data = await response.json();
+                localStorage.setItem('token', data.token);
+                localStorage.setItem('refreshToken', data.refreshToken);
+                return true;
+            } catch (error) {
+                console.error('Token refresh error:', error);
+                return false;
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    
+    return refreshPromise;
+}
+
+// Fetch with the access token, refreshing it once when it has expired
+async function authFetch(url, options = {}) {
+    const withToken = () => ({
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+    });
+    
+    let response = await fetch(url, withToken());
+    
+    if ((response.status === 401 || response.status === 403) && await refreshAccessToken()) {
+        response = await fetch(url, withToken());
+    }
+    
+    return response;
+}
+
 // Load categories
 async function loadCategories() {
     try {
-        const response = await fetch(`${API_BASE_URL}/products/categories/list`);
+        const response = await fetch(`${API_BASE_URL}/categories`);
         const data = await response.json();
         
         if (response.ok) {
             const categorySelect = document.getElementById('category-filter');
             categorySelect.innerHTML = '<option value="">모든 카테고리</option>';
             
+            // Listed in tree order, subcategories indented below their parent
             data.categories.forEach(category => {
                 const option = document.createElement('option');
                 option.value = category.id;
-                option.textContent = category.name;
+                option.textContent = '\u00A0\u00A0'.repeat(category.depth) + category.name;
                 categorySelect.appendChild(option);
             });
         }
@@ -259,22 +514,32 @@ async function loadProducts(page = 1) {
     showLoading(true);
     
     try {
-        const category = document.getElementById('category-filter').value;
         const search = document.getElementById('search-input').value;
+        const params = new URLSearchParams({ page, limit: 12 });
         
-        let url = `${API_BASE_URL}/products?page=${page}&limit=12`;
-        if (category) url += `&category=${category}`;
-        if (search) url += `&search=${encodeURIComponent(search)}`;
+        if (search) params.set('search', search);
+        if (productFilters.categories.length > 0) params.set('categories', productFilters.categories.join(','));
+        if (productFilters.priceRange) {
+            params.set('minPrice', productFilters.priceRange.min);
+            // Bucket maximums are exclusive, the API's maxPrice is inclusive
+            if (productFilters.priceRange.max !== null) params.set('maxPrice', productFilters.priceRange.max - 1);
+        }
+        if (productFilters.inStock) params.set('inStock', 'true');
+        Object.entries(productFilters.attributes).forEach(([name, values]) => {
+            if (values.length > 0) params.set(`attributes[${name}]`, values.join(','));
+        });
         
-        const response = await fetch(url);
+        const response = await fetch(`${API_BASE_URL}/products?${params}`);
         const data = await response.json();
         
         if (response.ok) {
             products = data.products;
             currentPage = data.pagination.page;
             totalPages = data.pagination.pages;
+            productFacets = data.facets;
             
             renderProducts();
+            renderFacets();
             renderPagination();
         } else {
             showToast('상품을 불러오는데 실패했습니다.', 'error');
@@ -299,17 +564,22 @@ function renderProducts() {
     productsGrid.innerHTML = products.map(product => `
         <div class="product-card">
             <div class="product-image">
-                ${product.primary_image ? 
-                    `<img src="${product.primary_image}" alt="${product.name}">` : 
-                    '<i class="fas fa-image"></i>'
-                }
+                ${product.primary_image ? renderProductImage(product) : '<i class="fas fa-image"></i>'}
             </div>
             <div class="product-info">
-                <h3>${escapeHtml(product.name)}</h3>
-                <p>${escapeHtml(product.description || '상품 설명이 없습니다.')}</p>
-                <div class="product-price">₩${formatPrice(product.price)}</div>
+                <h3>
+                    ${product.highlights ? product.highlights.name : escapeHtml(product.name)}
+                    ${product.product_type === 'bundle' ? '<span class="bundle-badge">세트</span>' : ''}
+                </h3>
+                <p>${product.highlights && product.highlights.description ? product.highlights.description : escapeHtml(product.description || '상품 설명이 없습니다.')}</p>
+                <div class="product-price">
+                    ${product.compare_at_price ? `<span class="compare-at-price">₩${formatPrice(product.compare_at_price)}</span>` : ''}
+                    ₩${formatPrice(product.price)}
+                </div>
+                ${renderRating(product)}
+                ${renderVariantSelect(product)}
                 <div class="product-actions">
-                    <button onclick="addToCart(${product.id})" class="btn btn-primary" ${!currentUser ? 'disabled' : ''}>
+                    <button onclick="addProductToCart(${product.id})" class="btn btn-primary" ${!currentUser ? 'disabled' : ''}>
                         <i class="fas fa-cart-plus"></i> 장바구니
                     </button>
                     <button onclick="viewProduct(${product.id})" class="btn btn-outline">
@@ -321,6 +591,193 @@ function renderProducts() {
     `).join('');
 }
 
+// Render average rating of approved reviews
+function renderRating(product) {
+    if (!product.review_count) {
+        return '';
+    }
+    
+    return `
+        <div class="product-rating">
+            <i class="fas fa-star"></i> ${product.average_rating.toFixed(1)}
+            <span class="review-count">(${product.review_count})</span>
+        </div>
+    `;
+}
+
+// Render card image, letting the browser pick the smallest size (WebP where supported)
+function renderProductImage(product) {
+    if (!product.primary_image_srcset) {
+        return `<img src="${product.primary_image}" alt="${product.name}">`;
+    }
+    
+    const sizes = '(max-width: 768px) 100vw, 300px';
+    return `
+        <picture>
+            <source type="image/webp" srcset="${product.primary_image_webp_srcset}" sizes="${sizes}">
+            <img src="${product.primary_image}" srcset="${product.primary_image_srcset}" sizes="${sizes}"
+                 alt="${product.name}" loading="lazy">
+        </picture>
+    `;
+}
+
+// Render option picker for products sold as variants (size, color, storage...)
+function renderVariantSelect(product) {
+    if (!product.variants || product.variants.length === 0) {
+        return '';
+    }
+    
+    return `
+        <select id="variant-select-${product.id}" class="variant-select">
+            ${product.variants.map(variant => `
+                <option value="${variant.id}" ${variant.available_quantity > 0 ? '' : 'disabled'}>
+                    ${escapeHtml(variant.name)} - ₩${formatPrice(variant.price)}${variant.available_quantity > 0 ? '' : ' (품절)'}
+                </option>
+            `).join('')}
+        </select>
+    `;
+}
+
+// Add product card to cart with the selected variant, if any
+function addProductToCart(productId) {
+    const variantSelect = document.getElementById(`variant-select-${productId}`);
+    
+    if (variantSelect && !variantSelect.value) {
+        showToast('옵션을 선택해주세요.', 'error');
+        return;
+    }
+    
+    addToCart(productId, 1, variantSelect ? parseInt(variantSelect.value) : null);
+}
+
+// Labels for the attributes used by the seed data; other names are shown as-is
+const ATTRIBUTE_LABELS = {
+    brand: '브랜드',
+    color: '색상',
+    size: '사이즈',
+    storage: '저장 용량'
+};
+
+// Render filter sidebar
+function renderFacets() {
+    const facetsContainer = document.getElementById('product-facets');
+    
+    if (!productFacets) {
+        facetsContainer.innerHTML = '';
+        return;
+    }
+    
+    const option = (checked, count, onchange, label, type = 'checkbox', name = '') => `
+        <label class="${count === 0 && !checked ? 'disabled' : ''}">
+            <input type="${type}" ${name ? `name="${name}"` : ''} ${checked ? 'checked' : ''}
+                ${count === 0 && !checked ? 'disabled' : ''} onchange="${onchange}">
+            ${label}
+            <span class="facet-count">${count}</span>
+        </label>
+    `;
+    
+    const hasFilters = productFilters.categories.length > 0 || productFilters.priceRange || productFilters.inStock ||
+        Object.values(productFilters.attributes).some(values => values.length > 0);
+    
+    let facetsHTML = hasFilters ?
+        '<button onclick="resetProductFilters()" class="btn btn-outline facet-reset">필터 초기화</button>' : '';
+    
+    if (productFacets.categories.length > 0) {
+        facetsHTML += `
+            <div class="facet-group">
+                <h4>카테고리</h4>
+                ${productFacets.categories.map(category => option(
+                    productFilters.categories.includes(category.id),
+                    category.count,
+                    `toggleCategoryFilter(${category.id})`,
+                    escapeHtml(category.name)
+                )).join('')}
+            </div>
+        `;
+    }
+    
+    facetsHTML += `
+        <div class="facet-group">
+            <h4>가격</h4>
+            ${option(
+                productFilters.priceRange === null,
+                productFacets.priceRanges.reduce((sum, range) => sum + range.count, 0),
+                'setPriceFilter(null)',
+                '전체',
+                'radio',
+                'price-range'
+            )}
+            ${productFacets.priceRanges.map((range, index) => option(
+                productFilters.priceRange !== null && productFilters.priceRange.min === range.min,
+                range.count,
+                `setPriceFilter(${index})`,
+                range.max !== null ? `₩${formatPrice(range.min)} ~ ₩${formatPrice(range.max)}` : `₩${formatPrice(range.min)} 이상`,
+                'radio',
+                'price-range'
+            )).join('')}
+        </div>
+        <div class="facet-group">
+            <h4>재고</h4>
+            ${option(productFilters.inStock, productFacets.availability.inStock, 'toggleInStockFilter()', '재고 있는 상품만')}
+        </div>
+    `;
+    
+    Object.entries(productFacets.attributes).forEach(([name, values]) => {
+        const selected = productFilters.attributes[name] || [];
+        facetsHTML += `
+            <div class="facet-group">
+                <h4>${escapeHtml(ATTRIBUTE_LABELS[name] || name)}</h4>
+                ${values.map((item, index) => option(
+                    selected.includes(item.value),
+                    item.count,
+                    `toggleAttributeFilter('${name}', ${index})`,
+                    escapeHtml(item.value)
+                )).join('')}
+            </div>
+        `;
+    });
+    
+    facetsContainer.innerHTML = facetsHTML;
+}
+
+// Filter sidebar handlers
+function toggleCategoryFilter(categoryId) {
+    const categories = productFilters.categories;
+    productFilters.categories = categories.includes(categoryId) ?
+        categories.filter(id => id !== categoryId) : [...categories, categoryId];
+    
+    // The dropdown can only show a single category
+    document.getElementById('category-filter').value =
+        productFilters.categories.length === 1 ? productFilters.categories[0] : '';
+    searchProducts();
+}
+
+function setPriceFilter(index) {
+    const range = index === null ? null : productFacets.priceRanges[index];
+    productFilters.priceRange = range ? { min: range.min, max: range.max } : null;
+    searchProducts();
+}
+
+function toggleInStockFilter() {
+    productFilters.inStock = !productFilters.inStock;
+    searchProducts();
+}
+
+function toggleAttributeFilter(name, index) {
+    // Values are looked up by index so they never have to be embedded in the markup
+    const value = productFacets.attributes[name][index].value;
+    const selected = productFilters.attributes[name] || [];
+    productFilters.attributes[name] = selected.includes(value) ?
+        selected.filter(item => item !== value) : [...selected, value];
+    searchProducts();
+}
+
+function resetProductFilters() {
+    productFilters = { categories: [], priceRange: null, inStock: false, attributes: {} };
+    document.getElementById('category-filter').value = '';
+    searchProducts();
+}
+
 // Search products
 function searchProducts() {
     currentPage = 1;
@@ -328,7 +785,7 @@ function searchProducts() {
 }
 
 // Add to cart
-async function addToCart(productId, quantity = 1) {
+async function addToCart(productId, quantity = 1, variantId = null) {
     if (!currentUser) {
         showToast('로그인이 필요합니다.', 'error');
         showSection('login');
@@ -338,14 +795,14 @@ async function addToCart(productId, quantity = 1) {
     showLoading(true);
     
     try {
-        const response = await fetch(`${API_BASE_URL}/users/${currentUser.id}/cart`, {
+        const response = await authFetch(`${API_BASE_URL}/users/${currentUser.id}/cart`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${localStorage.getItem('token')}`
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 productId,
+                variantId,
                 quantity
             })
         });
@@ -376,11 +833,7 @@ async function loadCart() {
     }
     
     try {
-        const response = await fetch(`${API_BASE_URL}/users/${currentUser.id}/cart`, {
-            headers: {
-                'Authorization': `Bearer ${localStorage.getItem('token')}`
-            }
-        });
+        const response = await authFetch(`${API_BASE_URL}/users/${currentUser.id}/cart`);
         
         const data = await response.json();
         
@@ -409,6 +862,7 @@ function renderCart() {
     if (cartItems.length === 0) {
         cartItemsContainer.innerHTML = '<div class="empty-cart">장바구니가 비어있습니다.</div>';
         cartSummaryContainer.innerHTML = '';
+        document.getElementById('cart-recommendations').innerHTML = '';
         return;
     }
     
@@ -423,7 +877,11 @@ function renderCart() {
             </div>
             <div class="cart-item-info">
                 <h4>${escapeHtml(item.product_name)}</h4>
-                <div class="cart-item-price">₩${formatPrice(item.price)}</div>
+                ${item.variant_name ? `<div class="cart-item-variant">${escapeHtml(item.variant_name)}</div>` : ''}
+                <div class="cart-item-price">
+                    ${item.compare_at_price ? `<span class="compare-at-price">₩${formatPrice(item.compare_at_price)}</span>` : ''}
+                    ₩${formatPrice(item.price)}
+                </div>
                 <div class="cart-item-controls">
                     <button class="quantity-btn" onclick="updateCartItemQuantity(${item.id}, ${item.quantity - 1})">-</button>
                     <input type="number" class="quantity-input" value="${item.quantity}" min="1" 
@@ -461,6 +919,54 @@ function renderCart() {
             <i class="fas fa-credit-card"></i> 주문하기
         </button>
     `;
+    
+    loadCartRecommendations();
+}
+
+// Load products bought together with the most recently added cart item
+async function loadCartRecommendations() {
+    const container = document.getElementById('cart-recommendations');
+    const cartProductIds = [...new Set(cartItems.map(item => item.product_id))];
+    
+    try {
+        const response = await fetch(
+            `${API_BASE_URL}/products/${cartItems[0].product_id}/recommendations?limit=4&exclude=${cartProductIds.join(',')}`
+        );
+        const data = await response.json();
+        
+        // Products with options are left out, since they need an option picked before adding
+        const recommended = response.ok
+            ? [...data.boughtTogether, ...data.similar]
+                .filter((product, index, list) => !product.has_variants && list.findIndex(p => p.id === product.id) === index)
+                .slice(0, 4)
+            : [];
+        
+        if (recommended.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        container.innerHTML = `
+            <h3>${data.boughtTogether.length > 0 ? '함께 구매한 상품' : '비슷한 상품'}</h3>
+            <div class="recommendation-list">
+                ${recommended.map(product => `
+                    <div class="recommendation-item">
+                        <div class="recommendation-image">
+                            ${product.primary_image ? `<img src="${product.primary_image}" alt="${escapeHtml(product.name)}" loading="lazy">` : '<i class="fas fa-image"></i>'}
+                        </div>
+                        <div class="recommendation-name">${escapeHtml(product.name)}</div>
+                        <div class="recommendation-price">₩${formatPrice(product.price)}</div>
+                        <button onclick="addToCart(${product.id})" class="btn btn-outline btn-sm">
+                            <i class="fas fa-cart-plus"></i> 담기
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading recommendations:', error);
+        container.innerHTML = '';
+    }
 }
 
 // Update cart item quantity
@@ -471,11 +977,10 @@ async function updateCartItemQuantity(itemId, newQuantity) {
     }
     
     try {
-        const response = await fetch(`${API_BASE_URL}/users/${currentUser.id}/cart/${itemId}`, {
+        const response = await authFetch(`${API_BASE_URL}/users/${currentUser.id}/cart/${itemId}`, {
             method: 'PUT',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${localStorage.getItem('token')}`
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({ quantity: parseInt(newQuantity) })
         });
@@ -495,11 +1000,8 @@ async function updateCartItemQuantity(itemId, newQuantity) {
 // Remove from cart
 async function removeFromCart(itemId) {
     try {
-        const response = await fetch(`${API_BASE_URL}/users/${currentUser.id}/cart/${itemId}`, {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `Bearer ${localStorage.getItem('token')}`
-            }
+        const response = await authFetch(`${API_BASE_URL}/users/${currentUser.id}/cart/${itemId}`, {
+            method: 'DELETE'
         });
         
         if (response.ok) {
@@ -612,6 +1114,7 @@ async function handleCheckout(e) {
         const orderData = {
             items: cartItems.map(item => ({
                 productId: item.product_id,
+                variantId: item.variant_id,
                 quantity: item.quantity
             })),
             shippingAddress,
@@ -619,11 +1122,10 @@ async function handleCheckout(e) {
             paymentMethod
         };
         
-        const orderResponse = await fetch(`${API_BASE_URL}/orders`, {
+        const orderResponse = await authFetch(`${API_BASE_URL}/orders`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${localStorage.getItem('token')}`
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify(orderData)
         });
@@ -634,11 +1136,10 @@ async function handleCheckout(e) {
             // Process payment
             const paymentDetails = getPaymentDetails(paymentMethod);
             
-            const paymentResponse = await fetch(`${API_BASE_URL}/payments/process`, {
+            const paymentResponse = await authFetch(`${API_BASE_URL}/payments/process`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     orderId: orderResult.orderId,
@@ -696,11 +1197,7 @@ async function loadOrders() {
     showLoading(true);
     
     try {
-        const response = await fetch(`${API_BASE_URL}/orders`, {
-            headers: {
-                'Authorization': `Bearer ${localStorage.getItem('token')}`
-            }
-        });
+        const response = await authFetch(`${API_BASE_URL}/orders`);
         
         const data = await response.json();
         
@@ -820,11 +1317,8 @@ async function cancelOrder(orderId) {
     showLoading(true);
     
     try {
-        const response = await fetch(`${API_BASE_URL}/orders/${orderId}/cancel`, {
-            method: 'PUT',
-            headers: {
-                'Authorization': `Bearer ${localStorage.getItem('token')}`
-            }
+        const response = await authFetch(`${API_BASE_URL}/orders/${orderId}/cancel`, {
+            method: 'PUT'
         });
         
         if (response.ok) {
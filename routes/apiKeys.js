@@ -0,0 +1,118 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const { findUnknownPermissions } = require('../services/permissionService');
+const {
+  NON_DELEGABLE_SCOPES,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../services/apiKeyService');
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission('api_keys:manage'));
+
+// Get all API keys
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.query.includeRevoked === 'true');
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get single API key
+router.get('/:id', async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ apiKey });
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create API key (the key itself is only returned in this response)
+router.post('/', async (req, res) => {
+  const { name, scopes, expiresInDays, rateLimitPerMinute } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'Name and at least one scope are required' });
+  }
+
+  if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays <= 0)) {
+    return res.status(400).json({ error: 'expiresInDays must be a positive integer' });
+  }
+
+  if (rateLimitPerMinute !== undefined && (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute <= 0)) {
+    return res.status(400).json({ error: 'rateLimitPerMinute must be a positive integer' });
+  }
+
+  const nonDelegable = scopes.filter(scope => NON_DELEGABLE_SCOPES.includes(scope));
+  if (nonDelegable.length > 0) {
+    return res.status(400).json({ error: 'These permissions cannot be granted to API keys', scopes: nonDelegable });
+  }
+
+  try {
+    const unknown = await findUnknownPermissions(scopes);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown permissions', scopes: unknown });
+    }
+
+    // Nobody can create a key more powerful than themselves
+    const notHeld = scopes.filter(scope => !req.user.permissions.includes(scope));
+    if (notHeld.length > 0) {
+      return res.status(403).json({ error: 'You can only grant permissions you hold', scopes: notHeld });
+    }
+
+    const { apiKey, details } = await createApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays,
+      rateLimitPerMinute,
+      createdBy: req.user.id
+    });
+
+    logActivity('api_keys', details.id, 'INSERT', null, {
+      name, scopes: details.scopes, expiresAt: details.expiresAt, rateLimitPerMinute: details.rateLimitPerMinute
+    }, req.user.id);
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      apiKey,
+      details
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke API key
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    logActivity('api_keys', req.params.id, 'DELETE', null, { revoked: true }, req.user.id);
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
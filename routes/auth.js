@@ -1,11 +1,144 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { db } = require('../config/database');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const {
+  generateToken,
+  getAccessRestrictions,
+  authenticateToken,
+  requirePermission,
+  denyImpersonation,
+  ACCESS_TOKEN_TTL_SECONDS,
+  IMPERSONATION_TTL_SECONDS,
+  isTwoFactorRequired
+} = require('../middleware/auth');
 const { logActivity } = require('../services/auditService');
+const { userNotifications } = require('../services/notificationService');
+const { createAuthToken, consumeAuthToken, findAuthTokenUser } = require('../services/authTokenService');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordChallengeFailure,
+  completeLoginChallenge
+} = require('../services/twoFactorService');
+const {
+  createSession,
+  createImpersonationSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessionService');
+const {
+  recordLoginAttempt,
+  getLoginThrottle
+} = require('../services/loginAttemptService');
+const { getUserPermissions } = require('../services/permissionService');
+const {
+  getPasswordPolicy,
+  checkPassword,
+  recordPasswordHistory
+} = require('../services/passwordPolicyService');
 
 const router = express.Router();
 
+// Request details stored with each session
+function getSessionContext(req) {
+  return {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+// Start a new session and issue an access/refresh token pair
+async function issueAuthTokens(user, req) {
+  const { sessionId, refreshToken } = await createSession(user.id, getSessionContext(req));
+
+  return {
+    token: await generateToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+// Create a verification token and email it to the user
+async function sendVerificationEmail(user) {
+  const token = await createAuthToken(user.id, 'email_verification');
+  await userNotifications.emailVerification(user, token);
+}
+
+// Add a row to the login history (failureReason is null for a successful sign-in)
+function logLoginAttempt(req, username, userId, failureReason = null) {
+  recordLoginAttempt({
+    username,
+    userId,
+    ...getSessionContext(req),
+    success: !failureReason,
+    failureReason
+  }).catch(error => console.error('Login attempt logging error:', error));
+}
+
+// Reject the request with 429 when the account has too many recent failures
+async function rejectIfThrottled(req, res, username, userId) {
+  const throttle = await getLoginThrottle(username);
+
+  if (throttle.allowed) {
+    return false;
+  }
+
+  logLoginAttempt(req, username, userId, 'throttled');
+
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  res.status(429).json({
+    error: throttle.locked
+      ? 'Account temporarily locked due to too many failed login attempts'
+      : 'Too many failed login attempts, please wait before retrying',
+    retryAfter: throttle.retryAfterSeconds
+  });
+  return true;
+}
+
+// Issue tokens for a user who passed every login step and send the login response
+async function completeLogin(user, req, res) {
+  let tokens;
+  let restrictions;
+  try {
+    tokens = await issueAuthTokens(user, req);
+    restrictions = await getAccessRestrictions(user);
+  } catch (error) {
+    console.error('Session creation error:', error);
+    return res.status(500).json({ error: 'Failed to create session' });
+  }
+
+  logLoginAttempt(req, user.username, user.id);
+
+  // Update last login (you might want to add this field to the users table)
+  db.run(
+    'UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [user.id]
+  );
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      emailVerified: !!user.email_verified,
+      twoFactorEnabled: !!user.two_factor_enabled
+    },
+    ...tokens,
+    ...(restrictions.length > 0 && { restrictions })
+  });
+}
+
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -16,6 +149,11 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'All required fields must be provided' });
     }
 
+    const violations = await checkPassword(password, { username, email });
+    if (violations.length > 0) {
+      return res.status(400).json({ error: 'Password does not meet the password policy', violations });
+    }
+
     // Check if user already exists
     db.get(
       'SELECT id FROM users WHERE username = ? OR email = ?',
@@ -35,42 +173,56 @@ router.post('/register', async (req, res) => {
 
         // Insert new user
         db.run(
-          `INSERT INTO users (username, email, password_hash, first_name, last_name, phone, role)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          `INSERT INTO users (username, email, password_hash, first_name, last_name, phone, role, password_changed_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
           [username, email, passwordHash, firstName, lastName, phone || null, 'customer'],
-          function(err) {
+          async function(err) {
             if (err) {
               return res.status(500).json({ error: 'Failed to create user' });
             }
 
             const userId = this.lastID;
+
+            recordPasswordHistory(userId, passwordHash)
+              .catch(error => console.error('Password history error:', error));
             
             // Log registration
             logActivity('users', userId, 'INSERT', null, {
               username, email, firstName, lastName, role: 'customer'
             }, userId);
 
-            // Generate token
+            // Ask the user to confirm their email address
+            sendVerificationEmail({ id: userId, username, email, first_name: firstName })
+              .catch(error => console.error('Verification email error:', error));
+
+            // Generate tokens
             const user = {
               id: userId,
               username,
               email,
               role: 'customer'
             };
-            const token = generateToken(user);
-
-            res.status(201).json({
-              message: 'User registered successfully',
-              user: {
-                id: userId,
-                username,
-                email,
-                firstName,
-                lastName,
-                role: 'customer'
-              },
-              token
-            });
+
+            try {
+              const tokens = await issueAuthTokens(user, req);
+
+              res.status(201).json({
+                message: 'User registered successfully',
+                user: {
+                  id: userId,
+                  username,
+                  email,
+                  firstName,
+                  lastName,
+                  role: 'customer',
+                  emailVerified: false
+                },
+                ...tokens
+              });
+            } catch (error) {
+              console.error('Session creation error:', error);
+              res.status(500).json({ error: 'Failed to create session' });
+            }
           }
         );
       }
@@ -99,37 +251,48 @@ router.post('/login', (req, res) => {
           return res.status(500).json({ error: 'Database error' });
         }
 
+        // Failures are counted per account, or per typed name when no account matches
+        const attemptUsername = user ? user.username : username;
+        const userId = user ? user.id : null;
+
+        try {
+          if (await rejectIfThrottled(req, res, attemptUsername, userId)) {
+            return;
+          }
+        } catch (error) {
+          console.error('Login throttle error:', error);
+          return res.status(500).json({ error: 'Database error' });
+        }
+
         if (!user) {
+          logLoginAttempt(req, attemptUsername, null, 'unknown_user');
           return res.status(401).json({ error: 'Invalid credentials' });
         }
 
         // Verify password
         const isValidPassword = await bcrypt.compare(password, user.password_hash);
         if (!isValidPassword) {
+          logLoginAttempt(req, attemptUsername, userId, 'invalid_password');
           return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate token
-        const token = generateToken(user);
+        // Accounts with two-factor authentication get a challenge instead of tokens
+        if (user.two_factor_enabled) {
+          try {
+            const challengeToken = await createLoginChallenge(user.id);
 
-        // Update last login (you might want to add this field to the users table)
-        db.run(
-          'UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [user.id]
-        );
+            return res.json({
+              message: 'Two-factor authentication required',
+              twoFactorRequired: true,
+              challengeToken
+            });
+          } catch (error) {
+            console.error('Login challenge error:', error);
+            return res.status(500).json({ error: 'Failed to start two-factor login' });
+          }
+        }
 
-        res.json({
-          message: 'Login successful',
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            role: user.role
-          },
-          token
-        });
+        completeLogin(user, req, res);
       }
     );
   } catch (error) {
@@ -138,10 +301,80 @@ router.post('/login', (req, res) => {
   }
 });
 
+// Second login step for two-factor accounts
+router.post('/login/2fa', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'Challenge token and a verification or recovery code are required' });
+  }
+
+  try {
+    const challenge = await getLoginChallenge(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({ error: 'Invalid or expired login challenge' });
+    }
+
+    db.get(
+      'SELECT * FROM users WHERE id = ? AND is_active = 1',
+      [challenge.user_id],
+      async (err, user) => {
+        if (err) {
+          return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!user || !user.two_factor_enabled) {
+          return res.status(401).json({ error: 'Invalid or expired login challenge' });
+        }
+
+        try {
+          if (await rejectIfThrottled(req, res, user.username, user.id)) {
+            return;
+          }
+
+          let verified = false;
+
+          if (code) {
+            const step = verifyTotp(user.two_factor_secret, code, user.two_factor_last_step);
+            if (step !== null) {
+              verified = true;
+              db.run('UPDATE users SET two_factor_last_step = ? WHERE id = ?', [step, user.id]);
+            }
+          } else {
+            verified = await consumeRecoveryCode(user.id, recoveryCode);
+            if (verified) {
+              logActivity('users', user.id, 'UPDATE', null, { recoveryCodeUsed: true }, user.id);
+            }
+          }
+
+          if (!verified) {
+            await recordChallengeFailure(challenge.id);
+            logLoginAttempt(req, user.username, user.id, code ? 'invalid_2fa_code' : 'invalid_recovery_code');
+            return res.status(401).json({ error: 'Invalid verification code' });
+          }
+
+          if (!(await completeLoginChallenge(challenge.id))) {
+            return res.status(401).json({ error: 'Invalid or expired login challenge' });
+          }
+
+          completeLogin(user, req, res);
+        } catch (error) {
+          console.error('Two-factor login error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get current user profile
 router.get('/profile', authenticateToken, (req, res) => {
   db.get(
-    'SELECT id, username, email, first_name, last_name, phone, role, created_at FROM users WHERE id = ?',
+    'SELECT id, username, email, first_name, last_name, phone, role, email_verified, created_at FROM users WHERE id = ?',
     [req.user.id],
     (err, user) => {
       if (err) {
@@ -161,6 +394,8 @@ router.get('/profile', authenticateToken, (req, res) => {
           lastName: user.last_name,
           phone: user.phone,
           role: user.role,
+          permissions: req.user.permissions,
+          emailVerified: !!user.email_verified,
           createdAt: user.created_at
         }
       });
@@ -169,7 +404,7 @@ router.get('/profile', authenticateToken, (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, denyImpersonation, async (req, res) => {
   try {
     const { firstName, lastName, phone, currentPassword, newPassword } = req.body;
     const userId = req.user.id;
@@ -189,6 +424,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
 
         let updateFields = [];
         let updateValues = [];
+        let newPasswordHash = null;
 
         // Update basic info
         if (firstName) {
@@ -215,9 +451,14 @@ router.put('/profile', authenticateToken, async (req, res) => {
             return res.status(401).json({ error: 'Current password is incorrect' });
           }
 
+          const violations = await checkPassword(newPassword, user);
+          if (violations.length > 0) {
+            return res.status(400).json({ error: 'Password does not meet the password policy', violations });
+          }
+
           const saltRounds = 10;
-          const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
-          updateFields.push('password_hash = ?');
+          newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+          updateFields.push('password_hash = ?', 'password_changed_at = CURRENT_TIMESTAMP');
           updateValues.push(newPasswordHash);
         }
 
@@ -235,7 +476,30 @@ router.put('/profile', authenticateToken, async (req, res) => {
             return res.status(500).json({ error: 'Failed to update profile' });
           }
 
-          res.json({ message: 'Profile updated successfully' });
+          if (!newPassword) {
+            return res.json({ message: 'Profile updated successfully' });
+          }
+
+          recordPasswordHistory(userId, newPasswordHash)
+            .catch(error => console.error('Password history error:', error));
+
+          // Sign out every other device once the password changes
+          revokeUserSessions(userId, 'password_change', req.user.sid)
+            .then(async revokedCount => {
+              const response = { message: 'Profile updated successfully', revokedSessions: revokedCount };
+
+              // Fresh access token without the password change restriction
+              if (req.user.restrictions && req.user.restrictions.includes('password_change')) {
+                response.token = await generateToken({ ...user, password_changed_at: new Date().toISOString() }, req.user.sid);
+                response.expiresIn = ACCESS_TOKEN_TTL_SECONDS;
+              }
+
+              res.json(response);
+            })
+            .catch(error => {
+              console.error('Session revocation error:', error);
+              res.status(500).json({ error: 'Password changed but other sessions could not be revoked' });
+            });
         });
       }
     );
@@ -245,11 +509,545 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout (client-side token removal, but we can log the activity)
-router.post('/logout', authenticateToken, (req, res) => {
-  // In a real application, you might want to blacklist the token
-  // For now, we'll just return a success message
-  res.json({ message: 'Logout successful' });
+// Get the password rules (shown on registration and password change forms)
+router.get('/password-policy', (req, res) => {
+  res.json({ policy: getPasswordPolicy() });
+});
+
+// Request a password reset email
+router.post('/forgot-password', (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  // Same response whether or not the account exists, so emails cannot be probed
+  const response = { message: 'If an account exists for that email, a password reset link has been sent' };
+
+  db.get(
+    'SELECT id, username, email, first_name FROM users WHERE email = ? AND is_active = 1',
+    [email],
+    async (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!user) {
+        return res.json(response);
+      }
+
+      try {
+        const token = await createAuthToken(user.id, 'password_reset');
+
+        // A delivery failure is logged, not reported, or it would reveal that the account exists
+        await userNotifications.passwordReset(user, token)
+          .catch(error => console.error('Password reset email error:', error));
+
+        res.json(response);
+      } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Token and new password are required' });
+  }
+
+  try {
+    // Check the new password first so a rejected one does not use up the token
+    const tokenUserId = await findAuthTokenUser(token, 'password_reset');
+    const user = tokenUserId && await new Promise((resolve, reject) => {
+      db.get('SELECT id, username, email FROM users WHERE id = ?', [tokenUserId], (err, row) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(row);
+      });
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const violations = await checkPassword(password, user);
+    if (violations.length > 0) {
+      return res.status(400).json({ error: 'Password does not meet the password policy', violations });
+    }
+
+    const userId = await consumeAuthToken(token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const saltRounds = 10;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // The reset link was delivered by email, so the address is confirmed as well
+    db.run(
+      `UPDATE users SET
+        password_hash = ?,
+        password_changed_at = CURRENT_TIMESTAMP,
+        email_verified = 1,
+        email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [passwordHash, userId],
+      async function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to reset password' });
+        }
+
+        try {
+          await recordPasswordHistory(userId, passwordHash);
+          await revokeUserSessions(userId, 'password_reset');
+        } catch (error) {
+          console.error('Session revocation error:', error);
+          return res.status(500).json({ error: 'Password reset but existing sessions could not be revoked' });
+        }
+
+        logActivity('users', userId, 'UPDATE', null, { passwordReset: true }, userId);
+        userNotifications.passwordChanged(userId);
+
+        res.json({ message: 'Password reset successfully' });
+      }
+    );
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify email address with a token from the verification email
+router.get('/verify-email', async (req, res) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Verification token is required' });
+  }
+
+  try {
+    const userId = await consumeAuthToken(token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    db.run(
+      'UPDATE users SET email_verified = 1, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [userId],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to verify email' });
+        }
+
+        logActivity('users', userId, 'UPDATE', null, { emailVerified: true }, userId);
+
+        res.json({ message: 'Email verified successfully' });
+      }
+    );
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resend the verification email to the current user
+router.post('/resend-verification', authenticateToken, denyImpersonation, (req, res) => {
+  db.get(
+    'SELECT id, username, email, first_name, email_verified FROM users WHERE id = ?',
+    [req.user.id],
+    async (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (user.email_verified) {
+        return res.status(400).json({ error: 'Email is already verified' });
+      }
+
+      try {
+        await sendVerificationEmail(user);
+        res.json({ message: 'Verification email sent' });
+      } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+});
+
+// Get two-factor authentication status
+router.get('/2fa/status', authenticateToken, (req, res) => {
+  db.get(
+    'SELECT two_factor_enabled, two_factor_enabled_at FROM users WHERE id = ?',
+    [req.user.id],
+    async (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      try {
+        res.json({
+          enabled: !!user.two_factor_enabled,
+          enabledAt: user.two_factor_enabled_at,
+          required: isTwoFactorRequired(req.user.permissions),
+          recoveryCodesRemaining: user.two_factor_enabled ? await countRecoveryCodes(req.user.id) : 0
+        });
+      } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+});
+
+// Start two-factor enrollment (returns the secret and otpauth URI for a QR code)
+router.post('/2fa/setup', authenticateToken, denyImpersonation, (req, res) => {
+  db.get('SELECT id, username, two_factor_enabled FROM users WHERE id = ?', [req.user.id], (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    // The secret stays inactive until /2fa/enable confirms a code from it
+    const secret = generateSecret();
+
+    db.run(
+      'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ?',
+      [secret, user.id],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to start two-factor setup' });
+        }
+
+        res.json({
+          secret,
+          otpauthUri: buildOtpauthUri(secret, user.username)
+        });
+      }
+    );
+  });
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/enable', authenticateToken, denyImpersonation, (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: 'Verification code is required' });
+  }
+
+  db.get('SELECT * FROM users WHERE id = ?', [req.user.id], async (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.two_factor_secret) {
+      return res.status(400).json({ error: 'Two-factor setup has not been started' });
+    }
+
+    const step = verifyTotp(user.two_factor_secret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    db.run(
+      `UPDATE users SET two_factor_enabled = 1, two_factor_last_step = ?,
+        two_factor_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [step, user.id],
+      async function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+        }
+
+        try {
+          const recoveryCodes = await generateRecoveryCodes(user.id);
+          await revokeUserSessions(user.id, 'two_factor_enabled', req.user.sid);
+
+          logActivity('users', user.id, 'UPDATE', null, { twoFactorEnabled: true }, req.user.id);
+
+          res.json({
+            message: 'Two-factor authentication enabled',
+            recoveryCodes,
+            // Fresh access token without the enrollment restriction
+            token: await generateToken({ ...user, two_factor_enabled: 1 }, req.user.sid),
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+          });
+        } catch (error) {
+          console.error('Two-factor enable error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      }
+    );
+  });
+});
+
+// Turn off two-factor authentication (requires password and a current code)
+router.post('/2fa/disable', authenticateToken, denyImpersonation, (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return res.status(400).json({ error: 'Password and verification code are required' });
+  }
+
+  db.get('SELECT * FROM users WHERE id = ?', [req.user.id], async (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorRequired(req.user.permissions)) {
+      return res.status(400).json({ error: 'Two-factor authentication is mandatory for staff accounts' });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (verifyTotp(user.two_factor_secret, code, user.two_factor_last_step) === null) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    db.run(
+      `UPDATE users SET two_factor_enabled = 0, two_factor_secret = NULL, two_factor_last_step = NULL,
+        two_factor_enabled_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [user.id],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+        }
+
+        db.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [user.id]);
+
+        logActivity('users', user.id, 'UPDATE', null, { twoFactorEnabled: false }, req.user.id);
+
+        res.json({ message: 'Two-factor authentication disabled' });
+      }
+    );
+  });
+});
+
+// Replace recovery codes (requires the password and a current code, so a
+// stolen access token alone cannot be used to guess codes and mint new ones)
+router.post('/2fa/recovery-codes', authenticateToken, denyImpersonation, (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return res.status(400).json({ error: 'Password and verification code are required' });
+  }
+
+  db.get('SELECT * FROM users WHERE id = ?', [req.user.id], async (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!user || !user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const step = verifyTotp(user.two_factor_secret, code, user.two_factor_last_step);
+    if (step === null) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    try {
+      db.run('UPDATE users SET two_factor_last_step = ? WHERE id = ?', [step, user.id]);
+      const recoveryCodes = await generateRecoveryCodes(user.id);
+
+      logActivity('users', user.id, 'UPDATE', null, { recoveryCodesRegenerated: true }, req.user.id);
+
+      res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+    } catch (error) {
+      console.error('Recovery code error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+});
+
+// Refresh access token (rotates the refresh token)
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refreshToken, getSessionContext(req));
+
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    db.get(
+      'SELECT id, username, email, role, two_factor_enabled, password_changed_at, created_at FROM users WHERE id = ? AND is_active = 1',
+      [result.session.user_id],
+      async (err, user) => {
+        if (err) {
+          return res.status(500).json({ error: 'Database error' });
+        }
+
+        if (!user) {
+          revokeSession(result.session.id, 'account_inactive').catch(error => {
+            console.error('Session revocation error:', error);
+          });
+          return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        try {
+          res.json({
+            token: await generateToken(user, result.session.id),
+            refreshToken: result.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+          });
+        } catch (error) {
+          console.error('Token refresh error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout (revokes the current session so its tokens stop working)
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start acting as a customer ("view as customer") for support
+router.post('/impersonate/:userId', authenticateToken, denyImpersonation, requirePermission('users:impersonate'), (req, res) => {
+  const targetUserId = parseInt(req.params.userId);
+  const { reason } = req.body;
+
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ error: 'A reason is required for impersonation' });
+  }
+
+  if (targetUserId === req.user.id) {
+    return res.status(400).json({ error: 'You cannot impersonate yourself' });
+  }
+
+  db.get('SELECT * FROM users WHERE id = ? AND is_active = 1', [targetUserId], async (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    try {
+      // Impersonating staff would hand out their permissions
+      if ((await getUserPermissions(user.id)).length > 0) {
+        return res.status(403).json({ error: 'Only customer accounts can be impersonated' });
+      }
+
+      const sessionId = await createImpersonationSession(
+        user.id, req.user.id, IMPERSONATION_TTL_SECONDS, getSessionContext(req)
+      );
+
+      const token = await generateToken(user, sessionId, {
+        impersonator: { id: req.user.id, username: req.user.username, sid: req.user.sid }
+      });
+
+      logActivity('users', user.id, 'IMPERSONATE', null, {
+        sessionId,
+        reason: String(reason).trim()
+      }, req.user.id);
+
+      res.json({
+        message: `Now impersonating ${user.username}`,
+        token,
+        expiresIn: IMPERSONATION_TTL_SECONDS,
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          firstName: user.first_name,
+          lastName: user.last_name,
+          role: user.role
+        },
+        impersonator: {
+          id: req.user.id,
+          username: req.user.username
+        }
+      });
+    } catch (error) {
+      console.error('Impersonation error:', error);
+      res.status(500).json({ error: 'Failed to start impersonation' });
+    }
+  });
+});
+
+// Stop impersonating (called with the impersonation token)
+router.delete('/impersonate', authenticateToken, async (req, res) => {
+  if (!req.user.act) {
+    return res.status(400).json({ error: 'Not impersonating a user' });
+  }
+
+  try {
+    await revokeSession(req.user.sid, 'impersonation_ended');
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const {
+  parseCategoryInput,
+  getCategoryTree,
+  flattenCategoryTree,
+  getCategory,
+  checkCategoryPlacement,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../services/categoryService');
+const { findBySlug } = require('../services/slugService');
+
+const router = express.Router();
+
+const requireCategoriesWrite = requirePermission('categories:write');
+
+// Deactivated categories are only listed for staff who manage categories
+function authenticateForInactive(req, res, next) {
+  if (req.query.includeInactive !== 'true') {
+    return next();
+  }
+
+  authenticateToken(req, res, () => requireCategoriesWrite(req, res, next));
+}
+// Declared so API keys with categories:write can list them too
+authenticateForInactive.requiredPermission = requireCategoriesWrite.requiredPermission;
+
+// Fields kept in the audit log
+function auditFields(category) {
+  return {
+    name: category.name,
+    slug: category.slug,
+    metaTitle: category.meta_title,
+    metaDescription: category.meta_description,
+    description: category.description,
+    parentId: category.parent_id,
+    sortOrder: category.sort_order,
+    isActive: category.is_active
+  };
+}
+
+// Get categories as a flat list in tree order (with depth)
+router.get('/', authenticateForInactive, async (req, res) => {
+  try {
+    const tree = await getCategoryTree(req.query.includeInactive === 'true');
+    res.json({ categories: flattenCategoryTree(tree) });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get nested category tree
+router.get('/tree', authenticateForInactive, async (req, res) => {
+  try {
+    const categories = await getCategoryTree(req.query.includeInactive === 'true');
+    res.json({ categories });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get single category with its path and subcategories, by ID or slug
+// (an old slug redirects to the current one)
+router.get('/:id', async (req, res) => {
+  try {
+    let categoryId = req.params.id;
+    if (!/^\d+$/.test(categoryId)) {
+      const found = await findBySlug('category', categoryId);
+      if (found && !found.current) {
+        return res.redirect(301, `${req.baseUrl}/${encodeURIComponent(found.slug)}`);
+      }
+      categoryId = found ? found.id : null;
+    }
+
+    const category = categoryId && await getCategory(categoryId);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json({ category });
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create category
+router.post('/', authenticateToken, requireCategoriesWrite, async (req, res) => {
+  const { category, error } = parseCategoryInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const problem = await checkCategoryPlacement(category);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error });
+    }
+
+    const created = await createCategory(category);
+
+    logActivity('categories', created.id, 'INSERT', null, auditFields(created), req.user.id);
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: created
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// Update category (a new parentId moves it with all of its subcategories)
+router.put('/:id', authenticateToken, requireCategoriesWrite, async (req, res) => {
+  const { category: changes, error } = parseCategoryInput(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const current = await getCategory(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const problem = await checkCategoryPlacement(changes, current);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error });
+    }
+
+    const updated = await updateCategory(current, changes);
+
+    logActivity('categories', current.id, 'UPDATE', auditFields(current), auditFields(updated), req.user.id);
+
+    res.json({
+      message: 'Category updated successfully',
+      category: updated
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Delete empty category
+router.delete('/:id', authenticateToken, requireCategoriesWrite, async (req, res) => {
+  try {
+    const category = await getCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const result = await deleteCategory(category);
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    logActivity('categories', category.id, 'DELETE', auditFields(category), null, req.user.id);
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const {
+  parseDefinitionInput,
+  getDefinition,
+  getAttributeSchema,
+  findDefinitionConflict,
+  createDefinition,
+  updateDefinition,
+  deleteDefinition
+} = require('../services/categoryAttributeService');
+
+// Mounted at /api/categories/:categoryId/attributes
+const router = express.Router({ mergeParams: true });
+
+const requireCategoriesWrite = requirePermission('categories:write');
+
+// Load the category
+function loadCategory(req, res, next) {
+  db.get('SELECT id, name FROM categories WHERE id = ?', [req.params.categoryId], (err, category) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    req.category = category;
+    next();
+  });
+}
+
+// Load one of the category's own attribute definitions
+async function loadDefinition(req, res, next) {
+  try {
+    const definition = await getDefinition(req.category.id, req.params.attributeId);
+    if (!definition) {
+      return res.status(404).json({ error: 'Attribute not found in this category' });
+    }
+
+    req.definition = definition;
+    next();
+  } catch (error) {
+    console.error('Get category attribute error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Fields kept in the audit log
+function auditFields(definition) {
+  return {
+    categoryId: definition.category_id,
+    name: definition.name,
+    label: definition.label,
+    type: definition.type,
+    options: definition.options,
+    unit: definition.unit,
+    isRequired: definition.is_required,
+    sortOrder: definition.sort_order
+  };
+}
+
+// Get the attribute schema products in the category are checked against,
+// including the attributes inherited from parent categories
+router.get('/', loadCategory, async (req, res) => {
+  try {
+    const attributes = await getAttributeSchema(req.category.id);
+    res.json({ categoryId: req.category.id, attributes });
+  } catch (error) {
+    console.error('Get category attributes error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Define an attribute for the category and its subcategories
+router.post('/', authenticateToken, requireCategoriesWrite, loadCategory, async (req, res) => {
+  const { definition, error } = parseDefinitionInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const conflict = await findDefinitionConflict(req.category.id, definition.name);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+
+    const created = await createDefinition(req.category.id, definition);
+
+    logActivity('category_attributes', created.id, 'INSERT', null, auditFields(created), req.user.id);
+
+    res.status(201).json({
+      message: 'Attribute created successfully',
+      attribute: created
+    });
+  } catch (error) {
+    console.error('Create category attribute error:', error);
+    res.status(500).json({ error: 'Failed to create attribute' });
+  }
+});
+
+// Update an attribute definition (its name cannot change)
+router.put('/:attributeId', authenticateToken, requireCategoriesWrite, loadCategory, loadDefinition, async (req, res) => {
+  const { definition, error } = parseDefinitionInput(req.body, req.definition);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const updated = await updateDefinition(req.definition, definition);
+
+    logActivity('category_attributes', updated.id, 'UPDATE', auditFields(req.definition), auditFields(updated), req.user.id);
+
+    res.json({
+      message: 'Attribute updated successfully',
+      attribute: updated
+    });
+  } catch (error) {
+    console.error('Update category attribute error:', error);
+    res.status(500).json({ error: 'Failed to update attribute' });
+  }
+});
+
+// Remove an attribute definition; product values stay as free-form attributes
+router.delete('/:attributeId', authenticateToken, requireCategoriesWrite, loadCategory, loadDefinition, async (req, res) => {
+  try {
+    await deleteDefinition(req.definition);
+
+    logActivity('category_attributes', req.definition.id, 'DELETE', auditFields(req.definition), null, req.user.id);
+
+    res.json({ message: 'Attribute deleted successfully' });
+  } catch (error) {
+    console.error('Delete category attribute error:', error);
+    res.status(500).json({ error: 'Failed to delete attribute' });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,13 @@
 const express = require('express');
-const { db } = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { db, queryOne, execute, runTransaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { logActivity } = require('../services/auditService');
 const { sendNotification } = require('../services/notificationService');
 
 const router = express.Router();
 
-// Get inventory overview (Admin only)
-router.get('/', authenticateToken, requireAdmin, (req, res) => {
+// Get inventory overview
+router.get('/', authenticateToken, requirePermission('inventory:read'), (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const offset = (page - 1) * limit;
@@ -22,20 +22,23 @@ router.get('/', authenticateToken, requireAdmin, (req, res) => {
   }
 
   if (search) {
-    whereClause += ' AND (p.name LIKE ? OR p.sku LIKE ?)';
-    queryParams.push(`%${search}%`, `%${search}%`);
+    whereClause += ' AND (p.name LIKE ? OR p.sku LIKE ? OR v.sku LIKE ?)';
+    queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
   }
 
+  // One row per product, or per active variant for products with variants
   const query = `
     SELECT 
       i.*,
       p.name as product_name,
-      p.sku,
-      p.price,
+      COALESCE(v.sku, p.sku) as sku,
+      v.name as variant_name,
+      COALESCE(v.price, p.price) as price,
       c.name as category_name,
       (i.quantity - i.reserved_quantity) as available_quantity
-    FROM inventory i
+    FROM sellable_inventory i
     LEFT JOIN products p ON i.product_id = p.id
+    LEFT JOIN product_variants v ON i.variant_id = v.id
     LEFT JOIN categories c ON p.category_id = c.id
     ${whereClause}
     ORDER BY i.last_updated DESC
@@ -52,8 +55,9 @@ router.get('/', authenticateToken, requireAdmin, (req, res) => {
     // Get total count
     const countQuery = `
       SELECT COUNT(*) as total
-      FROM inventory i
+      FROM sellable_inventory i
       LEFT JOIN products p ON i.product_id = p.id
+      LEFT JOIN product_variants v ON i.variant_id = v.id
       ${whereClause}
     `;
 
@@ -75,25 +79,48 @@ router.get('/', authenticateToken, requireAdmin, (req, res) => {
   });
 });
 
-// Get inventory for specific product
-router.get('/product/:productId', authenticateToken, requireAdmin, (req, res) => {
+// Inventory rows with product and variant details
+const inventoryRecordQuery = `
+  SELECT 
+    i.*,
+    p.name as product_name,
+    COALESCE(v.sku, p.sku) as sku,
+    v.name as variant_name,
+    COALESCE(v.price, p.price) as price,
+    c.name as category_name,
+    (i.quantity - i.reserved_quantity) as available_quantity
+  FROM inventory i
+  LEFT JOIN products p ON i.product_id = p.id
+  LEFT JOIN product_variants v ON i.variant_id = v.id
+  LEFT JOIN categories c ON p.category_id = c.id
+`;
+
+// Get inventory for specific product (products with variants also list each variant's row)
+router.get('/product/:productId', authenticateToken, requirePermission('inventory:read'), (req, res) => {
   const productId = req.params.productId;
 
-  const query = `
-    SELECT 
-      i.*,
-      p.name as product_name,
-      p.sku,
-      p.price,
-      c.name as category_name,
-      (i.quantity - i.reserved_quantity) as available_quantity
-    FROM inventory i
-    LEFT JOIN products p ON i.product_id = p.id
-    LEFT JOIN categories c ON p.category_id = c.id
-    WHERE i.product_id = ?
-  `;
+  db.get(`${inventoryRecordQuery} WHERE i.product_id = ? AND i.variant_id IS NULL`, [productId], (err, inventory) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
 
-  db.get(query, [productId], (err, inventory) => {
+    db.all(`${inventoryRecordQuery} WHERE i.product_id = ? AND i.variant_id IS NOT NULL ORDER BY v.id`, [productId], (err, variants) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!inventory && variants.length === 0) {
+        return res.status(404).json({ error: 'Inventory record not found' });
+      }
+
+      res.json({ inventory, variants });
+    });
+  });
+});
+
+// Get inventory for a product variant
+router.get('/variant/:variantId', authenticateToken, requirePermission('inventory:read'), (req, res) => {
+  db.get(`${inventoryRecordQuery} WHERE i.variant_id = ?`, [req.params.variantId], (err, inventory) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
@@ -106,173 +133,199 @@ router.get('/product/:productId', authenticateToken, requireAdmin, (req, res) =>
   });
 });
 
-// Update inventory quantity (Admin only)
-router.put('/product/:productId', authenticateToken, requireAdmin, (req, res) => {
-  const productId = req.params.productId;
-  const { quantity, reorderLevel, warehouseLocation, adjustmentReason } = req.body;
-
-  // Get current inventory
-  db.get('SELECT * FROM inventory WHERE product_id = ?', [productId], (err, currentInventory) => {
+// Update inventory quantity
+router.put('/product/:productId', authenticateToken, requirePermission('inventory:write'), (req, res) => {
+  // Bundles have no stock of their own
+  db.get('SELECT 1 as found FROM product_bundles WHERE product_id = ?', [req.params.productId], (err, bundle) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
 
-    if (!currentInventory) {
-      return res.status(404).json({ error: 'Inventory record not found' });
+    if (bundle) {
+      return res.status(409).json({ error: 'Bundle stock comes from its components; update the component products instead' });
     }
 
-    const updateFields = [];
-    const updateValues = [];
+    db.get(
+      'SELECT * FROM inventory WHERE product_id = ? AND variant_id IS NULL',
+      [req.params.productId],
+      (err, currentInventory) => updateInventoryRecord(req, res, err, currentInventory)
+    );
+  });
+});
 
-    if (quantity !== undefined) {
-      updateFields.push('quantity = ?');
-      updateValues.push(quantity);
-    }
-    if (reorderLevel !== undefined) {
-      updateFields.push('reorder_level = ?');
-      updateValues.push(reorderLevel);
-    }
-    if (warehouseLocation !== undefined) {
-      updateFields.push('warehouse_location = ?');
-      updateValues.push(warehouseLocation);
-    }
+// Update inventory quantity of a product variant
+router.put('/variant/:variantId', authenticateToken, requirePermission('inventory:write'), (req, res) => {
+  db.get(
+    'SELECT * FROM inventory WHERE variant_id = ?',
+    [req.params.variantId],
+    (err, currentInventory) => updateInventoryRecord(req, res, err, currentInventory)
+  );
+});
 
-    if (updateFields.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
-    }
+// Apply a quantity/reorder level/location update to an inventory row
+function updateInventoryRecord(req, res, err, currentInventory) {
+  const { quantity, reorderLevel, warehouseLocation, adjustmentReason } = req.body;
 
-    updateFields.push('last_updated = CURRENT_TIMESTAMP');
-    updateValues.push(productId);
+  if (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
 
-    const updateQuery = `UPDATE inventory SET ${updateFields.join(', ')} WHERE product_id = ?`;
+  if (!currentInventory) {
+    return res.status(404).json({ error: 'Inventory record not found' });
+  }
 
-    db.run(updateQuery, updateValues, function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to update inventory' });
-      }
+  const { product_id: productId, variant_id: variantId } = currentInventory;
+  const updateFields = [];
+  const updateValues = [];
 
-      // Log inventory adjustment
-      logActivity('inventory', currentInventory.id, 'UPDATE', currentInventory, {
-        quantity, reorderLevel, warehouseLocation, adjustmentReason
-      }, req.user.id);
+  if (quantity !== undefined) {
+    updateFields.push('quantity = ?');
+    updateValues.push(quantity);
+  }
+  if (reorderLevel !== undefined) {
+    updateFields.push('reorder_level = ?');
+    updateValues.push(reorderLevel);
+  }
+  if (warehouseLocation !== undefined) {
+    updateFields.push('warehouse_location = ?');
+    updateValues.push(warehouseLocation);
+  }
+
+  if (updateFields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  updateFields.push('last_updated = CURRENT_TIMESTAMP');
+  updateValues.push(currentInventory.id);
+
+  const updateQuery = `UPDATE inventory SET ${updateFields.join(', ')} WHERE id = ?`;
 
-      // Check if stock is low and send notification
-      if (quantity !== undefined && quantity <= (reorderLevel || currentInventory.reorder_level)) {
-        // Get product name for notification
-        db.get('SELECT name FROM products WHERE id = ?', [productId], (err, product) => {
+  db.run(updateQuery, updateValues, function(err) {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to update inventory' });
+    }
+
+    // Log inventory adjustment
+    logActivity('inventory', currentInventory.id, 'UPDATE', currentInventory, {
+      quantity, reorderLevel, warehouseLocation, adjustmentReason
+    }, req.user.id);
+
+    // Check if stock is low and send notification
+    if (quantity !== undefined && quantity <= (reorderLevel || currentInventory.reorder_level)) {
+      // Get product name for notification
+      db.get(
+        `SELECT p.name || COALESCE(' (' || v.name || ')', '') as name
+         FROM products p LEFT JOIN product_variants v ON v.id = ?
+         WHERE p.id = ?`,
+        [variantId, productId],
+        (err, product) => {
           if (!err && product) {
             sendNotification(
               null, // System notification (no specific user)
               'low_stock_alert',
               'Low Stock Alert',
               `Product "${product.name}" is running low on stock. Current quantity: ${quantity}`,
-              { productId, quantity, reorderLevel: reorderLevel || currentInventory.reorder_level }
+              { productId, variantId, quantity, reorderLevel: reorderLevel || currentInventory.reorder_level }
             );
           }
-        });
-      }
+        }
+      );
+    }
 
-      res.json({ message: 'Inventory updated successfully' });
-    });
+    res.json({ message: 'Inventory updated successfully' });
   });
-});
+}
+
+// "product 3" or "product 3 variant 7", for error messages
+function describeItem(productId, variantId) {
+  return variantId ? `product ${productId} variant ${variantId}` : `product ${productId}`;
+}
+
+// An error a stock transaction is rolled back with, answered with its status
+function inventoryError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
 
-// Bulk inventory adjustment (Admin only)
-router.post('/bulk-adjustment', authenticateToken, requireAdmin, (req, res) => {
-  const { adjustments, reason } = req.body; // adjustments: [{productId, quantityChange, newReorderLevel}]
+// Bulk inventory adjustment
+router.post('/bulk-adjustment', authenticateToken, requirePermission('inventory:write'), (req, res) => {
+  const { adjustments, reason } = req.body; // adjustments: [{productId, variantId, quantityChange, newReorderLevel}]
 
   if (!adjustments || !Array.isArray(adjustments) || adjustments.length === 0) {
     return res.status(400).json({ error: 'Adjustments array is required' });
   }
 
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
-
-    let processedCount = 0;
-    let hasError = false;
+  const invalidIndex = adjustments.findIndex(({ productId, quantityChange }) => !productId || quantityChange === undefined);
+  if (invalidIndex !== -1) {
+    return res.status(400).json({ error: `Invalid adjustment data at index ${invalidIndex}` });
+  }
 
-    adjustments.forEach((adjustment, index) => {
-      const { productId, quantityChange, newReorderLevel } = adjustment;
+  runTransaction(async () => {
+    for (const { productId, variantId, quantityChange, newReorderLevel } of adjustments) {
+      // Get current inventory (bundles have none of their own)
+      const currentInventory = await queryOne(
+        `SELECT * FROM inventory
+         WHERE product_id = ? AND variant_id IS ?
+           AND NOT EXISTS (SELECT 1 FROM product_bundles WHERE product_id = inventory.product_id)`,
+        [productId, variantId || null]
+      );
+      if (!currentInventory) {
+        throw inventoryError(400, `Inventory not found for ${describeItem(productId, variantId)}`);
+      }
 
-      if (!productId || quantityChange === undefined) {
-        hasError = true;
-        db.run('ROLLBACK');
-        return res.status(400).json({ error: `Invalid adjustment data at index ${index}` });
+      const newQuantity = currentInventory.quantity + quantityChange;
+      if (newQuantity < 0) {
+        throw inventoryError(400, `Adjustment would result in negative inventory for ${describeItem(productId, variantId)}`);
       }
 
-      // Get current inventory
-      db.get('SELECT * FROM inventory WHERE product_id = ?', [productId], (err, currentInventory) => {
-        if (err || !currentInventory) {
-          hasError = true;
-          db.run('ROLLBACK');
-          return res.status(400).json({ error: `Inventory not found for product ${productId}` });
-        }
+      const updateFields = ['quantity = ?', 'last_updated = CURRENT_TIMESTAMP'];
+      const updateValues = [newQuantity];
 
-        const newQuantity = currentInventory.quantity + quantityChange;
-        if (newQuantity < 0) {
-          hasError = true;
-          db.run('ROLLBACK');
-          return res.status(400).json({ error: `Adjustment would result in negative inventory for product ${productId}` });
-        }
+      if (newReorderLevel !== undefined) {
+        updateFields.push('reorder_level = ?');
+        updateValues.push(newReorderLevel);
+      }
 
-        const updateFields = ['quantity = ?', 'last_updated = CURRENT_TIMESTAMP'];
-        const updateValues = [newQuantity];
+      updateValues.push(currentInventory.id);
 
-        if (newReorderLevel !== undefined) {
-          updateFields.push('reorder_level = ?');
-          updateValues.push(newReorderLevel);
-        }
+      await execute(`UPDATE inventory SET ${updateFields.join(', ')} WHERE id = ?`, updateValues);
 
-        updateValues.push(productId);
-
-        db.run(
-          `UPDATE inventory SET ${updateFields.join(', ')} WHERE product_id = ?`,
-          updateValues,
-          function(err) {
-            if (err) {
-              hasError = true;
-              db.run('ROLLBACK');
-              return res.status(500).json({ error: 'Failed to update inventory' });
-            }
-
-            // Log adjustment
-            logActivity('inventory', currentInventory.id, 'UPDATE', currentInventory, {
-              quantityChange, newQuantity, newReorderLevel, reason
-            }, req.user.id);
-
-            processedCount++;
-
-            if (processedCount === adjustments.length && !hasError) {
-              db.run('COMMIT', (err) => {
-                if (err) {
-                  return res.status(500).json({ error: 'Failed to commit bulk adjustment' });
-                }
-
-                res.json({
-                  message: 'Bulk inventory adjustment completed successfully',
-                  processedCount
-                });
-              });
-            }
-          }
-        );
+      // Log adjustment
+      logActivity('inventory', currentInventory.id, 'UPDATE', currentInventory, {
+        quantityChange, newQuantity, newReorderLevel, reason
+      }, req.user.id);
+    }
+  })
+    .then(() => {
+      res.json({
+        message: 'Bulk inventory adjustment completed successfully',
+        processedCount: adjustments.length
       });
+    })
+    .catch(error => {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      res.status(500).json({ error: 'Failed to update inventory' });
     });
-  });
 });
 
-// Get low stock alerts (Admin only)
-router.get('/alerts/low-stock', authenticateToken, requireAdmin, (req, res) => {
+// Get low stock alerts
+router.get('/alerts/low-stock', authenticateToken, requirePermission('inventory:read'), (req, res) => {
   const query = `
     SELECT 
       i.*,
       p.name as product_name,
-      p.sku,
-      p.price,
+      COALESCE(v.sku, p.sku) as sku,
+      v.name as variant_name,
+      COALESCE(v.price, p.price) as price,
       c.name as category_name,
       (i.quantity - i.reserved_quantity) as available_quantity
-    FROM inventory i
+    FROM sellable_inventory i
     LEFT JOIN products p ON i.product_id = p.id
+    LEFT JOIN product_variants v ON i.variant_id = v.id
     LEFT JOIN categories c ON p.category_id = c.id
     WHERE p.is_active = 1 AND i.quantity <= i.reorder_level
     ORDER BY (i.quantity - i.reorder_level) ASC
@@ -290,15 +343,16 @@ router.get('/alerts/low-stock', authenticateToken, requireAdmin, (req, res) => {
   });
 });
 
-// Get inventory statistics (Admin only)
-router.get('/stats/summary', authenticateToken, requireAdmin, (req, res) => {
+// Get inventory statistics
+router.get('/stats/summary', authenticateToken, requirePermission('inventory:read'), (req, res) => {
+  // Counted per sellable row: a product, or each active variant of a product with variants
   const queries = [
-    'SELECT COUNT(*) as total_products FROM inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1',
-    'SELECT SUM(i.quantity) as total_stock FROM inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1',
-    'SELECT SUM(i.reserved_quantity) as total_reserved FROM inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1',
-    'SELECT COUNT(*) as low_stock_count FROM inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1 AND i.quantity <= i.reorder_level',
-    'SELECT COUNT(*) as out_of_stock_count FROM inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1 AND i.quantity = 0',
-    'SELECT SUM(p.price * i.quantity) as total_inventory_value FROM inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1'
+    'SELECT COUNT(DISTINCT i.product_id) as total_products FROM sellable_inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1',
+    'SELECT SUM(i.quantity) as total_stock FROM sellable_inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1',
+    'SELECT SUM(i.reserved_quantity) as total_reserved FROM sellable_inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1',
+    'SELECT COUNT(*) as low_stock_count FROM sellable_inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1 AND i.quantity <= i.reorder_level',
+    'SELECT COUNT(*) as out_of_stock_count FROM sellable_inventory i LEFT JOIN products p ON i.product_id = p.id WHERE p.is_active = 1 AND i.quantity = 0',
+    'SELECT SUM(COALESCE(v.price, p.price) * i.quantity) as total_inventory_value FROM sellable_inventory i LEFT JOIN products p ON i.product_id = p.id LEFT JOIN product_variants v ON i.variant_id = v.id WHERE p.is_active = 1'
   ];
 
   const stats = {};
@@ -328,145 +382,95 @@ router.get('/stats/summary', authenticateToken, requireAdmin, (req, res) => {
 
 // Reserve inventory (used by order system)
 router.post('/reserve', authenticateToken, (req, res) => {
-  const { items } = req.body; // [{productId, quantity}]
+  const { items } = req.body; // [{productId, variantId, quantity}]
 
   if (!items || !Array.isArray(items) || items.length === 0) {
     return res.status(400).json({ error: 'Items array is required' });
   }
 
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
-
-    let processedCount = 0;
-    let hasError = false;
-
-    items.forEach((item, index) => {
-      const { productId, quantity } = item;
+  const invalidIndex = items.findIndex(({ productId, quantity }) => !productId || !quantity || quantity <= 0);
+  if (invalidIndex !== -1) {
+    return res.status(400).json({ error: `Invalid item data at index ${invalidIndex}` });
+  }
 
-      if (!productId || !quantity || quantity <= 0) {
-        hasError = true;
-        db.run('ROLLBACK');
-        return res.status(400).json({ error: `Invalid item data at index ${index}` });
+  runTransaction(async () => {
+    for (const { productId, variantId, quantity } of items) {
+      const inventory = await queryOne(
+        'SELECT * FROM inventory WHERE product_id = ? AND variant_id IS ?',
+        [productId, variantId || null]
+      );
+      if (!inventory) {
+        throw inventoryError(400, `Inventory not found for ${describeItem(productId, variantId)}`);
       }
 
-      db.get(
-        'SELECT * FROM inventory WHERE product_id = ?',
-        [productId],
-        (err, inventory) => {
-          if (err || !inventory) {
-            hasError = true;
-            db.run('ROLLBACK');
-            return res.status(400).json({ error: `Inventory not found for product ${productId}` });
-          }
-
-          const availableQuantity = inventory.quantity - inventory.reserved_quantity;
-          if (availableQuantity < quantity) {
-            hasError = true;
-            db.run('ROLLBACK');
-            return res.status(400).json({ 
-              error: `Insufficient available inventory for product ${productId}. Available: ${availableQuantity}, Requested: ${quantity}` 
-            });
-          }
+      const availableQuantity = inventory.quantity - inventory.reserved_quantity;
+      if (availableQuantity < quantity) {
+        throw inventoryError(400, `Insufficient available inventory for ${describeItem(productId, variantId)}. Available: ${availableQuantity}, Requested: ${quantity}`);
+      }
 
-          const newReservedQuantity = inventory.reserved_quantity + quantity;
-
-          db.run(
-            'UPDATE inventory SET reserved_quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE product_id = ?',
-            [newReservedQuantity, productId],
-            function(err) {
-              if (err) {
-                hasError = true;
-                db.run('ROLLBACK');
-                return res.status(500).json({ error: 'Failed to reserve inventory' });
-              }
-
-              processedCount++;
-
-              if (processedCount === items.length && !hasError) {
-                db.run('COMMIT', (err) => {
-                  if (err) {
-                    return res.status(500).json({ error: 'Failed to commit inventory reservation' });
-                  }
-
-                  res.json({
-                    message: 'Inventory reserved successfully',
-                    reservedItems: items
-                  });
-                });
-              }
-            }
-          );
-        }
+      await execute(
+        'UPDATE inventory SET reserved_quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+        [inventory.reserved_quantity + quantity, inventory.id]
       );
+    }
+  })
+    .then(() => {
+      res.json({
+        message: 'Inventory reserved successfully',
+        reservedItems: items
+      });
+    })
+    .catch(error => {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      res.status(500).json({ error: 'Failed to reserve inventory' });
     });
-  });
 });
 
 // Release reserved inventory
 router.post('/release', authenticateToken, (req, res) => {
-  const { items } = req.body; // [{productId, quantity}]
+  const { items } = req.body; // [{productId, variantId, quantity}]
 
   if (!items || !Array.isArray(items) || items.length === 0) {
     return res.status(400).json({ error: 'Items array is required' });
   }
 
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
-
-    let processedCount = 0;
-    let hasError = false;
-
-    items.forEach((item, index) => {
-      const { productId, quantity } = item;
+  const invalidIndex = items.findIndex(({ productId, quantity }) => !productId || !quantity || quantity <= 0);
+  if (invalidIndex !== -1) {
+    return res.status(400).json({ error: `Invalid item data at index ${invalidIndex}` });
+  }
 
-      if (!productId || !quantity || quantity <= 0) {
-        hasError = true;
-        db.run('ROLLBACK');
-        return res.status(400).json({ error: `Invalid item data at index ${index}` });
+  runTransaction(async () => {
+    for (const { productId, variantId, quantity } of items) {
+      const inventory = await queryOne(
+        'SELECT * FROM inventory WHERE product_id = ? AND variant_id IS ?',
+        [productId, variantId || null]
+      );
+      if (!inventory) {
+        throw inventoryError(400, `Inventory not found for ${describeItem(productId, variantId)}`);
       }
 
-      db.get(
-        'SELECT * FROM inventory WHERE product_id = ?',
-        [productId],
-        (err, inventory) => {
-          if (err || !inventory) {
-            hasError = true;
-            db.run('ROLLBACK');
-            return res.status(400).json({ error: `Inventory not found for product ${productId}` });
-          }
-
-          const newReservedQuantity = Math.max(0, inventory.reserved_quantity - quantity);
-
-          db.run(
-            'UPDATE inventory SET reserved_quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE product_id = ?',
-            [newReservedQuantity, productId],
-            function(err) {
-              if (err) {
-                hasError = true;
-                db.run('ROLLBACK');
-                return res.status(500).json({ error: 'Failed to release inventory' });
-              }
-
-              processedCount++;
-
-              if (processedCount === items.length && !hasError) {
-                db.run('COMMIT', (err) => {
-                  if (err) {
-                    return res.status(500).json({ error: 'Failed to commit inventory release' });
-                  }
-
-                  res.json({
-                    message: 'Inventory released successfully',
-                    releasedItems: items
-                  });
-                });
-              }
-            }
-          );
-        }
+      await execute(
+        'UPDATE inventory SET reserved_quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+        [Math.max(0, inventory.reserved_quantity - quantity), inventory.id]
       );
+    }
+  })
+    .then(() => {
+      res.json({
+        message: 'Inventory released successfully',
+        releasedItems: items
+      });
+    })
+    .catch(error => {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      res.status(500).json({ error: 'Failed to release inventory' });
     });
-  });
 });
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
-const { db } = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { db, runStatements } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -193,8 +193,8 @@ router.delete('/read/clear', authenticateToken, (req, res) => {
   );
 });
 
-// Send notification (Admin only)
-router.post('/send', authenticateToken, requireAdmin, (req, res) => {
+// Send notification
+router.post('/send', authenticateToken, requirePermission('notifications:broadcast'), (req, res) => {
   const { userId, type, title, message, metadata } = req.body;
 
   if (!type || !title || !message) {
@@ -230,47 +230,25 @@ router.post('/send', authenticateToken, requireAdmin, (req, res) => {
         return res.status(404).json({ error: 'No active users found' });
       }
 
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-
-        let processedCount = 0;
-        let hasError = false;
-
-        users.forEach(user => {
-          db.run(
-            'INSERT INTO notifications (user_id, type, title, message, metadata) VALUES (?, ?, ?, ?, ?)',
-            [user.id, type, title, message, metadataJson],
-            function(err) {
-              if (err) {
-                hasError = true;
-                db.run('ROLLBACK');
-                return res.status(500).json({ error: 'Failed to send notifications' });
-              }
-
-              processedCount++;
-
-              if (processedCount === users.length && !hasError) {
-                db.run('COMMIT', (err) => {
-                  if (err) {
-                    return res.status(500).json({ error: 'Failed to commit notifications' });
-                  }
-
-                  res.status(201).json({
-                    message: 'Notifications sent to all users successfully',
-                    sentCount: processedCount
-                  });
-                });
-              }
-            }
-          );
-        });
-      });
+      runStatements(run => {
+        users.forEach(user => run(
+          'INSERT INTO notifications (user_id, type, title, message, metadata) VALUES (?, ?, ?, ?, ?)',
+          [user.id, type, title, message, metadataJson]
+        ));
+      }, 'Failed to send notifications')
+        .then(() => {
+          res.status(201).json({
+            message: 'Notifications sent to all users successfully',
+            sentCount: users.length
+          });
+        })
+        .catch(() => res.status(500).json({ error: 'Failed to send notifications' }));
     });
   }
 });
 
-// Get notification statistics (Admin only)
-router.get('/stats/summary', authenticateToken, requireAdmin, (req, res) => {
+// Get notification statistics
+router.get('/stats/summary', authenticateToken, requirePermission('notifications:read'), (req, res) => {
   const queries = [
     'SELECT COUNT(*) as total_notifications FROM notifications',
     'SELECT COUNT(*) as unread_notifications FROM notifications WHERE is_read = 0',
@@ -307,8 +285,8 @@ router.get('/stats/summary', authenticateToken, requireAdmin, (req, res) => {
   });
 });
 
-// Get system notifications (Admin only)
-router.get('/system/all', authenticateToken, requireAdmin, (req, res) => {
+// Get system notifications
+router.get('/system/all', authenticateToken, requirePermission('notifications:read'), (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 50;
   const offset = (page - 1) * limit;
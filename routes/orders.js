@@ -1,25 +1,33 @@
 const express = require('express');
-const { db } = require('../config/database');
-const { authenticateToken, requireAdmin, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { db, queryAll, queryOne, execute, runTransaction } = require('../config/database');
+const { authenticateToken, hasPermission, requirePermission, denyImpersonation } = require('../middleware/auth');
 const { logActivity } = require('../services/auditService');
 const { sendNotification } = require('../services/notificationService');
 const { processPayment } = require('../services/paymentService');
-const { updateInventory } = require('../services/inventoryService');
+const { updateInventory, checkInventoryAvailability } = require('../services/inventoryService');
+const { getPurchasableItem } = require('../services/productVariantService');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
 
+// An error the order transaction is rolled back with, answered with its status
+function orderError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 // Get user's orders
 router.get('/', authenticateToken, (req, res) => {
   const userId = req.user.id;
-  const isAdmin = req.user.role === 'admin';
+  const canViewAll = hasPermission(req.user, 'orders:read');
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const offset = (page - 1) * limit;
   const status = req.query.status;
 
-  let whereClause = isAdmin ? 'WHERE 1=1' : 'WHERE o.user_id = ?';
-  let queryParams = isAdmin ? [] : [userId];
+  let whereClause = canViewAll ? 'WHERE 1=1' : 'WHERE o.user_id = ?';
+  let queryParams = canViewAll ? [] : [userId];
 
   if (status) {
     whereClause += ' AND o.status = ?';
@@ -78,7 +86,7 @@ router.get('/', authenticateToken, (req, res) => {
 router.get('/:id', authenticateToken, (req, res) => {
   const orderId = req.params.id;
   const userId = req.user.id;
-  const isAdmin = req.user.role === 'admin';
+  const canViewAll = hasPermission(req.user, 'orders:read');
 
   const orderQuery = `
     SELECT 
@@ -89,10 +97,10 @@ router.get('/:id', authenticateToken, (req, res) => {
       u.email
     FROM orders o
     LEFT JOIN users u ON o.user_id = u.id
-    WHERE o.id = ? ${!isAdmin ? 'AND o.user_id = ?' : ''}
+    WHERE o.id = ? ${!canViewAll ? 'AND o.user_id = ?' : ''}
   `;
 
-  const orderParams = isAdmin ? [orderId] : [orderId, userId];
+  const orderParams = canViewAll ? [orderId] : [orderId, userId];
 
   db.get(orderQuery, orderParams, (err, order) => {
     if (err) {
@@ -104,12 +112,16 @@ router.get('/:id', authenticateToken, (req, res) => {
     }
 
     // Get order items
+    // Variant images take precedence over the product's primary image
     const itemsQuery = `
       SELECT 
         oi.*,
         p.name as product_name,
-        p.sku,
-        (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = 1 LIMIT 1) as product_image
+        COALESCE(oi.variant_sku, p.sku) as sku,
+        COALESCE(
+          (SELECT COALESCE(json_extract(renditions, '$.thumbnail.url'), image_url) FROM product_images WHERE variant_id = oi.variant_id ORDER BY sort_order LIMIT 1),
+          (SELECT COALESCE(json_extract(renditions, '$.thumbnail.url'), image_url) FROM product_images WHERE product_id = p.id AND is_primary = 1 LIMIT 1)
+        ) as product_image
       FROM order_items oi
       LEFT JOIN products p ON oi.product_id = p.id
       WHERE oi.order_id = ?
@@ -127,10 +139,10 @@ router.get('/:id', authenticateToken, (req, res) => {
 });
 
 // Create new order
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, denyImpersonation, async (req, res) => {
   const userId = req.user.id;
   const {
-    items, // Array of {productId, quantity}
+    items, // Array of {productId, variantId, quantity}; variantId is required for products with variants
     shippingAddress,
     billingAddress,
     paymentMethod,
@@ -145,142 +157,142 @@ router.post('/', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Shipping and billing addresses are required' });
   }
 
-  try {
-    // Start transaction
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-
-      // Generate order number
-      const orderNumber = 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+  // Generate order number
+  const orderNumber = 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
 
-      // Calculate totals
+  try {
+    // Stock is checked and reserved in the same transaction, so concurrent orders cannot oversell
+    const { orderId, orderItems, totalAmount } = await runTransaction(async () => {
       let totalAmount = 0;
-      let orderItems = [];
+      const orderItems = [];
 
       // Validate items and calculate total
-      let itemsProcessed = 0;
-      let hasError = false;
-
-      items.forEach((item, index) => {
-        db.get(
-          `SELECT p.*, i.quantity as stock_quantity 
-           FROM products p 
-           LEFT JOIN inventory i ON p.id = i.product_id 
-           WHERE p.id = ? AND p.is_active = 1`,
-          [item.productId],
-          (err, product) => {
-            if (err || !product) {
-              hasError = true;
-              db.run('ROLLBACK');
-              return res.status(400).json({ error: `Product ${item.productId} not found` });
-            }
-
-            if (product.stock_quantity < item.quantity) {
-              hasError = true;
-              db.run('ROLLBACK');
-              return res.status(400).json({ 
-                error: `Insufficient stock for product ${product.name}. Available: ${product.stock_quantity}, Requested: ${item.quantity}` 
-              });
-            }
-
-            const itemTotal = product.price * item.quantity;
-            totalAmount += itemTotal;
-
-            orderItems.push({
-              productId: product.id,
-              quantity: item.quantity,
-              unitPrice: product.price,
-              totalPrice: itemTotal
-            });
-
-            itemsProcessed++;
-
-            // If all items processed, create the order
-            if (itemsProcessed === items.length && !hasError) {
-              createOrder();
-            }
+      for (const item of items) {
+        const { item: product, error } = await getPurchasableItem(item.productId, item.variantId);
+        if (error) {
+          throw orderError(400, error);
+        }
+
+        // A bundle is in stock when each of its components is
+        if (product.is_bundle) {
+          const availability = await checkInventoryAvailability(product.product_id, item.quantity);
+          if (!availability.available) {
+            throw orderError(400, `Insufficient stock for bundle ${product.name} (${availability.reason}). Available: ${availability.availableQuantity}, Requested: ${item.quantity}`);
           }
+        }
+
+        const displayName = product.variant_name ? `${product.name} (${product.variant_name})` : product.name;
+        if (product.stock_quantity < item.quantity) {
+          throw orderError(400, `Insufficient stock for product ${displayName}. Available: ${product.stock_quantity}, Requested: ${item.quantity}`);
+        }
+
+        // The price in effect now: variant prices override the product price, sale prices both
+        const itemTotal = product.price * item.quantity;
+        totalAmount += itemTotal;
+
+        orderItems.push({
+          productId: product.product_id,
+          variantId: product.variant_id,
+          variantSku: product.variant_sku,
+          variantName: product.variant_name,
+          quantity: item.quantity,
+          unitPrice: product.price,
+          totalPrice: itemTotal,
+          priceScheduleId: product.price_schedule_id
+        });
+      }
+
+      // Insert order
+      const { lastID: orderId } = await execute(
+        `INSERT INTO orders (
+          user_id, order_number, status, total_amount, 
+          shipping_address, billing_address, payment_method, notes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId, orderNumber, 'pending', totalAmount,
+          JSON.stringify(shippingAddress), JSON.stringify(billingAddress),
+          paymentMethod, notes
+        ]
+      );
+
+      for (const item of orderItems) {
+        // The variant SKU and name are copied so the order keeps them if the variant changes
+        await execute(
+          `INSERT INTO order_items (order_id, product_id, variant_id, variant_sku, variant_name, quantity, unit_price, total_price, price_schedule_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [orderId, item.productId, item.variantId, item.variantSku, item.variantName,
+            item.quantity, item.unitPrice, item.totalPrice, item.priceScheduleId]
         );
-      });
+      }
 
-      function createOrder() {
-        // Insert order
-        db.run(
-          `INSERT INTO orders (
-            user_id, order_number, status, total_amount, 
-            shipping_address, billing_address, payment_method, notes
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            userId, orderNumber, 'pending', totalAmount,
-            JSON.stringify(shippingAddress), JSON.stringify(billingAddress),
-            paymentMethod, notes
-          ],
-          function(err) {
-            if (err) {
-              db.run('ROLLBACK');
-              return res.status(500).json({ error: 'Failed to create order' });
-            }
-
-            const orderId = this.lastID;
-
-            // Insert order items
-            let itemsInserted = 0;
-            orderItems.forEach(item => {
-              db.run(
-                'INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price) VALUES (?, ?, ?, ?, ?)',
-                [orderId, item.productId, item.quantity, item.unitPrice, item.totalPrice],
-                (err) => {
-                  if (err) {
-                    db.run('ROLLBACK');
-                    return res.status(500).json({ error: 'Failed to create order items' });
-                  }
-
-                  itemsInserted++;
-
-                  if (itemsInserted === orderItems.length) {
-                    // Update inventory (reserve stock)
-                    orderItems.forEach(item => {
-                      updateInventory(item.productId, -item.quantity, 'reserve');
-                    });
-
-                    // Commit transaction
-                    db.run('COMMIT', (err) => {
-                      if (err) {
-                        return res.status(500).json({ error: 'Failed to commit order' });
-                      }
-
-                      // Log activity
-                      logActivity('orders', orderId, 'INSERT', null, {
-                        orderNumber, totalAmount, itemCount: orderItems.length
-                      }, userId);
-
-                      // Send notification
-                      sendNotification(userId, 'order_created', 'Order Created', 
-                        `Your order ${orderNumber} has been created successfully.`);
-
-                      res.status(201).json({
-                        message: 'Order created successfully',
-                        orderId,
-                        orderNumber,
-                        totalAmount
-                      });
-                    });
-                  }
-                }
-              );
-            });
+      // Update inventory (reserve stock)
+      for (const item of orderItems) {
+        try {
+          await updateInventory(item.productId, -item.quantity, 'reserve', null, item.variantId);
+        } catch (error) {
+          if (error.message !== 'Insufficient available inventory') {
+            throw error;
           }
-        );
+          throw orderError(400, `Insufficient available inventory for product ${item.productId}. Requested: ${item.quantity}`);
+        }
       }
+
+      return { orderId, orderItems, totalAmount };
+    });
+
+    // Log activity
+    logActivity('orders', orderId, 'INSERT', null, {
+      orderNumber, totalAmount, itemCount: orderItems.length
+    }, userId);
+
+    // Send notification
+    sendNotification(userId, 'order_created', 'Order Created', 
+      `Your order ${orderNumber} has been created successfully.`);
+
+    res.status(201).json({
+      message: 'Order created successfully',
+      orderId,
+      orderNumber,
+      totalAmount
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Order creation error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(500).json({ error: 'Failed to create order' });
   }
 });
 
-// Update order status (Admin only)
-router.put('/:id/status', authenticateToken, requireAdmin, (req, res) => {
+// Inventory errors that mean the stock no longer matches the order, rather than a database failure
+const STOCK_MISMATCH_ERRORS = ['Inventory record not found', 'Insufficient inventory to sell'];
+
+// Release or sell the stock reserved for an order's items. Runs inside the
+// transaction changing the order's status, so the status change is rolled
+// back when any item's stock cannot be updated.
+async function applyOrderInventory(orderId, operation) {
+  const items = await queryAll(
+    'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = ?',
+    [orderId]
+  );
+
+  for (const item of items) {
+    const quantityChange = operation === 'release' ? item.quantity : -item.quantity;
+    try {
+      await updateInventory(item.product_id, quantityChange, operation, null, item.variant_id);
+    } catch (error) {
+      if (!STOCK_MISMATCH_ERRORS.includes(error.message)) {
+        throw error;
+      }
+      const label = item.variant_id ? `product ${item.product_id} variant ${item.variant_id}` : `product ${item.product_id}`;
+      throw orderError(409, `Stock for ${label} could not be updated (${error.message}); the order status was not changed`);
+    }
+  }
+}
+
+// Update order status
+router.put('/:id/status', authenticateToken, requirePermission('orders:write'), async (req, res) => {
   const orderId = req.params.id;
   const { status, notes } = req.body;
 
@@ -289,132 +301,105 @@ router.put('/:id/status', authenticateToken, requireAdmin, (req, res) => {
     return res.status(400).json({ error: 'Invalid status' });
   }
 
-  // Get current order
-  db.get('SELECT * FROM orders WHERE id = ?', [orderId], (err, order) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+  try {
+    // The status and the stock change together or not at all
+    const order = await runTransaction(async () => {
+      const order = await queryOne('SELECT * FROM orders WHERE id = ?', [orderId]);
+      if (!order) {
+        throw orderError(404, 'Order not found');
+      }
 
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+      // Update order
+      const updateFields = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
+      const updateValues = [status];
 
-    // Update order
-    const updateFields = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
-    const updateValues = [status];
+      if (notes) {
+        updateFields.push('notes = ?');
+        updateValues.push(notes);
+      }
 
-    if (notes) {
-      updateFields.push('notes = ?');
-      updateValues.push(notes);
-    }
+      updateValues.push(orderId);
 
-    updateValues.push(orderId);
+      await execute(`UPDATE orders SET ${updateFields.join(', ')} WHERE id = ?`, updateValues);
 
-    db.run(
-      `UPDATE orders SET ${updateFields.join(', ')} WHERE id = ?`,
-      updateValues,
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to update order status' });
-        }
+      // Handle inventory changes based on status
+      if (status === 'cancelled' && order.status !== 'cancelled') {
+        // Release reserved inventory
+        await applyOrderInventory(orderId, 'release');
+      } else if (status === 'confirmed' && order.status === 'pending') {
+        // Convert reserved to sold
+        await applyOrderInventory(orderId, 'sell');
+      }
 
-        // Handle inventory changes based on status
-        if (status === 'cancelled' && order.status !== 'cancelled') {
-          // Release reserved inventory
-          db.all(
-            'SELECT product_id, quantity FROM order_items WHERE order_id = ?',
-            [orderId],
-            (err, items) => {
-              if (!err && items) {
-                items.forEach(item => {
-                  updateInventory(item.product_id, item.quantity, 'release');
-                });
-              }
-            }
-          );
-        } else if (status === 'confirmed' && order.status === 'pending') {
-          // Convert reserved to sold
-          db.all(
-            'SELECT product_id, quantity FROM order_items WHERE order_id = ?',
-            [orderId],
-            (err, items) => {
-              if (!err && items) {
-                items.forEach(item => {
-                  updateInventory(item.product_id, -item.quantity, 'sell');
-                });
-              }
-            }
-          );
-        }
+      return order;
+    });
 
-        // Log activity
-        logActivity('orders', orderId, 'UPDATE', order, { status, notes }, req.user.id);
+    // Log activity
+    logActivity('orders', orderId, 'UPDATE', order, { status, notes }, req.user.id);
 
-        // Send notification to customer
-        sendNotification(order.user_id, 'order_status_updated', 'Order Status Updated', 
-          `Your order ${order.order_number} status has been updated to: ${status}`);
+    // Send notification to customer
+    sendNotification(order.user_id, 'order_status_updated', 'Order Status Updated', 
+      `Your order ${order.order_number} status has been updated to: ${status}`);
 
-        res.json({ message: 'Order status updated successfully' });
-      }
-    );
-  });
+    res.json({ message: 'Order status updated successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Order status update error:', error);
+    res.status(500).json({ error: 'Failed to update order status' });
+  }
 });
 
 // Cancel order (Customer can cancel pending orders)
-router.put('/:id/cancel', authenticateToken, (req, res) => {
+router.put('/:id/cancel', authenticateToken, denyImpersonation, async (req, res) => {
   const orderId = req.params.id;
   const userId = req.user.id;
-  const isAdmin = req.user.role === 'admin';
+  const canManageAll = hasPermission(req.user, 'orders:write');
 
-  const whereClause = isAdmin ? 'WHERE id = ?' : 'WHERE id = ? AND user_id = ?';
-  const queryParams = isAdmin ? [orderId] : [orderId, userId];
+  const whereClause = canManageAll ? 'WHERE id = ?' : 'WHERE id = ? AND user_id = ?';
+  const queryParams = canManageAll ? [orderId] : [orderId, userId];
 
-  db.get(`SELECT * FROM orders ${whereClause}`, queryParams, (err, order) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+  try {
+    const order = await runTransaction(async () => {
+      const order = await queryOne(`SELECT * FROM orders ${whereClause}`, queryParams);
+      if (!order) {
+        throw orderError(404, 'Order not found');
+      }
 
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+      if (order.status !== 'pending') {
+        throw orderError(400, 'Only pending orders can be cancelled');
+      }
 
-    if (order.status !== 'pending') {
-      return res.status(400).json({ error: 'Only pending orders can be cancelled' });
-    }
+      // Update order status
+      await execute(
+        'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        ['cancelled', orderId]
+      );
 
-    // Update order status
-    db.run(
-      'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      ['cancelled', orderId],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to cancel order' });
-        }
+      // Release reserved inventory
+      await applyOrderInventory(orderId, 'release');
 
-        // Release reserved inventory
-        db.all(
-          'SELECT product_id, quantity FROM order_items WHERE order_id = ?',
-          [orderId],
-          (err, items) => {
-            if (!err && items) {
-              items.forEach(item => {
-                updateInventory(item.product_id, item.quantity, 'release');
-              });
-            }
-          }
-        );
+      return order;
+    });
 
-        // Log activity
-        logActivity('orders', orderId, 'UPDATE', order, { status: 'cancelled' }, userId);
+    // Log activity
+    logActivity('orders', orderId, 'UPDATE', order, { status: 'cancelled' }, userId);
 
-        res.json({ message: 'Order cancelled successfully' });
-      }
-    );
-  });
+    res.json({ message: 'Order cancelled successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Order cancellation error:', error);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
 });
 
-// Get order statistics (Admin only)
-router.get('/stats/summary', authenticateToken, requireAdmin, (req, res) => {
+// Get order statistics
+router.get('/stats/summary', authenticateToken, requirePermission('orders:read'), (req, res) => {
   const queries = [
     'SELECT COUNT(*) as total_orders FROM orders',
     'SELECT COUNT(*) as pending_orders FROM orders WHERE status = "pending"',
@@ -1,6 +1,6 @@
 const express = require('express');
 const { db } = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, hasPermission, requirePermission, denyImpersonation } = require('../middleware/auth');
 const { processPayment, refundPayment } = require('../services/paymentService');
 const { logActivity } = require('../services/auditService');
 const { sendNotification } = require('../services/notificationService');
@@ -8,7 +8,7 @@ const { sendNotification } = require('../services/notificationService');
 const router = express.Router();
 
 // Process payment for an order
-router.post('/process', authenticateToken, async (req, res) => {
+router.post('/process', authenticateToken, denyImpersonation, async (req, res) => {
   const { orderId, paymentMethod, paymentDetails } = req.body;
   const userId = req.user.id;
 
@@ -138,13 +138,13 @@ router.post('/process', authenticateToken, async (req, res) => {
 // Get payment history for user
 router.get('/history', authenticateToken, (req, res) => {
   const userId = req.user.id;
-  const isAdmin = req.user.role === 'admin';
+  const canViewAll = hasPermission(req.user, 'payments:read');
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const offset = (page - 1) * limit;
 
-  let whereClause = isAdmin ? 'WHERE 1=1' : 'WHERE o.user_id = ?';
-  let queryParams = isAdmin ? [] : [userId];
+  let whereClause = canViewAll ? 'WHERE 1=1' : 'WHERE o.user_id = ?';
+  let queryParams = canViewAll ? [] : [userId];
 
   const query = `
     SELECT 
@@ -199,10 +199,10 @@ router.get('/history', authenticateToken, (req, res) => {
 router.get('/:id', authenticateToken, (req, res) => {
   const paymentId = req.params.id;
   const userId = req.user.id;
-  const isAdmin = req.user.role === 'admin';
+  const canViewAll = hasPermission(req.user, 'payments:read');
 
-  let whereClause = isAdmin ? 'WHERE p.id = ?' : 'WHERE p.id = ? AND o.user_id = ?';
-  let queryParams = isAdmin ? [paymentId] : [paymentId, userId];
+  let whereClause = canViewAll ? 'WHERE p.id = ?' : 'WHERE p.id = ? AND o.user_id = ?';
+  let queryParams = canViewAll ? [paymentId] : [paymentId, userId];
 
   const query = `
     SELECT 
@@ -242,8 +242,8 @@ router.get('/:id', authenticateToken, (req, res) => {
   });
 });
 
-// Refund payment (Admin only)
-router.post('/:id/refund', authenticateToken, requireAdmin, async (req, res) => {
+// Refund payment
+router.post('/:id/refund', authenticateToken, requirePermission('payments:refund'), async (req, res) => {
   const paymentId = req.params.id;
   const { amount, reason } = req.body;
 
@@ -347,8 +347,8 @@ router.post('/:id/refund', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
-// Get payment statistics (Admin only)
-router.get('/stats/summary', authenticateToken, requireAdmin, (req, res) => {
+// Get payment statistics
+router.get('/stats/summary', authenticateToken, requirePermission('payments:read'), (req, res) => {
   const queries = [
     'SELECT COUNT(*) as total_payments FROM payments WHERE status = "success"',
     'SELECT SUM(amount) as total_revenue FROM payments WHERE status = "success" AND amount > 0',
@@ -0,0 +1,128 @@
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const {
+  parseBundleInput,
+  getBundle,
+  findBundleProblem,
+  hasPendingOrders,
+  sameComponents,
+  saveBundle,
+  removeBundle
+} = require('../services/productBundleService');
+
+// Mounted at /api/products/:productId/bundle
+const router = express.Router({ mergeParams: true });
+
+const requireProductsWrite = requirePermission('products:write');
+
+// Load the bundle product
+function loadProduct(req, res, next) {
+  db.get('SELECT id, name, is_active FROM products WHERE id = ?', [req.params.productId], (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    req.product = product;
+    next();
+  });
+}
+
+// A bundle from getBundle() in the shape of the request body, for the audit log
+function auditBundle(bundle) {
+  return bundle && {
+    pricing: bundle.pricing,
+    discountPercent: bundle.discount_percent,
+    components: bundle.components.map(component => ({
+      productId: component.product_id,
+      variantId: component.variant_id,
+      quantity: component.quantity
+    }))
+  };
+}
+
+// Get a bundle's components, price and availability
+router.get('/', loadProduct, async (req, res) => {
+  if (!req.product.is_active) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+
+  try {
+    const bundle = await getBundle(req.product.id);
+    if (!bundle) {
+      return res.status(404).json({ error: 'This product is not a bundle' });
+    }
+
+    res.json({ bundle });
+  } catch (error) {
+    console.error('Get bundle error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Make a product a bundle, or replace its components and pricing
+router.put('/', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  const { bundle: input, error } = parseBundleInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const problem = await findBundleProblem(req.product.id, input.components);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const current = await getBundle(req.product.id);
+    if (current && !sameComponents(current.components, input.components) && await hasPendingOrders(req.product.id)) {
+      return res.status(409).json({
+        error: 'Pending orders have reserved this bundle\'s components; confirm or cancel them before changing the components'
+      });
+    }
+
+    const bundle = await saveBundle(req.product.id, input);
+
+    logActivity('product_bundles', req.product.id, current ? 'UPDATE' : 'INSERT',
+      auditBundle(current), input, req.user.id);
+
+    res.json({
+      message: current ? 'Bundle updated successfully' : 'Product is now a bundle',
+      bundle
+    });
+  } catch (error) {
+    console.error('Save bundle error:', error);
+    res.status(500).json({ error: 'Failed to save bundle' });
+  }
+});
+
+// Turn a bundle back into a plain product
+router.delete('/', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  try {
+    const current = await getBundle(req.product.id);
+    if (!current) {
+      return res.status(404).json({ error: 'This product is not a bundle' });
+    }
+
+    if (await hasPendingOrders(req.product.id)) {
+      return res.status(409).json({
+        error: 'Pending orders have reserved this bundle\'s components; confirm or cancel them first'
+      });
+    }
+
+    await removeBundle(req.product.id);
+
+    logActivity('product_bundles', req.product.id, 'DELETE', auditBundle(current), null, req.user.id);
+
+    res.json({ message: 'Product is no longer a bundle; its own inventory applies again' });
+  } catch (error) {
+    console.error('Remove bundle error:', error);
+    res.status(500).json({ error: 'Failed to remove bundle' });
+  }
+});
+
+module.exports = router;
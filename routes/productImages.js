@@ -0,0 +1,127 @@
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const {
+  getProductImages,
+  getProductImage,
+  parseImageUpdate,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage
+} = require('../services/productImageService');
+
+// Mounted at /api/products/:productId/images
+// New images are still uploaded through POST/PUT /api/products
+const router = express.Router({ mergeParams: true });
+
+const requireProductsWrite = requirePermission('products:write');
+
+// Load the product the images belong to
+function loadProduct(req, res, next) {
+  db.get('SELECT id, name, is_active FROM products WHERE id = ?', [req.params.productId], (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    req.product = product;
+    next();
+  });
+}
+
+// Get a product's images in gallery order
+router.get('/', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  try {
+    const images = await getProductImages(req.product.id);
+    res.json({ images });
+  } catch (error) {
+    console.error('Get product images error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Reorder images ({ imageIds } lists every image of the product, first one shown first)
+router.put('/order', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  const { imageIds } = req.body;
+
+  if (!Array.isArray(imageIds) || !imageIds.every(id => Number.isInteger(id) && id > 0)) {
+    return res.status(400).json({ error: 'imageIds must be an array of image IDs' });
+  }
+
+  try {
+    const { images, error } = await reorderProductImages(req.product.id, imageIds);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    logActivity('product_images', req.product.id, 'UPDATE', null, { order: imageIds }, req.user.id);
+
+    res.json({
+      message: 'Images reordered successfully',
+      images
+    });
+  } catch (error) {
+    console.error('Reorder product images error:', error);
+    res.status(500).json({ error: 'Failed to reorder images' });
+  }
+});
+
+// Update alt text and/or make the image primary
+router.put('/:imageId', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  const { changes, error } = parseImageUpdate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const current = await getProductImage(req.product.id, req.params.imageId);
+    if (!current) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const updated = await updateProductImage(current, changes);
+
+    logActivity('product_images', current.id, 'UPDATE', {
+      altText: current.alt_text, isPrimary: current.is_primary
+    }, changes, req.user.id);
+
+    res.json({
+      message: 'Image updated successfully',
+      image: updated
+    });
+  } catch (error) {
+    console.error('Update product image error:', error);
+    res.status(500).json({ error: 'Failed to update image' });
+  }
+});
+
+// Delete an image and its files (the next image becomes primary if needed)
+router.delete('/:imageId', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  try {
+    const image = await getProductImage(req.product.id, req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    await deleteProductImage(image);
+
+    logActivity('product_images', image.id, 'DELETE', {
+      productId: req.product.id, imageUrl: image.image_url, isPrimary: image.is_primary
+    }, null, req.user.id);
+
+    res.json({ message: 'Image deleted successfully' });
+  } catch (error) {
+    console.error('Delete product image error:', error);
+    res.status(500).json({ error: 'Failed to delete image' });
+  }
+});
+
+module.exports = router;
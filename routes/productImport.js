@@ -0,0 +1,118 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const {
+  readCatalogFile,
+  validateImport,
+  applyImport,
+  getExportRows,
+  buildExportFile
+} = require('../services/productImportService');
+
+// Mounted at /api/products, ahead of the product routes
+const router = express.Router();
+
+const FILE_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Catalog files are parsed in memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const format = path.extname(file.originalname).toLowerCase().slice(1);
+
+    if (FILE_FORMATS[format]) {
+      return cb(null, true);
+    }
+
+    cb(new Error('Only .csv and .xlsx files can be imported'));
+  }
+});
+
+// Accept a single catalog file, answering upload errors with 400
+function uploadCatalogFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'File is larger than 5MB' : err.message });
+    }
+    next();
+  });
+}
+
+// Import products from a CSV/XLSX file (?dryRun=true only validates)
+router.post('/import', authenticateToken, requirePermission('products:write'), uploadCatalogFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'A catalog file is required (form field "file")' });
+  }
+
+  const dryRun = req.query.dryRun === 'true';
+  const format = path.extname(req.file.originalname).toLowerCase().slice(1);
+
+  try {
+    const { records, error } = await readCatalogFile(req.file.buffer, format);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { rows, report } = await validateImport(records);
+
+    if (report.summary.failed > 0) {
+      return res.status(dryRun ? 200 : 422).json({
+        message: `${report.summary.failed} row(s) have errors, nothing was imported`,
+        dryRun,
+        ...report
+      });
+    }
+
+    if (dryRun) {
+      return res.json({ message: 'All rows are valid', dryRun, ...report });
+    }
+
+    const imported = await applyImport(rows);
+
+    imported.forEach(row => logActivity('products', row.productId, row.action === 'create' ? 'INSERT' : 'UPDATE', null, {
+      importFile: req.file.originalname,
+      ...row.product,
+      ...(Object.keys(row.inventory).length > 0 && { inventory: row.inventory }),
+      ...(row.attributes && { attributes: row.attributes })
+    }, req.user.id));
+
+    res.json({ message: 'Products imported successfully', dryRun, ...report });
+  } catch (error) {
+    console.error('Product import error:', error);
+    res.status(500).json({ error: 'Failed to import products' });
+  }
+});
+
+// Export products in the import format (?format=csv|xlsx, ?includeInactive=true)
+router.get('/export', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+
+  if (!FILE_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(FILE_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const rows = await getExportRows(req.query.includeInactive === 'true');
+    const file = await buildExportFile(rows, format);
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set({
+      'Content-Type': FILE_FORMATS[format],
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(file);
+  } catch (error) {
+    console.error('Product export error:', error);
+    res.status(500).json({ error: 'Failed to export products' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const {
+  SCHEDULE_STATUSES,
+  parseScheduleInput,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  cancelSchedule,
+  getPriceHistory
+} = require('../services/priceScheduleService');
+
+// Mounted at /api/products/:productId/prices
+// Upcoming sales are not public, so every route needs products:write
+const router = express.Router({ mergeParams: true });
+
+const requireProductsWrite = requirePermission('products:write');
+
+// Load the product the prices belong to
+function loadProduct(req, res, next) {
+  db.get('SELECT id, name, price FROM products WHERE id = ?', [req.params.productId], (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    req.product = product;
+    next();
+  });
+}
+
+// Get price schedules (?status=scheduled|active|ended)
+router.get('/', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  const status = req.query.status || null;
+
+  if (status && !SCHEDULE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${SCHEDULE_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const schedules = await getSchedules(req.product.id, status);
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Get price schedules error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get base price changes, all schedules and the price in effect now
+router.get('/history', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  try {
+    const history = await getPriceHistory(req.product.id);
+    res.json({ productId: req.product.id, basePrice: req.product.price, ...history });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Schedule a price (sale or planned change)
+router.post('/', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  const { schedule: input, error } = parseScheduleInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { schedule, error: variantError } = await createSchedule(req.product.id, input, req.user.id);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+
+    logActivity('price_schedules', schedule.id, 'INSERT', null, {
+      productId: req.product.id, ...input
+    }, req.user.id);
+
+    res.status(201).json({
+      message: 'Price scheduled successfully',
+      schedule
+    });
+  } catch (error) {
+    console.error('Create price schedule error:', error);
+    res.status(500).json({ error: 'Failed to schedule price' });
+  }
+});
+
+// Cancel a schedule (deleted if it has not started, ended now if it is running)
+router.delete('/:scheduleId', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.product.id, req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Price schedule not found' });
+    }
+
+    if (schedule.status === 'ended') {
+      return res.status(409).json({ error: 'This schedule has already ended and is kept as price history' });
+    }
+
+    const result = await cancelSchedule(schedule);
+
+    logActivity('price_schedules', schedule.id, result.deleted ? 'DELETE' : 'UPDATE', {
+      price: schedule.price, startsAt: schedule.starts_at, endsAt: schedule.ends_at
+    }, result.deleted ? null : { endsAt: result.schedule.ends_at }, req.user.id);
+
+    res.json({
+      message: result.deleted ? 'Price schedule deleted' : 'Price schedule ended',
+      ...result
+    });
+  } catch (error) {
+    console.error('Cancel price schedule error:', error);
+    res.status(500).json({ error: 'Failed to cancel price schedule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, hasPermission, denyImpersonation } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const {
+  REVIEW_SORTS,
+  parseReviewInput,
+  findDeliveredOrderItem,
+  getReviews,
+  getReview,
+  getRatingSummary,
+  findUserReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  addHelpfulVote,
+  removeHelpfulVote
+} = require('../services/productReviewService');
+
+// Mounted at /api/products/:productId/reviews
+const router = express.Router({ mergeParams: true });
+
+// Load the product being reviewed (inactive products cannot be reviewed)
+function loadProduct(req, res, next) {
+  db.get('SELECT id, name FROM products WHERE id = ? AND is_active = 1', [req.params.productId], (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    req.product = product;
+    next();
+  });
+}
+
+// Get approved reviews with the product's rating summary
+router.get('/', loadProduct, async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  const sort = req.query.sort || 'newest';
+  const rating = req.query.rating ? parseInt(req.query.rating) : null;
+
+  if (!REVIEW_SORTS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+  }
+
+  if (rating !== null && !(rating >= 1 && rating <= 5)) {
+    return res.status(400).json({ error: 'rating must be from 1 to 5' });
+  }
+
+  try {
+    const [summary, { reviews, total }] = await Promise.all([
+      getRatingSummary(req.product.id),
+      getReviews(
+        { productId: req.product.id, status: 'approved', rating },
+        { sort, limit, offset: (page - 1) * limit }
+      )
+    ]);
+
+    res.json({
+      summary,
+      // Moderation details are only shown to the reviewer and moderators
+      reviews: reviews.map(({ status, moderation_note, moderated_at, ...review }) => review),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Write a review (only for products the user has received)
+router.post('/', authenticateToken, denyImpersonation, loadProduct, async (req, res) => {
+  const { review, error } = parseReviewInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const existing = await findUserReview(req.product.id, req.user.id);
+    if (existing) {
+      return res.status(409).json({ error: 'You have already reviewed this product', reviewId: existing.id });
+    }
+
+    const orderItem = await findDeliveredOrderItem(req.user.id, req.product.id);
+    if (!orderItem) {
+      return res.status(403).json({ error: 'Only customers who have received this product can review it' });
+    }
+
+    const created = await createReview(req.product.id, req.user.id, orderItem.id, review);
+
+    logActivity('product_reviews', created.id, 'INSERT', null, {
+      productId: req.product.id, orderItemId: orderItem.id, rating: created.rating
+    }, req.user.id);
+
+    res.status(201).json({
+      message: 'Review submitted and will be shown once approved',
+      review: created
+    });
+  } catch (error) {
+    // Two requests at once can both pass the existing review check
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: 'You have already reviewed this product' });
+    }
+    console.error('Create review error:', error);
+    res.status(500).json({ error: 'Failed to submit review' });
+  }
+});
+
+// Edit your own review (it is moderated again)
+router.put('/:reviewId', authenticateToken, denyImpersonation, loadProduct, async (req, res) => {
+  const { review: changes, error } = parseReviewInput(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const current = await getReview(req.params.reviewId, req.product.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (current.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only edit your own reviews' });
+    }
+
+    const updated = await updateReview(current, changes);
+
+    logActivity('product_reviews', current.id, 'UPDATE', {
+      rating: current.rating, title: current.title, body: current.body, status: current.status
+    }, changes, req.user.id);
+
+    res.json({
+      message: 'Review updated and will be shown once approved',
+      review: updated
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+// Delete a review (the reviewer or a moderator)
+router.delete('/:reviewId', authenticateToken, loadProduct, async (req, res) => {
+  try {
+    const review = await getReview(req.params.reviewId, req.product.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.user_id !== req.user.id && !hasPermission(req.user, 'reviews:moderate')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await deleteReview(review.id);
+
+    logActivity('product_reviews', review.id, 'DELETE', {
+      productId: review.product_id, userId: review.user_id, rating: review.rating, title: review.title, body: review.body
+    }, null, req.user.id);
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
+// Load an approved review for helpful votes
+async function loadVotableReview(req, res, next) {
+  try {
+    const review = await getReview(req.params.reviewId, req.product.id);
+    if (!review || review.status !== 'approved') {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.user_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot vote on your own review' });
+    }
+
+    req.review = review;
+    next();
+  } catch (error) {
+    console.error('Get review error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Mark a review as helpful
+router.post('/:reviewId/helpful', authenticateToken, denyImpersonation, loadProduct, loadVotableReview, async (req, res) => {
+  try {
+    const helpfulCount = await addHelpfulVote(req.review.id, req.user.id);
+    res.json({ message: 'Marked as helpful', helpfulCount });
+  } catch (error) {
+    console.error('Review vote error:', error);
+    res.status(500).json({ error: 'Failed to save vote' });
+  }
+});
+
+// Withdraw a helpful vote
+router.delete('/:reviewId/helpful', authenticateToken, denyImpersonation, loadProduct, loadVotableReview, async (req, res) => {
+  try {
+    const helpfulCount = await removeHelpfulVote(req.review.id, req.user.id);
+    res.json({ message: 'Vote removed', helpfulCount });
+  } catch (error) {
+    console.error('Review vote error:', error);
+    res.status(500).json({ error: 'Failed to remove vote' });
+  }
+});
+
+module.exports = router;
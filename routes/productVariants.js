@@ -0,0 +1,173 @@
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const {
+  parseVariantInput,
+  getProductOptions,
+  getVariants,
+  getVariant,
+  findVariantConflict,
+  createVariant,
+  updateVariant,
+  deleteVariant
+} = require('../services/productVariantService');
+
+// Mounted at /api/products/:productId/variants
+const router = express.Router({ mergeParams: true });
+
+const requireProductsWrite = requirePermission('products:write');
+
+// Deactivated variants are only listed for staff who manage products
+function authenticateForInactive(req, res, next) {
+  if (req.query.includeInactive !== 'true') {
+    return next();
+  }
+
+  authenticateToken(req, res, () => requireProductsWrite(req, res, next));
+}
+// Declared so API keys with products:write can list them too
+authenticateForInactive.requiredPermission = requireProductsWrite.requiredPermission;
+
+// Load the product the variants belong to
+function loadProduct(req, res, next) {
+  const query = `
+    SELECT id, name, price, is_active,
+      EXISTS (SELECT 1 FROM product_bundles WHERE product_id = products.id) as is_bundle
+    FROM products WHERE id = ?
+  `;
+
+  db.get(query, [req.params.productId], (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    req.product = product;
+    next();
+  });
+}
+
+// Get product options and variants
+router.get('/', authenticateForInactive, loadProduct, async (req, res) => {
+  const includeInactive = req.query.includeInactive === 'true';
+
+  if (!req.product.is_active && !includeInactive) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+
+  try {
+    const [options, variants] = await Promise.all([
+      getProductOptions(req.product.id),
+      getVariants([req.product.id], includeInactive)
+    ]);
+
+    res.json({ options, variants });
+  } catch (error) {
+    console.error('Get variants error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create variant
+router.post('/', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  const { variant, error } = parseVariantInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // A bundle's options are the variants chosen for its components
+  if (req.product.is_bundle) {
+    return res.status(409).json({ error: 'Bundles cannot have variants; use component variants instead' });
+  }
+
+  try {
+    const conflict = await findVariantConflict(req.product.id, variant);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+
+    const created = await createVariant(req.product.id, variant);
+
+    logActivity('product_variants', created.id, 'INSERT', null, {
+      productId: req.product.id, sku: created.sku, options: created.options, price: created.price_override
+    }, req.user.id);
+
+    res.status(201).json({
+      message: 'Variant created successfully',
+      variant: created
+    });
+  } catch (error) {
+    console.error('Create variant error:', error);
+    res.status(500).json({ error: 'Failed to create variant' });
+  }
+});
+
+// Update variant
+router.put('/:variantId', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  const { variant: changes, error } = parseVariantInput(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const current = await getVariant(req.product.id, req.params.variantId);
+    if (!current) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const conflict = await findVariantConflict(req.product.id, changes, current.id);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+
+    const updated = await updateVariant(current, changes);
+
+    logActivity('product_variants', current.id, 'UPDATE', {
+      sku: current.sku, options: current.options, price: current.price_override, isActive: current.is_active
+    }, changes, req.user.id);
+
+    res.json({
+      message: 'Variant updated successfully',
+      variant: updated
+    });
+  } catch (error) {
+    console.error('Update variant error:', error);
+    res.status(500).json({ error: 'Failed to update variant' });
+  }
+});
+
+// Delete variant (deactivated instead if it has been ordered or is part of a bundle)
+router.delete('/:variantId', authenticateToken, requireProductsWrite, loadProduct, async (req, res) => {
+  try {
+    const variant = await getVariant(req.product.id, req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const result = await deleteVariant(variant);
+
+    logActivity('product_variants', variant.id, 'DELETE', {
+      sku: variant.sku, options: variant.options
+    }, result, req.user.id);
+
+    res.json({
+      message: result.deleted
+        ? 'Variant deleted successfully'
+        : 'Variant has been ordered before or is part of a bundle, so it was deactivated instead of deleted',
+      ...result
+    });
+  } catch (error) {
+    console.error('Delete variant error:', error);
+    res.status(500).json({ error: 'Failed to delete variant' });
+  }
+});
+
+module.exports = router;
@@ -1,30 +1,42 @@
 const express = require('express');
 const { db } = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { logActivity } = require('../services/auditService');
+const { buildSearchFilter, buildHighlights } = require('../services/productSearchService');
+const { buildCatalogFilters, buildWhereClause, getFacets } = require('../services/productFacetService');
+const {
+  parseAttributesInput,
+  getProductAttributes,
+  getAttributesOfProducts,
+  setProductAttributes
+} = require('../services/productAttributeService');
+const { getAttributeSchema, checkProductAttributes, describeAttributes } = require('../services/categoryAttributeService');
+const { parseSeoInput, isSlugTaken, generateSlug, findBySlug } = require('../services/slugService');
+const { getProductOptions, getVariants } = require('../services/productVariantService');
+const { getBundle } = require('../services/productBundleService');
+const {
+  getProductDependencies,
+  getArchivedProducts,
+  restoreProduct,
+  purgeProduct
+} = require('../services/productArchiveService');
+const {
+  validateProductImages,
+  processProductImages,
+  formatProductImage
+} = require('../services/productImageService');
+const { RECOMMENDATION_TYPES, getRecommendations } = require('../services/recommendationService');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '..', 'uploads', 'products');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'product-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Columns the product list can be sorted by ("relevance" needs a search term, "rating" uses approved reviews)
+const SORT_COLUMNS = ['created_at', 'updated_at', 'name', 'price', 'rating'];
 
+// Configure multer for file uploads (kept in memory until processed)
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit
   },
@@ -41,40 +53,101 @@ const upload = multer({
   }
 });
 
-// Get all products with pagination and filtering
+// Reject unreadable, too small or too large images before the product is saved
+function validateUploadedImages(req, res, next) {
+  if (!req.files || req.files.length === 0) {
+    return next();
+  }
+
+  validateProductImages(req.files)
+    .then(error => (error ? res.status(400).json({ error }) : next()))
+    .catch(error => {
+      console.error('Image validation error:', error);
+      res.status(500).json({ error: 'Failed to read images' });
+    });
+}
+
+// Re-encode uploaded images (sizes, WebP, no EXIF) and save them for a product
+async function saveProductImages(productId, files, firstIsPrimary) {
+  const images = await processProductImages(files || []);
+
+  await Promise.all(images.map((image, index) => new Promise((resolve) => {
+    db.run(
+      `INSERT INTO product_images (product_id, image_url, is_primary, sort_order, width, height, renditions)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        productId, image.imageUrl, firstIsPrimary && index === 0 ? 1 : 0, index,
+        image.width, image.height, JSON.stringify(image.renditions)
+      ],
+      (err) => {
+        if (err) {
+          console.error('Failed to save product image:', err);
+        }
+        resolve();
+      }
+    );
+  })));
+}
+
+// Get all products with pagination, filtering, full-text search and facet counts
 router.get('/', (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const offset = (page - 1) * limit;
-  const category = req.query.category;
-  const search = req.query.search;
-  const sortBy = req.query.sortBy || 'created_at';
-  const sortOrder = req.query.sortOrder || 'DESC';
+  const searchFilter = buildSearchFilter(req.query.search);
+  const sortBy = req.query.sortBy || (searchFilter ? 'relevance' : 'created_at');
+  const sortOrder = String(req.query.sortOrder || 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-  let whereClause = 'WHERE p.is_active = 1';
-  let queryParams = [];
+  if (!SORT_COLUMNS.includes(sortBy) && sortBy !== 'relevance') {
+    return res.status(400).json({ error: `sortBy must be one of: relevance, ${SORT_COLUMNS.join(', ')}` });
+  }
 
-  if (category) {
-    whereClause += ' AND p.category_id = ?';
-    queryParams.push(category);
+  const { filters, error } = buildCatalogFilters(req.query, searchFilter);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
-  if (search) {
-    whereClause += ' AND (p.name LIKE ? OR p.description LIKE ?)';
-    queryParams.push(`%${search}%`, `%${search}%`);
+  const joinClause = searchFilter ? searchFilter.join : '';
+  const { whereClause, params: queryParams } = buildWhereClause(filters);
+
+  // Best match first (bm25 scores are lower for better matches); newest first without a ranked search
+  let orderClause = `p.${sortBy} ${sortOrder}`;
+  if (sortBy === 'price') {
+    orderClause = `cp.price ${sortOrder}`;
+  } else if (sortBy === 'relevance') {
+    orderClause = searchFilter && searchFilter.rankExpression ? 'search_rank, p.created_at DESC' : 'p.created_at DESC';
+  } else if (sortBy === 'rating') {
+    // Unreviewed products go last either way; ties go to the product with more reviews
+    orderClause = `rs.average_rating IS NULL, rs.average_rating ${sortOrder}, rs.review_count DESC, p.created_at DESC`;
   }
 
   const query = `
     SELECT 
       p.*,
+      p.price as base_price,
+      cp.price as price,
+      cp.compare_at_price,
+      cp.price_ends_at,
+      CASE WHEN pb.product_id IS NULL THEN 'simple' ELSE 'bundle' END as product_type,
       c.name as category_name,
       i.quantity as stock_quantity,
-      (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = 1 LIMIT 1) as primary_image
+      pimg.image_url as primary_image,
+      pimg.renditions as primary_image_renditions,
+      rs.average_rating,
+      COALESCE(rs.review_count, 0) as review_count
+      ${searchFilter && searchFilter.rankExpression ? `, ${searchFilter.rankExpression} as search_rank` : ''}
     FROM products p
+    ${joinClause}
     LEFT JOIN categories c ON p.category_id = c.id
-    LEFT JOIN inventory i ON p.id = i.product_id
+    LEFT JOIN product_stock i ON i.product_id = p.id
+    LEFT JOIN product_current_prices cp ON cp.product_id = p.id
+    LEFT JOIN product_bundles pb ON pb.product_id = p.id
+    LEFT JOIN product_rating_summary rs ON rs.product_id = p.id
+    LEFT JOIN product_images pimg ON pimg.id = (
+      SELECT id FROM product_images WHERE product_id = p.id AND is_primary = 1 LIMIT 1
+    )
     ${whereClause}
-    ORDER BY p.${sortBy} ${sortOrder}
+    ORDER BY ${orderClause}
     LIMIT ? OFFSET ?
   `;
 
@@ -89,45 +162,194 @@ router.get('/', (req, res) => {
     const countQuery = `
       SELECT COUNT(*) as total
       FROM products p
+      ${joinClause}
+      LEFT JOIN product_stock i ON i.product_id = p.id
       ${whereClause}
     `;
 
-    db.get(countQuery, queryParams.slice(0, -2), (err, countResult) => {
+    db.get(countQuery, queryParams.slice(0, -2), async (err, countResult) => {
       if (err) {
         return res.status(500).json({ error: 'Database error' });
       }
 
+      let facets;
+      let variants;
+      let attributes;
+      try {
+        [facets, variants, attributes] = await Promise.all([
+          getFacets(filters, joinClause),
+          getVariants(products.map(product => product.id)),
+          getAttributesOfProducts(products.map(product => product.id))
+        ]);
+      } catch (error) {
+        console.error('Product facets error:', error);
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      products.forEach(product => {
+        // Products with variants are added to the cart per variant
+        product.variants = variants.filter(variant => variant.product_id === product.id);
+        product.attributes = attributes.get(product.id) || {};
+
+        // Grid cards use the card-sized image rather than the full-size one
+        const { sizes, srcset, webpSrcset } = formatProductImage({ renditions: product.primary_image_renditions });
+        delete product.primary_image_renditions;
+        if (sizes) {
+          product.primary_image = sizes.card.url;
+        }
+        product.primary_image_srcset = srcset;
+        product.primary_image_webp_srcset = webpSrcset;
+      });
+
       res.json({
-        products,
+        products: searchFilter
+          ? products.map(({ search_rank, ...product }) => ({
+            ...product,
+            highlights: buildHighlights(product, searchFilter.terms)
+          }))
+          : products,
         pagination: {
           page,
           limit,
           total: countResult.total,
           pages: Math.ceil(countResult.total / limit)
-        }
+        },
+        facets
       });
     });
   });
 });
 
+// Get archived (deleted) products with what still refers to them
+router.get('/archived', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  try {
+    const { products, total } = await getArchivedProducts(
+      { search: req.query.search || null },
+      { limit, offset: (page - 1) * limit }
+    );
+
+    res.json({
+      products,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get archived products error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // Get single product by ID
 router.get('/:id', (req, res) => {
-  const productId = req.params.id;
+  // Products are found by ID or slug; an old slug redirects to the current one
+  if (/^\d+$/.test(req.params.id)) {
+    return sendProduct(req.params.id);
+  }
 
-  const query = `
-    SELECT 
-      p.*,
-      c.name as category_name,
-      i.quantity as stock_quantity,
-      i.reserved_quantity,
-      i.reorder_level
-    FROM products p
-    LEFT JOIN categories c ON p.category_id = c.id
-    LEFT JOIN inventory i ON p.id = i.product_id
-    WHERE p.id = ? AND p.is_active = 1
-  `;
+  findBySlug('product', req.params.id)
+    .then(found => {
+      if (!found) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      if (!found.current) {
+        return res.redirect(301, `${req.baseUrl}/${encodeURIComponent(found.slug)}`);
+      }
+
+      sendProduct(found.id);
+    })
+    .catch(() => res.status(500).json({ error: 'Database error' }));
+
+  function sendProduct(productId) {
+    // Stock is summed over active variants for products with variants, and is
+    // what the components allow for bundles; price is the one in effect now
+    // (see /api/products/:id/prices)
+    const query = `
+      SELECT 
+        p.*,
+        p.price as base_price,
+        cp.price as price,
+        cp.compare_at_price,
+        cp.price_ends_at,
+        CASE WHEN pb.product_id IS NULL THEN 'simple' ELSE 'bundle' END as product_type,
+        c.name as category_name,
+        i.quantity as stock_quantity,
+        i.reserved_quantity,
+        pi.reorder_level,
+        rs.average_rating,
+        COALESCE(rs.review_count, 0) as review_count
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      LEFT JOIN product_stock i ON i.product_id = p.id
+      LEFT JOIN product_current_prices cp ON cp.product_id = p.id
+      LEFT JOIN product_bundles pb ON pb.product_id = p.id
+      LEFT JOIN product_rating_summary rs ON rs.product_id = p.id
+      LEFT JOIN inventory pi ON pi.product_id = p.id AND pi.variant_id IS NULL
+      WHERE p.id = ? AND p.is_active = 1
+    `;
+
+    db.get(query, [productId], (err, product) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      // Get product images
+      db.all(
+        'SELECT * FROM product_images WHERE product_id = ? ORDER BY sort_order, is_primary DESC',
+        [productId],
+        (err, images) => {
+          if (err) {
+            return res.status(500).json({ error: 'Database error' });
+          }
+
+          product.images = images.map(formatProductImage);
+
+          Promise.all([
+            getProductAttributes(productId),
+            getAttributeSchema(product.category_id),
+            getProductOptions(productId),
+            getVariants([product.id]),
+            product.product_type === 'bundle' ? getBundle(product.id) : null
+          ])
+            .then(([attributes, attributeSchema, options, variants, bundle]) => {
+              product.attributes = attributes;
+              // Labelled and typed for the specification table
+              product.attribute_list = describeAttributes(attributes, attributeSchema);
+              product.options = options;
+              product.variants = variants;
+              product.bundle = bundle;
+              res.json({ product });
+            })
+            .catch(() => res.status(500).json({ error: 'Database error' }));
+        }
+      );
+    });
+  }
+});
 
-  db.get(query, [productId], (err, product) => {
+// Get "bought together" and similar products for the product page and cart
+// (?exclude=1,2 skips products already in the cart, ?type= returns one list)
+router.get('/:id/recommendations', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 6, 20);
+  const types = req.query.type ? [req.query.type] : Object.keys(RECOMMENDATION_TYPES);
+  const excludeIds = String(req.query.exclude || '').split(',').map(id => parseInt(id)).filter(id => id > 0);
+
+  if (!RECOMMENDATION_TYPES[types[0]]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(RECOMMENDATION_TYPES).join(', ')}` });
+  }
+
+  db.get('SELECT id FROM products WHERE id = ? AND is_active = 1', [req.params.id], async (err, product) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
@@ -136,24 +358,18 @@ router.get('/:id', (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    // Get product images
-    db.all(
-      'SELECT * FROM product_images WHERE product_id = ? ORDER BY sort_order, is_primary DESC',
-      [productId],
-      (err, images) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        product.images = images;
-        res.json({ product });
-      }
-    );
+    try {
+      const recommendations = await getRecommendations(product.id, { types, limit, excludeIds });
+      res.json({ productId: product.id, ...recommendations });
+    } catch (error) {
+      console.error('Get recommendations error:', error);
+      res.status(500).json({ error: 'Database error' });
+    }
   });
 });
 
-// Create new product (Admin only)
-router.post('/', authenticateToken, requireAdmin, upload.array('images', 5), (req, res) => {
+// Create new product
+router.post('/', authenticateToken, requirePermission('products:write'), upload.array('images', 5), validateUploadedImages, (req, res) => {
   const {
     name, description, categoryId, price, costPrice, sku,
     weight, dimensions, stockQuantity, reorderLevel
@@ -164,8 +380,21 @@ router.post('/', authenticateToken, requireAdmin, upload.array('images', 5), (re
     return res.status(400).json({ error: 'Name, category, price, and SKU are required' });
   }
 
-  // Check if SKU already exists
-  db.get('SELECT id FROM products WHERE sku = ?', [sku], (err, existingProduct) => {
+  const { attributes, error: attributesError } = req.body.attributes !== undefined
+    ? parseAttributesInput(req.body.attributes)
+    : { attributes: {} };
+  if (attributesError) {
+    return res.status(400).json({ error: attributesError });
+  }
+
+  const { seo, error: seoError } = parseSeoInput(req.body);
+  if (seoError) {
+    return res.status(400).json({ error: seoError });
+  }
+
+  // Check if SKU already exists (variant SKUs share the namespace)
+  const skuQuery = 'SELECT id FROM products WHERE sku = ? UNION ALL SELECT product_id FROM product_variants WHERE sku = ?';
+  db.get(skuQuery, [sku, sku], (err, existingProduct) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
@@ -174,11 +403,31 @@ router.post('/', authenticateToken, requireAdmin, upload.array('images', 5), (re
       return res.status(409).json({ error: 'SKU already exists' });
     }
 
+    // Attributes must fit the attribute schema of the product's category
+    checkProductAttributes(categoryId, attributes)
+      .then(async result => {
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+
+        // Without a slug of its own the product gets one made from its name
+        if (seo.slug && await isSlugTaken('product', seo.slug)) {
+          return res.status(409).json({ error: `Slug ${seo.slug} is already used by another product` });
+        }
+
+        createProduct(result.attributes, seo.slug || await generateSlug('product', name));
+      })
+      .catch(() => res.status(500).json({ error: 'Database error' }));
+  });
+
+  function createProduct(attributes, slug) {
     // Insert product
     db.run(
-      `INSERT INTO products (name, description, category_id, price, cost_price, sku, weight, dimensions)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [name, description, categoryId, price, costPrice || null, sku, weight || null, dimensions || null],
+      `INSERT INTO products (name, description, category_id, price, cost_price, sku, weight, dimensions,
+         slug, meta_title, meta_description)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [name, description, categoryId, price, costPrice || null, sku, weight || null, dimensions || null,
+        slug, seo.metaTitle || null, seo.metaDescription || null],
       function(err) {
         if (err) {
           return res.status(500).json({ error: 'Failed to create product' });
@@ -197,46 +446,63 @@ router.post('/', authenticateToken, requireAdmin, upload.array('images', 5), (re
           }
         );
 
-        // Handle image uploads
-        if (req.files && req.files.length > 0) {
-          req.files.forEach((file, index) => {
-            const imageUrl = `/uploads/products/${file.filename}`;
-            const isPrimary = index === 0 ? 1 : 0;
-
-            db.run(
-              'INSERT INTO product_images (product_id, image_url, is_primary, sort_order) VALUES (?, ?, ?, ?)',
-              [productId, imageUrl, isPrimary, index],
-              (err) => {
-                if (err) {
-                  console.error('Failed to save product image:', err);
-                }
-              }
-            );
-          });
-        }
-
         // Log activity
         logActivity('products', productId, 'INSERT', null, {
-          name, categoryId, price, sku
+          name, categoryId, price, sku, slug, attributes
         }, req.user.id);
 
-        res.status(201).json({
-          message: 'Product created successfully',
-          productId
-        });
+        // Attributes are saved before answering, so the product reads back complete
+        if (Object.keys(attributes).length === 0) {
+          return handleImageUploads();
+        }
+
+        setProductAttributes(productId, attributes)
+          .then(handleImageUploads)
+          .catch(error => {
+            console.error('Failed to save product attributes:', error);
+            res.status(500).json({ error: 'Product created, but its attributes could not be saved', productId });
+          });
+
+        function handleImageUploads() {
+          // Handle image uploads (the first one becomes the primary image)
+          saveProductImages(productId, req.files, true)
+            .then(() => {
+              res.status(201).json({
+                message: 'Product created successfully',
+                productId,
+                slug
+              });
+            })
+            .catch(error => {
+              console.error('Failed to process product images:', error);
+              res.status(500).json({ error: 'Product created, but its images could not be saved', productId });
+            });
+        }
       }
     );
-  });
+  }
 });
 
-// Update product (Admin only)
-router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), (req, res) => {
+// Update product
+router.put('/:id', authenticateToken, requirePermission('products:write'), upload.array('images', 5), validateUploadedImages, (req, res) => {
   const productId = req.params.id;
   const {
     name, description, categoryId, price, costPrice, sku,
     weight, dimensions, isActive
   } = req.body;
 
+  const { attributes, error: attributesError } = req.body.attributes !== undefined
+    ? parseAttributesInput(req.body.attributes)
+    : { attributes: null };
+  if (attributesError) {
+    return res.status(400).json({ error: attributesError });
+  }
+
+  const { seo, error: seoError } = parseSeoInput(req.body);
+  if (seoError) {
+    return res.status(400).json({ error: seoError });
+  }
+
   // Get current product data for audit log
   db.get('SELECT * FROM products WHERE id = ?', [productId], (err, oldProduct) => {
     if (err) {
@@ -247,9 +513,56 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), (
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    const newCategoryId = categoryId !== undefined ? Number(categoryId) : oldProduct.category_id;
+    const categoryChanged = newCategoryId !== oldProduct.category_id;
+    let validatedAttributes = null;
+    let newSlug = null;
+
+    // Attributes must fit the attribute schema of the product's category; a
+    // product moved to another category has its current attributes checked again
+    if (attributes || categoryChanged) {
+      Promise.resolve(attributes || getProductAttributes(productId))
+        .then(values => checkProductAttributes(newCategoryId, values))
+        .then(result => {
+          if (result.error) {
+            return res.status(400).json({ error: result.error });
+          }
+
+          validatedAttributes = result.attributes;
+          checkSlug();
+        })
+        .catch(() => res.status(500).json({ error: 'Database error' }));
+    } else {
+      checkSlug();
+    }
+
+    // A renamed product gets a slug made from its new name unless a slug is
+    // sent; the old slug keeps redirecting to it
+    async function checkSlug() {
+      try {
+        if (seo.slug) {
+          if (await isSlugTaken('product', seo.slug, oldProduct.id)) {
+            return res.status(409).json({ error: `Slug ${seo.slug} is already used by another product` });
+          }
+          newSlug = seo.slug;
+        } else if (name !== undefined && name !== oldProduct.name) {
+          newSlug = await generateSlug('product', name, oldProduct.id);
+        }
+      } catch (error) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      checkSku();
+    }
+
     // Check if SKU already exists (excluding current product)
-    if (sku && sku !== oldProduct.sku) {
-      db.get('SELECT id FROM products WHERE sku = ? AND id != ?', [sku, productId], (err, existingProduct) => {
+    function checkSku() {
+      if (!sku || sku === oldProduct.sku) {
+        return updateProduct();
+      }
+
+      const skuQuery = 'SELECT id FROM products WHERE sku = ? AND id != ? UNION ALL SELECT product_id FROM product_variants WHERE sku = ?';
+      db.get(skuQuery, [sku, productId, sku], (err, existingProduct) => {
         if (err) {
           return res.status(500).json({ error: 'Database error' });
         }
@@ -260,8 +573,6 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), (
 
         updateProduct();
       });
-    } else {
-      updateProduct();
     }
 
     function updateProduct() {
@@ -304,8 +615,20 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), (
         updateFields.push('is_active = ?');
         updateValues.push(isActive ? 1 : 0);
       }
+      if (newSlug && newSlug !== oldProduct.slug) {
+        updateFields.push('slug = ?');
+        updateValues.push(newSlug);
+      }
+      if (seo.metaTitle !== undefined) {
+        updateFields.push('meta_title = ?');
+        updateValues.push(seo.metaTitle);
+      }
+      if (seo.metaDescription !== undefined) {
+        updateFields.push('meta_description = ?');
+        updateValues.push(seo.metaDescription);
+      }
 
-      if (updateFields.length === 0 && (!req.files || req.files.length === 0)) {
+      if (updateFields.length === 0 && !attributes && (!req.files || req.files.length === 0)) {
         return res.status(400).json({ error: 'No fields to update' });
       }
 
@@ -320,41 +643,43 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), (
             return res.status(500).json({ error: 'Failed to update product' });
           }
 
-          handleImageUploads();
+          handleAttributes();
         });
       } else {
-        handleImageUploads();
+        handleAttributes();
       }
 
-      function handleImageUploads() {
-        // Handle new image uploads
-        if (req.files && req.files.length > 0) {
-          req.files.forEach((file, index) => {
-            const imageUrl = `/uploads/products/${file.filename}`;
-
-            db.run(
-              'INSERT INTO product_images (product_id, image_url, is_primary, sort_order) VALUES (?, ?, ?, ?)',
-              [productId, imageUrl, 0, index],
-              (err) => {
-                if (err) {
-                  console.error('Failed to save product image:', err);
-                }
-              }
-            );
-          });
+      function handleAttributes() {
+        if (!validatedAttributes) {
+          return handleImageUploads();
         }
 
+        setProductAttributes(productId, validatedAttributes)
+          .then(handleImageUploads)
+          .catch(error => {
+            console.error('Failed to save product attributes:', error);
+            res.status(500).json({ error: 'Failed to update product attributes' });
+          });
+      }
+
+      function handleImageUploads() {
         // Log activity
         logActivity('products', productId, 'UPDATE', oldProduct, req.body, req.user.id);
 
-        res.json({ message: 'Product updated successfully' });
+        // Handle new image uploads
+        saveProductImages(productId, req.files, false)
+          .then(() => res.json({ message: 'Product updated successfully' }))
+          .catch(error => {
+            console.error('Failed to process product images:', error);
+            res.status(500).json({ error: 'Product updated, but its images could not be saved' });
+          });
       }
     }
   });
 });
 
-// Delete product (Admin only)
-router.delete('/:id', authenticateToken, requireAdmin, (req, res) => {
+// Delete (archive) product: hidden from the catalog, kept for order history
+router.delete('/:id', authenticateToken, requirePermission('products:write'), (req, res) => {
   const productId = req.params.id;
 
   // Get product data for audit log
@@ -371,7 +696,7 @@ router.delete('/:id', authenticateToken, requireAdmin, (req, res) => {
     db.run(
       'UPDATE products SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       [productId],
-      function(err) {
+      async function(err) {
         if (err) {
           return res.status(500).json({ error: 'Failed to delete product' });
         }
@@ -379,12 +704,92 @@ router.delete('/:id', authenticateToken, requireAdmin, (req, res) => {
         // Log activity
         logActivity('products', productId, 'DELETE', product, null, req.user.id);
 
-        res.json({ message: 'Product deleted successfully' });
+        // Open orders are still fulfilled; carts hide the product until it is restored
+        let dependencies = null;
+        try {
+          dependencies = await getProductDependencies(product.id);
+        } catch (error) {
+          console.error('Product dependencies error:', error);
+        }
+
+        res.json({ message: 'Product archived successfully', dependencies });
       }
     );
   });
 });
 
+// Restore an archived product
+router.post('/:id/restore', authenticateToken, requirePermission('products:write'), (req, res) => {
+  db.get('SELECT id, name, is_active FROM products WHERE id = ?', [req.params.id], async (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (product.is_active) {
+      return res.status(409).json({ error: 'Product is not archived' });
+    }
+
+    try {
+      await restoreProduct(product.id);
+
+      logActivity('products', product.id, 'UPDATE', { is_active: 0 }, { is_active: 1, restored: true }, req.user.id);
+
+      res.json({ message: 'Product restored successfully' });
+    } catch (error) {
+      console.error('Restore product error:', error);
+      res.status(500).json({ error: 'Failed to restore product' });
+    }
+  });
+});
+
+// Permanently delete an archived product that no order or bundle refers to
+router.delete('/:id/purge', authenticateToken, requirePermission('products:write'), (req, res) => {
+  db.get('SELECT * FROM products WHERE id = ?', [req.params.id], async (err, product) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (product.is_active) {
+      return res.status(409).json({ error: 'Archive the product before purging it' });
+    }
+
+    try {
+      const dependencies = await getProductDependencies(product.id);
+
+      if (dependencies.orders > 0) {
+        return res.status(409).json({
+          error: 'Product appears in orders and is kept for order history; it can stay archived',
+          dependencies
+        });
+      }
+
+      if (dependencies.bundles > 0) {
+        return res.status(409).json({
+          error: 'Product is a component of a bundle; remove it from the bundle first',
+          dependencies
+        });
+      }
+
+      const removed = await purgeProduct(product.id);
+
+      logActivity('products', product.id, 'DELETE', product, { purged: true, ...removed }, req.user.id);
+
+      res.json({ message: 'Product purged successfully', removed });
+    } catch (error) {
+      console.error('Purge product error:', error);
+      res.status(500).json({ error: 'Failed to purge product' });
+    }
+  });
+});
+
 // Get product categories
 router.get('/categories/list', (req, res) => {
   db.all(
@@ -0,0 +1,116 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const { sendNotification } = require('../services/notificationService');
+const {
+  REVIEW_STATUSES,
+  REVIEW_SORTS,
+  MAX_MODERATION_NOTE_LENGTH,
+  getReviews,
+  getReview,
+  moderateReview
+} = require('../services/productReviewService');
+
+// Review moderation and the signed-in user's own reviews (reviews of one
+// product are under /api/products/:productId/reviews)
+const router = express.Router();
+
+// Get the current user's reviews in every status, with moderation notes
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const { reviews } = await getReviews({ userId: req.user.id }, { limit: -1 });
+    res.json({ reviews });
+  } catch (error) {
+    console.error('Get my reviews error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Moderation queue: pending reviews, oldest first by default
+router.get('/', authenticateToken, requirePermission('reviews:moderate'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const status = req.query.status || 'pending';
+  const sort = req.query.sort || 'oldest';
+
+  if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: all, ${REVIEW_STATUSES.join(', ')}` });
+  }
+
+  if (!REVIEW_SORTS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+  }
+
+  try {
+    const { reviews, total } = await getReviews(
+      {
+        status: status === 'all' ? null : status,
+        productId: parseInt(req.query.productId) || null,
+        rating: parseInt(req.query.rating) || null
+      },
+      { sort, limit, offset: (page - 1) * limit }
+    );
+
+    res.json({
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Approve or reject a review
+router.put('/:id/moderation', authenticateToken, requirePermission('reviews:moderate'), async (req, res) => {
+  const { status } = req.body;
+  const note = req.body.note ? String(req.body.note).trim() : null;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    return res.status(400).json({ error: 'status must be approved or rejected' });
+  }
+
+  if (note && note.length > MAX_MODERATION_NOTE_LENGTH) {
+    return res.status(400).json({ error: `Note is longer than ${MAX_MODERATION_NOTE_LENGTH} characters` });
+  }
+
+  try {
+    const review = await getReview(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const updated = await moderateReview(review, status, note || null, req.user.id);
+
+    logActivity('product_reviews', review.id, 'UPDATE', {
+      status: review.status, moderationNote: review.moderation_note
+    }, { status, moderationNote: note || null }, req.user.id);
+
+    if (review.status !== status) {
+      sendNotification(
+        review.user_id,
+        status === 'approved' ? 'review_approved' : 'review_rejected',
+        status === 'approved' ? 'Review Published' : 'Review Not Published',
+        status === 'approved'
+          ? `Your review of ${review.product_name} is now visible to other customers.`
+          : `Your review of ${review.product_name} was not published.${note ? ` Reason: ${note}` : ''}`,
+        { reviewId: review.id, productId: review.product_id }
+      );
+    }
+
+    res.json({
+      message: `Review ${status}`,
+      review: updated
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({ error: 'Failed to moderate review' });
+  }
+});
+
+module.exports = router;
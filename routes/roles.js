@@ -0,0 +1,222 @@
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logActivity } = require('../services/auditService');
+const {
+  getRolesWithPermissions,
+  setRolePermissions,
+  findUnknownPermissions,
+  findPermissionsNotHeld
+} = require('../services/permissionService');
+const { SUPERUSER_ROLE } = require('../config/permissions');
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission('roles:manage'));
+
+// Validate a permission list from the request body. Permissions the role
+// does not have yet must be held by the caller, or roles:manage would be
+// enough to grant oneself anything.
+async function validatePermissions(req, res, permissions, currentPermissions = []) {
+  if (!Array.isArray(permissions)) {
+    res.status(400).json({ error: 'Permissions must be an array' });
+    return false;
+  }
+
+  const unknown = await findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    res.status(400).json({ error: 'Unknown permissions', permissions: unknown });
+    return false;
+  }
+
+  const added = permissions.filter(permission => !currentPermissions.includes(permission));
+  const notHeld = findPermissionsNotHeld(req.user, added);
+  if (notHeld.length > 0) {
+    res.status(403).json({ error: 'You can only grant permissions you hold', permissions: notHeld });
+    return false;
+  }
+
+  return true;
+}
+
+// Get all permissions
+router.get('/permissions', (req, res) => {
+  db.all('SELECT id, name, description FROM permissions ORDER BY name', [], (err, permissions) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    res.json({ permissions });
+  });
+});
+
+// Get all roles with their permissions
+router.get('/', async (req, res) => {
+  try {
+    const roles = await getRolesWithPermissions();
+    res.json({ roles });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get single role with its permissions and members
+router.get('/:id', async (req, res) => {
+  try {
+    const [role] = await getRolesWithPermissions(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    db.all(
+      `SELECT u.id, u.username, u.email, u.first_name, u.last_name
+       FROM users u
+       WHERE u.role = ? OR u.id IN (SELECT user_id FROM user_roles WHERE role_id = ?)
+       ORDER BY u.username`,
+      [role.name, role.id],
+      (err, users) => {
+        if (err) {
+          return res.status(500).json({ error: 'Database error' });
+        }
+
+        role.users = users;
+        res.json({ role });
+      }
+    );
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create role
+router.post('/', async (req, res) => {
+  const { name, description, permissions = [] } = req.body;
+
+  if (!name || !/^[a-z][a-z0-9_-]{1,49}$/.test(name)) {
+    return res.status(400).json({ error: 'Role name must be 2-50 lowercase letters, digits, "-" or "_"' });
+  }
+
+  try {
+    if (!(await validatePermissions(req, res, permissions))) {
+      return;
+    }
+  } catch (error) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  db.run(
+    'INSERT INTO roles (name, description) VALUES (?, ?)',
+    [name, description || null],
+    async function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(409).json({ error: 'Role already exists' });
+        }
+        return res.status(500).json({ error: 'Failed to create role' });
+      }
+
+      const roleId = this.lastID;
+
+      try {
+        await setRolePermissions(roleId, permissions);
+
+        logActivity('roles', roleId, 'INSERT', null, { name, description, permissions }, req.user.id);
+
+        const [role] = await getRolesWithPermissions(roleId);
+        res.status(201).json({ message: 'Role created successfully', role });
+      } catch (error) {
+        console.error('Create role error:', error);
+        res.status(500).json({ error: 'Failed to set role permissions' });
+      }
+    }
+  );
+});
+
+// Update role description and permissions
+router.put('/:id', async (req, res) => {
+  const roleId = req.params.id;
+  const { description, permissions } = req.body;
+
+  try {
+    const [oldRole] = await getRolesWithPermissions(roleId);
+
+    if (!oldRole) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (oldRole.name === SUPERUSER_ROLE) {
+      return res.status(400).json({ error: 'The admin role cannot be modified' });
+    }
+
+    if (permissions !== undefined && !(await validatePermissions(req, res, permissions, oldRole.permissions))) {
+      return;
+    }
+
+    if (description !== undefined) {
+      await new Promise((resolve, reject) => {
+        db.run(
+          'UPDATE roles SET description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [description, roleId],
+          (err) => (err ? reject(err) : resolve())
+        );
+      });
+    }
+
+    if (permissions !== undefined) {
+      await setRolePermissions(roleId, permissions);
+    }
+
+    logActivity('roles', roleId, 'UPDATE', oldRole, req.body, req.user.id);
+
+    const [role] = await getRolesWithPermissions(roleId);
+    res.json({ message: 'Role updated successfully', role });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Delete role (built-in roles cannot be deleted)
+router.delete('/:id', (req, res) => {
+  const roleId = req.params.id;
+
+  db.get('SELECT * FROM roles WHERE id = ?', [roleId], (err, role) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    // A role still used as someone's base role would leave that user without a valid role
+    db.get('SELECT COUNT(*) as count FROM users WHERE role = ?', [role.name], (err, result) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (result.count > 0) {
+        return res.status(400).json({ error: 'Role is the base role of existing users' });
+      }
+
+      db.run('DELETE FROM roles WHERE id = ?', [roleId], (err) => {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to delete role' });
+        }
+
+        logActivity('roles', roleId, 'DELETE', role, null, req.user.id);
+
+        res.json({ message: 'Role deleted successfully' });
+      });
+    });
+  });
+});
+
+module.exports = router;
@@ -1,12 +1,39 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const { db } = require('../config/database');
-const { authenticateToken, requireAdmin, requireOwnershipOrAdmin } = require('../middleware/auth');
+const {
+  authenticateToken,
+  hasPermission,
+  requirePermission,
+  requireOwnershipOrPermission,
+  denyImpersonation
+} = require('../middleware/auth');
 const { logActivity } = require('../services/auditService');
+const { getUserSessions, revokeSession, revokeUserSessions } = require('../services/sessionService');
+const { getLoginHistory } = require('../services/loginAttemptService');
+const {
+  getUserRoles,
+  getUserPermissions,
+  getRoleByName,
+  getRolesWithPermissions,
+  findPermissionsNotHeld
+} = require('../services/permissionService');
+const {
+  collectUserData,
+  getOpenOrders,
+  createErasureRequest,
+  getErasureRequest,
+  listErasureRequests,
+  closeErasureRequest,
+  eraseUserData
+} = require('../services/privacyService');
+const { getPurchasableItem } = require('../services/productVariantService');
+const { createZip } = require('../utils/zip');
 
 const router = express.Router();
 
-// Get all users (Admin only)
-router.get('/', authenticateToken, requireAdmin, (req, res) => {
+// Get all users
+router.get('/', authenticateToken, requirePermission('users:read'), (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const offset = (page - 1) * limit;
@@ -62,8 +89,79 @@ router.get('/', authenticateToken, requireAdmin, (req, res) => {
   });
 });
 
+// Get erasure requests of all users
+router.get('/erasure-requests', authenticateToken, requirePermission('users:erase'), async (req, res) => {
+  try {
+    const requests = await listErasureRequests({ status: req.query.status });
+    res.json({ requests });
+  } catch (error) {
+    console.error('Get erasure requests error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Carry out an erasure request (anonymizes the account; orders and payments are kept)
+router.post('/erasure-requests/:requestId/complete', authenticateToken, denyImpersonation, requirePermission('users:erase'), async (req, res) => {
+  try {
+    const request = await getErasureRequest(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({ error: 'Erasure request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Erasure request is already ${request.status}` });
+    }
+
+    // Staff accounts must lose their roles first so nobody erases an administrator by accident
+    const permissions = await getUserPermissions(request.user_id);
+    if (permissions.length > 0) {
+      return res.status(409).json({ error: 'Remove the staff roles of this account before erasing it' });
+    }
+
+    // Orders still being fulfilled need the delivery address
+    const openOrders = await getOpenOrders(request.user_id);
+    if (openOrders.length > 0) {
+      return res.status(409).json({ error: 'The account has orders that are still open', orders: openOrders });
+    }
+
+    const result = await eraseUserData(request.id, req.user.id);
+
+    logActivity('users', request.user_id, 'ERASE', null, { requestId: request.id, ...result }, req.user.id);
+
+    res.json({ message: 'User data erased successfully', ...result });
+  } catch (error) {
+    console.error('Erase user data error:', error);
+    res.status(500).json({ error: 'Failed to erase user data' });
+  }
+});
+
+// Reject an erasure request
+router.post('/erasure-requests/:requestId/reject', authenticateToken, requirePermission('users:erase'), async (req, res) => {
+  const { note } = req.body;
+
+  if (!note || !String(note).trim()) {
+    return res.status(400).json({ error: 'A note explaining the rejection is required' });
+  }
+
+  try {
+    const rejected = await closeErasureRequest(req.params.requestId, 'rejected', req.user.id, String(note).trim());
+
+    if (!rejected) {
+      return res.status(404).json({ error: 'Pending erasure request not found' });
+    }
+
+    logActivity('data_erasure_requests', req.params.requestId, 'UPDATE', null, { status: 'rejected' }, req.user.id);
+
+    res.json({ message: 'Erasure request rejected' });
+  } catch (error) {
+    console.error('Reject erasure request error:', error);
+    res.status(500).json({ error: 'Failed to reject erasure request' });
+  }
+});
+
 // Get user by ID
-router.get('/:id', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+router.get('/:id', authenticateToken, requireOwnershipOrPermission('users:read'), (req, res) => {
   const userId = req.params.id;
 
   db.get(
@@ -95,14 +193,16 @@ router.get('/:id', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
   );
 });
 
-// Update user (Admin or user themselves)
-router.put('/:id', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+// Update user (user themselves, or users:write; base role changes need roles:manage)
+router.put('/:id', authenticateToken, denyImpersonation, requireOwnershipOrPermission('users:write'), (req, res) => {
   const userId = req.params.id;
   const { firstName, lastName, phone, role, isActive } = req.body;
-  const isAdmin = req.user.role === 'admin';
+  const canManageUsers = hasPermission(req.user, 'users:write');
+  const canManageRoles = hasPermission(req.user, 'roles:manage');
+  const changeRole = canManageRoles && role !== undefined;
 
   // Get current user data
-  db.get('SELECT * FROM users WHERE id = ?', [userId], (err, oldUser) => {
+  db.get('SELECT * FROM users WHERE id = ?', [userId], async (err, oldUser) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
@@ -111,6 +211,24 @@ router.put('/:id', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    try {
+      const newRole = changeRole ? await getRoleByName(role) : null;
+      if (changeRole && !newRole) {
+        return res.status(400).json({ error: 'Role does not exist' });
+      }
+
+      // A base role can only carry permissions the caller holds
+      if (newRole && role !== oldUser.role) {
+        const [{ permissions }] = await getRolesWithPermissions(newRole.id);
+        const notHeld = findPermissionsNotHeld(req.user, permissions);
+        if (notHeld.length > 0) {
+          return res.status(403).json({ error: 'You can only grant permissions you hold', permissions: notHeld });
+        }
+      }
+    } catch (error) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
     const updateFields = [];
     const updateValues = [];
 
@@ -127,16 +245,14 @@ router.put('/:id', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
       updateValues.push(phone);
     }
 
-    // Only admin can update role and active status
-    if (isAdmin) {
-      if (role !== undefined) {
-        updateFields.push('role = ?');
-        updateValues.push(role);
-      }
-      if (isActive !== undefined) {
-        updateFields.push('is_active = ?');
-        updateValues.push(isActive ? 1 : 0);
-      }
+    // Role and active status can only be changed by staff with the matching permission
+    if (changeRole) {
+      updateFields.push('role = ?');
+      updateValues.push(role);
+    }
+    if (canManageUsers && isActive !== undefined) {
+      updateFields.push('is_active = ?');
+      updateValues.push(isActive ? 1 : 0);
     }
 
     if (updateFields.length === 0) {
@@ -156,13 +272,329 @@ router.put('/:id', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
       // Log activity
       logActivity('users', userId, 'UPDATE', oldUser, req.body, req.user.id);
 
-      res.json({ message: 'User updated successfully' });
+      // Deactivation or a role change must not leave old tokens usable
+      const roleChanged = changeRole && role !== oldUser.role;
+      const deactivated = canManageUsers && isActive !== undefined && !isActive;
+
+      if (!roleChanged && !deactivated) {
+        return res.json({ message: 'User updated successfully' });
+      }
+
+      revokeUserSessions(userId, 'admin')
+        .then(revokedCount => {
+          res.json({ message: 'User updated successfully', revokedSessions: revokedCount });
+        })
+        .catch(error => {
+          console.error('Session revocation error:', error);
+          res.status(500).json({ error: 'User updated but sessions could not be revoked' });
+        });
     });
   });
 });
 
+// Get user's active sessions
+router.get('/:id/sessions', authenticateToken, requireOwnershipOrPermission('users:read'), async (req, res) => {
+  try {
+    const sessions = await getUserSessions(req.params.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        is_current: session.id === req.user.sid
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Revoke all sessions of a user
+router.delete('/:id/sessions', authenticateToken, denyImpersonation, requireOwnershipOrPermission('users:write'), async (req, res) => {
+  const userId = req.params.id;
+  const isSelf = parseInt(userId) === req.user.id;
+
+  try {
+    const revokedCount = await revokeUserSessions(userId, isSelf ? 'logout' : 'admin');
+
+    logActivity('sessions', userId, 'DELETE', null, { revokedCount }, req.user.id);
+
+    res.json({ message: 'Sessions revoked successfully', revokedCount });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Revoke a single session of a user
+router.delete('/:id/sessions/:sessionId', authenticateToken, denyImpersonation, requireOwnershipOrPermission('users:write'), (req, res) => {
+  const userId = req.params.id;
+  const sessionId = req.params.sessionId;
+  const isSelf = parseInt(userId) === req.user.id;
+
+  // Verify session belongs to user
+  db.get(
+    'SELECT id FROM sessions WHERE id = ? AND user_id = ?',
+    [sessionId, userId],
+    async (err, session) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      try {
+        await revokeSession(sessionId, isSelf ? 'logout' : 'admin');
+
+        logActivity('sessions', sessionId, 'DELETE', null, { userId }, req.user.id);
+
+        res.json({ message: 'Session revoked successfully' });
+      } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+      }
+    }
+  );
+});
+
+// Get user's sign-in history
+router.get('/:id/login-history', authenticateToken, requireOwnershipOrPermission('users:read'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  try {
+    const { attempts, total } = await getLoginHistory(req.params.id, { page, limit });
+
+    res.json({
+      attempts: attempts.map(attempt => ({
+        ...attempt,
+        success: !!attempt.success
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Download everything stored about a user (?format=zip for one file per section)
+router.get('/:id/data-export', authenticateToken, denyImpersonation, requireOwnershipOrPermission('users:read'), async (req, res) => {
+  const format = req.query.format || 'json';
+
+  if (!['json', 'zip'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be json or zip' });
+  }
+
+  try {
+    const data = await collectUserData(req.params.id);
+
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logActivity('users', req.params.id, 'EXPORT', null, { format }, req.user.id);
+
+    const filename = `user-${req.params.id}-data-export-${data.exportedAt.slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.attachment(`${filename}.json`);
+      return res.json(data);
+    }
+
+    const files = Object.entries(data)
+      .filter(([section]) => section !== 'exportedAt')
+      .map(([section, value]) => ({ name: `${filename}/${section}.json`, data: JSON.stringify(value, null, 2) }));
+
+    res.attachment(`${filename}.zip`);
+    res.type('application/zip');
+    res.send(createZip(files, new Date(data.exportedAt)));
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ error: 'Failed to export user data' });
+  }
+});
+
+// Get user's erasure requests
+router.get('/:id/erasure-requests', authenticateToken, requireOwnershipOrPermission('users:read'), async (req, res) => {
+  try {
+    const requests = await listErasureRequests({ userId: req.params.id });
+    res.json({ requests });
+  } catch (error) {
+    console.error('Get erasure requests error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Request erasure of an account (the account owner confirms with their password)
+router.post('/:id/erasure-requests', authenticateToken, denyImpersonation, requireOwnershipOrPermission('users:write'), (req, res) => {
+  const userId = parseInt(req.params.id);
+  const { password, reason } = req.body;
+  const isSelf = userId === req.user.id;
+
+  if (isSelf && !password) {
+    return res.status(400).json({ error: 'Password is required' });
+  }
+
+  db.get('SELECT id, password_hash, erased_at FROM users WHERE id = ?', [userId], async (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.erased_at) {
+      return res.status(409).json({ error: 'User data has already been erased' });
+    }
+
+    try {
+      if (isSelf && !(await bcrypt.compare(password, user.password_hash))) {
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+
+      const pending = await listErasureRequests({ userId, status: 'pending' });
+      if (pending.length > 0) {
+        return res.status(409).json({ error: 'An erasure request is already pending', request: pending[0] });
+      }
+
+      const request = await createErasureRequest({
+        userId,
+        reason: reason ? String(reason).trim() : null,
+        requestedBy: req.user.id
+      });
+
+      logActivity('data_erasure_requests', request.id, 'INSERT', null, { userId }, req.user.id);
+
+      res.status(201).json({ message: 'Erasure request received', request });
+    } catch (error) {
+      console.error('Create erasure request error:', error);
+      res.status(500).json({ error: 'Failed to create erasure request' });
+    }
+  });
+});
+
+// Withdraw a pending erasure request
+router.delete('/:id/erasure-requests/:requestId', authenticateToken, denyImpersonation, requireOwnershipOrPermission('users:write'), async (req, res) => {
+  try {
+    const request = await getErasureRequest(req.params.requestId);
+
+    if (!request || request.user_id !== parseInt(req.params.id)) {
+      return res.status(404).json({ error: 'Erasure request not found' });
+    }
+
+    if (!(await closeErasureRequest(request.id, 'cancelled', req.user.id))) {
+      return res.status(409).json({ error: `Erasure request is already ${request.status}` });
+    }
+
+    logActivity('data_erasure_requests', request.id, 'UPDATE', null, { status: 'cancelled' }, req.user.id);
+
+    res.json({ message: 'Erasure request cancelled' });
+  } catch (error) {
+    console.error('Cancel erasure request error:', error);
+    res.status(500).json({ error: 'Failed to cancel erasure request' });
+  }
+});
+
+// Get user's roles and effective permissions
+router.get('/:id/roles', authenticateToken, requireOwnershipOrPermission('users:read'), async (req, res) => {
+  try {
+    const [roles, permissions] = await Promise.all([
+      getUserRoles(req.params.id),
+      getUserPermissions(req.params.id)
+    ]);
+
+    res.json({ roles, permissions });
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Assign an additional role to a user
+router.post('/:id/roles', authenticateToken, requirePermission('roles:manage'), (req, res) => {
+  const userId = req.params.id;
+  const { roleId } = req.body;
+
+  if (!roleId) {
+    return res.status(400).json({ error: 'Role ID is required' });
+  }
+
+  db.get('SELECT id FROM users WHERE id = ?', [userId], (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    getRolesWithPermissions(roleId).then(([role]) => {
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+
+      // Assigning a role grants its permissions, so the caller must hold them all
+      const notHeld = findPermissionsNotHeld(req.user, role.permissions);
+      if (notHeld.length > 0) {
+        return res.status(403).json({ error: 'You can only grant permissions you hold', permissions: notHeld });
+      }
+
+      db.run(
+        'INSERT OR IGNORE INTO user_roles (user_id, role_id, assigned_by) VALUES (?, ?, ?)',
+        [userId, role.id, req.user.id],
+        function(err) {
+          if (err) {
+            return res.status(500).json({ error: 'Failed to assign role' });
+          }
+
+          if (this.changes === 0) {
+            return res.status(400).json({ error: 'User already has this role' });
+          }
+
+          logActivity('user_roles', userId, 'INSERT', null, { roleId: role.id, role: role.name }, req.user.id);
+
+          res.status(201).json({ message: 'Role assigned successfully' });
+        }
+      );
+    }).catch(() => res.status(500).json({ error: 'Database error' }));
+  });
+});
+
+// Remove an assigned role from a user
+router.delete('/:id/roles/:roleId', authenticateToken, requirePermission('roles:manage'), (req, res) => {
+  const userId = req.params.id;
+  const roleId = req.params.roleId;
+
+  db.run(
+    'DELETE FROM user_roles WHERE user_id = ? AND role_id = ?',
+    [userId, roleId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to remove role' });
+      }
+
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Role assignment not found' });
+      }
+
+      logActivity('user_roles', userId, 'DELETE', { roleId: parseInt(roleId) }, null, req.user.id);
+
+      res.json({ message: 'Role removed successfully' });
+    }
+  );
+});
+
 // Add user address
-router.post('/:id/addresses', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+router.post('/:id/addresses', authenticateToken, requireOwnershipOrPermission('users:write'), (req, res) => {
   const userId = req.params.id;
   const {
     addressType, streetAddress, city, state, postalCode, country, isDefault
@@ -199,7 +631,7 @@ router.post('/:id/addresses', authenticateToken, requireOwnershipOrAdmin, (req,
 });
 
 // Update user address
-router.put('/:id/addresses/:addressId', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+router.put('/:id/addresses/:addressId', authenticateToken, requireOwnershipOrPermission('users:write'), (req, res) => {
   const userId = req.params.id;
   const addressId = req.params.addressId;
   const {
@@ -278,7 +710,7 @@ router.put('/:id/addresses/:addressId', authenticateToken, requireOwnershipOrAdm
 });
 
 // Delete user address
-router.delete('/:id/addresses/:addressId', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+router.delete('/:id/addresses/:addressId', authenticateToken, requireOwnershipOrPermission('users:write'), (req, res) => {
   const userId = req.params.id;
   const addressId = req.params.addressId;
 
@@ -311,21 +743,33 @@ router.delete('/:id/addresses/:addressId', authenticateToken, requireOwnershipOr
 });
 
 // Get user's shopping cart
-router.get('/:id/cart', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+router.get('/:id/cart', authenticateToken, requireOwnershipOrPermission('users:read'), (req, res) => {
   const userId = req.params.id;
 
+  // Variant rows use the variant's SKU, price, stock and images (thumbnail size when processed);
+  // prices are the ones in effect now, so a sale shows up in carts when it starts.
+  // Bundles show the number of complete bundles their components allow.
   const query = `
     SELECT 
       sc.*,
       p.name as product_name,
-      p.price,
-      p.sku,
-      i.quantity as stock_quantity,
-      (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = 1 LIMIT 1) as product_image
+      v.name as variant_name,
+      COALESCE(vp.price, pp.price) as price,
+      CASE WHEN v.id IS NOT NULL THEN vp.compare_at_price ELSE pp.compare_at_price END as compare_at_price,
+      COALESCE(v.sku, p.sku) as sku,
+      COALESCE(bs.quantity, i.quantity) as stock_quantity,
+      COALESCE(
+        (SELECT COALESCE(json_extract(renditions, '$.thumbnail.url'), image_url) FROM product_images WHERE variant_id = sc.variant_id ORDER BY sort_order LIMIT 1),
+        (SELECT COALESCE(json_extract(renditions, '$.thumbnail.url'), image_url) FROM product_images WHERE product_id = p.id AND is_primary = 1 LIMIT 1)
+      ) as product_image
     FROM shopping_cart sc
     LEFT JOIN products p ON sc.product_id = p.id
-    LEFT JOIN inventory i ON p.id = i.product_id
-    WHERE sc.user_id = ? AND p.is_active = 1
+    LEFT JOIN product_variants v ON sc.variant_id = v.id
+    LEFT JOIN product_current_prices pp ON pp.product_id = p.id
+    LEFT JOIN variant_current_prices vp ON vp.variant_id = v.id
+    LEFT JOIN inventory i ON i.product_id = sc.product_id AND i.variant_id IS sc.variant_id
+    LEFT JOIN bundle_stock bs ON bs.product_id = sc.product_id
+    WHERE sc.user_id = ? AND p.is_active = 1 AND (sc.variant_id IS NULL OR v.is_active = 1)
     ORDER BY sc.created_at DESC
   `;
 
@@ -348,25 +792,19 @@ router.get('/:id/cart', authenticateToken, requireOwnershipOrAdmin, (req, res) =
 });
 
 // Add item to cart
-router.post('/:id/cart', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+router.post('/:id/cart', authenticateToken, requireOwnershipOrPermission('users:write'), (req, res) => {
   const userId = req.params.id;
-  const { productId, quantity } = req.body;
+  const { productId, variantId, quantity } = req.body;
 
   if (!productId || !quantity || quantity <= 0) {
     return res.status(400).json({ error: 'Valid product ID and quantity are required' });
   }
 
-  // Check if product exists and is active
-  db.get(
-    'SELECT p.*, i.quantity as stock_quantity FROM products p LEFT JOIN inventory i ON p.id = i.product_id WHERE p.id = ? AND p.is_active = 1',
-    [productId],
-    (err, product) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (!product) {
-        return res.status(404).json({ error: 'Product not found' });
+  // Check if product (and variant, for products with variants) exists and is active
+  getPurchasableItem(productId, variantId).then(
+    ({ item: product, error, notFound }) => {
+      if (error) {
+        return res.status(notFound ? 404 : 400).json({ error });
       }
 
       if (product.stock_quantity < quantity) {
@@ -375,8 +813,8 @@ router.post('/:id/cart', authenticateToken, requireOwnershipOrAdmin, (req, res)
 
       // Check if item already in cart
       db.get(
-        'SELECT * FROM shopping_cart WHERE user_id = ? AND product_id = ?',
-        [userId, productId],
+        'SELECT * FROM shopping_cart WHERE user_id = ? AND product_id = ? AND variant_id IS ?',
+        [userId, productId, product.variant_id],
         (err, existingItem) => {
           if (err) {
             return res.status(500).json({ error: 'Database error' });
@@ -403,8 +841,8 @@ router.post('/:id/cart', authenticateToken, requireOwnershipOrAdmin, (req, res)
           } else {
             // Add new item
             db.run(
-              'INSERT INTO shopping_cart (user_id, product_id, quantity) VALUES (?, ?, ?)',
-              [userId, productId, quantity],
+              'INSERT INTO shopping_cart (user_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)',
+              [userId, productId, product.variant_id, quantity],
               function(err) {
                 if (err) {
                   return res.status(500).json({ error: 'Failed to add to cart' });
@@ -416,12 +854,13 @@ router.post('/:id/cart', authenticateToken, requireOwnershipOrAdmin, (req, res)
           }
         }
       );
-    }
+    },
+    () => res.status(500).json({ error: 'Database error' })
   );
 });
 
 // Update cart item quantity
-router.put('/:id/cart/:itemId', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+router.put('/:id/cart/:itemId', authenticateToken, requireOwnershipOrPermission('users:write'), (req, res) => {
   const userId = req.params.id;
   const itemId = req.params.itemId;
   const { quantity } = req.body;
@@ -432,7 +871,12 @@ router.put('/:id/cart/:itemId', authenticateToken, requireOwnershipOrAdmin, (req
 
   // Verify cart item belongs to user
   db.get(
-    'SELECT sc.*, p.name, i.quantity as stock_quantity FROM shopping_cart sc LEFT JOIN products p ON sc.product_id = p.id LEFT JOIN inventory i ON p.id = i.product_id WHERE sc.id = ? AND sc.user_id = ?',
+    `SELECT sc.*, p.name, COALESCE(bs.quantity, i.quantity) as stock_quantity
+     FROM shopping_cart sc
+     LEFT JOIN products p ON sc.product_id = p.id
+     LEFT JOIN inventory i ON i.product_id = sc.product_id AND i.variant_id IS sc.variant_id
+     LEFT JOIN bundle_stock bs ON bs.product_id = sc.product_id
+     WHERE sc.id = ? AND sc.user_id = ?`,
     [itemId, userId],
     (err, cartItem) => {
       if (err) {
@@ -463,7 +907,7 @@ router.put('/:id/cart/:itemId', authenticateToken, requireOwnershipOrAdmin, (req
 });
 
 // Remove item from cart
-router.delete('/:id/cart/:itemId', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+router.delete('/:id/cart/:itemId', authenticateToken, requireOwnershipOrPermission('users:write'), (req, res) => {
   const userId = req.params.id;
   const itemId = req.params.itemId;
 
@@ -496,7 +940,7 @@ router.delete('/:id/cart/:itemId', authenticateToken, requireOwnershipOrAdmin, (
 });
 
 // Clear user's cart
-router.delete('/:id/cart', authenticateToken, requireOwnershipOrAdmin, (req, res) => {
+router.delete('/:id/cart', authenticateToken, requireOwnershipOrPermission('users:write'), (req, res) => {
   const userId = req.params.id;
 
   db.run(
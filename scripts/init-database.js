@@ -5,12 +5,13 @@ async function initializeSampleData() {
   console.log('Initializing sample data...');
 
   try {
-    // Create admin user
+    // Create admin user. Its well-known password starts out expired, so the
+    // admin API stays closed until it is changed after the first login.
     const adminPassword = await bcrypt.hash('admin123', 10);
     db.run(
-      `INSERT OR IGNORE INTO users (username, email, password_hash, first_name, last_name, role)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      ['admin', 'admin@example.com', adminPassword, 'Admin', 'User', 'admin']
+      `INSERT OR IGNORE INTO users (username, email, password_hash, first_name, last_name, role, password_changed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      ['admin', 'admin@example.com', adminPassword, 'Admin', 'User', 'admin', '1970-01-01 00:00:00']
     );
 
     // Create sample customer
@@ -47,9 +48,15 @@ async function initializeSampleData() {
           category_id: 1,
           price: 1490000,
           cost_price: 1200000,
-          sku: 'IPHONE15PRO-128',
+          sku: 'IPHONE15PRO',
           weight: 0.187,
-          dimensions: '146.6 x 70.6 x 8.25 mm'
+          dimensions: '146.6 x 70.6 x 8.25 mm',
+          attributes: { brand: 'Apple', color: '내추럴 티타늄' },
+          variants: [
+            { sku: 'IPHONE15PRO-128', options: { storage: '128GB' } },
+            { sku: 'IPHONE15PRO-256', options: { storage: '256GB' }, price: 1650000 },
+            { sku: 'IPHONE15PRO-512', options: { storage: '512GB' }, price: 1950000 }
+          ]
         },
         {
           name: 'MacBook Air M3',
@@ -59,7 +66,8 @@ async function initializeSampleData() {
           cost_price: 1300000,
           sku: 'MBA-M3-13-256',
           weight: 1.24,
-          dimensions: '304 x 215 x 11.3 mm'
+          dimensions: '304 x 215 x 11.3 mm',
+          attributes: { brand: 'Apple', color: '미드나이트', storage: '256GB' }
         },
         {
           name: '나이키 에어맥스',
@@ -67,9 +75,15 @@ async function initializeSampleData() {
           category_id: 5,
           price: 159000,
           cost_price: 80000,
-          sku: 'NIKE-AIRMAX-270',
+          sku: 'NIKE-AIRMAX',
           weight: 0.5,
-          dimensions: '280mm'
+          dimensions: '280mm',
+          attributes: { brand: 'Nike', color: '블랙' },
+          variants: [
+            { sku: 'NIKE-AIRMAX-260', options: { size: '260' } },
+            { sku: 'NIKE-AIRMAX-270', options: { size: '270' } },
+            { sku: 'NIKE-AIRMAX-280', options: { size: '280' } }
+          ]
         },
         {
           name: '삼성 갤럭시 S24',
@@ -79,7 +93,8 @@ async function initializeSampleData() {
           cost_price: 950000,
           sku: 'GALAXY-S24-256',
           weight: 0.167,
-          dimensions: '147 x 70.6 x 7.6 mm'
+          dimensions: '147 x 70.6 x 7.6 mm',
+          attributes: { brand: 'Samsung', color: '오닉스 블랙', storage: '256GB' }
         },
         {
           name: '유니클로 히트텍',
@@ -89,7 +104,8 @@ async function initializeSampleData() {
           cost_price: 10000,
           sku: 'UNIQLO-HEATTECH-L',
           weight: 0.2,
-          dimensions: 'L 사이즈'
+          dimensions: 'L 사이즈',
+          attributes: { brand: 'Uniqlo', color: '블랙', size: 'L' }
         },
         {
           name: '해리포터 전집',
@@ -99,7 +115,8 @@ async function initializeSampleData() {
           cost_price: 60000,
           sku: 'HARRYPOTTER-SET-7',
           weight: 2.5,
-          dimensions: '150 x 220 x 180 mm'
+          dimensions: '150 x 220 x 180 mm',
+          attributes: { brand: '문학수첩' }
         },
         {
           name: '다이슨 청소기 V15',
@@ -109,7 +126,8 @@ async function initializeSampleData() {
           cost_price: 650000,
           sku: 'DYSON-V15-DETECT',
           weight: 3.1,
-          dimensions: '1257 x 250 x 166 mm'
+          dimensions: '1257 x 250 x 166 mm',
+          attributes: { brand: 'Dyson', color: '옐로우' }
         },
         {
           name: '아디다스 트레이닝복',
@@ -119,7 +137,8 @@ async function initializeSampleData() {
           cost_price: 70000,
           sku: 'ADIDAS-3STRIPES-L',
           weight: 0.8,
-          dimensions: 'L 사이즈'
+          dimensions: 'L 사이즈',
+          attributes: { brand: 'Adidas', color: '블랙', size: 'L' }
         }
       ];
 
@@ -131,12 +150,23 @@ async function initializeSampleData() {
            product.cost_price, product.sku, product.weight, product.dimensions],
           function(err) {
             if (!err && this.lastID) {
-              // Add inventory for each product
-              const stockQuantity = Math.floor(Math.random() * 100) + 10; // 10-109 items
-              db.run(
-                'INSERT OR IGNORE INTO inventory (product_id, quantity, reorder_level, warehouse_location) VALUES (?, ?, ?, ?)',
-                [this.lastID, stockQuantity, 10, 'Warehouse A']
-              );
+              // Add inventory for each product (products with variants stock each variant instead)
+              if (product.variants) {
+                insertVariants(this.lastID, product.variants);
+              } else {
+                const stockQuantity = Math.floor(Math.random() * 100) + 10; // 10-109 items
+                db.run(
+                  'INSERT OR IGNORE INTO inventory (product_id, quantity, reorder_level, warehouse_location) VALUES (?, ?, ?, ?)',
+                  [this.lastID, stockQuantity, 10, 'Warehouse A']
+                );
+              }
+
+              for (const [name, value] of Object.entries(product.attributes)) {
+                db.run(
+                  'INSERT OR IGNORE INTO product_attributes (product_id, name, value) VALUES (?, ?, ?)',
+                  [this.lastID, name, value]
+                );
+              }
             }
           }
         );
@@ -144,7 +174,7 @@ async function initializeSampleData() {
 
       console.log('Sample data initialized successfully!');
       console.log('\nDefault accounts:');
-      console.log('Admin: admin / admin123');
+      console.log('Admin: admin / admin123 (must be changed after the first login)');
       console.log('Customer: customer / customer123');
       
       // Close database connection
@@ -166,6 +196,45 @@ async function initializeSampleData() {
   }
 }
 
+// Add variants with their option values and inventory (in order, each step looks up the previous one)
+function insertVariants(productId, variants) {
+  db.serialize(() => variants.forEach((variant, position) => {
+    const name = Object.values(variant.options).join(' / ');
+    const stockQuantity = Math.floor(Math.random() * 30) + 5; // 5-34 items
+
+    db.run(
+      'INSERT OR IGNORE INTO product_variants (product_id, sku, name, price) VALUES (?, ?, ?, ?)',
+      [productId, variant.sku, name, variant.price || null]
+    );
+
+    Object.entries(variant.options).forEach(([option, value], optionPosition) => {
+      db.run(
+        'INSERT OR IGNORE INTO product_options (product_id, name, position) VALUES (?, ?, ?)',
+        [productId, option, optionPosition]
+      );
+      db.run(
+        `INSERT OR IGNORE INTO product_option_values (option_id, value, position)
+         SELECT id, ?, ? FROM product_options WHERE product_id = ? AND name = ?`,
+        [value, position, productId, option]
+      );
+      db.run(
+        `INSERT OR IGNORE INTO product_variant_values (variant_id, option_value_id)
+         SELECT v.id, ov.id
+         FROM product_variants v, product_options o
+         JOIN product_option_values ov ON ov.option_id = o.id
+         WHERE v.sku = ? AND o.product_id = ? AND o.name = ? AND ov.value = ?`,
+        [variant.sku, productId, option, value]
+      );
+    });
+
+    db.run(
+      `INSERT OR IGNORE INTO inventory (product_id, variant_id, quantity, reorder_level, warehouse_location)
+       SELECT ?, id, ?, ?, ? FROM product_variants WHERE sku = ?`,
+      [productId, stockQuantity, 5, 'Warehouse A', variant.sku]
+    );
+  }));
+}
+
 // Initialize database and sample data
 async function main() {
   try {
@@ -0,0 +1,46 @@
+const { db, initializeDatabase } = require('../config/database');
+const { reprocessStoredImage } = require('../services/productImageService');
+
+// Usage: npm run process-images
+// Creates the resized JPEG/WebP renditions for images uploaded before image
+// processing was added. The original files are left in place.
+async function processStoredImages() {
+  try {
+    await initializeDatabase();
+
+    const images = await new Promise((resolve, reject) => {
+      db.all(
+        'SELECT id, image_url FROM product_images WHERE renditions IS NULL ORDER BY id',
+        [],
+        (err, rows) => (err ? reject(err) : resolve(rows))
+      );
+    });
+
+    let processed = 0;
+    for (const row of images) {
+      const { image, error } = await reprocessStoredImage(row.image_url);
+      if (error) {
+        console.warn(`Skipped image ${row.id} (${row.image_url}): ${error}`);
+        continue;
+      }
+
+      await new Promise((resolve, reject) => {
+        db.run(
+          'UPDATE product_images SET image_url = ?, width = ?, height = ?, renditions = ? WHERE id = ?',
+          [image.imageUrl, image.width, image.height, JSON.stringify(image.renditions), row.id],
+          (err) => (err ? reject(err) : resolve())
+        );
+      });
+      processed++;
+    }
+
+    console.log(`Processed ${processed} of ${images.length} image(s)`);
+  } catch (error) {
+    console.error('Error processing product images:', error);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+processStoredImages();
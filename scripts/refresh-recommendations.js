@@ -0,0 +1,21 @@
+const { db, initializeDatabase } = require('../config/database');
+const { refreshRecommendations } = require('../services/recommendationService');
+
+// Usage: npm run refresh-recommendations
+// Rebuilds the "bought together" and similar product lists now instead of
+// waiting for the server's scheduled refresh (RECOMMENDATION_REFRESH_HOURS).
+async function refresh() {
+  try {
+    await initializeDatabase();
+
+    const counts = await refreshRecommendations();
+    console.log(`Stored ${counts.bought_together} bought together and ${counts.similar} similar product recommendation(s)`);
+  } catch (error) {
+    console.error('Error refreshing recommendations:', error);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+refresh();
@@ -0,0 +1,38 @@
+const { db, initializeDatabase } = require('../config/database');
+const {
+  SUPPORTED_ALGORITHMS,
+  rotateSigningKey,
+  pruneRetiredKeys
+} = require('../services/signingKeyService');
+
+// Usage: npm run rotate-signing-key [-- --algorithm=ES256]
+async function rotate() {
+  const algorithmArg = process.argv.find(arg => arg.startsWith('--algorithm='));
+  const algorithm = algorithmArg ? algorithmArg.split('=')[1].toUpperCase() : undefined;
+
+  if (algorithm && !SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    console.error(`Unsupported algorithm ${algorithm} (use ${SUPPORTED_ALGORITHMS.join(' or ')})`);
+    process.exit(1);
+  }
+
+  try {
+    await initializeDatabase();
+
+    const { kid, algorithm: usedAlgorithm } = await rotateSigningKey(algorithm);
+    const pruned = await pruneRetiredKeys();
+
+    console.log(`New ${usedAlgorithm} signing key: ${kid}`);
+    console.log('Previous keys stay published until their grace period ends');
+    if (pruned > 0) {
+      console.log(`Removed ${pruned} expired key(s)`);
+    }
+    console.log('Running servers pick up the new key within a minute');
+  } catch (error) {
+    console.error('Error rotating signing key:', error);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+rotate();
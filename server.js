@@ -11,13 +11,28 @@ const path = require('path');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
+const productImportRoutes = require('./routes/productImport');
+const productImageRoutes = require('./routes/productImages');
+const productVariantRoutes = require('./routes/productVariants');
+const productReviewRoutes = require('./routes/productReviews');
+const productPriceRoutes = require('./routes/productPrices');
+const productBundleRoutes = require('./routes/productBundles');
+const reviewRoutes = require('./routes/reviews');
+const categoryRoutes = require('./routes/categories');
+const categoryAttributeRoutes = require('./routes/categoryAttributes');
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payments');
 const inventoryRoutes = require('./routes/inventory');
 const notificationRoutes = require('./routes/notifications');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
 
 // Import database initialization
 const { initializeDatabase } = require('./config/database');
+const { initializeSigningKeys, getJwks } = require('./services/signingKeyService');
+const { scheduleRecommendationRefresh } = require('./services/recommendationService');
+const { getProductFeed, getSitemap, scheduleCatalogFeedRefresh } = require('./services/catalogFeedService');
+const { getMailTransportProblem } = require('./services/notificationService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -46,7 +61,9 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Logging
-app.use(morgan('combined'));
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('combined'));
+}
 
 // Compression
 app.use(compression());
@@ -62,11 +79,22 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/products', productImportRoutes);
+app.use('/api/products/:productId/variants', productVariantRoutes);
+app.use('/api/products/:productId/images', productImageRoutes);
+app.use('/api/products/:productId/reviews', productReviewRoutes);
+app.use('/api/products/:productId/prices', productPriceRoutes);
+app.use('/api/products/:productId/bundle', productBundleRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories/:categoryId/attributes', categoryAttributeRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/reviews', reviewRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -77,8 +105,40 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Serve main application
-app.get('/', (req, res) => {
+// Public keys for verifying access tokens issued by /api/auth
+app.get('/.well-known/jwks.json', async (req, res) => {
+  try {
+    const jwks = await getJwks();
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    console.error('JWKS error:', error);
+    res.status(500).json({ error: 'Failed to load signing keys' });
+  }
+});
+
+// Product feed for price comparison sites (Google Merchant Center format) and
+// the sitemap for search engines, brought up to date on each request
+function sendCatalogFile(contentType, build) {
+  return async (req, res) => {
+    try {
+      const body = await build();
+      res.set('Cache-Control', 'public, max-age=300');
+      res.type(contentType).send(body);
+    } catch (error) {
+      console.error('Catalog feed error:', error);
+      res.status(500).json({ error: 'Failed to generate feed' });
+    }
+  };
+}
+
+app.get('/feeds/products.xml', sendCatalogFile('application/xml', () => getProductFeed('xml')));
+app.get('/feeds/products.tsv', sendCatalogFile('text/tab-separated-values', () => getProductFeed('tsv')));
+app.get('/sitemap.xml', sendCatalogFile('application/xml', getSitemap));
+
+// Serve main application (also at the product and category page URLs the
+// feed and sitemap link to)
+app.get(['/', '/products/:slug', '/categories/:slug'], (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
@@ -108,6 +168,16 @@ async function startServer() {
   try {
     await initializeDatabase();
     console.log('Database initialized successfully');
+    await initializeSigningKeys();
+
+    const mailProblem = getMailTransportProblem();
+    if (mailProblem) {
+      console.warn(`⚠️  Verification and password reset emails will fail: ${mailProblem}`);
+    }
+
+    // Recommendations and feed entries are rebuilt in the background and never hold up startup
+    scheduleRecommendationRefresh().catch(error => console.error('Recommendation refresh error:', error));
+    scheduleCatalogFeedRefresh().catch(error => console.error('Catalog feed refresh error:', error));
     
     app.listen(PORT, () => {
       console.log(`🚀 Legacy E-commerce Server running on port ${PORT}`);
@@ -121,6 +191,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// Tests load the app without starting it
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+
+const API_KEY_PREFIX = 'lsk_';
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+// Permissions that only a signed-in person may use
+const NON_DELEGABLE_SCOPES = ['roles:manage', 'api_keys:manage', 'users:erase'];
+
+// Request counts per key for the current window: keyId -> { windowStart, count }
+const rateLimitWindows = new Map();
+
+/**
+ * Hash an API key for storage
+ * @param {string} apiKey - Plain API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * Convert a stored row into the shape returned by the API (never includes the hash)
+ * @param {object} row - api_keys row
+ * @returns {object} API key details
+ */
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    rateLimitPerMinute: row.rate_limit_per_minute,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    createdBy: row.created_by,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Create an API key
+ * @param {object} options - Key options
+ * @param {string} options.name - Label shown to admins (e.g. "ERP sync")
+ * @param {string[]} options.scopes - Permission names the key may use
+ * @param {number} options.expiresInDays - Days until expiry (omit for no expiry)
+ * @param {number} options.rateLimitPerMinute - Requests allowed per minute
+ * @param {number} options.createdBy - ID of the admin creating the key
+ * @returns {Promise<object>} Plain key (shown once) and key details
+ */
+function createApiKey(options) {
+  return new Promise((resolve, reject) => {
+    const apiKey = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const keyPrefix = apiKey.slice(0, API_KEY_PREFIX.length + 8);
+
+    db.run(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit_per_minute, expires_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ${options.expiresInDays ? "datetime('now', ?)" : 'NULL'}, ?)`,
+      [
+        options.name,
+        keyPrefix,
+        hashApiKey(apiKey),
+        JSON.stringify(options.scopes),
+        options.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+        ...(options.expiresInDays ? [`+${options.expiresInDays} days`] : []),
+        options.createdBy
+      ],
+      function(err) {
+        if (err) {
+          return reject(new Error('Failed to create API key: ' + err.message));
+        }
+
+        getApiKey(this.lastID)
+          .then(details => resolve({ apiKey, details }))
+          .catch(reject);
+      }
+    );
+  });
+}
+
+/**
+ * Get API key details
+ * @param {number} keyId - API key ID
+ * @returns {Promise<object|null>} Key details or null
+ */
+function getApiKey(keyId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM api_keys WHERE id = ?', [keyId], (err, row) => {
+      if (err) {
+        return reject(new Error('Database error: ' + err.message));
+      }
+
+      resolve(row ? formatApiKey(row) : null);
+    });
+  });
+}
+
+/**
+ * List API keys, newest first
+ * @param {boolean} includeRevoked - Include revoked keys
+ * @returns {Promise<object[]>} Key details
+ */
+function listApiKeys(includeRevoked = false) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM api_keys ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'} ORDER BY created_at DESC, id DESC`,
+      [],
+      (err, rows) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(rows.map(formatApiKey));
+      }
+    );
+  });
+}
+
+/**
+ * Revoke an API key
+ * @param {number} keyId - API key ID
+ * @returns {Promise<boolean>} False if the key does not exist or was already revoked
+ */
+function revokeApiKey(keyId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [keyId],
+      function(err) {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        rateLimitWindows.delete(parseInt(keyId));
+        resolve(this.changes === 1);
+      }
+    );
+  });
+}
+
+/**
+ * Look up a usable key and record its use
+ * @param {string} apiKey - Plain API key from the request
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<object|null>} Key details, or null if unknown, revoked or expired
+ */
+function verifyApiKey(apiKey, ipAddress) {
+  return new Promise((resolve, reject) => {
+    if (!apiKey || !apiKey.startsWith(API_KEY_PREFIX)) {
+      return resolve(null);
+    }
+
+    db.get(
+      `SELECT * FROM api_keys
+       WHERE key_hash = ? AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > datetime('now'))`,
+      [hashApiKey(apiKey)],
+      (err, row) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        if (!row) {
+          return resolve(null);
+        }
+
+        db.run(
+          'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?',
+          [ipAddress || null, row.id]
+        );
+
+        resolve(formatApiKey(row));
+      }
+    );
+  });
+}
+
+/**
+ * Count a request against the key's per-minute limit
+ * @param {object} key - Key details from verifyApiKey()
+ * @returns {object} { allowed, limit, remaining, resetSeconds }
+ */
+function consumeRateLimit(key) {
+  const now = Date.now();
+  let window = rateLimitWindows.get(key.id);
+
+  if (!window || now - window.windowStart >= RATE_LIMIT_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    rateLimitWindows.set(key.id, window);
+  }
+
+  window.count++;
+
+  return {
+    allowed: window.count <= key.rateLimitPerMinute,
+    limit: key.rateLimitPerMinute,
+    remaining: Math.max(0, key.rateLimitPerMinute - window.count),
+    resetSeconds: Math.ceil((window.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000)
+  };
+}
+
+module.exports = {
+  NON_DELEGABLE_SCOPES,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey,
+  consumeRateLimit
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+
+// Lifetime of each token type in minutes
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60,
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_MINUTES) || 24 * 60
+};
+
+/**
+ * Hash an account token for storage
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a single-use token for a user
+ * Any earlier unused token of the same type is invalidated.
+ * @param {number} userId - User ID
+ * @param {string} type - Token type (password_reset, email_verification)
+ * @returns {Promise<string>} Plain token to deliver to the user
+ */
+function createAuthToken(userId, type) {
+  return new Promise((resolve, reject) => {
+    const ttlMinutes = TOKEN_TTL_MINUTES[type];
+
+    if (!ttlMinutes) {
+      return reject(new Error('Invalid token type'));
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    db.run(
+      'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND type = ? AND used_at IS NULL',
+      [userId, type],
+      (err) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        db.run(
+          `INSERT INTO auth_tokens (user_id, type, token_hash, expires_at)
+           VALUES (?, ?, ?, datetime('now', ?))`,
+          [userId, type, hashToken(token), `+${ttlMinutes} minutes`],
+          (err) => {
+            if (err) {
+              return reject(new Error('Failed to create token: ' + err.message));
+            }
+
+            resolve(token);
+          }
+        );
+      }
+    );
+  });
+}
+
+/**
+ * Consume a single-use token
+ * @param {string} token - Plain token presented by the user
+ * @param {string} type - Expected token type
+ * @returns {Promise<number|null>} User ID, or null if the token is invalid, used or expired
+ */
+function consumeAuthToken(token, type) {
+  return new Promise((resolve, reject) => {
+    const tokenHash = hashToken(token);
+
+    db.run(
+      `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = ? AND type = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+      [tokenHash, type],
+      function(err) {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        if (this.changes === 0) {
+          return resolve(null);
+        }
+
+        db.get('SELECT user_id FROM auth_tokens WHERE token_hash = ?', [tokenHash], (err, row) => {
+          if (err) {
+            return reject(new Error('Database error: ' + err.message));
+          }
+
+          resolve(row ? row.user_id : null);
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Find the user of a valid token without consuming it
+ * (lets the rest of a request be validated before the token is spent)
+ * @param {string} token - Plain token presented by the user
+ * @param {string} type - Expected token type
+ * @returns {Promise<number|null>} User ID, or null if the token is invalid, used or expired
+ */
+function findAuthTokenUser(token, type) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT user_id FROM auth_tokens
+       WHERE token_hash = ? AND type = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+      [hashToken(token), type],
+      (err, row) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(row ? row.user_id : null);
+      }
+    );
+  });
+}
+
+module.exports = {
+  createAuthToken,
+  consumeAuthToken,
+  findAuthTokenUser
+};
@@ -0,0 +1,440 @@
+/**
+ * Catalog Feed Service
+ * Generates the product feed for price comparison sites (Google Merchant
+ * Center format, as RSS 2.0 XML and as TSV) and sitemap.xml for search engines.
+ * Each active product's feed items and sitemap URL are rendered once into
+ * catalog_feed_entries; triggers drop an entry when the product, its stock,
+ * images, attributes, variants or prices change, and only missing or stale
+ * entries are rendered again before the files are put together.
+ */
+
+const { queryAll, execute } = require('../config/database');
+const { getAttributesOfProducts } = require('./productAttributeService');
+const { getVariants } = require('./productVariantService');
+const { getCategoryTree, flattenCategoryTree } = require('./categoryService');
+
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+// Storefront pages the feed and sitemap link to ({slug} is replaced)
+const PRODUCT_PAGE_URL = process.env.STOREFRONT_PRODUCT_URL || `${APP_BASE_URL}/products/{slug}`;
+const CATEGORY_PAGE_URL = process.env.STOREFRONT_CATEGORY_URL || `${APP_BASE_URL}/categories/{slug}`;
+const STORE_NAME = process.env.STORE_NAME || 'Legacy E-commerce';
+const FEED_CURRENCY = process.env.FEED_CURRENCY || 'KRW';
+const REFRESH_INTERVAL_MS = (parseFloat(process.env.FEED_REFRESH_MINUTES) || 15) * 60 * 1000;
+const RENDER_BATCH_SIZE = 200;
+
+// Columns of the feed, in order (XML elements are g:<name>)
+const FEED_FIELDS = [
+  'id', 'item_group_id', 'title', 'description', 'link', 'image_link', 'additional_image_link',
+  'availability', 'price', 'sale_price', 'brand', 'condition', 'identifier_exists',
+  'product_type', 'color', 'size', 'shipping_weight'
+];
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_ADDITIONAL_IMAGES = 10;
+// Attribute and variant option names the feed's brand, color and size come from
+const FEED_ATTRIBUTES = {
+  brand: ['brand'],
+  color: ['color', 'colour'],
+  size: ['size']
+};
+
+let refreshing = null;
+let refreshTimer = null;
+// Feed files put together from the entries, reused until the entries change
+let assembled = null;
+
+/**
+ * Escape text for XML, dropping characters XML does not allow
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Make text fit in one TSV cell
+ * @param {*} value - Text
+ * @returns {string} Text without tabs or line breaks
+ */
+function tsvCell(value) {
+  return String(value).replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Turn a stored timestamp (UTC, CURRENT_TIMESTAMP format) into W3C format
+ * @param {string} value - Timestamp
+ * @returns {string} e.g. 2024-05-01T09:30:00Z
+ */
+function w3cDate(value) {
+  return `${value.replace(' ', 'T')}Z`;
+}
+
+/**
+ * Make an image URL absolute
+ * @param {string} url - Stored image URL (/uploads/... or a full URL)
+ * @returns {string} Absolute URL
+ */
+function absoluteUrl(url) {
+  return /^https?:\/\//i.test(url) ? url : `${APP_BASE_URL}${url}`;
+}
+
+/**
+ * Fill in a storefront page URL
+ * @param {string} template - PRODUCT_PAGE_URL or CATEGORY_PAGE_URL
+ * @param {string} slug - Product or category slug
+ * @returns {string} Page URL
+ */
+function pageUrl(template, slug) {
+  return template.replace('{slug}', encodeURIComponent(slug));
+}
+
+/**
+ * Format a price the way the feed expects it
+ * @param {number} amount - Price
+ * @returns {string} e.g. "1290000 KRW" or "19.90 USD"
+ */
+function formatPrice(amount) {
+  return `${Number(amount).toFixed(2).replace(/\.00$/, '')} ${FEED_CURRENCY}`;
+}
+
+/**
+ * Find the first of a set of names among attributes or variant options
+ * @param {object} values - { name: value } pairs
+ * @param {string[]} names - Names to look for
+ * @returns {string|undefined} Value
+ */
+function pickValue(values, names) {
+  const name = Object.keys(values).find(key => names.includes(key.toLowerCase()));
+  return name === undefined ? undefined : values[name];
+}
+
+/**
+ * Build one feed item
+ * @param {object} product - Product row from renderEntries()
+ * @param {object} offer - What is sold: { id, title, price, compareAtPrice, available, images, values }
+ * @returns {object} Item keyed by FEED_FIELDS
+ */
+function buildItem(product, offer) {
+  const onSale = offer.compareAtPrice !== null && Number(offer.compareAtPrice) > Number(offer.price);
+  const [imageLink, ...additionalImages] = offer.images.map(absoluteUrl);
+
+  return {
+    id: offer.id,
+    item_group_id: offer.groupId,
+    title: offer.title.slice(0, MAX_TITLE_LENGTH),
+    description: (product.description || product.meta_description || product.name).slice(0, MAX_DESCRIPTION_LENGTH),
+    link: pageUrl(PRODUCT_PAGE_URL, product.slug || String(product.id)),
+    image_link: imageLink,
+    additional_image_link: additionalImages.slice(0, MAX_ADDITIONAL_IMAGES),
+    availability: offer.available > 0 ? 'in_stock' : 'out_of_stock',
+    price: formatPrice(onSale ? offer.compareAtPrice : offer.price),
+    sale_price: onSale ? formatPrice(offer.price) : undefined,
+    brand: pickValue(offer.values, FEED_ATTRIBUTES.brand),
+    condition: 'new',
+    // Products have no GTIN or MPN
+    identifier_exists: 'no',
+    product_type: product.product_type,
+    color: pickValue(offer.values, FEED_ATTRIBUTES.color),
+    size: pickValue(offer.values, FEED_ATTRIBUTES.size),
+    shipping_weight: product.weight ? `${product.weight} kg` : undefined
+  };
+}
+
+/**
+ * Render a feed item as an RSS <item>
+ * @param {object} item - Result of buildItem()
+ * @returns {string} XML
+ */
+function itemXml(item) {
+  const elements = FEED_FIELDS.flatMap(field => [].concat(item[field] === undefined ? [] : item[field])
+    .filter(value => value !== null && value !== '')
+    .map(value => `      <g:${field}>${escapeXml(value)}</g:${field}>`));
+
+  return ['    <item>', ...elements, '    </item>'].join('\n');
+}
+
+/**
+ * Render a feed item as a TSV row
+ * @param {object} item - Result of buildItem()
+ * @returns {string} Row (additional images are comma separated)
+ */
+function itemTsv(item) {
+  return FEED_FIELDS
+    .map(field => tsvCell([].concat(item[field] === undefined || item[field] === null ? [] : item[field]).join(',')))
+    .join('\t');
+}
+
+/**
+ * Render the feed items and sitemap URL of some products
+ * @param {number[]} productIds - Product IDs
+ * @returns {Promise<object[]>} [{ productId, feedXml, feedTsv, sitemapXml, refreshAfter }]
+ * for the products that are still active
+ */
+async function renderEntries(productIds) {
+  const placeholders = productIds.map(() => '?').join(', ');
+
+  const [products, images, attributes, variants, categories] = await Promise.all([
+    queryAll(
+      `SELECT
+         p.id, p.name, p.description, p.meta_description, p.sku, p.slug, p.weight, p.category_id,
+         COALESCE(p.updated_at, p.created_at) as updated_at,
+         cp.price, cp.compare_at_price,
+         MAX(0, COALESCE(s.quantity - s.reserved_quantity, 0)) as available_quantity,
+         (SELECT MIN(CASE WHEN ps.starts_at > datetime('now') THEN ps.starts_at ELSE ps.ends_at END)
+          FROM price_schedules ps
+          WHERE (ps.product_id = p.id
+              OR ps.product_id IN (SELECT component_product_id FROM product_bundle_items WHERE bundle_product_id = p.id))
+            AND (ps.starts_at > datetime('now') OR ps.ends_at > datetime('now'))) as refresh_after
+       FROM products p
+       JOIN product_current_prices cp ON cp.product_id = p.id
+       LEFT JOIN product_stock s ON s.product_id = p.id
+       WHERE p.id IN (${placeholders}) AND p.is_active = 1`,
+      productIds
+    ),
+    queryAll(
+      `SELECT product_id, variant_id, image_url FROM product_images
+       WHERE product_id IN (${placeholders})
+       ORDER BY is_primary DESC, sort_order, id`,
+      productIds
+    ),
+    getAttributesOfProducts(productIds),
+    getVariants(productIds),
+    queryAll('SELECT id, name, parent_id FROM categories', [])
+  ]);
+
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const categoryPath = (categoryId) => {
+    const category = categoriesById.get(categoryId);
+    return category ? [categoryPath(category.parent_id), category.name].filter(Boolean).join(' > ') : '';
+  };
+
+  return products.map(row => {
+    const product = { ...row, product_type: categoryPath(row.category_id) };
+    const productAttributes = attributes.get(product.id) || {};
+    const productImages = images.filter(image => image.product_id === product.id);
+    const productVariants = variants.filter(variant => variant.product_id === product.id);
+
+    // A product with variants is sold as its variants, grouped under the product's SKU
+    const offers = productVariants.length === 0
+      ? [{
+        id: product.sku,
+        title: product.name,
+        price: product.price,
+        compareAtPrice: product.compare_at_price,
+        available: product.available_quantity,
+        images: productImages.map(image => image.image_url),
+        values: productAttributes
+      }]
+      : productVariants.map(variant => ({
+        id: variant.sku,
+        groupId: product.sku,
+        title: `${product.name} (${variant.name})`,
+        price: variant.price,
+        compareAtPrice: variant.compare_at_price,
+        available: variant.available_quantity,
+        images: [
+          ...productImages.filter(image => image.variant_id === variant.id),
+          ...productImages.filter(image => image.variant_id !== variant.id)
+        ].map(image => image.image_url),
+        values: { ...productAttributes, ...variant.options }
+      }));
+
+    const items = offers.map(offer => buildItem(product, offer));
+    const sitemapXml = [
+      '  <url>',
+      `    <loc>${escapeXml(pageUrl(PRODUCT_PAGE_URL, product.slug || String(product.id)))}</loc>`,
+      `    <lastmod>${w3cDate(product.updated_at)}</lastmod>`,
+      '  </url>'
+    ].join('\n');
+
+    return {
+      productId: product.id,
+      feedXml: items.map(itemXml).join('\n'),
+      feedTsv: items.map(itemTsv).join('\n'),
+      sitemapXml,
+      refreshAfter: product.refresh_after
+    };
+  });
+}
+
+/**
+ * Render the entries of active products that have none yet, or whose scheduled
+ * price has started or ended since they were rendered
+ * @returns {Promise<number>} Number of products rendered
+ */
+async function renderStaleEntries() {
+  const stale = await queryAll(
+    `SELECT p.id FROM products p
+     LEFT JOIN catalog_feed_entries e ON e.product_id = p.id
+     WHERE p.is_active = 1
+       AND (e.id IS NULL OR e.generated_at IS NULL OR e.refresh_after <= datetime('now'))
+     ORDER BY p.id`,
+    []
+  );
+
+  let rendered = 0;
+  for (let start = 0; start < stale.length; start += RENDER_BATCH_SIZE) {
+    const productIds = stale.slice(start, start + RENDER_BATCH_SIZE).map(row => row.id);
+    const placeholders = productIds.map(() => '?').join(', ');
+
+    // Claim the entries first: a change made while rendering drops the claim,
+    // so the stale result is not stored and the product is rendered again later.
+    // Both steps are single statements rather than a transaction, since the
+    // refresh runs alongside requests on the shared connection.
+    await execute(
+      `INSERT OR REPLACE INTO catalog_feed_entries (product_id) VALUES ${productIds.map(() => '(?)').join(', ')}`,
+      productIds
+    );
+    const claims = await queryAll(
+      `SELECT id, product_id FROM catalog_feed_entries WHERE product_id IN (${placeholders})`,
+      productIds
+    );
+    const claimIds = new Map(claims.map(claim => [claim.product_id, claim.id]));
+
+    const entries = await renderEntries(productIds);
+    if (entries.length > 0) {
+      await execute(
+        `UPDATE catalog_feed_entries
+         SET feed_xml = r.column2, feed_tsv = r.column3, sitemap_xml = r.column4, refresh_after = r.column5,
+             generated_at = CURRENT_TIMESTAMP
+         FROM (VALUES ${entries.map(() => '(?, ?, ?, ?, ?)').join(', ')}) AS r
+         WHERE catalog_feed_entries.id = r.column1`,
+        entries.flatMap(entry => [claimIds.get(entry.productId), entry.feedXml, entry.feedTsv, entry.sitemapXml, entry.refreshAfter])
+      );
+    }
+    rendered += entries.length;
+  }
+
+  return rendered;
+}
+
+/**
+ * Bring the feed entries up to date. Concurrent calls share one refresh.
+ * @returns {Promise<number>} Number of products rendered
+ */
+function refreshCatalogFeed() {
+  if (!refreshing) {
+    refreshing = renderStaleEntries().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/**
+ * Refresh the entries and put the product feed files and the product part
+ * of the sitemap together again if any entry changed since the last time
+ * @returns {Promise<object>} { xml, tsv, sitemapUrls }
+ */
+async function getAssembledFeed() {
+  await refreshCatalogFeed();
+
+  // Rendering always gives an entry a new ID, and dropping one lowers the count
+  const [{ count, last_id: lastId }] = await queryAll(
+    'SELECT COUNT(*) as count, MAX(id) as last_id FROM catalog_feed_entries WHERE generated_at IS NOT NULL',
+    []
+  );
+  const signature = `${count}:${lastId}`;
+  if (assembled && assembled.signature === signature) {
+    return assembled;
+  }
+
+  const entries = await queryAll(
+    `SELECT feed_xml, feed_tsv, sitemap_xml FROM catalog_feed_entries
+     WHERE generated_at IS NOT NULL
+     ORDER BY product_id`,
+    []
+  );
+  const items = entries.filter(entry => entry.feed_xml);
+
+  assembled = {
+    signature,
+    xml: [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+      '  <channel>',
+      `    <title>${escapeXml(STORE_NAME)}</title>`,
+      `    <link>${escapeXml(`${APP_BASE_URL}/`)}</link>`,
+      `    <description>${escapeXml(`${STORE_NAME} product feed`)}</description>`,
+      ...items.map(entry => entry.feed_xml),
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n'),
+    tsv: [FEED_FIELDS.join('\t'), ...items.map(entry => entry.feed_tsv), ''].join('\n'),
+    sitemapUrls: entries.map(entry => entry.sitemap_xml)
+  };
+  return assembled;
+}
+
+/**
+ * Get the product feed
+ * @param {string} format - 'xml' (RSS 2.0 with the g: namespace) or 'tsv'
+ * @returns {Promise<string>} Feed with one item per product, or per variant of
+ * products with variants
+ */
+async function getProductFeed(format) {
+  const feed = await getAssembledFeed();
+  return format === 'tsv' ? feed.tsv : feed.xml;
+}
+
+/**
+ * Get sitemap.xml: the home page, active categories and active products
+ * @returns {Promise<string>} Sitemap XML
+ */
+async function getSitemap() {
+  const [feed, tree] = await Promise.all([getAssembledFeed(), getCategoryTree()]);
+
+  // Categories are few, so their URLs are built on every request
+  const categoryUrls = flattenCategoryTree(tree).map(category => [
+    '  <url>',
+    `    <loc>${escapeXml(pageUrl(CATEGORY_PAGE_URL, category.slug || String(category.id)))}</loc>`,
+    `    <lastmod>${w3cDate(category.updated_at || category.created_at)}</lastmod>`,
+    '  </url>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    `  <url>\n    <loc>${escapeXml(`${APP_BASE_URL}/`)}</loc>\n  </url>`,
+    ...categoryUrls,
+    ...feed.sitemapUrls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render missing feed entries now, then on a timer so scheduled price
+ * changes show up even while nobody requests the feed
+ * @returns {Promise<void>}
+ */
+async function scheduleCatalogFeedRefresh() {
+  const refresh = () => refreshCatalogFeed()
+    .then(rendered => {
+      if (rendered > 0) {
+        console.log(`Catalog feed refreshed (${rendered} product(s) rendered)`);
+      }
+    })
+    .catch(error => console.error('Catalog feed refresh error:', error));
+
+  await refresh();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  }
+}
+
+module.exports = {
+  getProductFeed,
+  getSitemap,
+  scheduleCatalogFeedRefresh
+};
@@ -0,0 +1,392 @@
+/**
+ * Category Attribute Service
+ * Admin-defined attribute definitions per category (e.g. screen_size for
+ * laptops, material for clothing). A category's attribute schema is its own
+ * definitions plus those of every category above it; a subcategory can
+ * redefine an inherited attribute, and the nearest definition wins.
+ * Product attributes are checked against the schema of the product's
+ * category, while attributes the schema does not define stay free-form text.
+ */
+
+const { queryAll, execute } = require('../config/database');
+const { MAX_PATH_DEPTH } = require('./categoryService');
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'enum', 'unit'];
+const MAX_NAME_LENGTH = 50;
+const MAX_LABEL_LENGTH = 100;
+const MAX_UNIT_LENGTH = 20;
+const MAX_OPTIONS = 100;
+const MAX_OPTION_LENGTH = 200;
+
+// A number with an optional unit after it, e.g. "13.6", "13.6 inch" or "512GB"
+const UNIT_VALUE_PATTERN = /^(-?\d+(?:\.\d+)?)\s*(\D.*)?$/;
+
+/**
+ * Validate an attribute definition create/update request
+ * @param {object} body - { name, label, type, options, unit, isRequired, sortOrder }
+ * @param {object|null} current - Definition being updated (from getDefinition()); the
+ * fields that are not sent keep their current values
+ * @returns {object} { definition } with all fields normalized, or { error }
+ */
+function parseDefinitionInput(body, current = null) {
+  const pick = (field, currentValue) => (body[field] !== undefined ? body[field] : currentValue);
+
+  const name = current ? current.name : String(body.name || '').trim().toLowerCase();
+  if (current && body.name !== undefined && String(body.name).trim().toLowerCase() !== current.name) {
+    return { error: 'An attribute cannot be renamed, since products store their values under its name' };
+  }
+  if (!/^[a-z0-9_]+$/.test(name) || name.length > MAX_NAME_LENGTH) {
+    return { error: 'name is required and may only use letters, digits and underscores' };
+  }
+
+  const label = String(pick('label', current ? current.label : name) || '').trim();
+  if (!label || label.length > MAX_LABEL_LENGTH) {
+    return { error: `label must be 1 to ${MAX_LABEL_LENGTH} characters` };
+  }
+
+  const type = pick('type', current ? current.type : undefined);
+  if (!ATTRIBUTE_TYPES.includes(type)) {
+    return { error: `type must be one of: ${ATTRIBUTE_TYPES.join(', ')}` };
+  }
+
+  let options = null;
+  if (type === 'enum') {
+    const rawOptions = pick('options', current ? current.options : undefined);
+    if (!Array.isArray(rawOptions) || rawOptions.length === 0 || rawOptions.length > MAX_OPTIONS) {
+      return { error: `options must list 1 to ${MAX_OPTIONS} allowed values for an enum attribute` };
+    }
+
+    options = [];
+    for (const rawOption of rawOptions) {
+      const option = typeof rawOption === 'string' || typeof rawOption === 'number' ? String(rawOption).trim() : '';
+      if (!option || option.length > MAX_OPTION_LENGTH) {
+        return { error: `Each option must be text of 1 to ${MAX_OPTION_LENGTH} characters` };
+      }
+      if (options.some(other => other.toLowerCase() === option.toLowerCase())) {
+        return { error: `Option ${option} is listed twice` };
+      }
+      options.push(option);
+    }
+  } else if (body.options !== undefined && body.options !== null) {
+    return { error: 'options only apply to enum attributes' };
+  }
+
+  let unit = null;
+  if (type === 'unit') {
+    unit = String(pick('unit', current ? current.unit : '') || '').trim();
+    if (!unit || unit.length > MAX_UNIT_LENGTH || /\d/.test(unit)) {
+      return { error: `unit must be 1 to ${MAX_UNIT_LENGTH} characters without digits, e.g. inch or GB` };
+    }
+  } else if (body.unit !== undefined && body.unit !== null) {
+    return { error: 'unit only applies to unit attributes' };
+  }
+
+  const isRequired = pick('isRequired', current ? current.is_required : false);
+  if (typeof isRequired !== 'boolean') {
+    return { error: 'isRequired must be true or false' };
+  }
+
+  const sortOrder = Number(pick('sortOrder', current ? current.sort_order : 0));
+  if (!Number.isInteger(sortOrder)) {
+    return { error: 'sortOrder must be an integer' };
+  }
+
+  return { definition: { name, label, type, options, unit, isRequired, sortOrder } };
+}
+
+/**
+ * Turn a category_attributes row into the shape returned by the API
+ * @param {object} row - category_attributes row, with depth when inherited
+ * @returns {object} Definition with options parsed and is_required as a boolean
+ */
+function formatDefinition(row) {
+  const { depth, ...definition } = row;
+  return {
+    ...definition,
+    options: definition.options ? JSON.parse(definition.options) : null,
+    is_required: Boolean(definition.is_required),
+    ...(depth !== undefined && { inherited: depth > 0 })
+  };
+}
+
+/**
+ * Keep the nearest definition of each attribute and order them for display
+ * @param {object[]} rows - Definition rows, nearest category first
+ * @returns {object[]} Attribute schema
+ */
+function mergeDefinitions(rows) {
+  const byName = new Map();
+  rows.forEach(row => {
+    if (!byName.has(row.name)) {
+      byName.set(row.name, formatDefinition(row));
+    }
+  });
+
+  return [...byName.values()].sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get one attribute definition of a category
+ * @param {number} categoryId - Category ID
+ * @param {number} attributeId - Definition ID
+ * @returns {Promise<object|null>} Definition, or null if the category has no such definition
+ */
+async function getDefinition(categoryId, attributeId) {
+  const [row] = await queryAll(
+    'SELECT * FROM category_attributes WHERE id = ? AND category_id = ?',
+    [attributeId, categoryId]
+  );
+  return row ? formatDefinition(row) : null;
+}
+
+/**
+ * Get the attribute schema of a category: its own definitions and the ones it
+ * inherits from the categories above it
+ * @param {number|null} categoryId - Category ID
+ * @returns {Promise<object[]>} Definitions ordered by sort_order, name (inherited: true
+ * for definitions of a parent category)
+ */
+async function getAttributeSchema(categoryId) {
+  if (categoryId === null || categoryId === undefined) {
+    return [];
+  }
+
+  const rows = await queryAll(
+    `WITH RECURSIVE ancestors(id, parent_id, depth) AS (
+       SELECT id, parent_id, 0 FROM categories WHERE id = ?
+       UNION
+       SELECT c.id, c.parent_id, a.depth + 1 FROM categories c JOIN ancestors a ON c.id = a.parent_id
+       WHERE a.depth < ${MAX_PATH_DEPTH}
+     )
+     SELECT ca.*, a.depth
+     FROM category_attributes ca
+     JOIN ancestors a ON a.id = ca.category_id
+     ORDER BY a.depth`,
+    [categoryId]
+  );
+
+  return mergeDefinitions(rows);
+}
+
+/**
+ * Get the attribute schema of every category at once (for imports)
+ * @param {object[]} categories - Category rows with id and parent_id
+ * @returns {Promise<Map>} Category ID => attribute schema
+ */
+async function getAttributeSchemas(categories) {
+  const definitions = await queryAll('SELECT * FROM category_attributes', []);
+  const parentById = new Map(categories.map(category => [category.id, category.parent_id]));
+  const schemas = new Map();
+
+  categories.forEach(category => {
+    const rows = [];
+    const visited = new Set();
+    // Walk up to the root; visited guards against cycles left by direct database edits
+    for (let id = category.id, depth = 0; id && !visited.has(id); id = parentById.get(id), depth++) {
+      visited.add(id);
+      definitions
+        .filter(definition => definition.category_id === id)
+        .forEach(definition => rows.push({ ...definition, depth }));
+    }
+    schemas.set(category.id, mergeDefinitions(rows));
+  });
+
+  return schemas;
+}
+
+/**
+ * Check a definition can be added to a category
+ * @param {number} categoryId - Category ID
+ * @param {string} name - Attribute name
+ * @returns {Promise<string|null>} What is wrong, or null
+ */
+async function findDefinitionConflict(categoryId, name) {
+  const [existing] = await queryAll(
+    'SELECT id FROM category_attributes WHERE category_id = ? AND name = ?',
+    [categoryId, name]
+  );
+  return existing ? `This category already defines the attribute ${name}` : null;
+}
+
+/**
+ * Add an attribute definition to a category
+ * @param {number} categoryId - Category ID
+ * @param {object} definition - Fields from parseDefinitionInput()
+ * @returns {Promise<object>} Created definition
+ */
+async function createDefinition(categoryId, definition) {
+  const { lastID } = await execute(
+    `INSERT INTO category_attributes (category_id, name, label, type, options, unit, is_required, sort_order)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      categoryId, definition.name, definition.label, definition.type,
+      definition.options ? JSON.stringify(definition.options) : null,
+      definition.unit, definition.isRequired ? 1 : 0, definition.sortOrder
+    ]
+  );
+  return getDefinition(categoryId, lastID);
+}
+
+/**
+ * Replace the settings of an attribute definition. Values products already
+ * have are not converted; they are checked again the next time the product
+ * attributes are saved.
+ * @param {object} current - Definition from getDefinition()
+ * @param {object} definition - Fields from parseDefinitionInput()
+ * @returns {Promise<object>} Updated definition
+ */
+async function updateDefinition(current, definition) {
+  await execute(
+    `UPDATE category_attributes
+     SET label = ?, type = ?, options = ?, unit = ?, is_required = ?, sort_order = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      definition.label, definition.type,
+      definition.options ? JSON.stringify(definition.options) : null,
+      definition.unit, definition.isRequired ? 1 : 0, definition.sortOrder, current.id
+    ]
+  );
+  return getDefinition(current.category_id, current.id);
+}
+
+/**
+ * Remove an attribute definition. Product values under its name are kept and
+ * become free-form attributes (unless a parent category still defines it).
+ * @param {object} current - Definition from getDefinition()
+ * @returns {Promise<void>}
+ */
+async function deleteDefinition(current) {
+  await execute('DELETE FROM category_attributes WHERE id = ?', [current.id]);
+}
+
+/**
+ * Name an attribute in error messages
+ * @param {object} definition - Attribute definition
+ * @returns {string} Its label, with the name when the two differ
+ */
+function attributeTitle({ label, name }) {
+  return label === name ? name : `${label} (${name})`;
+}
+
+/**
+ * Check one value against its definition
+ * @param {object} definition - Attribute definition
+ * @param {string} value - Trimmed non-empty value
+ * @returns {object} { value } in canonical form, or { error }
+ */
+function validateValue(definition, value) {
+  const title = attributeTitle(definition);
+
+  if (definition.type === 'number') {
+    const number = Number(value);
+    if (!/^-?\d+(\.\d+)?$/.test(value) || !Number.isFinite(number)) {
+      return { error: `${title} must be a number` };
+    }
+    return { value: String(number) };
+  }
+
+  if (definition.type === 'unit') {
+    const match = UNIT_VALUE_PATTERN.exec(value);
+    if (!match || (match[2] && match[2].trim().toLowerCase() !== definition.unit.toLowerCase())) {
+      return { error: `${title} must be a number in ${definition.unit}, e.g. 13.6 or 13.6 ${definition.unit}` };
+    }
+    return { value: String(Number(match[1])) };
+  }
+
+  if (definition.type === 'enum') {
+    const option = definition.options.find(allowed => allowed.toLowerCase() === value.toLowerCase());
+    if (!option) {
+      return { error: `${title} must be one of: ${definition.options.join(', ')}` };
+    }
+    return { value: option };
+  }
+
+  return { value };
+}
+
+/**
+ * Check product attributes against an attribute schema. Numbers are stored in
+ * canonical form (unit values without their unit) and enum values with the
+ * spelling of the option.
+ * @param {object} attributes - { name: value } pairs from parseAttributesInput()
+ * @param {object[]} schema - Schema from getAttributeSchema()
+ * @returns {object} { attributes } with canonical values, or { error }
+ */
+function validateAttributes(attributes, schema) {
+  const validated = { ...attributes };
+
+  for (const definition of schema) {
+    const value = attributes[definition.name];
+
+    if (value === undefined) {
+      if (definition.is_required) {
+        return { error: `${attributeTitle(definition)} is required in this category` };
+      }
+      continue;
+    }
+
+    const result = validateValue(definition, value);
+    if (result.error) {
+      return { error: result.error };
+    }
+    validated[definition.name] = result.value;
+  }
+
+  return { attributes: validated };
+}
+
+/**
+ * Check product attributes against the schema of a category
+ * @param {number|null} categoryId - Category the product is (or will be) in
+ * @param {object} attributes - { name: value } pairs from parseAttributesInput()
+ * @returns {Promise<object>} { attributes } with canonical values, or { error }
+ */
+async function checkProductAttributes(categoryId, attributes) {
+  return validateAttributes(attributes, await getAttributeSchema(categoryId));
+}
+
+/**
+ * List product attributes with their labels and types for display: schema
+ * attributes in schema order, then free-form ones by name
+ * @param {object} attributes - { name: value } pairs from getProductAttributes()
+ * @param {object[]} schema - Schema from getAttributeSchema()
+ * @returns {object[]} [{ name, label, type, unit, value }], numbers as numbers
+ */
+function describeAttributes(attributes, schema) {
+  const described = schema
+    .filter(definition => attributes[definition.name] !== undefined)
+    .map(definition => {
+      const value = attributes[definition.name];
+      const number = Number(value);
+      return {
+        name: definition.name,
+        label: definition.label,
+        type: definition.type,
+        unit: definition.unit,
+        // Values saved before the attribute was defined may not be numbers
+        value: ['number', 'unit'].includes(definition.type) && value !== '' && Number.isFinite(number) ? number : value
+      };
+    });
+
+  Object.keys(attributes)
+    .filter(name => !schema.some(definition => definition.name === name))
+    .sort()
+    .forEach(name => described.push({ name, label: name, type: 'text', unit: null, value: attributes[name] }));
+
+  return described;
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  parseDefinitionInput,
+  getDefinition,
+  getAttributeSchema,
+  getAttributeSchemas,
+  findDefinitionConflict,
+  createDefinition,
+  updateDefinition,
+  deleteDefinition,
+  validateAttributes,
+  checkProductAttributes,
+  describeAttributes
+};
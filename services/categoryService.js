@@ -0,0 +1,330 @@
+/**
+ * Category Service
+ * Categories form a tree through parent_id. Subtrees are resolved with
+ * recursive CTEs, so a product filed under a subcategory is also found
+ * through every category above it.
+ */
+
+const { queryAll, execute } = require('../config/database');
+const { parseSeoInput, isSlugTaken, generateSlug } = require('./slugService');
+
+const MAX_NAME_LENGTH = 100;
+// Ancestor queries carry the depth, so UNION cannot spot a cycle left by direct
+// database edits; no path is longer than the number of categories
+const MAX_PATH_DEPTH = '(SELECT COUNT(*) FROM categories)';
+
+/**
+ * SQL selecting the IDs of the given categories and all of their descendants.
+ * UNION (not UNION ALL) stops at rows already visited, so a cycle left by
+ * direct database edits cannot make the query run forever.
+ * @param {number} count - Number of root category IDs bound to the query
+ * @returns {string} SELECT statement taking `count` parameters
+ */
+function categorySubtreeQuery(count) {
+  return `
+    WITH RECURSIVE category_subtree(id) AS (
+      SELECT id FROM categories WHERE id IN (${Array(count).fill('?').join(', ')})
+      UNION
+      SELECT c.id FROM categories c JOIN category_subtree s ON c.parent_id = s.id
+    )
+    SELECT id FROM category_subtree
+  `;
+}
+
+/**
+ * Validate a category create/update request
+ * @param {object} body - { name, description, parentId, sortOrder, isActive, slug, metaTitle, metaDescription }
+ * @param {boolean} partial - Only validate the fields that were sent (updates)
+ * @returns {object} { category } with the fields to save, or { error }
+ */
+function parseCategoryInput(body, partial = false) {
+  const category = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      return { error: 'Category name is required' };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return { error: `Category name is longer than ${MAX_NAME_LENGTH} characters` };
+    }
+    category.name = name;
+  }
+
+  if (body.description !== undefined) {
+    category.description = body.description === null ? null : String(body.description).trim() || null;
+  }
+
+  // null (or omitted on create) makes it a top-level category
+  if (body.parentId !== undefined || !partial) {
+    const parentId = body.parentId === undefined || body.parentId === null || body.parentId === ''
+      ? null
+      : Number(body.parentId);
+    if (parentId !== null && !Number.isInteger(parentId)) {
+      return { error: 'parentId must be a category ID or null' };
+    }
+    category.parentId = parentId;
+  }
+
+  if (body.sortOrder !== undefined) {
+    const sortOrder = Number(body.sortOrder);
+    if (!Number.isInteger(sortOrder)) {
+      return { error: 'sortOrder must be an integer' };
+    }
+    category.sortOrder = sortOrder;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      return { error: 'isActive must be true or false' };
+    }
+    category.isActive = body.isActive;
+  }
+
+  const { seo, error } = parseSeoInput(body);
+  if (error) {
+    return { error };
+  }
+
+  return { category: { ...category, ...seo } };
+}
+
+/**
+ * Get all categories with the number of active products filed directly under each
+ * @returns {Promise<object[]>} Category rows ordered by sort_order, name
+ */
+function getAllCategories() {
+  return queryAll(
+    `SELECT c.id, c.name, c.slug, c.description, c.parent_id, c.sort_order, c.is_active, c.created_at, c.updated_at,
+            (SELECT COUNT(*) FROM products p WHERE p.category_id = c.id AND p.is_active = 1) as product_count
+     FROM categories c
+     ORDER BY c.sort_order, c.name`,
+    []
+  );
+}
+
+/**
+ * Build the category tree
+ * @param {boolean} includeInactive - Include deactivated categories (and their subtrees)
+ * @returns {Promise<object[]>} Top-level categories, each with depth, children and
+ * total_product_count (products in the category and all its descendants)
+ */
+async function getCategoryTree(includeInactive = false) {
+  const categories = await getAllCategories();
+  const childrenByParent = new Map();
+
+  categories.forEach(category => {
+    const siblings = childrenByParent.get(category.parent_id) || [];
+    siblings.push(category);
+    childrenByParent.set(category.parent_id, siblings);
+  });
+
+  // A deactivated category hides its whole subtree
+  const build = (parentId, depth) => (childrenByParent.get(parentId) || [])
+    .filter(category => includeInactive || category.is_active)
+    .map(category => {
+      const children = build(category.id, depth + 1);
+      return {
+        ...category,
+        depth,
+        total_product_count: category.product_count +
+          children.reduce((sum, child) => sum + child.total_product_count, 0),
+        children
+      };
+    });
+
+  return build(null, 0);
+}
+
+/**
+ * Flatten a category tree depth-first (the order a nested dropdown shows it in)
+ * @param {object[]} tree - Result of getCategoryTree()
+ * @returns {object[]} Categories with depth, without children
+ */
+function flattenCategoryTree(tree) {
+  return tree.flatMap(({ children, ...category }) => [category, ...flattenCategoryTree(children)]);
+}
+
+/**
+ * Get a category with its ancestors and direct children
+ * @param {number} categoryId - Category ID
+ * @returns {Promise<object|null>} Category with path (root first) and children, or null
+ */
+async function getCategory(categoryId) {
+  const [category] = await queryAll(
+    `SELECT c.id, c.name, c.slug, c.meta_title, c.meta_description, c.description, c.parent_id,
+            c.sort_order, c.is_active, c.created_at, c.updated_at,
+            (SELECT COUNT(*) FROM products p WHERE p.category_id = c.id AND p.is_active = 1) as product_count
+     FROM categories c
+     WHERE c.id = ?`,
+    [categoryId]
+  );
+
+  if (!category) {
+    return null;
+  }
+
+  const [path, children] = await Promise.all([
+    queryAll(
+      `WITH RECURSIVE ancestors(id, name, slug, parent_id, depth) AS (
+         SELECT id, name, slug, parent_id, 0 FROM categories WHERE id = ?
+         UNION
+         SELECT c.id, c.name, c.slug, c.parent_id, a.depth + 1 FROM categories c JOIN ancestors a ON c.id = a.parent_id
+         WHERE a.depth < ${MAX_PATH_DEPTH}
+       )
+       SELECT id, name, slug FROM ancestors WHERE id != ? ORDER BY depth DESC`,
+      [categoryId, categoryId]
+    ),
+    queryAll(
+      `SELECT id, name, slug, sort_order, is_active
+       FROM categories
+       WHERE parent_id = ?
+       ORDER BY sort_order, name`,
+      [categoryId]
+    )
+  ]);
+
+  return { ...category, path, children };
+}
+
+/**
+ * Get the IDs of categories and all their descendants
+ * @param {number[]} categoryIds - Root category IDs
+ * @returns {Promise<number[]>} Category IDs
+ */
+async function getSubtreeIds(categoryIds) {
+  const rows = await queryAll(categorySubtreeQuery(categoryIds.length), categoryIds);
+  return rows.map(row => row.id);
+}
+
+/**
+ * Check that a category can be saved under its (new) parent, and that a slug
+ * set by hand is not used by another category
+ * @param {object} category - Parsed fields (name, parentId and/or slug)
+ * @param {object|null} current - Current category when updating
+ * @returns {Promise<object|null>} { status, error } if not allowed, otherwise null
+ */
+async function checkCategoryPlacement(category, current = null) {
+  const parentId = category.parentId !== undefined ? category.parentId : (current ? current.parent_id : null);
+  const name = category.name !== undefined ? category.name : current.name;
+
+  if (parentId !== null) {
+    const [parent] = await queryAll('SELECT id FROM categories WHERE id = ?', [parentId]);
+    if (!parent) {
+      return { status: 400, error: `Parent category ${parentId} not found` };
+    }
+
+    // Moving a category below itself or one of its descendants would detach the subtree from the root
+    if (current && (await getSubtreeIds([current.id])).includes(parentId)) {
+      return { status: 409, error: 'A category cannot be moved under itself or one of its subcategories' };
+    }
+  }
+
+  const [sibling] = await queryAll(
+    `SELECT id FROM categories
+     WHERE parent_id IS ? AND name = ? COLLATE NOCASE AND id IS NOT ?`,
+    [parentId, name, current ? current.id : null]
+  );
+  if (sibling) {
+    return { status: 409, error: `A category named ${name} already exists at this level` };
+  }
+
+  if (category.slug && await isSlugTaken('category', category.slug, current ? current.id : null)) {
+    return { status: 409, error: `Slug ${category.slug} is already used by another category` };
+  }
+
+  return null;
+}
+
+/**
+ * Create a category (with a slug made from its name unless one is given)
+ * @param {object} category - Fields from parseCategoryInput()
+ * @returns {Promise<object>} Created category
+ */
+async function createCategory(category) {
+  const { lastID } = await execute(
+    `INSERT INTO categories (name, description, parent_id, sort_order, is_active, slug, meta_title, meta_description, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      category.name,
+      category.description || null,
+      category.parentId,
+      category.sortOrder || 0,
+      category.isActive === false ? 0 : 1,
+      category.slug || await generateSlug('category', category.name),
+      category.metaTitle || null,
+      category.metaDescription || null
+    ]
+  );
+
+  return getCategory(lastID);
+}
+
+/**
+ * Update a category. Changing parentId moves the category together with its subtree.
+ * A renamed category gets a slug made from its new name unless a slug is given;
+ * the old slug keeps redirecting to it.
+ * @param {object} current - Current category
+ * @param {object} changes - Fields from parseCategoryInput(body, true)
+ * @returns {Promise<object>} Updated category
+ */
+async function updateCategory(current, changes) {
+  const columns = {
+    name: 'name',
+    description: 'description',
+    parentId: 'parent_id',
+    sortOrder: 'sort_order',
+    isActive: 'is_active',
+    slug: 'slug',
+    metaTitle: 'meta_title',
+    metaDescription: 'meta_description'
+  };
+
+  if (changes.slug === undefined && changes.name !== undefined && changes.name !== current.name) {
+    changes = { ...changes, slug: await generateSlug('category', changes.name, current.id) };
+  }
+
+  const fields = Object.keys(changes).filter(key => columns[key]);
+
+  await execute(
+    `UPDATE categories
+     SET ${fields.map(key => `${columns[key]} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...fields.map(key => (key === 'isActive' ? (changes[key] ? 1 : 0) : changes[key])), current.id]
+  );
+
+  return getCategory(current.id);
+}
+
+/**
+ * Delete a category that has no subcategories and no products
+ * (including deactivated products, which still reference it)
+ * @param {object} category - Category from getCategory()
+ * @returns {Promise<object>} { deleted: true } or { error } explaining what is still filed under it
+ */
+async function deleteCategory(category) {
+  if (category.children.length > 0) {
+    return { error: 'Move or delete the subcategories of this category first' };
+  }
+
+  const [{ count }] = await queryAll('SELECT COUNT(*) as count FROM products WHERE category_id = ?', [category.id]);
+  if (count > 0) {
+    return { error: `Move the ${count} product(s) in this category to another category first, or deactivate it instead` };
+  }
+
+  await execute('DELETE FROM categories WHERE id = ?', [category.id]);
+  return { deleted: true };
+}
+
+module.exports = {
+  MAX_PATH_DEPTH,
+  categorySubtreeQuery,
+  parseCategoryInput,
+  getCategoryTree,
+  flattenCategoryTree,
+  getCategory,
+  checkCategoryPlacement,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
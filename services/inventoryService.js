@@ -1,21 +1,79 @@
-const { db } = require('../config/database');
+const { db, runTransaction } = require('../config/database');
 const { logActivity } = require('./auditService');
 const { inventoryNotifications } = require('./notificationService');
+const { getBundleComponents } = require('./productBundleService');
+
+// Operations a bundle passes on to its components; its own stock cannot be set
+const BUNDLE_OPERATIONS = ['reserve', 'release', 'sell'];
 
 /**
- * Update inventory quantity
+ * Update inventory quantity. For a bundle the operation is applied to each
+ * component, multiplied by the component's quantity in the bundle.
  * @param {number} productId - Product ID
  * @param {number} quantityChange - Quantity change (positive or negative)
  * @param {string} operation - Operation type (reserve, release, sell, restock, adjust)
  * @param {number} userId - User ID performing the operation
+ * @param {number|null} variantId - Variant ID (null for the product-level row)
+ * @returns {Promise<object>} Update result (with the component results for a bundle)
+ */
+async function updateInventory(productId, quantityChange, operation = 'adjust', userId = null, variantId = null) {
+  const components = variantId ? [] : await getBundleComponents(productId);
+  if (components.length === 0) {
+    return updateInventoryRow(productId, quantityChange, operation, userId, variantId);
+  }
+
+  if (!BUNDLE_OPERATIONS.includes(operation)) {
+    throw new Error('Bundle stock comes from its components; update the component products instead');
+  }
+
+  // Applied one component at a time; if a reservation fails part way, the
+  // components already reserved are released again
+  const results = [];
+  for (const component of components) {
+    try {
+      results.push(await updateInventoryRow(
+        component.product_id, quantityChange * component.quantity, operation, userId, component.variant_id
+      ));
+    } catch (error) {
+      if (operation === 'reserve') {
+        await Promise.all(results.map(result =>
+          updateInventoryRow(result.productId, -result.quantityChange, 'release', userId, result.variantId).catch(() => null)
+        ));
+      }
+      throw error;
+    }
+  }
+
+  return {
+    success: true,
+    productId,
+    variantId: null,
+    operation,
+    quantityChange,
+    bundle: true,
+    components: results
+  };
+}
+
+/**
+ * Update one inventory row (a product or a variant)
+ * @param {number} productId - Product ID
+ * @param {number} quantityChange - Quantity change (positive or negative)
+ * @param {string} operation - Operation type (reserve, release, sell, restock, adjust)
+ * @param {number} userId - User ID performing the operation
+ * @param {number|null} variantId - Variant ID (null for the product-level row)
  * @returns {Promise<object>} Update result
  */
-function updateInventory(productId, quantityChange, operation = 'adjust', userId = null) {
+function updateInventoryRow(productId, quantityChange, operation, userId, variantId) {
   return new Promise((resolve, reject) => {
-    // Get current inventory
+    // Get current inventory (notifications name the variant, e.g. "iPhone 15 Pro (256GB)")
     db.get(
-      'SELECT i.*, p.name as product_name FROM inventory i LEFT JOIN products p ON i.product_id = p.id WHERE i.product_id = ?',
-      [productId],
+      `SELECT i.*, p.name || COALESCE(' (' || v.name || ')', '') as product_name
+       FROM inventory i
+       LEFT JOIN products p ON i.product_id = p.id
+       LEFT JOIN product_variants v ON i.variant_id = v.id
+       WHERE i.product_id = ? AND i.variant_id IS ?`,
+      [productId, variantId || null],
       (err, inventory) => {
         if (err) {
           return reject(new Error('Database error: ' + err.message));
@@ -75,8 +133,8 @@ function updateInventory(productId, quantityChange, operation = 'adjust', userId
 
         // Update inventory
         db.run(
-          'UPDATE inventory SET quantity = ?, reserved_quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE product_id = ?',
-          [newQuantity, newReservedQuantity, productId],
+          'UPDATE inventory SET quantity = ?, reserved_quantity = ?, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+          [newQuantity, newReservedQuantity, inventory.id],
           function(err) {
             if (err) {
               return reject(new Error('Failed to update inventory: ' + err.message));
@@ -110,6 +168,7 @@ function updateInventory(productId, quantityChange, operation = 'adjust', userId
             resolve({
               success: true,
               productId,
+              variantId: inventory.variant_id,
               operation,
               quantityChange,
               previousQuantity: inventory.quantity,
@@ -132,75 +191,113 @@ function updateInventory(productId, quantityChange, operation = 'adjust', userId
  * @param {number} userId - User ID performing the operation
  * @returns {Promise<object>} Update result
  */
-function bulkUpdateInventory(updates, operation = 'adjust', userId = null) {
-  return new Promise((resolve, reject) => {
-    if (!updates || !Array.isArray(updates) || updates.length === 0) {
-      return reject(new Error('Updates array is required'));
+async function bulkUpdateInventory(updates, operation = 'adjust', userId = null) {
+  if (!updates || !Array.isArray(updates) || updates.length === 0) {
+    throw new Error('Updates array is required');
+  }
+
+  updates.forEach((update, index) => {
+    if (!update.productId || update.quantityChange === undefined) {
+      throw new Error(`Invalid update data at index ${index}`);
     }
+  });
 
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-
-      let processedCount = 0;
-      let results = [];
-      let hasError = false;
+  const results = await runTransaction(async () => {
+    const applied = [];
+    for (const { productId, variantId, quantityChange } of updates) {
+      applied.push(await updateInventory(productId, quantityChange, operation, userId, variantId));
+    }
+    return applied;
+  });
 
-      updates.forEach((update, index) => {
-        const { productId, quantityChange } = update;
+  return {
+    success: true,
+    processedCount: results.length,
+    results
+  };
+}
 
-        if (!productId || quantityChange === undefined) {
-          hasError = true;
-          db.run('ROLLBACK');
-          return reject(new Error(`Invalid update data at index ${index}`));
+/**
+ * Check inventory availability. A bundle is available when every component
+ * is, for the requested quantity times the component's quantity in the bundle.
+ * @param {number} productId - Product ID
+ * @param {number} requestedQuantity - Requested quantity
+ * @param {number|null} variantId - Variant ID (null for the product-level row)
+ * @returns {Promise<object>} Availability check result (with the component checks for a bundle)
+ */
+async function checkInventoryAvailability(productId, requestedQuantity, variantId = null) {
+  const components = variantId ? [] : await getBundleComponents(productId);
+  if (components.length === 0) {
+    return checkInventoryRow(productId, requestedQuantity, variantId);
+  }
+
+  const [bundle, checks] = await Promise.all([
+    new Promise((resolve, reject) => {
+      db.get('SELECT name, is_active FROM products WHERE id = ?', [productId], (err, row) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
         }
-
-        updateInventory(productId, quantityChange, operation, userId)
-          .then(result => {
-            results.push(result);
-            processedCount++;
-
-            if (processedCount === updates.length && !hasError) {
-              db.run('COMMIT', (err) => {
-                if (err) {
-                  return reject(new Error('Failed to commit bulk inventory update'));
-                }
-
-                resolve({
-                  success: true,
-                  processedCount,
-                  results
-                });
-              });
-            }
-          })
-          .catch(error => {
-            hasError = true;
-            db.run('ROLLBACK');
-            reject(error);
-          });
+        resolve(row);
       });
-    });
-  });
+    }),
+    Promise.all(components.map(component =>
+      checkInventoryRow(component.product_id, requestedQuantity * component.quantity, component.variant_id)
+    ))
+  ]);
+
+  // Complete bundles the components allow; a missing or inactive component allows none
+  const availableQuantity = Math.min(...checks.map((check, index) => (
+    check.reason && check.reason !== 'Insufficient stock'
+      ? 0
+      : Math.floor(Math.max(0, check.availableQuantity) / components[index].quantity)
+  )));
+  const shortComponent = checks.find(check => !check.available);
+
+  let reason = null;
+  if (!bundle.is_active) {
+    reason = 'Product is not active';
+  } else if (shortComponent) {
+    const name = shortComponent.variantName
+      ? `${shortComponent.productName} (${shortComponent.variantName})`
+      : shortComponent.productName || `product ${shortComponent.productId}`;
+    reason = `${shortComponent.reason} for component ${name}`;
+  }
+
+  return {
+    available: !reason,
+    reason,
+    productId,
+    variantId: null,
+    productName: bundle.name,
+    variantName: null,
+    requestedQuantity,
+    availableQuantity,
+    bundle: true,
+    components: checks.map((check, index) => ({ ...check, quantityPerBundle: components[index].quantity }))
+  };
 }
 
 /**
- * Check inventory availability
+ * Check availability of one inventory row (a product or a variant)
  * @param {number} productId - Product ID
  * @param {number} requestedQuantity - Requested quantity
+ * @param {number|null} variantId - Variant ID (null for the product-level row)
  * @returns {Promise<object>} Availability check result
  */
-function checkInventoryAvailability(productId, requestedQuantity) {
+function checkInventoryRow(productId, requestedQuantity, variantId) {
   return new Promise((resolve, reject) => {
     db.get(
       `SELECT 
         i.*,
         p.name as product_name,
-        p.is_active,
+        v.name as variant_name,
+        p.is_active AND COALESCE(v.is_active, 1) as is_active,
         (i.quantity - i.reserved_quantity) as available_quantity
        FROM inventory i 
        LEFT JOIN products p ON i.product_id = p.id 
-       WHERE i.product_id = ?`,
-      [productId],
+       LEFT JOIN product_variants v ON i.variant_id = v.id
+       WHERE i.product_id = ? AND i.variant_id IS ?`,
+      [productId, variantId || null],
       (err, inventory) => {
         if (err) {
           return reject(new Error('Database error: ' + err.message));
@@ -209,8 +306,9 @@ function checkInventoryAvailability(productId, requestedQuantity) {
         if (!inventory) {
           return resolve({
             available: false,
-            reason: 'Product not found',
+            reason: variantId ? 'Variant not found' : 'Product not found',
             productId,
+            variantId,
             requestedQuantity
           });
         }
@@ -220,6 +318,7 @@ function checkInventoryAvailability(productId, requestedQuantity) {
             available: false,
             reason: 'Product is not active',
             productId,
+            variantId,
             requestedQuantity
           });
         }
@@ -230,7 +329,9 @@ function checkInventoryAvailability(productId, requestedQuantity) {
           available: isAvailable,
           reason: isAvailable ? null : 'Insufficient stock',
           productId,
+          variantId,
           productName: inventory.product_name,
+          variantName: inventory.variant_name,
           requestedQuantity,
           availableQuantity: inventory.available_quantity,
           totalQuantity: inventory.quantity,
@@ -243,7 +344,7 @@ function checkInventoryAvailability(productId, requestedQuantity) {
 
 /**
  * Bulk check inventory availability
- * @param {Array} items - Array of {productId, quantity}
+ * @param {Array} items - Array of {productId, variantId, quantity}
  * @returns {Promise<object>} Bulk availability check result
  */
 function bulkCheckInventoryAvailability(items) {
@@ -253,7 +354,7 @@ function bulkCheckInventoryAvailability(items) {
     }
 
     const checks = items.map(item => 
-      checkInventoryAvailability(item.productId, item.quantity)
+      checkInventoryAvailability(item.productId, item.quantity, item.variantId)
     );
 
     Promise.all(checks)
@@ -283,12 +384,14 @@ function getLowStockItems(limit = 50) {
       SELECT 
         i.*,
         p.name as product_name,
-        p.sku,
-        p.price,
+        COALESCE(v.sku, p.sku) as sku,
+        v.name as variant_name,
+        COALESCE(v.price, p.price) as price,
         c.name as category_name,
         (i.quantity - i.reserved_quantity) as available_quantity
-      FROM inventory i
+      FROM sellable_inventory i
       LEFT JOIN products p ON i.product_id = p.id
+      LEFT JOIN product_variants v ON i.variant_id = v.id
       LEFT JOIN categories c ON p.category_id = c.id
       WHERE p.is_active = 1 AND i.quantity <= i.reorder_level
       ORDER BY (i.quantity - i.reorder_level) ASC
@@ -374,12 +477,13 @@ function calculateInventoryValue(productId = null) {
   return new Promise((resolve, reject) => {
     let query = `
       SELECT 
-        SUM(p.price * i.quantity) as total_value,
+        SUM(COALESCE(v.price, p.price) * i.quantity) as total_value,
         SUM(p.cost_price * i.quantity) as total_cost,
         SUM(i.quantity) as total_quantity,
-        COUNT(*) as product_count
-      FROM inventory i
+        COUNT(DISTINCT i.product_id) as product_count
+      FROM sellable_inventory i
       LEFT JOIN products p ON i.product_id = p.id
+      LEFT JOIN product_variants v ON i.variant_id = v.id
       WHERE p.is_active = 1
     `;
 
@@ -0,0 +1,151 @@
+const { db } = require('../config/database');
+
+// Failures (since the last successful sign-in) before each retry is delayed
+const LOGIN_DELAY_THRESHOLD = parseInt(process.env.LOGIN_DELAY_THRESHOLD) || 3;
+// Failures before the account is locked
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+// Failures older than this are forgotten
+const LOGIN_FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_DELAY_BASE_SECONDS = 2;
+const LOGIN_DELAY_MAX_SECONDS = 60;
+
+/**
+ * Normalize the identifier typed at login so "Bob" and "bob" share a counter
+ * @param {string} username - Username or email
+ * @returns {string} Normalized identifier
+ */
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase().slice(0, 100);
+}
+
+/**
+ * Record a sign-in attempt
+ * @param {object} attempt - Attempt details
+ * @param {string} attempt.username - Username (or typed identifier for unknown accounts)
+ * @param {number} attempt.userId - User ID when the account exists
+ * @param {string} attempt.ipAddress - Client IP address
+ * @param {string} attempt.userAgent - Client user agent
+ * @param {boolean} attempt.success - Whether the sign-in completed
+ * @param {string} attempt.failureReason - Why it failed (unknown_user, invalid_password, ...)
+ * @returns {Promise<void>}
+ */
+function recordLoginAttempt(attempt) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO login_attempts (username, user_id, ip_address, user_agent, success, failure_reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        normalizeUsername(attempt.username),
+        attempt.userId || null,
+        attempt.ipAddress || null,
+        attempt.userAgent ? attempt.userAgent.slice(0, 255) : null,
+        attempt.success ? 1 : 0,
+        attempt.success ? null : (attempt.failureReason || 'unknown')
+      ],
+      (err) => {
+        if (err) {
+          return reject(new Error('Failed to record login attempt: ' + err.message));
+        }
+
+        resolve();
+      }
+    );
+  });
+}
+
+/**
+ * Work out whether a sign-in for this username must wait
+ * Counts failures since the last success within the failure window. Attempts
+ * rejected by the throttle itself are not counted, so retrying while locked
+ * does not extend the lockout.
+ * @param {string} username - Username or typed identifier
+ * @returns {Promise<object>} { allowed, locked, retryAfterSeconds, failures }
+ */
+function getLoginThrottle(username) {
+  return new Promise((resolve, reject) => {
+    const normalized = normalizeUsername(username);
+
+    db.get(
+      `SELECT COUNT(*) as failures,
+        (julianday('now') - julianday(MAX(created_at))) * 86400 as seconds_since_last
+       FROM login_attempts
+       WHERE username = ? AND success = 0 AND failure_reason != 'throttled'
+         AND created_at > datetime('now', ?)
+         AND id > COALESCE((SELECT MAX(id) FROM login_attempts WHERE username = ? AND success = 1), 0)`,
+      [normalized, `-${LOGIN_FAILURE_WINDOW_MINUTES} minutes`, normalized],
+      (err, result) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        const failures = result.failures;
+        const elapsed = result.seconds_since_last || 0;
+        let waitSeconds = 0;
+
+        if (failures >= LOGIN_LOCKOUT_THRESHOLD) {
+          waitSeconds = LOGIN_LOCKOUT_MINUTES * 60;
+        } else if (failures >= LOGIN_DELAY_THRESHOLD) {
+          waitSeconds = Math.min(
+            LOGIN_DELAY_BASE_SECONDS * 2 ** (failures - LOGIN_DELAY_THRESHOLD),
+            LOGIN_DELAY_MAX_SECONDS
+          );
+        }
+
+        const retryAfterSeconds = Math.max(0, Math.ceil(waitSeconds - elapsed));
+
+        resolve({
+          allowed: retryAfterSeconds === 0,
+          locked: failures >= LOGIN_LOCKOUT_THRESHOLD && retryAfterSeconds > 0,
+          retryAfterSeconds,
+          failures
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Get a user's sign-in history, newest first
+ * @param {number} userId - User ID
+ * @param {object} options - Pagination (page, limit)
+ * @returns {Promise<object>} Attempts and total count
+ */
+function getLoginHistory(userId, options = {}) {
+  return new Promise((resolve, reject) => {
+    const limit = options.limit || 20;
+    const offset = ((options.page || 1) - 1) * limit;
+
+    db.all(
+      `SELECT id, ip_address, user_agent, success, failure_reason, created_at
+       FROM login_attempts
+       WHERE user_id = ?
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [userId, limit, offset],
+      (err, attempts) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        db.get(
+          'SELECT COUNT(*) as total FROM login_attempts WHERE user_id = ?',
+          [userId],
+          (err, countResult) => {
+            if (err) {
+              return reject(new Error('Database error: ' + err.message));
+            }
+
+            resolve({ attempts, total: countResult.total });
+          }
+        );
+      }
+    );
+  });
+}
+
+module.exports = {
+  recordLoginAttempt,
+  getLoginThrottle,
+  getLoginHistory
+};
@@ -1,4 +1,25 @@
-const { db } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+const { db, runStatements } = require('../config/database');
+
+// Email delivery: 'http' posts each message as JSON to MAIL_HTTP_URL (a mail
+// relay or provider API), 'console' logs messages and 'sink' keeps them in
+// memory (and in MAIL_SINK_DIR when set) so tests can read what was sent.
+// Messages carry sign-in links, so console and sink only work in development
+// and test; with no usable transport, sending fails instead of leaking them.
+const NODE_ENV = process.env.NODE_ENV || 'production';
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (NODE_ENV === 'development' ? 'console' : null);
+const LOCAL_MAIL_TRANSPORTS = {
+  console: ['development'],
+  sink: ['development', 'test']
+};
+const MAIL_HTTP_URL = process.env.MAIL_HTTP_URL;
+const MAIL_HTTP_TOKEN = process.env.MAIL_HTTP_TOKEN;
+const MAIL_SINK_DIR = process.env.MAIL_SINK_DIR;
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@legacy-store.local';
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const mailSink = [];
 
 /**
  * Send notification to user(s)
@@ -70,41 +91,17 @@ function sendBulkNotifications(userIds, type, title, message, metadata = null, c
 
   const metadataJson = metadata ? JSON.stringify(metadata) : null;
 
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
-
-    let processedCount = 0;
-    let hasError = false;
-
-    userIds.forEach(userId => {
-      db.run(
-        'INSERT INTO notifications (user_id, type, title, message, metadata) VALUES (?, ?, ?, ?, ?)',
-        [userId, type, title, message, metadataJson],
-        function(err) {
-          if (err) {
-            hasError = true;
-            db.run('ROLLBACK');
-            return callback(err, null);
-          }
-
-          processedCount++;
-
-          if (processedCount === userIds.length && !hasError) {
-            db.run('COMMIT', (err) => {
-              if (err) {
-                return callback(err, null);
-              }
-
-              callback(null, {
-                message: 'Bulk notifications sent successfully',
-                sentCount: processedCount
-              });
-            });
-          }
-        }
-      );
-    });
-  });
+  runStatements(run => {
+    userIds.forEach(userId => run(
+      'INSERT INTO notifications (user_id, type, title, message, metadata) VALUES (?, ?, ?, ?, ?)',
+      [userId, type, title, message, metadataJson]
+    ));
+  }, 'Failed to send bulk notifications')
+    .then(() => callback(null, {
+      message: 'Bulk notifications sent successfully',
+      sentCount: userIds.length
+    }))
+    .catch(err => callback(err, null));
 }
 
 /**
@@ -135,6 +132,121 @@ function sendNotificationToRole(role, type, title, message, metadata = null, cal
   );
 }
 
+/**
+ * Check that the configured mail transport can be used in this environment
+ * @returns {string|null} Why email cannot be sent, or null if it can
+ */
+function getMailTransportProblem() {
+  if (!MAIL_TRANSPORT) {
+    return 'No mail transport configured (set MAIL_TRANSPORT=http and MAIL_HTTP_URL)';
+  }
+
+  if (MAIL_TRANSPORT === 'http') {
+    return MAIL_HTTP_URL ? null : 'MAIL_HTTP_URL is required for MAIL_TRANSPORT=http';
+  }
+
+  const environments = LOCAL_MAIL_TRANSPORTS[MAIL_TRANSPORT];
+  if (!environments) {
+    return `Unknown mail transport: ${MAIL_TRANSPORT}`;
+  }
+
+  return environments.includes(NODE_ENV)
+    ? null
+    : `MAIL_TRANSPORT=${MAIL_TRANSPORT} is only allowed when NODE_ENV is ${environments.join(' or ')}`;
+}
+
+/**
+ * Post a message to the HTTP mail relay
+ * @param {object} message - Message to deliver
+ * @returns {Promise<void>}
+ */
+async function postEmail(message) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (MAIL_HTTP_TOKEN) {
+    headers.Authorization = `Bearer ${MAIL_HTTP_TOKEN}`;
+  }
+
+  const { metadata, ...email } = message;
+  const response = await fetch(MAIL_HTTP_URL, { method: 'POST', headers, body: JSON.stringify(email) });
+  if (!response.ok) {
+    throw new Error(`Mail relay responded with HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Send an email through the configured mail transport
+ * @param {string} to - Recipient address
+ * @param {string} subject - Subject line
+ * @param {string} text - Plain text body
+ * @param {object} metadata - Additional metadata (kept with sink messages)
+ * @returns {Promise<object>} Sent message
+ */
+function sendEmail(to, subject, text, metadata = null) {
+  return new Promise((resolve, reject) => {
+    const problem = getMailTransportProblem();
+    if (problem) {
+      return reject(new Error('Email not sent: ' + problem));
+    }
+
+    const message = {
+      from: MAIL_FROM,
+      to,
+      subject,
+      text,
+      metadata,
+      sentAt: new Date().toISOString()
+    };
+
+    if (MAIL_TRANSPORT === 'http') {
+      return postEmail(message)
+        .then(() => resolve(message))
+        .catch(error => reject(new Error('Failed to send email: ' + error.message)));
+    }
+
+    if (MAIL_TRANSPORT === 'console') {
+      console.log(`Email to ${to}: ${subject}\n${text}`);
+      return resolve(message);
+    }
+
+    mailSink.push(message);
+
+    if (!MAIL_SINK_DIR) {
+      return resolve(message);
+    }
+
+    fs.mkdir(MAIL_SINK_DIR, { recursive: true }, (err) => {
+      if (err) {
+        return reject(new Error('Failed to create mail sink directory: ' + err.message));
+      }
+
+      const fileName = `${Date.now()}-${mailSink.length}.json`;
+      fs.writeFile(path.join(MAIL_SINK_DIR, fileName), JSON.stringify(message, null, 2), (err) => {
+        if (err) {
+          return reject(new Error('Failed to write mail sink message: ' + err.message));
+        }
+
+        resolve(message);
+      });
+    });
+  });
+}
+
+/**
+ * Get emails captured by the sink transport
+ * @param {string} to - Only return messages for this recipient (optional)
+ * @returns {Array} Captured messages, oldest first
+ */
+function getMailSink(to = null) {
+  return to ? mailSink.filter(message => message.to === to) : mailSink.slice();
+}
+
+/**
+ * Clear emails captured by the sink transport
+ */
+function clearMailSink() {
+  mailSink.length = 0;
+}
+
 /**
  * Send order-related notifications
  */
@@ -304,6 +416,28 @@ const userNotifications = {
       'Your profile information has been updated successfully.',
       {}
     );
+  },
+
+  emailVerification: (user, token) => {
+    const verifyUrl = `${APP_BASE_URL}/api/auth/verify-email?token=${token}`;
+
+    return sendEmail(
+      user.email,
+      'Verify your email address',
+      `Hi ${user.first_name || user.username},\n\nPlease confirm your email address by opening the link below:\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
+      { type: 'email_verification', userId: user.id, token }
+    );
+  },
+
+  passwordReset: (user, token) => {
+    const resetUrl = `${APP_BASE_URL}/?resetToken=${token}`;
+
+    return sendEmail(
+      user.email,
+      'Reset your password',
+      `Hi ${user.first_name || user.username},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${resetUrl}\n\nIf you did not request a password reset, you can ignore this email.`,
+      { type: 'password_reset', userId: user.id, token }
+    );
   }
 };
 
@@ -365,6 +499,10 @@ function getNotificationTemplate(type) {
 
 module.exports = {
   sendNotification,
+  sendEmail,
+  getMailTransportProblem,
+  getMailSink,
+  clearMailSink,
   sendBulkNotifications,
   sendNotificationToRole,
   orderNotifications,
@@ -0,0 +1,230 @@
+/**
+ * Password Policy Service
+ * Rules applied whenever a password is chosen (registration, profile change,
+ * password reset): length, character variety, a bundled list of common and
+ * breached passwords, and no reuse of recent passwords. Administrator
+ * passwords also expire after a configurable number of days.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { db } = require('../config/database');
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 10;
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+// Out of: lowercase letters, uppercase letters, digits, other characters
+const PASSWORD_MIN_CHARACTER_CLASSES = parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 3;
+// Number of previous passwords (including the current one) that cannot be chosen again
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5;
+const ADMIN_PASSWORD_MAX_AGE_DAYS = parseInt(process.env.ADMIN_PASSWORD_MAX_AGE_DAYS) || 90;
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '../config/common-passwords.txt');
+
+let commonPasswords = null;
+
+/**
+ * Load the common password list (once)
+ * @returns {Set<string>} Lowercased common passwords
+ */
+function getCommonPasswords() {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+}
+
+/**
+ * Check a password against the common password list.
+ * "Summer2024!" is caught through its base word "summer".
+ * @param {string} password - Candidate password
+ * @returns {boolean} True if the password is too common
+ */
+function isCommonPassword(password) {
+  const list = getCommonPasswords();
+  const lowered = password.toLowerCase();
+  const baseWord = lowered.replace(/^[^a-z]+|[^a-z]+$/g, '');
+
+  return list.has(lowered) || (baseWord.length > 0 && list.has(baseWord));
+}
+
+/**
+ * Count the character classes used in a password
+ * @param {string} password - Candidate password
+ * @returns {number} 0-4
+ */
+function countCharacterClasses(password) {
+  return [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(pattern => pattern.test(password)).length;
+}
+
+/**
+ * Get the policy in the form shown to users
+ * @returns {object} Policy settings
+ */
+function getPasswordPolicy() {
+  return {
+    minLength: PASSWORD_MIN_LENGTH,
+    maxBytes: PASSWORD_MAX_BYTES,
+    minCharacterClasses: PASSWORD_MIN_CHARACTER_CLASSES,
+    historySize: PASSWORD_HISTORY_SIZE,
+    adminMaxAgeDays: ADMIN_PASSWORD_MAX_AGE_DAYS
+  };
+}
+
+/**
+ * Check the rules that do not need the database
+ * @param {string} password - Candidate password
+ * @param {object} user - Account the password is for (username, email), if known
+ * @returns {string[]} Policy violations (empty if the password is acceptable)
+ */
+function validatePassword(password, user = {}) {
+  const violations = [];
+
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    violations.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+    if (typeof password !== 'string') {
+      return violations;
+    }
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) {
+    violations.push(`Password must be at most ${PASSWORD_MAX_BYTES} bytes long`);
+  }
+
+  if (countCharacterClasses(password) < PASSWORD_MIN_CHARACTER_CLASSES) {
+    violations.push(
+      `Password must use at least ${PASSWORD_MIN_CHARACTER_CLASSES} of: lowercase letters, uppercase letters, digits, symbols`
+    );
+  }
+
+  if (isCommonPassword(password)) {
+    violations.push('Password is too common');
+  }
+
+  const lowered = password.toLowerCase();
+  const personalWords = [user.username, user.email && user.email.split('@')[0]]
+    .filter(word => word && word.length >= 3)
+    .map(word => word.toLowerCase());
+  if (personalWords.some(word => lowered.includes(word))) {
+    violations.push('Password must not contain your username or email address');
+  }
+
+  return violations;
+}
+
+/**
+ * Check whether a password matches the current or a recent password of a user
+ * @param {number} userId - User ID
+ * @param {string} password - Candidate password
+ * @returns {Promise<boolean>} True if the password was used recently
+ */
+function isRecentPassword(userId, password) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT password_hash FROM users WHERE id = ?
+       UNION ALL
+       SELECT password_hash FROM (
+         SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+       )`,
+      [userId, userId, PASSWORD_HISTORY_SIZE],
+      async (err, rows) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        try {
+          for (const row of rows) {
+            if (await bcrypt.compare(password, row.password_hash)) {
+              return resolve(true);
+            }
+          }
+          resolve(false);
+        } catch (error) {
+          reject(error);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Check a new password against the whole policy
+ * @param {string} password - Candidate password
+ * @param {object} user - Account the password is for (id, username, email); id enables the reuse check
+ * @returns {Promise<string[]>} Policy violations (empty if the password is acceptable)
+ */
+async function checkPassword(password, user = {}) {
+  const violations = validatePassword(password, user);
+
+  if (violations.length === 0 && user.id && await isRecentPassword(user.id, password)) {
+    violations.push(`Password must differ from your last ${PASSWORD_HISTORY_SIZE} passwords`);
+  }
+
+  return violations;
+}
+
+/**
+ * Remember a newly set password and forget those beyond the history size
+ * @param {number} userId - User ID
+ * @param {string} passwordHash - bcrypt hash of the new password
+ * @returns {Promise<void>}
+ */
+function recordPasswordHistory(userId, passwordHash) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+      [userId, passwordHash],
+      (err) => {
+        if (err) {
+          return reject(new Error('Failed to record password history: ' + err.message));
+        }
+
+        db.run(
+          `DELETE FROM password_history WHERE user_id = ? AND id NOT IN (
+             SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+           )`,
+          [userId, userId, PASSWORD_HISTORY_SIZE],
+          (err) => {
+            if (err) {
+              return reject(new Error('Failed to prune password history: ' + err.message));
+            }
+
+            resolve();
+          }
+        );
+      }
+    );
+  });
+}
+
+/**
+ * Check whether a password is older than the maximum age. Only staff
+ * passwords expire; the caller decides whether the user is staff.
+ * @param {object} user - users row (password_changed_at, created_at)
+ * @returns {boolean} True if the password must be changed
+ */
+function isPasswordExpired(user) {
+  // Accounts that never changed their password count from account creation
+  const changedAt = user.password_changed_at || user.created_at;
+  if (!changedAt) {
+    return false;
+  }
+
+  // SQLite timestamps are UTC without a zone designator
+  const changedAtMs = new Date(changedAt.includes('T') ? changedAt : changedAt.replace(' ', 'T') + 'Z').getTime();
+  const ageMs = Date.now() - changedAtMs;
+  return ageMs > ADMIN_PASSWORD_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  checkPassword,
+  recordPasswordHistory,
+  isPasswordExpired
+};
@@ -0,0 +1,166 @@
+const { db, runStatements } = require('../config/database');
+
+/**
+ * Get the permissions a user holds through their base role and assigned roles
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>} Permission names
+ */
+function getUserPermissions(userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT DISTINCT p.name
+       FROM permissions p
+       JOIN role_permissions rp ON rp.permission_id = p.id
+       JOIN roles r ON r.id = rp.role_id
+       WHERE r.name = (SELECT role FROM users WHERE id = ?)
+          OR r.id IN (SELECT role_id FROM user_roles WHERE user_id = ?)
+       ORDER BY p.name`,
+      [userId, userId],
+      (err, rows) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(rows.map(row => row.name));
+      }
+    );
+  });
+}
+
+/**
+ * Get the roles a user holds
+ * @param {number} userId - User ID
+ * @returns {Promise<object[]>} Roles, each flagged as base role or assignment
+ */
+function getUserRoles(userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT r.id, r.name, r.description, 1 as is_base_role, NULL as assigned_by, NULL as assigned_at
+       FROM roles r
+       WHERE r.name = (SELECT role FROM users WHERE id = ?)
+       UNION
+       SELECT r.id, r.name, r.description, 0 as is_base_role, ur.assigned_by, ur.created_at as assigned_at
+       FROM user_roles ur
+       JOIN roles r ON r.id = ur.role_id
+       WHERE ur.user_id = ?
+       ORDER BY is_base_role DESC, name`,
+      [userId, userId],
+      (err, roles) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(roles.map(role => ({ ...role, is_base_role: !!role.is_base_role })));
+      }
+    );
+  });
+}
+
+/**
+ * Find a role by name
+ * @param {string} name - Role name
+ * @returns {Promise<object|null>} Role or null
+ */
+function getRoleByName(name) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM roles WHERE name = ?', [name], (err, role) => {
+      if (err) {
+        return reject(new Error('Database error: ' + err.message));
+      }
+
+      resolve(role || null);
+    });
+  });
+}
+
+/**
+ * Get roles with their permission names
+ * @param {number} roleId - Only this role (optional)
+ * @returns {Promise<object[]>} Roles
+ */
+function getRolesWithPermissions(roleId = null) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT r.*, GROUP_CONCAT(p.name) as permission_names
+       FROM roles r
+       LEFT JOIN role_permissions rp ON rp.role_id = r.id
+       LEFT JOIN permissions p ON p.id = rp.permission_id
+       ${roleId ? 'WHERE r.id = ?' : ''}
+       GROUP BY r.id
+       ORDER BY r.name`,
+      roleId ? [roleId] : [],
+      (err, roles) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(roles.map(({ permission_names, ...role }) => ({
+          ...role,
+          is_system: !!role.is_system,
+          permissions: permission_names ? permission_names.split(',').sort() : []
+        })));
+      }
+    );
+  });
+}
+
+/**
+ * Replace the permissions of a role
+ * @param {number} roleId - Role ID
+ * @param {string[]} permissions - Permission names (must exist)
+ * @returns {Promise<void>}
+ */
+async function setRolePermissions(roleId, permissions) {
+  await runStatements(run => {
+    run('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+
+    if (permissions.length > 0) {
+      run(
+        `INSERT INTO role_permissions (role_id, permission_id)
+         SELECT ?, id FROM permissions WHERE name IN (${permissions.map(() => '?').join(', ')})`,
+        [roleId, ...permissions]
+      );
+    }
+
+    run('UPDATE roles SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [roleId]);
+  }, 'Failed to update role permissions');
+}
+
+/**
+ * Find permission names that do not exist
+ * @param {string[]} permissions - Permission names to check
+ * @returns {Promise<string[]>} Unknown names
+ */
+function findUnknownPermissions(permissions) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT name FROM permissions', [], (err, rows) => {
+      if (err) {
+        return reject(new Error('Database error: ' + err.message));
+      }
+
+      const known = new Set(rows.map(row => row.name));
+      resolve(permissions.filter(name => !known.has(name)));
+    });
+  });
+}
+
+/**
+ * Find the permissions in a grant that the granting user does not hold.
+ * Nobody can hand out more than they have, through roles or API keys.
+ * @param {object} user - Granting user (req.user, with its permissions)
+ * @param {string[]} permissions - Permission names being granted
+ * @returns {string[]} Names the user does not hold
+ */
+function findPermissionsNotHeld(user, permissions) {
+  return [...new Set(permissions)].filter(name => !user.permissions.includes(name));
+}
+
+module.exports = {
+  getUserPermissions,
+  getUserRoles,
+  getRoleByName,
+  getRolesWithPermissions,
+  setRolePermissions,
+  findUnknownPermissions,
+  findPermissionsNotHeld
+};
@@ -0,0 +1,245 @@
+/**
+ * Price Schedule Service
+ * Sale prices and planned price changes take effect by time instead of
+ * overwriting products.price. The price in effect is resolved when it is read
+ * (product_current_prices / variant_current_prices views), so nothing has to
+ * run at midnight. Base price changes are kept in product_price_history.
+ */
+
+const { queryAll, execute } = require('../config/database');
+
+const MAX_NOTE_LENGTH = 200;
+
+// Where a schedule stands right now
+const SCHEDULE_STATUS = `
+  CASE
+    WHEN s.starts_at > datetime('now') THEN 'scheduled'
+    WHEN s.ends_at IS NOT NULL AND s.ends_at <= datetime('now') THEN 'ended'
+    ELSE 'active'
+  END
+`;
+const SCHEDULE_STATUSES = ['scheduled', 'active', 'ended'];
+
+const SCHEDULE_COLUMNS = `
+  s.id, s.product_id, s.variant_id, v.sku as variant_sku, v.name as variant_name,
+  s.price, s.compare_at_price, s.starts_at, s.ends_at, s.note, s.created_by, s.created_at,
+  ${SCHEDULE_STATUS} as status
+`;
+
+/**
+ * Convert a date to the format SQLite's CURRENT_TIMESTAMP uses (UTC)
+ * @param {Date} date - Date
+ * @returns {string} e.g. "2025-11-01 15:00:00"
+ */
+function toSqlDateTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parse an ISO 8601 date/time from a request
+ * @param {*} value - e.g. "2025-11-01T00:00:00+09:00" (without an offset it is read as UTC)
+ * @returns {Date|null} Date, or null if the value is not a valid date
+ */
+function parseDateTime(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return null;
+  }
+
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+  const date = new Date(value.length > 10 && !hasZone ? `${value}Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate a price schedule request body
+ * @param {object} body - { price, compareAtPrice, startsAt, endsAt, variantId, note }
+ * @returns {object} { schedule } or { error }
+ */
+function parseScheduleInput(body) {
+  const price = Number(body.price);
+  if (body.price === undefined || body.price === null || body.price === '' || !Number.isFinite(price) || price < 0) {
+    return { error: 'price must be a number of 0 or more' };
+  }
+
+  let compareAtPrice = null;
+  if (body.compareAtPrice !== undefined && body.compareAtPrice !== null && body.compareAtPrice !== '') {
+    compareAtPrice = Number(body.compareAtPrice);
+    if (!Number.isFinite(compareAtPrice) || compareAtPrice <= price) {
+      return { error: 'compareAtPrice must be higher than price' };
+    }
+  }
+
+  const now = new Date();
+  const startsAt = body.startsAt ? parseDateTime(body.startsAt) : now;
+  if (!startsAt) {
+    return { error: 'startsAt must be an ISO 8601 date/time' };
+  }
+
+  let endsAt = null;
+  if (body.endsAt) {
+    endsAt = parseDateTime(body.endsAt);
+    if (!endsAt) {
+      return { error: 'endsAt must be an ISO 8601 date/time' };
+    }
+    if (endsAt <= startsAt || endsAt <= now) {
+      return { error: 'endsAt must be later than startsAt and in the future' };
+    }
+  }
+
+  let variantId = null;
+  if (body.variantId !== undefined && body.variantId !== null) {
+    variantId = Number(body.variantId);
+    if (!Number.isInteger(variantId) || variantId < 1) {
+      return { error: 'variantId must be a variant ID' };
+    }
+  }
+
+  const note = body.note ? String(body.note).trim() : null;
+  if (note && note.length > MAX_NOTE_LENGTH) {
+    return { error: `note is longer than ${MAX_NOTE_LENGTH} characters` };
+  }
+
+  return {
+    schedule: {
+      price,
+      compareAtPrice,
+      // A start in the past means "from now": schedules never rewrite what was charged before
+      startsAt: toSqlDateTime(startsAt < now ? now : startsAt),
+      endsAt: endsAt && toSqlDateTime(endsAt),
+      variantId,
+      note: note || null
+    }
+  };
+}
+
+/**
+ * Get a product's price schedules, latest start first
+ * @param {number} productId - Product ID
+ * @param {string|null} status - Only schedules in this status ('scheduled', 'active', 'ended')
+ * @returns {Promise<object[]>} Schedules with status
+ */
+function getSchedules(productId, status = null) {
+  return queryAll(
+    `SELECT ${SCHEDULE_COLUMNS}
+     FROM price_schedules s
+     LEFT JOIN product_variants v ON v.id = s.variant_id
+     WHERE s.product_id = ? ${status ? `AND ${SCHEDULE_STATUS} = ?` : ''}
+     ORDER BY s.starts_at DESC, s.id DESC`,
+    status ? [productId, status] : [productId]
+  );
+}
+
+/**
+ * Get one price schedule of a product
+ * @param {number} productId - Product ID
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Promise<object|undefined>} Schedule with status
+ */
+async function getSchedule(productId, scheduleId) {
+  const [schedule] = await queryAll(
+    `SELECT ${SCHEDULE_COLUMNS}
+     FROM price_schedules s
+     LEFT JOIN product_variants v ON v.id = s.variant_id
+     WHERE s.product_id = ? AND s.id = ?`,
+    [productId, scheduleId]
+  );
+  return schedule;
+}
+
+/**
+ * Create a price schedule
+ * @param {number} productId - Product ID
+ * @param {object} schedule - Fields from parseScheduleInput()
+ * @param {number} userId - Creating user
+ * @returns {Promise<object>} { schedule }, or { error } if the variant is not one of the product's
+ */
+async function createSchedule(productId, schedule, userId) {
+  if (schedule.variantId) {
+    const [variant] = await queryAll('SELECT id FROM product_variants WHERE id = ? AND product_id = ?', [schedule.variantId, productId]);
+    if (!variant) {
+      return { error: `Variant ${schedule.variantId} does not belong to this product` };
+    }
+  }
+
+  const { lastID } = await execute(
+    `INSERT INTO price_schedules (product_id, variant_id, price, compare_at_price, starts_at, ends_at, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [productId, schedule.variantId, schedule.price, schedule.compareAtPrice,
+      schedule.startsAt, schedule.endsAt, schedule.note, userId]
+  );
+
+  return { schedule: await getSchedule(productId, lastID) };
+}
+
+/**
+ * Withdraw a schedule: one that has not started is deleted, a running one is
+ * ended now so the history shows when the price applied
+ * @param {object} schedule - Schedule from getSchedule() (not ended)
+ * @returns {Promise<object>} { deleted } or { ended, schedule }
+ */
+async function cancelSchedule(schedule) {
+  if (schedule.status === 'scheduled') {
+    await execute('DELETE FROM price_schedules WHERE id = ?', [schedule.id]);
+    return { deleted: true };
+  }
+
+  await execute('UPDATE price_schedules SET ends_at = ? WHERE id = ?', [toSqlDateTime(new Date()), schedule.id]);
+  return { ended: true, schedule: await getSchedule(schedule.product_id, schedule.id) };
+}
+
+/**
+ * Get the price in effect now for a product and its variants
+ * @param {number} productId - Product ID
+ * @returns {Promise<object>} { price, compare_at_price, price_schedule_id, price_ends_at, variants: [...] }
+ */
+async function getCurrentPrices(productId) {
+  const [[product], variants] = await Promise.all([
+    queryAll(
+      'SELECT price, compare_at_price, price_schedule_id, price_ends_at FROM product_current_prices WHERE product_id = ?',
+      [productId]
+    ),
+    queryAll(
+      `SELECT vp.variant_id, v.sku, v.name, vp.price, vp.compare_at_price, vp.price_schedule_id, vp.price_ends_at
+       FROM variant_current_prices vp
+       JOIN product_variants v ON v.id = vp.variant_id
+       WHERE vp.product_id = ? AND v.is_active = 1
+       ORDER BY v.id`,
+      [productId]
+    )
+  ]);
+
+  return { ...product, variants };
+}
+
+/**
+ * Get a product's full price history: base price changes and every schedule
+ * @param {number} productId - Product ID
+ * @returns {Promise<object>} { current, changes, schedules }
+ */
+async function getPriceHistory(productId) {
+  const [current, changes, schedules] = await Promise.all([
+    getCurrentPrices(productId),
+    queryAll(
+      `SELECT h.id, h.variant_id, v.sku as variant_sku, v.name as variant_name, h.price, h.previous_price, h.changed_at
+       FROM product_price_history h
+       LEFT JOIN product_variants v ON v.id = h.variant_id
+       WHERE h.product_id = ?
+       ORDER BY h.changed_at DESC, h.id DESC`,
+      [productId]
+    ),
+    getSchedules(productId)
+  ]);
+
+  return { current, changes, schedules };
+}
+
+module.exports = {
+  SCHEDULE_STATUSES,
+  parseScheduleInput,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  cancelSchedule,
+  getCurrentPrices,
+  getPriceHistory
+};
@@ -0,0 +1,385 @@
+/**
+ * Privacy Service
+ * Personal data export and account erasure (GDPR / PIPA requests).
+ * Erasure anonymizes the account instead of deleting it: orders, order items
+ * and payments are kept for accounting, with the personal details they
+ * contain replaced.
+ */
+
+const { db, queryAll, runStatements } = require('../config/database');
+
+const ERASED_PLACEHOLDER = '[erased]';
+// Order statuses that still need the customer's details to be fulfilled
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped'];
+// Keys in audit log values that hold personal data
+const PERSONAL_DATA_KEYS = [
+  'username', 'email', 'first_name', 'firstName', 'last_name', 'lastName', 'phone',
+  'street_address', 'streetAddress', 'city', 'state', 'postal_code', 'postalCode',
+  'shipping_address', 'shippingAddress', 'billing_address', 'billingAddress', 'notes',
+  'ip_address', 'ipAddress', 'user_agent', 'userAgent'
+];
+// Keys never included in an export, even from the user's own audit trail
+const SECRET_KEYS = ['password_hash', 'two_factor_secret', 'two_factor_last_step', 'refresh_token_hash'];
+
+/**
+ * Parse a JSON column, keeping the raw text if it is not valid JSON
+ * @param {string} value - Column value
+ * @returns {*} Parsed value
+ */
+function parseJson(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Copy a value with the given keys replaced (searches nested objects and arrays)
+ * @param {*} value - Parsed JSON value
+ * @param {string[]} keys - Keys to replace
+ * @param {*} replacement - Replacement value, or undefined to drop the key
+ * @returns {*} Redacted copy
+ */
+function redactKeys(value, keys, replacement) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactKeys(item, keys, replacement));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (!keys.includes(key)) {
+      result[key] = redactKeys(item, keys, replacement);
+    } else if (replacement !== undefined) {
+      result[key] = replacement;
+    }
+  });
+  return result;
+}
+
+/**
+ * Replace an order address with the part kept for tax records (country only)
+ * @param {string} address - JSON encoded address
+ * @returns {string} JSON encoded anonymized address
+ */
+function anonymizeAddress(address) {
+  const parsed = parseJson(address);
+  const country = parsed && typeof parsed === 'object' ? parsed.country : undefined;
+
+  return JSON.stringify({ erased: true, ...(country ? { country } : {}) });
+}
+
+/**
+ * Anonymize a JSON encoded audit log value
+ * @param {string} value - old_values or new_values column
+ * @returns {string|null} Anonymized JSON
+ */
+function anonymizeAuditValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const parsed = parseJson(value);
+  if (!parsed || typeof parsed !== 'object') {
+    return JSON.stringify(ERASED_PLACEHOLDER);
+  }
+
+  const withoutSecrets = redactKeys(parsed, SECRET_KEYS, undefined);
+  return JSON.stringify(redactKeys(withoutSecrets, PERSONAL_DATA_KEYS, ERASED_PLACEHOLDER));
+}
+
+/**
+ * Collect everything stored about a user
+ * @param {number} userId - User ID
+ * @returns {Promise<object|null>} Export document, or null if the user does not exist
+ */
+async function collectUserData(userId) {
+  const [user] = await queryAll('SELECT * FROM users WHERE id = ?', [userId]);
+
+  if (!user) {
+    return null;
+  }
+
+  const [
+    roles, addresses, cart, orders, orderItems, payments, reviews,
+    notifications, sessions, loginHistory, erasureRequests, activity
+  ] = await Promise.all([
+    queryAll(
+      `SELECT r.name, ur.created_at as assigned_at FROM user_roles ur
+       JOIN roles r ON r.id = ur.role_id WHERE ur.user_id = ?`,
+      [userId]
+    ),
+    queryAll('SELECT * FROM user_addresses WHERE user_id = ? ORDER BY id', [userId]),
+    queryAll(
+      `SELECT sc.product_id, p.name as product_name, sc.quantity, sc.created_at, sc.updated_at
+       FROM shopping_cart sc JOIN products p ON p.id = sc.product_id
+       WHERE sc.user_id = ? ORDER BY sc.id`,
+      [userId]
+    ),
+    queryAll('SELECT * FROM orders WHERE user_id = ? ORDER BY id', [userId]),
+    queryAll(
+      `SELECT oi.order_id, oi.product_id, p.name as product_name, oi.quantity, oi.unit_price, oi.total_price
+       FROM order_items oi
+       JOIN orders o ON o.id = oi.order_id
+       LEFT JOIN products p ON p.id = oi.product_id
+       WHERE o.user_id = ? ORDER BY oi.id`,
+      [userId]
+    ),
+    queryAll(
+      `SELECT pay.* FROM payments pay JOIN orders o ON o.id = pay.order_id
+       WHERE o.user_id = ? ORDER BY pay.id`,
+      [userId]
+    ),
+    queryAll(
+      `SELECT r.id, r.product_id, p.name as product_name, r.rating, r.title, r.body, r.status, r.created_at, r.updated_at
+       FROM product_reviews r LEFT JOIN products p ON p.id = r.product_id
+       WHERE r.user_id = ? ORDER BY r.id`,
+      [userId]
+    ),
+    queryAll('SELECT id, type, title, message, is_read, metadata, created_at FROM notifications WHERE user_id = ? ORDER BY id', [userId]),
+    queryAll(
+      `SELECT id, user_agent, ip_address, expires_at, last_used_at, revoked_at, impersonator_id, created_at
+       FROM sessions WHERE user_id = ? ORDER BY id`,
+      [userId]
+    ),
+    queryAll(
+      `SELECT ip_address, user_agent, success, failure_reason, created_at
+       FROM login_attempts WHERE user_id = ? ORDER BY id`,
+      [userId]
+    ),
+    queryAll('SELECT id, status, reason, created_at, processed_at FROM data_erasure_requests WHERE user_id = ? ORDER BY id', [userId]),
+    queryAll(
+      `SELECT table_name, record_id, action, old_values, new_values, user_id, created_at
+       FROM audit_logs
+       WHERE user_id = ? OR (table_name = 'users' AND record_id = ?)
+       ORDER BY id`,
+      [userId, userId]
+    )
+  ]);
+
+  const profile = { ...user };
+  SECRET_KEYS.forEach(key => delete profile[key]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    roles,
+    addresses,
+    cart,
+    orders: orders.map(order => ({
+      ...order,
+      shipping_address: parseJson(order.shipping_address),
+      billing_address: parseJson(order.billing_address),
+      items: orderItems.filter(item => item.order_id === order.id),
+      payments: payments
+        .filter(payment => payment.order_id === order.id)
+        .map(payment => ({ ...payment, gateway_response: parseJson(payment.gateway_response) }))
+    })),
+    reviews,
+    notifications: notifications.map(notification => ({
+      ...notification,
+      metadata: parseJson(notification.metadata)
+    })),
+    sessions,
+    loginHistory,
+    erasureRequests,
+    activity: activity.map(entry => ({
+      ...entry,
+      old_values: redactKeys(parseJson(entry.old_values), SECRET_KEYS, undefined),
+      new_values: redactKeys(parseJson(entry.new_values), SECRET_KEYS, undefined)
+    }))
+  };
+}
+
+/**
+ * Get a user's orders that are still being fulfilled
+ * @param {number} userId - User ID
+ * @returns {Promise<object[]>} Open orders (id, order_number, status)
+ */
+function getOpenOrders(userId) {
+  return queryAll(
+    `SELECT id, order_number, status FROM orders
+     WHERE user_id = ? AND status IN (${OPEN_ORDER_STATUSES.map(() => '?').join(', ')})
+     ORDER BY id`,
+    [userId, ...OPEN_ORDER_STATUSES]
+  );
+}
+
+/**
+ * Create an erasure request
+ * @param {object} request - Request details
+ * @param {number} request.userId - Account to erase
+ * @param {string} request.reason - Optional reason given by the requester
+ * @param {number} request.requestedBy - User who filed the request
+ * @returns {Promise<object>} Created request
+ */
+function createErasureRequest(request) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO data_erasure_requests (user_id, reason, requested_by) VALUES (?, ?, ?)',
+      [request.userId, request.reason || null, request.requestedBy],
+      function(err) {
+        if (err) {
+          return reject(new Error('Failed to create erasure request: ' + err.message));
+        }
+
+        getErasureRequest(this.lastID).then(resolve).catch(reject);
+      }
+    );
+  });
+}
+
+/**
+ * Get an erasure request
+ * @param {number} requestId - Request ID
+ * @returns {Promise<object|null>} Request or null
+ */
+function getErasureRequest(requestId) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM data_erasure_requests WHERE id = ?', [requestId], (err, request) => {
+      if (err) {
+        return reject(new Error('Database error: ' + err.message));
+      }
+
+      resolve(request || null);
+    });
+  });
+}
+
+/**
+ * List erasure requests, newest first
+ * @param {object} filters - Filtering options
+ * @param {number} filters.userId - Only requests for this user
+ * @param {string} filters.status - Only requests with this status
+ * @returns {Promise<object[]>} Requests
+ */
+function listErasureRequests(filters = {}) {
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+
+  if (filters.userId) {
+    whereClause += ' AND user_id = ?';
+    params.push(filters.userId);
+  }
+
+  if (filters.status) {
+    whereClause += ' AND status = ?';
+    params.push(filters.status);
+  }
+
+  return queryAll(`SELECT * FROM data_erasure_requests ${whereClause} ORDER BY id DESC`, params);
+}
+
+/**
+ * Close a pending erasure request without erasing anything
+ * @param {number} requestId - Request ID
+ * @param {string} status - cancelled (by the user) or rejected (by staff)
+ * @param {number} processedBy - User closing the request
+ * @param {string} note - Optional explanation
+ * @returns {Promise<boolean>} False if the request is not pending
+ */
+function closeErasureRequest(requestId, status, processedBy, note) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE data_erasure_requests
+       SET status = ?, processed_by = ?, processed_at = CURRENT_TIMESTAMP, resolution_note = ?
+       WHERE id = ? AND status = 'pending'`,
+      [status, processedBy, note || null, requestId],
+      function(err) {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(this.changes === 1);
+      }
+    );
+  });
+}
+
+/**
+ * Erase a user's personal data and complete their erasure request.
+ * The users row is kept (orders reference it) but anonymized and disabled;
+ * data with no accounting value is deleted.
+ * @param {number} requestId - Pending erasure request ID
+ * @param {number} processedBy - Staff member carrying out the erasure
+ * @returns {Promise<object>} Counts of anonymized orders and audit log entries
+ */
+async function eraseUserData(requestId, processedBy) {
+  const request = await getErasureRequest(requestId);
+  if (!request || request.status !== 'pending') {
+    throw new Error('Erasure request is not pending');
+  }
+
+  const userId = request.user_id;
+  const [user] = await queryAll('SELECT username, email FROM users WHERE id = ?', [userId]);
+  const orders = await queryAll('SELECT id, shipping_address, billing_address FROM orders WHERE user_id = ?', [userId]);
+  const orderIds = orders.map(order => order.id);
+  const auditEntries = await queryAll(
+    `SELECT id, old_values, new_values FROM audit_logs
+     WHERE user_id = ?
+        OR (table_name IN ('users', 'impersonation') AND record_id = ?)
+        OR (table_name = 'orders' AND record_id IN (${orderIds.map(() => '?').join(', ') || 'NULL'}))`,
+    [userId, userId, ...orderIds]
+  );
+
+  await runStatements(run => {
+    run(
+      `UPDATE users SET
+         username = ?, email = ?, password_hash = '!', first_name = ?, last_name = ?, phone = NULL,
+         is_active = 0, email_verified = 0, email_verified_at = NULL,
+         two_factor_enabled = 0, two_factor_secret = NULL, two_factor_last_step = NULL, two_factor_enabled_at = NULL,
+         erased_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [`erased_user_${userId}`, `erased_${userId}@erased.invalid`, ERASED_PLACEHOLDER, ERASED_PLACEHOLDER, userId]
+    );
+
+    ['user_addresses', 'shopping_cart', 'notifications', 'sessions', 'auth_tokens',
+      'user_recovery_codes', 'two_factor_challenges', 'user_roles', 'password_history',
+      'product_reviews', 'product_review_votes'].forEach(table => {
+      run(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+    });
+
+    // Failed attempts for unknown accounts only record what was typed
+    run(
+      'DELETE FROM login_attempts WHERE user_id = ? OR username IN (?, ?)',
+      [userId, user.username.toLowerCase(), user.email.toLowerCase()]
+    );
+
+    orders.forEach(order => run(
+      'UPDATE orders SET shipping_address = ?, billing_address = ?, notes = NULL WHERE id = ?',
+      [anonymizeAddress(order.shipping_address), anonymizeAddress(order.billing_address), order.id]
+    ));
+
+    auditEntries.forEach(entry => run(
+      'UPDATE audit_logs SET old_values = ?, new_values = ? WHERE id = ?',
+      [anonymizeAuditValue(entry.old_values), anonymizeAuditValue(entry.new_values), entry.id]
+    ));
+
+    run(
+      `UPDATE data_erasure_requests
+       SET status = 'completed', processed_by = ?, processed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [processedBy, requestId]
+    );
+  }, 'Failed to erase user data');
+
+  return { ordersAnonymized: orders.length, auditEntriesAnonymized: auditEntries.length };
+}
+
+module.exports = {
+  collectUserData,
+  getOpenOrders,
+  createErasureRequest,
+  getErasureRequest,
+  listErasureRequests,
+  closeErasureRequest,
+  eraseUserData
+};
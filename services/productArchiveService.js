@@ -0,0 +1,126 @@
+/**
+ * Product Archive Service
+ * Deleting a product archives it (is_active = 0): it disappears from the
+ * catalog but keeps its data for order history and can be restored. Purging
+ * removes an archived product for good, which is only allowed while no order
+ * refers to it.
+ */
+
+const { queryAll, execute, runStatements } = require('../config/database');
+const { getProductImages, removeImageFiles } = require('./productImageService');
+
+// Orders whose items are still being handled
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped'];
+
+// Counts of the data that depends on product p
+const DEPENDENCY_COLUMNS = `
+  (SELECT COUNT(DISTINCT oi.order_id) FROM order_items oi JOIN orders o ON o.id = oi.order_id
+   WHERE oi.product_id = p.id AND o.status IN (${OPEN_ORDER_STATUSES.map(status => `'${status}'`).join(', ')})) as open_order_count,
+  (SELECT COUNT(DISTINCT order_id) FROM order_items WHERE product_id = p.id) as order_count,
+  (SELECT COUNT(*) FROM shopping_cart WHERE product_id = p.id) as cart_count,
+  (SELECT COUNT(DISTINCT bundle_product_id) FROM product_bundle_items WHERE component_product_id = p.id) as bundle_count
+`;
+
+/**
+ * Turn dependency counts into the shape returned by the API
+ * @param {object} row - Row with the DEPENDENCY_COLUMNS counts
+ * @returns {object} { openOrders, orders, carts, bundles }
+ */
+function formatDependencies(row) {
+  return {
+    openOrders: row.open_order_count,
+    orders: row.order_count,
+    carts: row.cart_count,
+    bundles: row.bundle_count
+  };
+}
+
+/**
+ * Get what still depends on a product: open and past orders, carts holding it
+ * and bundles it is a component of
+ * @param {number} productId - Product ID
+ * @returns {Promise<object>} { openOrders, orders, carts, bundles }
+ */
+async function getProductDependencies(productId) {
+  const [row] = await queryAll(`SELECT ${DEPENDENCY_COLUMNS} FROM products p WHERE p.id = ?`, [productId]);
+  return formatDependencies(row);
+}
+
+/**
+ * Get archived products, most recently archived first
+ * @param {object} filters - { search } (matched against name and SKU)
+ * @param {object} options - { limit, offset }
+ * @returns {Promise<object>} { products, total }
+ */
+async function getArchivedProducts({ search = null } = {}, { limit = 20, offset = 0 } = {}) {
+  const conditions = ['p.is_active = 0'];
+  const params = [];
+
+  if (search) {
+    conditions.push('(p.name LIKE ? OR p.sku LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`);
+  }
+
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const [rows, [{ total }]] = await Promise.all([
+    queryAll(
+      `SELECT p.id, p.name, p.sku, p.price, p.category_id, c.name as category_name,
+         p.archived_at, p.updated_at, ${DEPENDENCY_COLUMNS}
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+       ${whereClause}
+       ORDER BY p.archived_at DESC, p.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    ),
+    queryAll(`SELECT COUNT(*) as total FROM products p ${whereClause}`, params)
+  ]);
+
+  const products = rows.map(({ open_order_count, order_count, cart_count, bundle_count, ...product }) => ({
+    ...product,
+    dependencies: formatDependencies({ open_order_count, order_count, cart_count, bundle_count })
+  }));
+
+  return { products, total };
+}
+
+/**
+ * Make an archived product active again
+ * @param {number} productId - Product ID
+ * @returns {Promise<void>}
+ */
+async function restoreProduct(productId) {
+  await execute('UPDATE products SET is_active = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [productId]);
+}
+
+/**
+ * Delete an archived product for good: its cart rows, images (with their files)
+ * and inventory are removed, and variants, attributes, prices and other
+ * product data cascade. Callers check getProductDependencies() first, since
+ * order items and bundles keep references to the product.
+ * @param {number} productId - Product ID
+ * @returns {Promise<object>} Number of removed { cartItems, images, inventoryRows }
+ */
+async function purgeProduct(productId) {
+  const images = await getProductImages(productId);
+
+  const [cartItems, imageRows, inventoryRows] = await runStatements(run => {
+    run('DELETE FROM shopping_cart WHERE product_id = ?', [productId]);
+    run('DELETE FROM product_images WHERE product_id = ?', [productId]);
+    run('DELETE FROM inventory WHERE product_id = ?', [productId]);
+    run('DELETE FROM products WHERE id = ?', [productId]);
+  }, 'Failed to purge product');
+
+  // Files go once the rows are gone, so a failed purge leaves the images intact
+  await Promise.all(images.map(removeImageFiles));
+
+  return { cartItems, images: imageRows, inventoryRows };
+}
+
+module.exports = {
+  getProductDependencies,
+  getArchivedProducts,
+  restoreProduct,
+  purgeProduct
+};
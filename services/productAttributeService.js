@@ -0,0 +1,130 @@
+const { db, runStatements } = require('../config/database');
+
+const MAX_ATTRIBUTE_NAME_LENGTH = 50;
+const MAX_ATTRIBUTE_VALUE_LENGTH = 200;
+
+/**
+ * Validate attributes sent with a product create/update request.
+ * Multipart requests (with images) send the object as a JSON string.
+ * @param {object|string} input - { name: value } pairs, e.g. { brand: 'Nike', color: 'black' }
+ * @returns {object} { attributes } with trimmed string values, or { error }
+ */
+function parseAttributesInput(input) {
+  let attributes = input;
+
+  if (typeof attributes === 'string') {
+    try {
+      attributes = JSON.parse(attributes);
+    } catch (error) {
+      return { error: 'Attributes must be a JSON object' };
+    }
+  }
+
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+    return { error: 'Attributes must be an object of name/value pairs' };
+  }
+
+  const parsed = {};
+
+  for (const [rawName, rawValue] of Object.entries(attributes)) {
+    const name = String(rawName).trim().toLowerCase();
+    const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+
+    if (!/^[a-z0-9_]+$/.test(name) || name.length > MAX_ATTRIBUTE_NAME_LENGTH) {
+      return { error: `Invalid attribute name: ${rawName} (use letters, digits and underscores)` };
+    }
+
+    if (typeof rawValue === 'object' && rawValue !== null) {
+      return { error: `Attribute ${name} must have a single text or number value` };
+    }
+
+    if (value.length > MAX_ATTRIBUTE_VALUE_LENGTH) {
+      return { error: `Attribute ${name} is longer than ${MAX_ATTRIBUTE_VALUE_LENGTH} characters` };
+    }
+
+    // An empty value removes the attribute
+    if (value) {
+      parsed[name] = value;
+    }
+  }
+
+  return { attributes: parsed };
+}
+
+/**
+ * Get a product's attributes
+ * @param {number} productId - Product ID
+ * @returns {Promise<object>} { name: value } pairs
+ */
+function getProductAttributes(productId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT name, value FROM product_attributes WHERE product_id = ? ORDER BY name',
+      [productId],
+      (err, rows) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(Object.fromEntries(rows.map(row => [row.name, row.value])));
+      }
+    );
+  });
+}
+
+/**
+ * Get the attributes of several products at once (for product lists)
+ * @param {number[]} productIds - Product IDs
+ * @returns {Promise<Map>} Product ID => { name: value } pairs (products without attributes are left out)
+ */
+function getAttributesOfProducts(productIds) {
+  if (productIds.length === 0) {
+    return Promise.resolve(new Map());
+  }
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT product_id, name, value FROM product_attributes
+       WHERE product_id IN (${productIds.map(() => '?').join(', ')})
+       ORDER BY product_id, name`,
+      productIds,
+      (err, rows) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        const attributes = new Map();
+        rows.forEach(row => {
+          if (!attributes.has(row.product_id)) {
+            attributes.set(row.product_id, {});
+          }
+          attributes.get(row.product_id)[row.name] = row.value;
+        });
+        resolve(attributes);
+      }
+    );
+  });
+}
+
+/**
+ * Replace all attributes of a product
+ * @param {number} productId - Product ID
+ * @param {object} attributes - Validated { name: value } pairs from parseAttributesInput()
+ * @returns {Promise<void>}
+ */
+async function setProductAttributes(productId, attributes) {
+  await runStatements(run => {
+    run('DELETE FROM product_attributes WHERE product_id = ?', [productId]);
+    Object.entries(attributes).forEach(([name, value]) => run(
+      'INSERT INTO product_attributes (product_id, name, value) VALUES (?, ?, ?)',
+      [productId, name, value]
+    ));
+  }, 'Failed to save product attributes');
+}
+
+module.exports = {
+  parseAttributesInput,
+  getProductAttributes,
+  getAttributesOfProducts,
+  setProductAttributes
+};
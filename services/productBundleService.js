@@ -0,0 +1,273 @@
+/**
+ * Product Bundle Service
+ * A bundle (kit) is a product sold as a set of other products, e.g. a MacBook
+ * with a sleeve. It has no stock of its own: availability is what its
+ * components allow, and ordering it reserves and sells the components (see
+ * inventoryService). Its price is either its own (fixed) or the components'
+ * current prices summed less a discount (discounted_sum), resolved in the
+ * product_current_prices view.
+ */
+
+const { queryAll, queryOne, runStatements } = require('../config/database');
+
+const BUNDLE_PRICING = ['fixed', 'discounted_sum'];
+const MAX_COMPONENTS = 20;
+const MAX_COMPONENT_QUANTITY = 100;
+
+/**
+ * Validate a bundle definition request body
+ * @param {object} body - { pricing, discountPercent, components: [{ productId, variantId, quantity }] }
+ * @returns {object} { bundle } with normalized fields, or { error }
+ */
+function parseBundleInput(body) {
+  const pricing = body.pricing || 'fixed';
+  if (!BUNDLE_PRICING.includes(pricing)) {
+    return { error: `pricing must be one of: ${BUNDLE_PRICING.join(', ')}` };
+  }
+
+  let discountPercent = 0;
+  if (body.discountPercent !== undefined && body.discountPercent !== null && body.discountPercent !== '') {
+    discountPercent = Number(body.discountPercent);
+    if (!Number.isFinite(discountPercent) || discountPercent < 0 || discountPercent >= 100) {
+      return { error: 'discountPercent must be a number from 0 to less than 100' };
+    }
+    if (pricing === 'fixed' && discountPercent > 0) {
+      return { error: 'discountPercent only applies to discounted_sum pricing' };
+    }
+  }
+
+  const { components } = body;
+  if (!Array.isArray(components) || components.length === 0 || components.length > MAX_COMPONENTS) {
+    return { error: `components must list 1 to ${MAX_COMPONENTS} products` };
+  }
+
+  const parsed = [];
+  for (const component of components) {
+    if (!component || typeof component !== 'object') {
+      return { error: 'Each component must be an object like { productId, variantId, quantity }' };
+    }
+
+    const productId = Number(component.productId);
+    const variantId = component.variantId === undefined || component.variantId === null ? null : Number(component.variantId);
+    const quantity = component.quantity === undefined ? 1 : Number(component.quantity);
+
+    if (!Number.isInteger(productId) || productId < 1) {
+      return { error: 'Each component needs a productId' };
+    }
+    if (variantId !== null && (!Number.isInteger(variantId) || variantId < 1)) {
+      return { error: `variantId of product ${productId} must be a variant ID` };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_COMPONENT_QUANTITY) {
+      return { error: `quantity of product ${productId} must be a whole number from 1 to ${MAX_COMPONENT_QUANTITY}` };
+    }
+    if (parsed.some(other => other.productId === productId && other.variantId === variantId)) {
+      return { error: `Product ${productId}${variantId ? ` variant ${variantId}` : ''} is listed twice; set its quantity instead` };
+    }
+
+    parsed.push({ productId, variantId, quantity });
+  }
+
+  return { bundle: { pricing, discountPercent, components: parsed } };
+}
+
+/**
+ * Get what a bundle is made of, for inventory operations
+ * @param {number} productId - Product ID
+ * @returns {Promise<object[]>} [{ product_id, variant_id, quantity }], empty if the product is not a bundle
+ */
+function getBundleComponents(productId) {
+  return queryAll(
+    `SELECT component_product_id as product_id, component_variant_id as variant_id, quantity
+     FROM product_bundle_items
+     WHERE bundle_product_id = ?
+     ORDER BY sort_order, id`,
+    [productId]
+  );
+}
+
+/**
+ * Get a bundle with its components, current price and availability
+ * @param {number} productId - Product ID
+ * @returns {Promise<object|null>} Bundle, or null if the product is not a bundle
+ */
+async function getBundle(productId) {
+  const bundle = await queryOne(
+    `SELECT
+       b.product_id, b.pricing, b.discount_percent,
+       cp.price, cp.compare_at_price,
+       COALESCE(bt.components_total, 0) as components_total,
+       COALESCE(bs.quantity, 0) as available_quantity,
+       b.updated_at
+     FROM product_bundles b
+     JOIN product_current_prices cp ON cp.product_id = b.product_id
+     LEFT JOIN bundle_component_totals bt ON bt.product_id = b.product_id
+     LEFT JOIN bundle_stock bs ON bs.product_id = b.product_id
+     WHERE b.product_id = ?`,
+    [productId]
+  );
+
+  if (!bundle) {
+    return null;
+  }
+
+  const components = await queryAll(
+    `SELECT
+       bi.component_product_id as product_id,
+       bi.component_variant_id as variant_id,
+       p.name,
+       p.sku,
+       v.name as variant_name,
+       v.sku as variant_sku,
+       bi.quantity,
+       COALESCE(vp.price, pp.price) as unit_price,
+       p.is_active AND COALESCE(v.is_active, 1) as is_active,
+       MAX(0, COALESCE(si.quantity - si.reserved_quantity, 0)) as available_quantity
+     FROM product_bundle_items bi
+     JOIN products p ON p.id = bi.component_product_id
+     JOIN product_current_prices pp ON pp.product_id = p.id
+     LEFT JOIN product_variants v ON v.id = bi.component_variant_id
+     LEFT JOIN variant_current_prices vp ON vp.variant_id = v.id
+     LEFT JOIN sellable_inventory si ON si.product_id = bi.component_product_id AND si.variant_id IS bi.component_variant_id
+     WHERE bi.bundle_product_id = ?
+     ORDER BY bi.sort_order, bi.id`,
+    [productId]
+  );
+
+  return {
+    ...bundle,
+    components: components.map(component => ({ ...component, is_active: Boolean(component.is_active) }))
+  };
+}
+
+/**
+ * Check that a product can be a bundle of the given components
+ * @param {number} productId - Bundle product ID
+ * @param {object[]} components - Components from parseBundleInput()
+ * @returns {Promise<string|null>} What is wrong, or null
+ */
+async function findBundleProblem(productId, components) {
+  const [variants, usedIn] = await Promise.all([
+    queryOne('SELECT COUNT(*) as count FROM product_variants WHERE product_id = ?', [productId]),
+    queryOne('SELECT COUNT(*) as count FROM product_bundle_items WHERE component_product_id = ?', [productId])
+  ]);
+
+  if (variants.count > 0) {
+    return 'Products with variants cannot be bundles; add the variants as components instead';
+  }
+  if (usedIn.count > 0) {
+    return 'This product is a component of another bundle, and bundles cannot be nested';
+  }
+
+  for (const { productId: componentId, variantId } of components) {
+    if (componentId === productId) {
+      return 'A bundle cannot contain itself';
+    }
+
+    const component = await queryOne(
+      `SELECT p.name,
+         EXISTS (SELECT 1 FROM product_bundles WHERE product_id = p.id) as is_bundle,
+         (SELECT COUNT(*) FROM product_variants WHERE product_id = p.id) as variant_count,
+         (SELECT id FROM product_variants WHERE id = ? AND product_id = p.id) as variant_id
+       FROM products p
+       WHERE p.id = ?`,
+      [variantId, componentId]
+    );
+
+    if (!component) {
+      return `Product ${componentId} not found`;
+    }
+    if (component.is_bundle) {
+      return `${component.name} is itself a bundle, and bundles cannot be nested`;
+    }
+    if (variantId && !component.variant_id) {
+      return `Variant ${variantId} does not belong to ${component.name}`;
+    }
+    if (!variantId && component.variant_count > 0) {
+      return `Choose a variant (variantId) of ${component.name}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether pending orders hold reserved components of a bundle. Reservations are
+ * released and sold per component, so the components must not change meanwhile.
+ * @param {number} productId - Bundle product ID
+ * @returns {Promise<boolean>} True if such orders exist
+ */
+async function hasPendingOrders(productId) {
+  const row = await queryOne(
+    `SELECT 1 as found
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE oi.product_id = ? AND o.status = 'pending'
+     LIMIT 1`,
+    [productId]
+  );
+  return Boolean(row);
+}
+
+/**
+ * Whether a bundle definition uses the same components as the current one
+ * @param {object[]} current - Components from getBundle()
+ * @param {object[]} components - Components from parseBundleInput()
+ * @returns {boolean} True if nothing reserved would change
+ */
+function sameComponents(current, components) {
+  return current.length === components.length && components.every(component => current.some(existing =>
+    existing.product_id === component.productId &&
+    existing.variant_id === component.variantId &&
+    existing.quantity === component.quantity
+  ));
+}
+
+/**
+ * Make a product a bundle, or replace its bundle definition
+ * @param {number} productId - Product ID
+ * @param {object} bundle - Fields from parseBundleInput()
+ * @returns {Promise<object>} Bundle from getBundle()
+ */
+async function saveBundle(productId, bundle) {
+  await runStatements(run => {
+    run(
+      `INSERT INTO product_bundles (product_id, pricing, discount_percent) VALUES (?, ?, ?)
+       ON CONFLICT(product_id) DO UPDATE SET
+         pricing = excluded.pricing, discount_percent = excluded.discount_percent, updated_at = CURRENT_TIMESTAMP`,
+      [productId, bundle.pricing, bundle.discountPercent]
+    );
+    run('DELETE FROM product_bundle_items WHERE bundle_product_id = ?', [productId]);
+    bundle.components.forEach((component, index) => run(
+      `INSERT INTO product_bundle_items (bundle_product_id, component_product_id, component_variant_id, quantity, sort_order)
+       VALUES (?, ?, ?, ?, ?)`,
+      [productId, component.productId, component.variantId, component.quantity, index]
+    ));
+    run('UPDATE products SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [productId]);
+  }, 'Failed to save bundle');
+
+  return getBundle(productId);
+}
+
+/**
+ * Turn a bundle back into a plain product (its components are kept as products)
+ * @param {number} productId - Product ID
+ * @returns {Promise<void>}
+ */
+async function removeBundle(productId) {
+  await runStatements(run => {
+    run('DELETE FROM product_bundles WHERE product_id = ?', [productId]);
+    run('UPDATE products SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [productId]);
+  }, 'Failed to remove bundle');
+}
+
+module.exports = {
+  BUNDLE_PRICING,
+  parseBundleInput,
+  getBundleComponents,
+  getBundle,
+  findBundleProblem,
+  hasPendingOrders,
+  sameComponents,
+  saveBundle,
+  removeBundle
+};
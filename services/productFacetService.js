@@ -0,0 +1,293 @@
+/**
+ * Product Facet Service
+ * Turns catalog query parameters into filter clauses and counts how many
+ * products each filter option would return. Each facet is counted with every
+ * filter except its own applied, so selecting one category still shows the
+ * counts of the other categories.
+ */
+
+const { queryAll } = require('../config/database');
+const { categorySubtreeQuery } = require('./categoryService');
+
+// Price buckets shown in the filter sidebar (KRW, max is exclusive)
+const PRICE_BUCKETS = [
+  { min: 0, max: 10000 },
+  { min: 10000, max: 50000 },
+  { min: 50000, max: 100000 },
+  { min: 100000, max: 500000 },
+  { min: 500000, max: 1000000 },
+  { min: 1000000, max: null }
+];
+const MAX_ATTRIBUTE_FILTERS = 10;
+// Prices are filtered and bucketed by what the product sells for now (sale prices included)
+const CURRENT_PRICE = '(SELECT price FROM product_current_prices WHERE product_id = p.id)';
+// Attribute values that are plain numbers (number and unit attributes store them that way)
+const NUMERIC_VALUE = "value GLOB '*[0-9]*' AND value NOT GLOB '*[^0-9.-]*'";
+
+/**
+ * Parse a comma separated list (or repeated query parameter)
+ * @param {string|string[]} value - Query value
+ * @returns {string[]} Non-empty trimmed values
+ */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(item => item !== undefined && item !== null)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build a filter on a numeric attribute range
+ * @param {string} name - Attribute name
+ * @param {object} range - { min, max }, either may be left out
+ * @returns {object} Filter, or { error }
+ */
+function buildAttributeRangeFilter(name, range) {
+  const unknownKeys = Object.keys(range).filter(key => key !== 'min' && key !== 'max');
+  if (unknownKeys.length > 0) {
+    return { error: `Attribute range filters must look like attributes[${name}][min]=value` };
+  }
+
+  const conditions = [];
+  const params = [name];
+  for (const [key, operator] of [['min', '>='], ['max', '<=']]) {
+    if (range[key] === undefined || range[key] === '') {
+      continue;
+    }
+    const number = Number(range[key]);
+    if (typeof range[key] !== 'string' || !Number.isFinite(number)) {
+      return { error: `attributes[${name}][${key}] must be a number` };
+    }
+    conditions.push(`CAST(value AS REAL) ${operator} ?`);
+    params.push(number);
+  }
+
+  return {
+    facet: `attribute:${name}`,
+    clause: `p.id IN (
+      SELECT product_id FROM product_attributes WHERE name = ? AND ${NUMERIC_VALUE}
+      ${conditions.map(condition => `AND ${condition}`).join(' ')}
+    )`,
+    params
+  };
+}
+
+/**
+ * Build catalog filters from query parameters
+ * @param {object} query - req.query (categories or category, minPrice, maxPrice, inStock, attributes)
+ * @param {object|null} searchFilter - Result of buildSearchFilter(), if searching
+ * @returns {object} { filters } or { error }. Each filter is { facet, clause, params }.
+ */
+function buildCatalogFilters(query, searchFilter) {
+  const filters = [];
+
+  const categoryIds = parseList(query.categories !== undefined ? query.categories : query.category);
+  if (categoryIds.length > 0) {
+    if (categoryIds.some(id => !/^\d+$/.test(id))) {
+      return { error: 'Categories must be a comma separated list of category IDs' };
+    }
+    // A category also matches the products of its subcategories
+    filters.push({
+      facet: 'category',
+      clause: `p.category_id IN (${categorySubtreeQuery(categoryIds.length)})`,
+      params: categoryIds.map(Number)
+    });
+  }
+
+  const priceConditions = [];
+  const priceParams = [];
+  for (const [key, operator] of [['minPrice', '>='], ['maxPrice', '<=']]) {
+    if (query[key] === undefined || query[key] === '') {
+      continue;
+    }
+    const price = Number(query[key]);
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    priceConditions.push(`${CURRENT_PRICE} ${operator} ?`);
+    priceParams.push(price);
+  }
+  if (priceConditions.length > 0) {
+    filters.push({ facet: 'price', clause: priceConditions.join(' AND '), params: priceParams });
+  }
+
+  if (query.inStock === 'true') {
+    filters.push({ facet: 'availability', clause: 'COALESCE(i.quantity, 0) > 0', params: [] });
+  }
+
+  // ?attributes[color]=black,white&attributes[brand]=Nike
+  if (query.attributes !== undefined) {
+    if (!query.attributes || typeof query.attributes !== 'object' || Array.isArray(query.attributes)) {
+      return { error: 'Attribute filters must look like attributes[name]=value1,value2' };
+    }
+
+    const entries = Object.entries(query.attributes);
+    if (entries.length > MAX_ATTRIBUTE_FILTERS) {
+      return { error: `At most ${MAX_ATTRIBUTE_FILTERS} attribute filters are allowed` };
+    }
+
+    for (const [name, value] of entries) {
+      // ?attributes[screen_size][min]=13&attributes[screen_size][max]=15 for number and unit attributes
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const rangeFilter = buildAttributeRangeFilter(name.toLowerCase(), value);
+        if (rangeFilter.error) {
+          return { error: rangeFilter.error };
+        }
+        filters.push(rangeFilter);
+        continue;
+      }
+
+      const values = parseList(value);
+      if (values.length === 0) {
+        continue;
+      }
+      filters.push({
+        facet: `attribute:${name.toLowerCase()}`,
+        clause: `p.id IN (
+          SELECT product_id FROM product_attributes WHERE name = ? AND value IN (${values.map(() => '?').join(', ')})
+        )`,
+        params: [name.toLowerCase(), ...values]
+      });
+    }
+  }
+
+  if (searchFilter) {
+    filters.push({ facet: 'search', clause: searchFilter.where, params: searchFilter.params });
+  }
+
+  return { filters };
+}
+
+/**
+ * Combine filters into a WHERE clause for active products
+ * @param {object[]} filters - Filters from buildCatalogFilters()
+ * @param {string} excludeFacet - Facet whose own filter is left out
+ * @returns {object} { whereClause, params }
+ */
+function buildWhereClause(filters, excludeFacet = null) {
+  const applied = filters.filter(filter => filter.facet !== excludeFacet);
+
+  return {
+    whereClause: ['WHERE p.is_active = 1', ...applied.map(filter => filter.clause)].join(' AND '),
+    params: applied.flatMap(filter => filter.params)
+  };
+}
+
+/**
+ * Count products per filter option
+ * @param {object[]} filters - Filters from buildCatalogFilters()
+ * @param {string} joinClause - Extra join needed by the filters (the search index)
+ * @returns {Promise<object>} { categories, priceRanges, availability, attributes }
+ */
+async function getFacets(filters, joinClause = '') {
+  const from = `
+    FROM products p
+    ${joinClause}
+    LEFT JOIN product_stock i ON i.product_id = p.id
+  `;
+  const forFacet = facet => buildWhereClause(filters, facet);
+
+  const categoryWhere = forFacet('category');
+  const priceWhere = forFacet('price');
+  const availabilityWhere = forFacet('availability');
+  const attributeWhere = forFacet(null);
+  const filteredAttributes = filters
+    .filter(filter => filter.facet.startsWith('attribute:'))
+    .map(filter => filter.facet.slice('attribute:'.length));
+
+  const [categories, [priceRow], [availability], attributeRows, ...filteredAttributeRows] = await Promise.all([
+    // Products count towards their own category and every category above it
+    queryAll(
+      `WITH RECURSIVE category_ancestors(category_id, ancestor_id) AS (
+         SELECT id, id FROM categories
+         UNION
+         SELECT ca.category_id, c.parent_id
+         FROM category_ancestors ca
+         JOIN categories c ON c.id = ca.ancestor_id
+         WHERE c.parent_id IS NOT NULL
+       )
+       SELECT c.id, c.name, c.parent_id, COUNT(*) as count
+       ${from}
+       JOIN category_ancestors ca ON ca.category_id = p.category_id
+       JOIN categories c ON c.id = ca.ancestor_id
+       ${categoryWhere.whereClause} AND c.is_active = 1
+       GROUP BY c.id
+       ORDER BY c.name`,
+      categoryWhere.params
+    ),
+    queryAll(
+      `SELECT ${PRICE_BUCKETS.map((bucket, index) => `
+         SUM(CASE WHEN ${CURRENT_PRICE} >= ${bucket.min}${bucket.max !== null ? ` AND ${CURRENT_PRICE} < ${bucket.max}` : ''} THEN 1 ELSE 0 END) as bucket_${index}`
+       ).join(',')}
+       ${from}
+       ${priceWhere.whereClause}`,
+      priceWhere.params
+    ),
+    queryAll(
+      `SELECT
+         COALESCE(SUM(CASE WHEN COALESCE(i.quantity, 0) > 0 THEN 1 ELSE 0 END), 0) as inStock,
+         COALESCE(SUM(CASE WHEN COALESCE(i.quantity, 0) > 0 THEN 0 ELSE 1 END), 0) as outOfStock
+       ${from}
+       ${availabilityWhere.whereClause}`,
+      availabilityWhere.params
+    ),
+    // Attributes without an active filter, counted against every filter
+    queryAll(
+      `SELECT pa.name, pa.value, COUNT(*) as count
+       ${from}
+       JOIN product_attributes pa ON pa.product_id = p.id
+       ${attributeWhere.whereClause}
+       ${filteredAttributes.length > 0 ? `AND pa.name NOT IN (${filteredAttributes.map(() => '?').join(', ')})` : ''}
+       GROUP BY pa.name, pa.value
+       ORDER BY pa.name, pa.value`,
+      [...attributeWhere.params, ...filteredAttributes]
+    ),
+    // Each filtered attribute, counted without its own filter
+    ...filteredAttributes.map(name => {
+      const where = forFacet(`attribute:${name}`);
+      return queryAll(
+        `SELECT pa.name, pa.value, COUNT(*) as count
+         ${from}
+         JOIN product_attributes pa ON pa.product_id = p.id
+         ${where.whereClause} AND pa.name = ?
+         GROUP BY pa.value
+         ORDER BY pa.value`,
+        [...where.params, name]
+      );
+    })
+  ]);
+
+  const attributes = {};
+  [...attributeRows, ...filteredAttributeRows.flat()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(row => {
+      if (!attributes[row.name]) {
+        attributes[row.name] = [];
+      }
+      attributes[row.name].push({ value: row.value, count: row.count });
+    });
+
+  // Numbers are listed by value rather than as text (so 8 comes before 16)
+  Object.values(attributes)
+    .filter(values => values.every(({ value }) => /^-?\d+(\.\d+)?$/.test(value)))
+    .forEach(values => values.sort((a, b) => Number(a.value) - Number(b.value)));
+
+  return {
+    categories,
+    priceRanges: PRICE_BUCKETS.map((bucket, index) => ({
+      min: bucket.min,
+      max: bucket.max,
+      count: priceRow[`bucket_${index}`] || 0
+    })),
+    availability,
+    attributes
+  };
+}
+
+module.exports = {
+  buildCatalogFilters,
+  buildWhereClause,
+  getFacets
+};
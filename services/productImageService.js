@@ -0,0 +1,367 @@
+/**
+ * Product Image Service
+ * Uploaded images are never stored as sent: each one is auto-rotated,
+ * stripped of EXIF/GPS metadata and re-encoded into a few sizes as JPEG and
+ * WebP. image_url points at the largest JPEG so older clients keep working;
+ * the other sizes are kept in product_images.renditions.
+ * Also manages a product's gallery (order, primary image, alt text, deletion).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { queryAll, runStatements } = require('../config/database');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads', 'products');
+const UPLOAD_URL = '/uploads/products';
+
+// Longest side of each rendition, smallest first. Images are never enlarged.
+const IMAGE_SIZES = {
+  thumbnail: 150,
+  card: 400,
+  zoom: 1200
+};
+const FULL_SIZE = 'zoom';
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const MIN_DIMENSION = 200;
+// Rejects decompression bombs before they are decoded
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+const JPEG_QUALITY = 82;
+const WEBP_QUALITY = 80;
+const MAX_ALT_TEXT_LENGTH = 200;
+const IMAGE_COLUMNS = 'id, product_id, variant_id, image_url, alt_text, is_primary, sort_order, width, height, renditions, created_at';
+
+/**
+ * Read and validate an uploaded image
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} label - Name used in error messages
+ * @returns {Promise<object>} { width, height } as displayed (after EXIF rotation), or { error }
+ */
+async function inspectImage(buffer, label) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    return { error: `${label} is not a readable image` };
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    return { error: `${label} must be a JPEG, PNG, WebP or GIF image` };
+  }
+
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    return { error: `${label} is larger than ${MAX_INPUT_PIXELS / 1000000} megapixels` };
+  }
+
+  // Orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (width < MIN_DIMENSION || height < MIN_DIMENSION) {
+    return { error: `${label} must be at least ${MIN_DIMENSION}x${MIN_DIMENSION} pixels (got ${width}x${height})` };
+  }
+
+  return { width, height };
+}
+
+/**
+ * Encode all renditions of an image and write them to the upload directory
+ * @param {Buffer} buffer - Validated image
+ * @param {string} baseName - File name prefix shared by the renditions
+ * @returns {Promise<object>} { imageUrl, width, height, renditions }
+ */
+async function writeRenditions(buffer, baseName) {
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+
+  const renditions = {};
+
+  for (const [size, maxDimension] of Object.entries(IMAGE_SIZES)) {
+    // rotate() applies the EXIF orientation; sharp drops all metadata on output
+    const resized = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+
+    const [jpeg, webp] = await Promise.all([
+      resized.clone()
+        .flatten({ background: '#ffffff' }) // JPEG has no transparency
+        .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true }),
+      resized.clone()
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer()
+    ]);
+
+    const jpegName = `${baseName}-${size}.jpg`;
+    const webpName = `${baseName}-${size}.webp`;
+    await Promise.all([
+      fs.promises.writeFile(path.join(UPLOAD_DIR, jpegName), jpeg.data),
+      fs.promises.writeFile(path.join(UPLOAD_DIR, webpName), webp)
+    ]);
+
+    renditions[size] = {
+      width: jpeg.info.width,
+      height: jpeg.info.height,
+      url: `${UPLOAD_URL}/${jpegName}`,
+      webpUrl: `${UPLOAD_URL}/${webpName}`
+    };
+  }
+
+  return {
+    imageUrl: renditions[FULL_SIZE].url,
+    width: renditions[FULL_SIZE].width,
+    height: renditions[FULL_SIZE].height,
+    renditions
+  };
+}
+
+/**
+ * Validate uploaded product images (run before anything is saved)
+ * @param {object[]} files - multer files (memory storage)
+ * @returns {Promise<string|null>} Error for the first invalid file, or null
+ */
+async function validateProductImages(files) {
+  for (const file of files) {
+    const { error } = await inspectImage(file.buffer, file.originalname);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Re-encode validated uploads and write their renditions
+ * @param {object[]} files - multer files that passed validateProductImages()
+ * @returns {Promise<object[]>} [{ imageUrl, width, height, renditions }] in upload order
+ */
+async function processProductImages(files) {
+  const images = [];
+
+  // One at a time: each image is decoded several times and memory use adds up
+  for (const file of files) {
+    const baseName = 'product-' + Date.now() + '-' + Math.round(Math.random() * 1E9);
+    images.push(await writeRenditions(file.buffer, baseName));
+  }
+
+  return images;
+}
+
+/**
+ * Process an image that is already stored (used to backfill older uploads)
+ * @param {string} imageUrl - Current image URL (/uploads/products/...)
+ * @returns {Promise<object>} { image } with the new image_url, size and renditions, or { error }
+ */
+async function reprocessStoredImage(imageUrl) {
+  if (!imageUrl.startsWith(`${UPLOAD_URL}/`)) {
+    return { error: 'Not an uploaded product image' };
+  }
+
+  const fileName = path.basename(imageUrl);
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(path.join(UPLOAD_DIR, fileName));
+  } catch (error) {
+    return { error: 'File not found' };
+  }
+
+  const { error } = await inspectImage(buffer, fileName);
+  if (error) {
+    return { error };
+  }
+
+  return { image: await writeRenditions(buffer, path.parse(fileName).name) };
+}
+
+/**
+ * Build a srcset attribute value from renditions
+ * @param {object} renditions - Stored renditions
+ * @param {string} key - 'url' or 'webpUrl'
+ * @returns {string} e.g. "/a-thumbnail.jpg 150w, /a-card.jpg 400w"
+ */
+function buildSrcset(renditions, key) {
+  const seenWidths = new Set();
+
+  // Small originals give several renditions of the same width; list each width once
+  return Object.keys(IMAGE_SIZES)
+    .map(size => renditions[size])
+    .filter(rendition => rendition && !seenWidths.has(rendition.width) && seenWidths.add(rendition.width))
+    .map(rendition => `${rendition[key]} ${rendition.width}w`)
+    .join(', ');
+}
+
+/**
+ * Shape a product_images row for API responses
+ * @param {object} row - product_images row (renditions is a JSON string or null)
+ * @returns {object} Row with sizes, srcset and webpSrcset (null for images uploaded
+ * before processing was added and not yet backfilled)
+ */
+function formatProductImage(row) {
+  const { renditions: renditionsJson, ...image } = row;
+  const renditions = renditionsJson ? JSON.parse(renditionsJson) : null;
+
+  return {
+    ...image,
+    sizes: renditions,
+    srcset: renditions ? buildSrcset(renditions, 'url') : null,
+    webpSrcset: renditions ? buildSrcset(renditions, 'webpUrl') : null
+  };
+}
+
+/**
+ * Get a product's images in gallery order
+ * @param {number} productId - Product ID
+ * @returns {Promise<object[]>} Images shaped by formatProductImage()
+ */
+async function getProductImages(productId) {
+  const rows = await queryAll(
+    `SELECT ${IMAGE_COLUMNS} FROM product_images WHERE product_id = ? ORDER BY sort_order, id`,
+    [productId]
+  );
+
+  return rows.map(formatProductImage);
+}
+
+/**
+ * Get one image of a product
+ * @param {number} productId - Product ID
+ * @param {number} imageId - Image ID
+ * @returns {Promise<object|undefined>} Image shaped by formatProductImage()
+ */
+async function getProductImage(productId, imageId) {
+  const [row] = await queryAll(
+    `SELECT ${IMAGE_COLUMNS} FROM product_images WHERE product_id = ? AND id = ?`,
+    [productId, imageId]
+  );
+
+  return row && formatProductImage(row);
+}
+
+/**
+ * Validate an image update request body
+ * @param {object} body - { altText, isPrimary }
+ * @returns {object} { changes } or { error }
+ */
+function parseImageUpdate(body) {
+  const changes = {};
+
+  if (body.altText !== undefined) {
+    const altText = body.altText === null ? '' : String(body.altText).trim();
+    if (altText.length > MAX_ALT_TEXT_LENGTH) {
+      return { error: `Alt text is longer than ${MAX_ALT_TEXT_LENGTH} characters` };
+    }
+    // An empty value clears it
+    changes.altText = altText || null;
+  }
+
+  if (body.isPrimary !== undefined) {
+    // A product always keeps one primary image, so it can only be moved to another image
+    if (body.isPrimary !== true) {
+      return { error: 'isPrimary can only be set to true (make another image primary instead)' };
+    }
+    changes.isPrimary = true;
+  }
+
+  return { changes };
+}
+
+/**
+ * Update an image's alt text and/or make it the product's primary image
+ * @param {object} image - Current image
+ * @param {object} changes - Fields from parseImageUpdate()
+ * @returns {Promise<object>} Updated image
+ */
+async function updateProductImage(image, changes) {
+  await runStatements(run => {
+    if (changes.altText !== undefined) {
+      run('UPDATE product_images SET alt_text = ? WHERE id = ?', [changes.altText, image.id]);
+    }
+
+    if (changes.isPrimary) {
+      run('UPDATE product_images SET is_primary = 0 WHERE product_id = ? AND id != ?', [image.product_id, image.id]);
+      run('UPDATE product_images SET is_primary = 1 WHERE id = ?', [image.id]);
+    }
+  }, 'Failed to update product image');
+  return getProductImage(image.product_id, image.id);
+}
+
+/**
+ * Put a product's images in a new order
+ * @param {number} productId - Product ID
+ * @param {number[]} imageIds - Every image ID of the product, in the new order
+ * @returns {Promise<object>} { images } in the new order, or { error } if the IDs do not match the product's images
+ */
+async function reorderProductImages(productId, imageIds) {
+  const current = await queryAll('SELECT id FROM product_images WHERE product_id = ?', [productId]);
+  const currentIds = new Set(current.map(row => row.id));
+
+  if (imageIds.length !== currentIds.size || new Set(imageIds).size !== imageIds.length ||
+      imageIds.some(id => !currentIds.has(id))) {
+    return { error: `imageIds must list each of the product's ${currentIds.size} image IDs exactly once` };
+  }
+
+  await runStatements(
+    run => imageIds.forEach((id, index) => run('UPDATE product_images SET sort_order = ? WHERE id = ?', [index, id])),
+    'Failed to reorder product images'
+  );
+
+  return { images: await getProductImages(productId) };
+}
+
+/**
+ * Remove an image's files from the upload directory
+ * @param {object} image - Image shaped by formatProductImage()
+ * @returns {Promise<void>}
+ */
+async function removeImageFiles(image) {
+  const urls = new Set([image.image_url]);
+  Object.values(image.sizes || {}).forEach(rendition => {
+    urls.add(rendition.url);
+    urls.add(rendition.webpUrl);
+  });
+
+  await Promise.all([...urls]
+    .filter(url => url && url.startsWith(`${UPLOAD_URL}/`))
+    .map(url => fs.promises.unlink(path.join(UPLOAD_DIR, path.basename(url))).catch(error => {
+      // Already gone is fine; anything else is only logged, the image row is deleted either way
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to remove image file:', error);
+      }
+    })));
+}
+
+/**
+ * Delete an image and its files. If it was the primary image, the next image
+ * in gallery order becomes primary.
+ * @param {object} image - Image from getProductImage()
+ * @returns {Promise<void>}
+ */
+async function deleteProductImage(image) {
+  await runStatements(run => {
+    run('DELETE FROM product_images WHERE id = ?', [image.id]);
+
+    if (image.is_primary) {
+      run(
+        `UPDATE product_images SET is_primary = 1
+         WHERE id = (SELECT id FROM product_images WHERE product_id = ? ORDER BY sort_order, id LIMIT 1)`,
+        [image.product_id]
+      );
+    }
+  }, 'Failed to delete product image');
+  await removeImageFiles(image);
+}
+
+module.exports = {
+  validateProductImages,
+  processProductImages,
+  reprocessStoredImage,
+  formatProductImage,
+  getProductImages,
+  getProductImage,
+  parseImageUpdate,
+  updateProductImage,
+  reorderProductImages,
+  removeImageFiles,
+  deleteProductImage
+};
@@ -0,0 +1,624 @@
+/**
+ * Product Import Service
+ * Reads CSV/XLSX catalog files, validates every row against the catalog and
+ * writes the whole file in one transaction (products are matched by SKU, so
+ * importing an edited export updates the existing products). Also builds
+ * the export in the same column layout.
+ */
+
+const ExcelJS = require('exceljs');
+const { queryAll, runStatements } = require('../config/database');
+const { parseAttributesInput } = require('./productAttributeService');
+const { getAttributeSchemas, validateAttributes } = require('./categoryAttributeService');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { slugify, uniqueSlug } = require('../utils/slug');
+
+// Columns in export order. Only sku is required in an import file; columns
+// that are left out are not changed on existing products.
+const COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'category_id',
+  'category',
+  'price',
+  'cost_price',
+  'weight',
+  'dimensions',
+  'is_active',
+  'stock_quantity',
+  'reorder_level',
+  'warehouse_location',
+  'attributes'
+];
+// Needed to create a product (category_id or category)
+const REQUIRED_FOR_NEW = ['name', 'price'];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_LENGTHS = { sku: 100, name: 200, dimensions: 100, warehouse_location: 100 };
+const CATEGORY_PATH_SEPARATOR = ' > ';
+const DEFAULT_REORDER_LEVEL = 10;
+
+/**
+ * Normalize a header cell ("Stock Quantity", "stockQuantity" -> "stock_quantity")
+ * @param {string} header - Header text
+ * @returns {string} Column name
+ */
+function normalizeHeader(header) {
+  return String(header)
+    .trim()
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Text of a spreadsheet cell (formulas give their result, dates an ISO string)
+ * @param {object} cell - exceljs cell
+ * @returns {string} Cell text
+ */
+function cellText(cell) {
+  const value = cell.value;
+
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object' && value.result !== undefined) {
+    return String(value.result);
+  }
+
+  return cell.text;
+}
+
+/**
+ * Read the rows of a catalog file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' or 'xlsx' (first worksheet)
+ * @returns {Promise<string[][]>} Rows of cell text, header first
+ * @throws {Error} If the file cannot be read
+ */
+async function readRows(buffer, format) {
+  if (format === 'csv') {
+    return parseCsv(buffer.toString('utf8'));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error('The file is not a valid XLSX workbook');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const rows = [];
+  for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    const cells = [];
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      cells.push(cellText(row.getCell(column)));
+    }
+    rows.push(cells);
+  }
+
+  return rows;
+}
+
+/**
+ * Read a catalog file into records keyed by column name
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<object>} { columns, records: [{ rowNumber, values }] } or { error }
+ */
+async function readCatalogFile(buffer, format) {
+  let rows;
+  try {
+    rows = await readRows(buffer, format);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  if (rows.length === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  const columns = rows[0].map(normalizeHeader);
+  const unknown = columns.filter(column => column && !COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')} (allowed: ${COLUMNS.join(', ')})` };
+  }
+
+  const duplicates = columns.filter((column, index) => column && columns.indexOf(column) !== index);
+  if (duplicates.length > 0) {
+    return { error: `Duplicate columns: ${[...new Set(duplicates)].join(', ')}` };
+  }
+
+  if (!columns.includes('sku')) {
+    return { error: 'The sku column is required' };
+  }
+
+  // Row numbers match the file (row 1 is the header); blank rows are skipped
+  const records = rows.slice(1)
+    .map((cells, index) => ({
+      rowNumber: index + 2,
+      values: Object.fromEntries(
+        columns
+          .map((column, columnIndex) => [column, String(cells[columnIndex] || '').trim()])
+          .filter(([column]) => column)
+      )
+    }))
+    .filter(record => Object.values(record.values).some(value => value !== ''));
+
+  if (records.length === 0) {
+    return { error: 'The file has no product rows' };
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+  }
+
+  return { columns, records };
+}
+
+/**
+ * Parse a number cell ("1,490,000" is accepted)
+ * @param {string} value - Cell text
+ * @param {boolean} integer - Only accept whole numbers
+ * @returns {number|null} Non-negative number, or null if invalid
+ */
+function parseNumberCell(value, integer = false) {
+  const number = Number(value.replace(/,/g, ''));
+
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    return null;
+  }
+
+  return number;
+}
+
+/**
+ * Parse a yes/no cell
+ * @param {string} value - Cell text
+ * @returns {number|null} 1, 0, or null if invalid
+ */
+function parseBooleanCell(value) {
+  const normalized = value.toLowerCase();
+
+  if (['1', 'true', 'yes', 'y'].includes(normalized)) {
+    return 1;
+  }
+  if (['0', 'false', 'no', 'n'].includes(normalized)) {
+    return 0;
+  }
+
+  return null;
+}
+
+/**
+ * Build "Parent > Child" paths for every category
+ * @param {object[]} categories - Rows with id, name, parent_id
+ * @returns {Map<number, string>} Category ID to path
+ */
+function buildCategoryPaths(categories) {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const paths = new Map();
+
+  categories.forEach(category => {
+    const names = [];
+    const visited = new Set();
+    let current = category;
+
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      names.unshift(current.name);
+      current = byId.get(current.parent_id);
+    }
+
+    paths.set(category.id, names.join(CATEGORY_PATH_SEPARATOR));
+  });
+
+  return paths;
+}
+
+/**
+ * Load what row validation needs to know about the current catalog
+ * @returns {Promise<object>} Lookup maps
+ */
+async function loadCatalogLookups() {
+  const [categories, products, variantSkus, inventoryRows, redirectSlugs] = await Promise.all([
+    queryAll('SELECT id, name, parent_id FROM categories'),
+    queryAll(
+      `SELECT p.id, p.sku, p.name, p.slug, p.category_id,
+              EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) as has_variants
+       FROM products p`
+    ),
+    queryAll('SELECT sku FROM product_variants'),
+    queryAll('SELECT product_id FROM inventory WHERE variant_id IS NULL'),
+    queryAll(`SELECT slug FROM slug_redirects WHERE entity_type = 'product'`)
+  ]);
+
+  const categoryPaths = buildCategoryPaths(categories);
+  const attributeSchemas = await getAttributeSchemas(categories);
+  const categoriesByName = new Map();
+  categories.forEach(category => {
+    // Both the full path and the plain name can be used; plain names may be ambiguous
+    [categoryPaths.get(category.id), category.name].forEach(key => {
+      const normalized = key.toLowerCase();
+      const ids = categoriesByName.get(normalized) || new Set();
+      ids.add(category.id);
+      categoriesByName.set(normalized, ids);
+    });
+  });
+
+  return {
+    categoryIds: new Set(categories.map(category => category.id)),
+    categoryPaths,
+    categoriesByName,
+    productsBySku: new Map(products.map(product => [product.sku, product])),
+    variantSkus: new Set(variantSkus.map(row => row.sku)),
+    productsWithInventory: new Set(inventoryRows.map(row => row.product_id)),
+    attributeSchemas,
+    // Current and old product slugs; slugs given to rows of the file are added as they are made
+    productSlugs: new Set([...products, ...redirectSlugs].map(row => row.slug).filter(Boolean))
+  };
+}
+
+/**
+ * Resolve the category of a row from category_id and/or category (name or path)
+ * @param {object} values - Row values
+ * @param {object} lookups - Result of loadCatalogLookups()
+ * @param {string[]} errors - Row errors to add to
+ * @returns {number|undefined} Category ID, or undefined if the row does not set one
+ */
+function resolveCategory(values, lookups, errors) {
+  let categoryId;
+
+  if (values.category_id) {
+    categoryId = parseNumberCell(values.category_id, true);
+    if (categoryId === null || !lookups.categoryIds.has(categoryId)) {
+      errors.push(`Category ${values.category_id} not found`);
+      return undefined;
+    }
+  }
+
+  if (values.category) {
+    const ids = lookups.categoriesByName.get(values.category.toLowerCase());
+
+    if (categoryId !== undefined) {
+      if (!ids || !ids.has(categoryId)) {
+        errors.push(`category_id ${categoryId} is not the category "${values.category}"`);
+      }
+    } else if (!ids) {
+      errors.push(`Category "${values.category}" not found`);
+    } else if (ids.size > 1) {
+      errors.push(`Several categories are named "${values.category}"; use the full path or category_id`);
+    } else {
+      categoryId = [...ids][0];
+    }
+  }
+
+  return categoryId;
+}
+
+/**
+ * Validate one row and work out what importing it would change
+ * @param {object} record - { rowNumber, values } from readCatalogFile()
+ * @param {object} lookups - Result of loadCatalogLookups()
+ * @returns {object} { rowNumber, sku, action, product, inventory, attributes, errors }
+ */
+function validateRecord(record, lookups) {
+  const { values } = record;
+  const errors = [];
+  const product = {};
+  const inventory = {};
+  const has = column => values[column] !== undefined && values[column] !== '';
+
+  const sku = values.sku;
+  const existing = sku ? lookups.productsBySku.get(sku) : null;
+
+  if (!sku) {
+    errors.push('SKU is required');
+  } else if (lookups.variantSkus.has(sku)) {
+    errors.push(`SKU ${sku} belongs to a product variant`);
+  }
+
+  if (!existing) {
+    REQUIRED_FOR_NEW
+      .filter(column => !has(column))
+      .forEach(column => errors.push(`${column} is required for a new product`));
+
+    if (!has('category_id') && !has('category')) {
+      errors.push('category_id or category is required for a new product');
+    }
+  }
+
+  Object.entries(MAX_LENGTHS)
+    .filter(([column, length]) => has(column) && values[column].length > length)
+    .forEach(([column, length]) => errors.push(`${column} is longer than ${length} characters`));
+
+  ['name', 'description', 'dimensions'].filter(has).forEach(column => {
+    product[column] = values[column];
+  });
+
+  // New and renamed products get a slug made from the name, as with POST/PUT /api/products
+  if (product.name !== undefined && (!existing || product.name !== existing.name)) {
+    const slug = slugify(product.name, 'product');
+    product.slug = existing && slug === existing.slug ? slug : uniqueSlug(slug, lookups.productSlugs);
+    lookups.productSlugs.add(product.slug);
+  }
+
+  const categoryId = resolveCategory(values, lookups, errors);
+  if (categoryId !== undefined) {
+    product.category_id = categoryId;
+  }
+
+  ['price', 'cost_price', 'weight'].filter(has).forEach(column => {
+    const number = parseNumberCell(values[column]);
+    if (number === null) {
+      errors.push(`${column} must be a non-negative number`);
+    } else {
+      product[column] = number;
+    }
+  });
+
+  if (has('is_active')) {
+    const isActive = parseBooleanCell(values.is_active);
+    if (isActive === null) {
+      errors.push('is_active must be true or false');
+    } else {
+      product.is_active = isActive;
+    }
+  }
+
+  ['stock_quantity', 'reorder_level'].filter(has).forEach(column => {
+    const number = parseNumberCell(values[column], true);
+    if (number === null) {
+      errors.push(`${column} must be a non-negative whole number`);
+    } else {
+      inventory[column === 'stock_quantity' ? 'quantity' : column] = number;
+    }
+  });
+
+  if (has('warehouse_location')) {
+    inventory.warehouse_location = values.warehouse_location;
+  }
+
+  if (existing && existing.has_variants && Object.keys(inventory).length > 0) {
+    errors.push('Stock of a product with variants is kept per variant; leave the stock columns empty');
+  }
+
+  // Attributes are checked against the attribute schema of the category the
+  // product ends up in; new products are checked for required attributes even
+  // without an attributes cell
+  let attributes;
+  if (has('attributes') || !existing) {
+    const parsed = has('attributes') ? parseAttributesInput(values.attributes) : { attributes: {} };
+    const schemaCategoryId = product.category_id !== undefined ? product.category_id : existing && existing.category_id;
+    const checked = parsed.error
+      ? parsed
+      : validateAttributes(parsed.attributes, lookups.attributeSchemas.get(schemaCategoryId) || []);
+    if (checked.error) {
+      errors.push(checked.error);
+    } else {
+      attributes = checked.attributes;
+    }
+  }
+
+  return {
+    rowNumber: record.rowNumber,
+    sku,
+    action: existing ? 'update' : 'create',
+    productId: existing ? existing.id : null,
+    hasInventory: existing ? lookups.productsWithInventory.has(existing.id) : false,
+    product,
+    inventory,
+    attributes,
+    errors
+  };
+}
+
+/**
+ * Validate all rows of an import
+ * @param {object[]} records - Records from readCatalogFile()
+ * @returns {Promise<object>} { rows, report } where report lists every row's action and errors
+ */
+async function validateImport(records) {
+  const lookups = await loadCatalogLookups();
+  const firstRowBySku = new Map();
+
+  const rows = records.map(record => {
+    const row = validateRecord(record, lookups);
+
+    if (row.sku) {
+      if (firstRowBySku.has(row.sku)) {
+        row.errors.push(`SKU ${row.sku} is already used on row ${firstRowBySku.get(row.sku)}`);
+      } else {
+        firstRowBySku.set(row.sku, row.rowNumber);
+      }
+    }
+
+    return row;
+  });
+
+  const valid = rows.filter(row => row.errors.length === 0);
+
+  return {
+    rows,
+    report: {
+      // Counts of valid rows; nothing is imported while any row fails
+      summary: {
+        rows: rows.length,
+        create: valid.filter(row => row.action === 'create').length,
+        update: valid.filter(row => row.action === 'update').length,
+        failed: rows.length - valid.length
+      },
+      rows: rows.map(row => ({
+        row: row.rowNumber,
+        sku: row.sku || null,
+        action: row.errors.length > 0 ? 'error' : row.action,
+        ...(row.errors.length > 0 && { errors: row.errors })
+      }))
+    }
+  };
+}
+
+/**
+ * Write validated rows in one transaction; nothing is saved if any statement fails
+ * @param {object[]} rows - Rows from validateImport() (all without errors)
+ * @returns {Promise<object[]>} The rows with productId set for created products
+ */
+async function applyImport(rows) {
+  await runStatements(run => {
+    rows.forEach(row => {
+      const productColumns = Object.keys(row.product);
+      const productIdSql = row.productId ? '?' : '(SELECT id FROM products WHERE sku = ?)';
+      const productIdParam = row.productId || row.sku;
+
+      if (row.action === 'create') {
+        run(
+          `INSERT INTO products (sku, ${productColumns.join(', ')}) VALUES (?, ${productColumns.map(() => '?').join(', ')})`,
+          [row.sku, ...productColumns.map(column => row.product[column])]
+        );
+      } else if (productColumns.length > 0) {
+        run(
+          `UPDATE products SET ${productColumns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [...productColumns.map(column => row.product[column]), row.productId]
+        );
+      }
+
+      const inventoryColumns = Object.keys(row.inventory);
+      if (row.action === 'create' || (!row.hasInventory && inventoryColumns.length > 0)) {
+        run(
+          `INSERT INTO inventory (product_id, quantity, reorder_level, warehouse_location)
+           VALUES (${productIdSql}, ?, ?, ?)`,
+          [
+            productIdParam,
+            row.inventory.quantity || 0,
+            row.inventory.reorder_level !== undefined ? row.inventory.reorder_level : DEFAULT_REORDER_LEVEL,
+            row.inventory.warehouse_location || null
+          ]
+        );
+      } else if (inventoryColumns.length > 0) {
+        run(
+          `UPDATE inventory SET ${inventoryColumns.map(column => `${column} = ?`).join(', ')}, last_updated = CURRENT_TIMESTAMP
+           WHERE product_id = ? AND variant_id IS NULL`,
+          [...inventoryColumns.map(column => row.inventory[column]), row.productId]
+        );
+      }
+
+      // The attributes cell replaces all attributes of the product
+      if (row.attributes) {
+        run(`DELETE FROM product_attributes WHERE product_id = ${productIdSql}`, [productIdParam]);
+        Object.entries(row.attributes).forEach(([name, value]) => run(
+          `INSERT INTO product_attributes (product_id, name, value) VALUES (${productIdSql}, ?, ?)`,
+          [productIdParam, name, value]
+        ));
+      }
+    });
+  }, 'Failed to import products');
+
+  const created = rows.filter(row => row.action === 'create');
+  if (created.length === 0) {
+    return rows;
+  }
+
+  const products = await queryAll(
+    `SELECT id, sku FROM products WHERE sku IN (${created.map(() => '?').join(', ')})`,
+    created.map(row => row.sku)
+  );
+  const idsBySku = new Map(products.map(product => [product.sku, product.id]));
+  return rows.map(row => (row.action === 'create' ? { ...row, productId: idsBySku.get(row.sku) } : row));
+}
+
+/**
+ * Get all products in the import column layout
+ * @param {boolean} includeInactive - Include deactivated products
+ * @returns {Promise<object[]>} Rows keyed by column name. Stock columns are
+ * empty for products with variants, whose stock is kept per variant.
+ */
+async function getExportRows(includeInactive = false) {
+  const [products, categories, attributes] = await Promise.all([
+    queryAll(
+      `SELECT p.id, p.sku, p.name, p.description, p.category_id, p.price, p.cost_price,
+              p.weight, p.dimensions, p.is_active,
+              EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) as has_variants,
+              i.quantity, i.reorder_level, i.warehouse_location
+       FROM products p
+       LEFT JOIN inventory i ON i.product_id = p.id AND i.variant_id IS NULL
+       ${includeInactive ? '' : 'WHERE p.is_active = 1'}
+       ORDER BY p.id`
+    ),
+    queryAll('SELECT id, name, parent_id FROM categories'),
+    queryAll('SELECT product_id, name, value FROM product_attributes ORDER BY name')
+  ]);
+
+  const categoryPaths = buildCategoryPaths(categories);
+  const attributesByProduct = new Map();
+  attributes.forEach(attribute => {
+    const productAttributes = attributesByProduct.get(attribute.product_id) || {};
+    productAttributes[attribute.name] = attribute.value;
+    attributesByProduct.set(attribute.product_id, productAttributes);
+  });
+
+  return products.map(product => {
+    const stock = product.has_variants ? {} : product;
+    const productAttributes = attributesByProduct.get(product.id);
+
+    return {
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      category_id: product.category_id,
+      category: categoryPaths.get(product.category_id) || null,
+      price: product.price,
+      cost_price: product.cost_price,
+      weight: product.weight,
+      dimensions: product.dimensions,
+      is_active: product.is_active ? 'true' : 'false',
+      stock_quantity: stock.quantity,
+      reorder_level: stock.reorder_level,
+      warehouse_location: stock.warehouse_location,
+      attributes: productAttributes ? JSON.stringify(productAttributes) : null
+    };
+  });
+}
+
+/**
+ * Build an export file
+ * @param {object[]} rows - Rows from getExportRows()
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<Buffer>} File contents
+ */
+async function buildExportFile(rows, format) {
+  if (format === 'csv') {
+    return Buffer.from(toCsv([COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column]))]), 'utf8');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Products');
+
+  worksheet.columns = COLUMNS.map(column => ({
+    header: column,
+    key: column,
+    width: ['name', 'description', 'category', 'attributes'].includes(column) ? 30 : 15
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  worksheet.addRows(rows);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  readCatalogFile,
+  validateImport,
+  applyImport,
+  getExportRows,
+  buildExportFile
+};
@@ -0,0 +1,326 @@
+/**
+ * Product Review Service
+ * Customers who received a product can rate it (1-5) and write a review.
+ * New and edited reviews wait for a moderator; only approved reviews are
+ * shown and counted in a product's average rating (product_rating_summary).
+ */
+
+const { queryAll, queryOne, execute } = require('../config/database');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 2000;
+const MAX_MODERATION_NOTE_LENGTH = 500;
+
+// Orderings for review lists
+const REVIEW_SORTS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  oldest: 'r.created_at ASC, r.id ASC',
+  helpful: 'helpful_count DESC, r.created_at DESC, r.id DESC',
+  rating_high: 'r.rating DESC, r.created_at DESC, r.id DESC',
+  rating_low: 'r.rating ASC, r.created_at DESC, r.id DESC'
+};
+
+// Reviewers are shown by first name only
+const REVIEW_COLUMNS = `
+  r.id, r.product_id, p.name as product_name, r.user_id, u.first_name as reviewer_name,
+  r.rating, r.title, r.body, r.status, r.moderation_note, r.moderated_at,
+  r.created_at, r.updated_at,
+  (SELECT COUNT(*) FROM product_review_votes v WHERE v.review_id = r.id) as helpful_count
+`;
+
+/**
+ * Validate a review request body
+ * @param {object} body - { rating, title, body }
+ * @param {boolean} partial - Whether omitted fields are left unchanged (updates)
+ * @returns {object} { review } or { error }
+ */
+function parseReviewInput(body, partial = false) {
+  const review = {};
+
+  if (body.rating !== undefined || !partial) {
+    const rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return { error: 'Rating must be a whole number from 1 to 5' };
+    }
+    review.rating = rating;
+  }
+
+  if (body.title !== undefined) {
+    const title = body.title === null ? '' : String(body.title).trim();
+    if (title.length > MAX_TITLE_LENGTH) {
+      return { error: `Title is longer than ${MAX_TITLE_LENGTH} characters` };
+    }
+    review.title = title || null;
+  }
+
+  if (body.body !== undefined || !partial) {
+    const text = typeof body.body === 'string' ? body.body.trim() : '';
+    if (!text) {
+      return { error: 'Review text is required' };
+    }
+    if (text.length > MAX_BODY_LENGTH) {
+      return { error: `Review text is longer than ${MAX_BODY_LENGTH} characters` };
+    }
+    review.body = text;
+  }
+
+  return { review };
+}
+
+/**
+ * Find the user's most recent delivered order item for a product
+ * @param {number} userId - User ID
+ * @param {number} productId - Product ID
+ * @returns {Promise<object|undefined>} { id, order_id } or undefined if the user has not received the product
+ */
+function findDeliveredOrderItem(userId, productId) {
+  return queryOne(
+    `SELECT oi.id, oi.order_id
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE o.user_id = ? AND oi.product_id = ? AND o.status = 'delivered'
+     ORDER BY o.updated_at DESC, oi.id DESC
+     LIMIT 1`,
+    [userId, productId]
+  );
+}
+
+/**
+ * Build the WHERE clause for review lists
+ * @param {object} filters - { productId, userId, status, rating }
+ * @returns {object} { whereClause, params }
+ */
+function buildReviewWhere(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.productId) {
+    conditions.push('r.product_id = ?');
+    params.push(filters.productId);
+  }
+  if (filters.userId) {
+    conditions.push('r.user_id = ?');
+    params.push(filters.userId);
+  }
+  if (filters.status) {
+    conditions.push('r.status = ?');
+    params.push(filters.status);
+  }
+  if (filters.rating) {
+    conditions.push('r.rating = ?');
+    params.push(filters.rating);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * List reviews
+ * @param {object} filters - { productId, userId, status, rating }
+ * @param {object} options - { sort, limit, offset }
+ * @returns {Promise<object>} { reviews, total }
+ */
+async function getReviews(filters, { sort = 'newest', limit = 20, offset = 0 } = {}) {
+  const { whereClause, params } = buildReviewWhere(filters);
+
+  const [reviews, count] = await Promise.all([
+    queryAll(
+      `SELECT ${REVIEW_COLUMNS}
+       FROM product_reviews r
+       JOIN products p ON p.id = r.product_id
+       JOIN users u ON u.id = r.user_id
+       ${whereClause}
+       ORDER BY ${REVIEW_SORTS[sort]}
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    ),
+    queryOne(`SELECT COUNT(*) as total FROM product_reviews r ${whereClause}`, params)
+  ]);
+
+  return { reviews, total: count.total };
+}
+
+/**
+ * Get a review
+ * @param {number} reviewId - Review ID
+ * @param {number} [productId] - Only return it if it belongs to this product
+ * @returns {Promise<object|undefined>} Review
+ */
+function getReview(reviewId, productId = null) {
+  return queryOne(
+    `SELECT ${REVIEW_COLUMNS}
+     FROM product_reviews r
+     JOIN products p ON p.id = r.product_id
+     JOIN users u ON u.id = r.user_id
+     WHERE r.id = ? ${productId ? 'AND r.product_id = ?' : ''}`,
+    productId ? [reviewId, productId] : [reviewId]
+  );
+}
+
+/**
+ * Get a product's average rating, review count and number of reviews per star
+ * @param {number} productId - Product ID
+ * @returns {Promise<object>} { averageRating, reviewCount, distribution: { 1: n, ..., 5: n } }
+ */
+async function getRatingSummary(productId) {
+  const rows = await queryAll(
+    `SELECT rating, COUNT(*) as count FROM product_reviews
+     WHERE product_id = ? AND status = 'approved'
+     GROUP BY rating`,
+    [productId]
+  );
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let sum = 0;
+  rows.forEach(row => {
+    distribution[row.rating] = row.count;
+    total += row.count;
+    sum += row.rating * row.count;
+  });
+
+  return {
+    averageRating: total > 0 ? Math.round((sum / total) * 10) / 10 : null,
+    reviewCount: total,
+    distribution
+  };
+}
+
+/**
+ * Get the user's review of a product
+ * @param {number} productId - Product ID
+ * @param {number} userId - User ID
+ * @returns {Promise<object|undefined>} Review { id, status }
+ */
+function findUserReview(productId, userId) {
+  return queryOne('SELECT id, status FROM product_reviews WHERE product_id = ? AND user_id = ?', [productId, userId]);
+}
+
+/**
+ * Create a review, waiting for moderation
+ * @param {number} productId - Product ID
+ * @param {number} userId - Reviewer
+ * @param {number} orderItemId - Delivered order item the review is based on
+ * @param {object} review - Fields from parseReviewInput()
+ * @returns {Promise<object>} Created review
+ */
+async function createReview(productId, userId, orderItemId, review) {
+  const { lastID } = await execute(
+    `INSERT INTO product_reviews (product_id, user_id, order_item_id, rating, title, body)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [productId, userId, orderItemId, review.rating, review.title || null, review.body]
+  );
+
+  return getReview(lastID);
+}
+
+/**
+ * Update a review. An edited review goes back to the moderation queue.
+ * @param {object} current - Current review
+ * @param {object} changes - Fields from parseReviewInput(body, true)
+ * @returns {Promise<object>} Updated review
+ */
+async function updateReview(current, changes) {
+  const fields = { rating: 'rating', title: 'title', body: 'body' };
+  const assignments = [];
+  const params = [];
+
+  Object.entries(fields).forEach(([key, column]) => {
+    if (changes[key] !== undefined) {
+      assignments.push(`${column} = ?`);
+      params.push(changes[key]);
+    }
+  });
+
+  await execute(
+    `UPDATE product_reviews
+     SET ${assignments.join(', ')}, status = 'pending', moderation_note = NULL,
+         moderated_by = NULL, moderated_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...params, current.id]
+  );
+
+  return getReview(current.id);
+}
+
+/**
+ * Approve or reject a review
+ * @param {object} review - Current review
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {string|null} note - Reason shown to the reviewer
+ * @param {number} moderatorId - Moderating user
+ * @returns {Promise<object>} Updated review
+ */
+async function moderateReview(review, status, note, moderatorId) {
+  await execute(
+    `UPDATE product_reviews
+     SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, note, moderatorId, review.id]
+  );
+
+  return getReview(review.id);
+}
+
+/**
+ * Delete a review and its votes
+ * @param {number} reviewId - Review ID
+ * @returns {Promise<void>}
+ */
+async function deleteReview(reviewId) {
+  await execute('DELETE FROM product_reviews WHERE id = ?', [reviewId]);
+}
+
+/**
+ * Mark a review as helpful (voting twice has no effect)
+ * @param {number} reviewId - Review ID
+ * @param {number} userId - Voting user
+ * @returns {Promise<number>} Helpful vote count
+ */
+async function addHelpfulVote(reviewId, userId) {
+  await execute('INSERT OR IGNORE INTO product_review_votes (review_id, user_id) VALUES (?, ?)', [reviewId, userId]);
+  return countHelpfulVotes(reviewId);
+}
+
+/**
+ * Withdraw a helpful vote
+ * @param {number} reviewId - Review ID
+ * @param {number} userId - Voting user
+ * @returns {Promise<number>} Helpful vote count
+ */
+async function removeHelpfulVote(reviewId, userId) {
+  await execute('DELETE FROM product_review_votes WHERE review_id = ? AND user_id = ?', [reviewId, userId]);
+  return countHelpfulVotes(reviewId);
+}
+
+/**
+ * Count a review's helpful votes
+ * @param {number} reviewId - Review ID
+ * @returns {Promise<number>} Vote count
+ */
+async function countHelpfulVotes(reviewId) {
+  const row = await queryOne('SELECT COUNT(*) as count FROM product_review_votes WHERE review_id = ?', [reviewId]);
+  return row.count;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_SORTS,
+  MAX_MODERATION_NOTE_LENGTH,
+  parseReviewInput,
+  findDeliveredOrderItem,
+  getReviews,
+  getReview,
+  getRatingSummary,
+  findUserReview,
+  createReview,
+  updateReview,
+  moderateReview,
+  deleteReview,
+  addHelpfulVote,
+  removeHelpfulVote
+};
@@ -0,0 +1,157 @@
+/**
+ * Product Search Service
+ * Builds full-text search clauses against the products_fts index
+ * (see config/database.js) and highlights matches in the results.
+ */
+
+// bm25 weights in index column order: name, description, sku, category_name
+const COLUMN_WEIGHTS = [10.0, 1.0, 5.0, 2.0];
+const SEARCH_COLUMNS = ['name', 'description', 'sku', 'category_name'];
+// The trigram tokenizer cannot match anything shorter than this
+const TRIGRAM_LENGTH = 3;
+const MAX_SEARCH_TERMS = 10;
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Split a search string into unique terms
+ * @param {string} search - Text typed by the user
+ * @returns {string[]} Terms (at most MAX_SEARCH_TERMS)
+ */
+function parseSearchTerms(search) {
+  const terms = String(search || '')
+    .split(/\s+/)
+    .map(term => term.trim().slice(0, 100))
+    .filter(Boolean);
+
+  return [...new Set(terms.map(term => term.toLowerCase()))].slice(0, MAX_SEARCH_TERMS);
+}
+
+/**
+ * Quote a term as an FTS5 string so operators in user input are matched literally
+ * @param {string} term - Search term
+ * @returns {string} FTS5 string literal
+ */
+function quoteFtsTerm(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build the clauses that restrict a product query to search matches.
+ * Every term must match. Terms of 3+ characters use the FTS index and are
+ * ranked with bm25; shorter terms fall back to LIKE on the indexed columns.
+ * @param {string} search - Text typed by the user
+ * @returns {object|null} { join, where, params, rankExpression, terms }, or null if there is nothing to search for
+ */
+function buildSearchFilter(search) {
+  const terms = parseSearchTerms(search);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const ftsTerms = terms.filter(term => term.length >= TRIGRAM_LENGTH);
+  const shortTerms = terms.filter(term => term.length < TRIGRAM_LENGTH);
+  const conditions = [];
+  const params = [];
+
+  if (ftsTerms.length > 0) {
+    conditions.push('products_fts MATCH ?');
+    params.push(ftsTerms.map(quoteFtsTerm).join(' '));
+  }
+
+  shortTerms.forEach(term => {
+    const pattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+    conditions.push(`(${SEARCH_COLUMNS.map(column => `products_fts.${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+    params.push(...SEARCH_COLUMNS.map(() => pattern));
+  });
+
+  return {
+    join: 'JOIN products_fts ON products_fts.rowid = p.id',
+    where: conditions.join(' AND '),
+    params,
+    // bm25 is only available when the query uses MATCH
+    rankExpression: ftsTerms.length > 0 ? `bm25(products_fts, ${COLUMN_WEIGHTS.join(', ')})` : null,
+    terms
+  };
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap every occurrence of the search terms in <mark> tags.
+ * Done here rather than with FTS5 highlight() so the product text is
+ * HTML-escaped first and terms matched through LIKE are marked too.
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Search terms
+ * @returns {string} Escaped HTML with matches marked
+ */
+function highlightText(text, terms) {
+  if (!text) {
+    return '';
+  }
+
+  const pattern = terms
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+
+  return String(text)
+    .split(new RegExp(`(${pattern})`, 'gi'))
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * Cut a window of text around the first match
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Search terms
+ * @returns {string} Text excerpt (with ellipses where it was cut)
+ */
+function excerptAroundMatch(text, terms) {
+  if (!text || text.length <= SNIPPET_LENGTH) {
+    return text || '';
+  }
+
+  const lowered = text.toLowerCase();
+  const firstMatch = Math.min(
+    ...terms.map(term => lowered.indexOf(term)).filter(index => index >= 0),
+    text.length
+  );
+  const start = firstMatch === text.length ? 0 : Math.max(0, firstMatch - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Build highlighted fields for a search result
+ * @param {object} product - Product row (name, description, sku, category_name)
+ * @param {string[]} terms - Search terms from buildSearchFilter()
+ * @returns {object} HTML-safe name, description snippet, sku and category name with matches marked
+ */
+function buildHighlights(product, terms) {
+  return {
+    name: highlightText(product.name, terms),
+    description: highlightText(excerptAroundMatch(product.description, terms), terms),
+    sku: highlightText(product.sku, terms),
+    categoryName: highlightText(product.category_name, terms)
+  };
+}
+
+module.exports = {
+  buildSearchFilter,
+  buildHighlights
+};
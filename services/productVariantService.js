@@ -0,0 +1,519 @@
+/**
+ * Product Variant Service
+ * Variants are the purchasable versions of a product (e.g. the 128GB and
+ * 256GB iPhone). Each variant picks one value for every option type of its
+ * product, has its own SKU and inventory row, and may override the price.
+ * Option types and values are created as variants use them and removed once
+ * no variant does.
+ */
+
+const { queryAll, queryOne, runStatements } = require('../config/database');
+const { formatProductImage } = require('./productImageService');
+
+const MAX_OPTIONS = 3;
+const MAX_OPTION_VALUE_LENGTH = 100;
+const MAX_SKU_LENGTH = 100;
+
+/**
+ * Validate a variant create/update request body
+ * @param {object} body - { sku, price, options, stockQuantity, reorderLevel, isActive, imageIds }
+ * @param {boolean} partial - True for updates (no field is required)
+ * @returns {object} { variant } with normalized fields that were sent, or { error }
+ */
+function parseVariantInput(body, partial = false) {
+  const variant = {};
+
+  if (body.sku !== undefined || !partial) {
+    const sku = typeof body.sku === 'string' ? body.sku.trim() : '';
+    if (!sku || sku.length > MAX_SKU_LENGTH) {
+      return { error: `SKU is required (at most ${MAX_SKU_LENGTH} characters)` };
+    }
+    variant.sku = sku;
+  }
+
+  // null or '' clears the override so the product price applies
+  if (body.price !== undefined) {
+    if (body.price === null || body.price === '') {
+      variant.price = null;
+    } else {
+      const price = Number(body.price);
+      if (!Number.isFinite(price) || price < 0) {
+        return { error: 'Price must be a non-negative number' };
+      }
+      variant.price = price;
+    }
+  }
+
+  if (body.options !== undefined || !partial) {
+    const options = body.options;
+    if (!options || typeof options !== 'object' || Array.isArray(options) || Object.keys(options).length === 0) {
+      return { error: 'Options are required, e.g. { "storage": "256GB", "color": "블랙" }' };
+    }
+
+    const entries = Object.entries(options);
+    if (entries.length > MAX_OPTIONS) {
+      return { error: `A variant can have at most ${MAX_OPTIONS} options` };
+    }
+
+    variant.options = {};
+    for (const [rawName, rawValue] of entries) {
+      const name = String(rawName).trim().toLowerCase();
+      const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+
+      if (!/^[a-z0-9_]+$/.test(name) || name.length > 50) {
+        return { error: `Invalid option name: ${rawName} (use letters, digits and underscores)` };
+      }
+      if (!value || typeof rawValue === 'object' || value.length > MAX_OPTION_VALUE_LENGTH) {
+        return { error: `Option ${name} needs a text value of at most ${MAX_OPTION_VALUE_LENGTH} characters` };
+      }
+      variant.options[name] = value;
+    }
+  }
+
+  // Stock of existing variants changes through the inventory API, like product stock
+  if (partial && body.stockQuantity !== undefined) {
+    return { error: 'Change variant stock through /api/inventory/variant/:variantId' };
+  }
+
+  for (const key of ['stockQuantity', 'reorderLevel']) {
+    if (body[key] === undefined) {
+      continue;
+    }
+    const number = Number(body[key]);
+    if (!Number.isInteger(number) || number < 0) {
+      return { error: `${key} must be a non-negative integer` };
+    }
+    variant[key] = number;
+  }
+
+  if (body.isActive !== undefined) {
+    variant.isActive = body.isActive ? 1 : 0;
+  }
+
+  if (body.imageIds !== undefined) {
+    if (!Array.isArray(body.imageIds) || body.imageIds.some(id => !Number.isInteger(Number(id)))) {
+      return { error: 'imageIds must be an array of product image IDs' };
+    }
+    variant.imageIds = body.imageIds.map(Number);
+  }
+
+  return { variant };
+}
+
+/**
+ * Get a product's option types with the values in use
+ * @param {number} productId - Product ID
+ * @returns {Promise<object[]>} [{ name, values: [] }] in display order
+ */
+async function getProductOptions(productId) {
+  const rows = await queryAll(
+    `SELECT o.name, ov.value
+     FROM product_options o
+     JOIN product_option_values ov ON ov.option_id = o.id
+     WHERE o.product_id = ?
+     ORDER BY o.position, o.id, ov.position, ov.id`,
+    [productId]
+  );
+
+  const options = [];
+  rows.forEach(row => {
+    let option = options.find(existing => existing.name === row.name);
+    if (!option) {
+      option = { name: row.name, values: [] };
+      options.push(option);
+    }
+    option.values.push(row.value);
+  });
+
+  return options;
+}
+
+/**
+ * Get the variants of one or more products
+ * @param {number[]} productIds - Product IDs
+ * @param {boolean} includeInactive - Also return deactivated variants
+ * @returns {Promise<object[]>} Variants with options, effective price, stock and image IDs
+ */
+async function getVariants(productIds, includeInactive = false) {
+  if (productIds.length === 0) {
+    return [];
+  }
+
+  const placeholders = productIds.map(() => '?').join(', ');
+  const variants = await queryAll(
+    `SELECT
+       v.id, v.product_id, v.sku, v.name, v.is_active, v.created_at, v.updated_at,
+       v.price as price_override,
+       vp.price,
+       vp.compare_at_price,
+       vp.price_ends_at,
+       COALESCE(i.quantity, 0) as stock_quantity,
+       COALESCE(i.reserved_quantity, 0) as reserved_quantity,
+       COALESCE(i.quantity, 0) - COALESCE(i.reserved_quantity, 0) as available_quantity
+     FROM product_variants v
+     JOIN variant_current_prices vp ON vp.variant_id = v.id
+     LEFT JOIN inventory i ON i.product_id = v.product_id AND i.variant_id = v.id
+     WHERE v.product_id IN (${placeholders}) ${includeInactive ? '' : 'AND v.is_active = 1'}
+     ORDER BY v.product_id, v.id`,
+    productIds
+  );
+
+  if (variants.length === 0) {
+    return [];
+  }
+
+  const variantIds = variants.map(variant => variant.id);
+  const variantPlaceholders = variantIds.map(() => '?').join(', ');
+  const [optionRows, imageRows] = await Promise.all([
+    queryAll(
+      `SELECT vv.variant_id, o.name, ov.value
+       FROM product_variant_values vv
+       JOIN product_option_values ov ON ov.id = vv.option_value_id
+       JOIN product_options o ON o.id = ov.option_id
+       WHERE vv.variant_id IN (${variantPlaceholders})
+       ORDER BY o.position, o.id`,
+      variantIds
+    ),
+    queryAll(
+      `SELECT id, variant_id, image_url, width, height, renditions FROM product_images
+       WHERE variant_id IN (${variantPlaceholders})
+       ORDER BY sort_order, id`,
+      variantIds
+    )
+  ]);
+
+  return variants.map(variant => ({
+    ...variant,
+    options: Object.fromEntries(
+      optionRows.filter(row => row.variant_id === variant.id).map(row => [row.name, row.value])
+    ),
+    images: imageRows
+      .filter(row => row.variant_id === variant.id)
+      .map(({ variant_id, ...image }) => formatProductImage(image))
+  }));
+}
+
+/**
+ * Get one variant of a product
+ * @param {number} productId - Product ID
+ * @param {number} variantId - Variant ID
+ * @returns {Promise<object|null>} Variant (active or not), or null if not found
+ */
+async function getVariant(productId, variantId) {
+  const variants = await getVariants([productId], true);
+  return variants.find(variant => variant.id === Number(variantId)) || null;
+}
+
+/**
+ * Check a new or changed variant against the product's other variants
+ * @param {number} productId - Product ID
+ * @param {object} variant - Parsed input (sku and/or options)
+ * @param {number|null} variantId - Variant being updated (excluded from the checks)
+ * @returns {Promise<string|null>} Conflict message, or null
+ */
+async function findVariantConflict(productId, variant, variantId = null) {
+  if (variant.sku) {
+    const existing = await queryOne(
+      `SELECT 'product' as kind FROM products WHERE sku = ?
+       UNION ALL
+       SELECT 'variant' FROM product_variants WHERE sku = ? AND id IS NOT ?`,
+      [variant.sku, variant.sku, variantId]
+    );
+    if (existing) {
+      return 'SKU already exists';
+    }
+  }
+
+  if (variant.options) {
+    const others = (await getVariants([productId], true)).filter(other => other.id !== variantId);
+    const names = Object.keys(variant.options).sort();
+
+    // Every variant of a product uses the same option types
+    if (others.length > 0) {
+      const expected = Object.keys(others[0].options).sort();
+      if (expected.join(',') !== names.join(',')) {
+        return `Variants of this product must have exactly these options: ${expected.join(', ')}`;
+      }
+    }
+
+    const duplicate = others.find(other => names.every(name => other.options[name] === variant.options[name]));
+    if (duplicate) {
+      return `Variant ${duplicate.sku} already has these options`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Order option values by the product's option positions, then as given
+ * @param {object[]} productOptions - Result of getProductOptions()
+ * @param {object} options - { name: value } pairs
+ * @returns {string[]} Option names in display order
+ */
+function orderOptionNames(productOptions, options) {
+  const known = productOptions.map(option => option.name);
+  return Object.keys(options).sort((a, b) => {
+    const positionA = known.includes(a) ? known.indexOf(a) : known.length;
+    const positionB = known.includes(b) ? known.indexOf(b) : known.length;
+    return positionA - positionB;
+  });
+}
+
+/**
+ * Queue the statements that link a variant to its option values, creating
+ * option types and values that do not exist yet
+ * @param {Function} run - Statement runner from runStatements()
+ * @param {number} productId - Product ID
+ * @param {string} variantSku - SKU identifying the variant row
+ * @param {string[]} names - Option names in display order
+ * @param {object} options - { name: value } pairs
+ */
+function queueOptionValues(run, productId, variantSku, names, options) {
+  names.forEach((name, index) => {
+    run(
+      `INSERT OR IGNORE INTO product_options (product_id, name, position)
+       VALUES (?, ?, (SELECT COUNT(*) FROM product_options WHERE product_id = ?) + ?)`,
+      [productId, name, productId, index]
+    );
+    run(
+      `INSERT OR IGNORE INTO product_option_values (option_id, value, position)
+       SELECT o.id, ?, (SELECT COUNT(*) FROM product_option_values WHERE option_id = o.id)
+       FROM product_options o WHERE o.product_id = ? AND o.name = ?`,
+      [options[name], productId, name]
+    );
+    run(
+      `INSERT INTO product_variant_values (variant_id, option_value_id)
+       SELECT v.id, ov.id
+       FROM product_variants v, product_options o
+       JOIN product_option_values ov ON ov.option_id = o.id
+       WHERE v.sku = ? AND o.product_id = ? AND o.name = ? AND ov.value = ?`,
+      [variantSku, productId, name, options[name]]
+    );
+  });
+}
+
+/**
+ * Queue the statements that remove option values and types no variant uses
+ * @param {Function} run - Statement runner from runStatements()
+ * @param {number} productId - Product ID
+ */
+function queuePruneOptions(run, productId) {
+  run(
+    `DELETE FROM product_option_values
+     WHERE option_id IN (SELECT id FROM product_options WHERE product_id = ?)
+       AND id NOT IN (SELECT option_value_id FROM product_variant_values)`,
+    [productId]
+  );
+  run(
+    `DELETE FROM product_options
+     WHERE product_id = ? AND id NOT IN (SELECT option_id FROM product_option_values)`,
+    [productId]
+  );
+}
+
+/**
+ * Queue the statement that assigns product images to a variant
+ * @param {Function} run - Statement runner from runStatements()
+ * @param {number} productId - Product ID
+ * @param {string} variantSku - SKU identifying the variant row
+ * @param {number[]} imageIds - Product image IDs (replaces the current assignment)
+ */
+function queueImageAssignment(run, productId, variantSku, imageIds) {
+  const variantIdSql = '(SELECT id FROM product_variants WHERE sku = ?)';
+
+  run(`UPDATE product_images SET variant_id = NULL WHERE variant_id = ${variantIdSql}`, [variantSku]);
+  if (imageIds.length > 0) {
+    run(
+      `UPDATE product_images SET variant_id = ${variantIdSql}
+       WHERE product_id = ? AND id IN (${imageIds.map(() => '?').join(', ')})`,
+      [variantSku, productId, ...imageIds]
+    );
+  }
+}
+
+/**
+ * Create a variant with its own inventory row
+ * @param {number} productId - Product ID
+ * @param {object} variant - Parsed input from parseVariantInput()
+ * @returns {Promise<object>} The created variant
+ */
+async function createVariant(productId, variant) {
+  const productOptions = await getProductOptions(productId);
+  const names = orderOptionNames(productOptions, variant.options);
+  const name = names.map(optionName => variant.options[optionName]).join(' / ');
+
+  await runStatements(run => {
+    run(
+      'INSERT INTO product_variants (product_id, sku, name, price, is_active) VALUES (?, ?, ?, ?, ?)',
+      [productId, variant.sku, name, variant.price === undefined ? null : variant.price,
+        variant.isActive === undefined ? 1 : variant.isActive]
+    );
+    queueOptionValues(run, productId, variant.sku, names, variant.options);
+    run(
+      `INSERT INTO inventory (product_id, variant_id, quantity, reorder_level)
+       SELECT ?, id, ?, ? FROM product_variants WHERE sku = ?`,
+      [productId, variant.stockQuantity || 0, variant.reorderLevel === undefined ? 10 : variant.reorderLevel, variant.sku]
+    );
+    if (variant.imageIds) {
+      queueImageAssignment(run, productId, variant.sku, variant.imageIds);
+    }
+    // The product is now sold through its variants only
+    run('DELETE FROM shopping_cart WHERE product_id = ? AND variant_id IS NULL', [productId]);
+  }, 'Failed to create variant');
+
+  const created = await queryOne('SELECT id FROM product_variants WHERE sku = ?', [variant.sku]);
+  return getVariant(productId, created.id);
+}
+
+/**
+ * Update a variant's SKU, price, status, options or images
+ * @param {object} current - Variant from getVariant()
+ * @param {object} changes - Parsed input from parseVariantInput(body, true)
+ * @returns {Promise<object>} The updated variant
+ */
+async function updateVariant(current, changes) {
+  const productId = current.product_id;
+  const sku = changes.sku || current.sku;
+  const fields = [];
+  const values = [];
+
+  if (changes.sku !== undefined) {
+    fields.push('sku = ?');
+    values.push(changes.sku);
+  }
+  if (changes.price !== undefined) {
+    fields.push('price = ?');
+    values.push(changes.price);
+  }
+  if (changes.isActive !== undefined) {
+    fields.push('is_active = ?');
+    values.push(changes.isActive);
+  }
+
+  let names = null;
+  if (changes.options) {
+    names = orderOptionNames(await getProductOptions(productId), changes.options);
+    fields.push('name = ?');
+    values.push(names.map(optionName => changes.options[optionName]).join(' / '));
+  }
+
+  await runStatements(run => {
+    if (fields.length > 0) {
+      run(
+        `UPDATE product_variants SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...values, current.id]
+      );
+    }
+    if (names) {
+      run('DELETE FROM product_variant_values WHERE variant_id = ?', [current.id]);
+      queueOptionValues(run, productId, sku, names, changes.options);
+      queuePruneOptions(run, productId);
+    }
+    if (changes.reorderLevel !== undefined) {
+      run(
+        'UPDATE inventory SET reorder_level = ?, last_updated = CURRENT_TIMESTAMP WHERE product_id = ? AND variant_id = ?',
+        [changes.reorderLevel, productId, current.id]
+      );
+    }
+    if (changes.imageIds) {
+      queueImageAssignment(run, productId, sku, changes.imageIds);
+    }
+  }, 'Failed to update variant');
+
+  return getVariant(productId, current.id);
+}
+
+/**
+ * Delete a variant. Variants that appear in orders or bundles are deactivated
+ * instead, so order history and the bundles keep pointing at them.
+ * @param {object} variant - Variant from getVariant()
+ * @returns {Promise<object>} { deleted } or { deactivated }
+ */
+async function deleteVariant(variant) {
+  const referenced = await queryOne(
+    `SELECT 1 as found FROM order_items WHERE variant_id = ?
+     UNION ALL
+     SELECT 1 FROM product_bundle_items WHERE component_variant_id = ?
+     LIMIT 1`,
+    [variant.id, variant.id]
+  );
+
+  if (referenced) {
+    await runStatements(run => {
+      run('UPDATE product_variants SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [variant.id]);
+      run('DELETE FROM shopping_cart WHERE variant_id = ?', [variant.id]);
+    }, 'Failed to deactivate variant');
+    return { deactivated: true };
+  }
+
+  // Inventory, cart rows and option links cascade; images fall back to the product
+  await runStatements(run => {
+    run('DELETE FROM product_variants WHERE id = ?', [variant.id]);
+    queuePruneOptions(run, variant.product_id);
+  }, 'Failed to delete variant');
+  return { deleted: true };
+}
+
+/**
+ * Look up what a customer is buying: a product, or one variant of a product
+ * with variants. Used by the cart and order creation.
+ * @param {number} productId - Product ID
+ * @param {number|null} variantId - Variant ID (required if the product has variants)
+ * @returns {Promise<object>} { item } with name, variant fields, the unit price in effect now
+ *   (with its compare-at price and price schedule) and stock (for a bundle, the complete
+ *   bundles its components allow),
+ *   or { error } (with notFound set when the product or variant does not exist)
+ */
+async function getPurchasableItem(productId, variantId = null) {
+  const item = await queryOne(
+    `SELECT
+       p.id as product_id,
+       p.name,
+       v.id as variant_id,
+       v.sku as variant_sku,
+       v.name as variant_name,
+       v.is_active as variant_is_active,
+       COALESCE(vp.price, pp.price) as price,
+       CASE WHEN v.id IS NOT NULL THEN vp.compare_at_price ELSE pp.compare_at_price END as compare_at_price,
+       CASE WHEN v.id IS NOT NULL THEN vp.price_schedule_id ELSE pp.price_schedule_id END as price_schedule_id,
+       COALESCE(bs.quantity, i.quantity, 0) as stock_quantity,
+       CASE WHEN bs.product_id IS NULL THEN COALESCE(i.reserved_quantity, 0) ELSE 0 END as reserved_quantity,
+       bs.product_id IS NOT NULL as is_bundle,
+       (SELECT COUNT(*) FROM product_variants WHERE product_id = p.id) as variant_count
+     FROM products p
+     LEFT JOIN product_variants v ON v.id = ? AND v.product_id = p.id
+     JOIN product_current_prices pp ON pp.product_id = p.id
+     LEFT JOIN variant_current_prices vp ON vp.variant_id = v.id
+     LEFT JOIN inventory i ON i.product_id = p.id AND i.variant_id IS v.id
+     LEFT JOIN bundle_stock bs ON bs.product_id = p.id
+     WHERE p.id = ? AND p.is_active = 1`,
+    [variantId || null, productId]
+  );
+
+  if (!item) {
+    return { error: `Product ${productId} not found`, notFound: true };
+  }
+
+  if (variantId && (!item.variant_id || !item.variant_is_active)) {
+    return { error: `Variant ${variantId} of product ${item.name} not found`, notFound: true };
+  }
+
+  if (!variantId && item.variant_count > 0) {
+    return { error: `Choose an option (variantId) for product ${item.name}` };
+  }
+
+  return { item };
+}
+
+module.exports = {
+  parseVariantInput,
+  getProductOptions,
+  getVariants,
+  getVariant,
+  findVariantConflict,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  getPurchasableItem
+};
@@ -0,0 +1,250 @@
+/**
+ * Recommendation Service
+ * Precomputes two lists per product into product_recommendations:
+ * - bought_together: products found in the same orders (co-purchase affinity,
+ *   scored by the share of the product's orders that also contain the other one)
+ * - similar: other products of the same category, scored by shared attributes
+ *   and how close the price is, with best sellers first on ties
+ * The lists are rebuilt from orders on a schedule rather than per request.
+ */
+
+const { queryAll, openConnection } = require('../config/database');
+const { formatProductImage } = require('./productImageService');
+
+const RECOMMENDATION_TYPES = {
+  bought_together: 'boughtTogether',
+  similar: 'similar'
+};
+const REFRESH_INTERVAL_MS = (parseFloat(process.env.RECOMMENDATION_REFRESH_HOURS) || 6) * 60 * 60 * 1000;
+// Pairs bought together in fewer orders than this are treated as noise
+const MIN_SHARED_ORDERS = parseInt(process.env.RECOMMENDATION_MIN_ORDERS) || 2;
+const LOOKBACK_DAYS = parseInt(process.env.RECOMMENDATION_LOOKBACK_DAYS) || 365;
+// Stored per product and type; inactive and sold out products are skipped when read
+const MAX_STORED = 20;
+
+let refreshTimer = null;
+// The rebuild in progress, shared by callers that ask for one meanwhile
+let refreshInProgress = null;
+
+// Order lines counted for co-purchases: one row per product and order, cancelled orders excluded
+const COUNTED_ITEMS = `
+  counted_items AS (
+    SELECT DISTINCT oi.order_id, oi.product_id
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE o.status != 'cancelled' AND o.created_at >= datetime('now', ?)
+  )
+`;
+
+const BOUGHT_TOGETHER_SQL = `
+  INSERT INTO product_recommendations (product_id, recommended_product_id, type, score, shared_orders)
+  WITH ${COUNTED_ITEMS},
+  product_orders AS (
+    SELECT product_id, COUNT(*) as order_count FROM counted_items GROUP BY product_id
+  ),
+  pairs AS (
+    SELECT a.product_id, b.product_id as recommended_product_id, COUNT(*) as shared_orders
+    FROM counted_items a
+    JOIN counted_items b ON b.order_id = a.order_id AND b.product_id != a.product_id
+    GROUP BY a.product_id, b.product_id
+    HAVING COUNT(*) >= ?
+  ),
+  ranked AS (
+    SELECT pairs.*, ROUND(CAST(pairs.shared_orders AS REAL) / po.order_count, 4) as score,
+           ROW_NUMBER() OVER (PARTITION BY pairs.product_id ORDER BY pairs.shared_orders DESC, pairs.recommended_product_id) as position
+    FROM pairs
+    JOIN product_orders po ON po.product_id = pairs.product_id
+  )
+  SELECT product_id, recommended_product_id, 'bought_together', score, shared_orders
+  FROM ranked
+  WHERE position <= ?
+`;
+
+const SIMILAR_SQL = `
+  INSERT INTO product_recommendations (product_id, recommended_product_id, type, score, shared_orders)
+  WITH units_sold AS (
+    SELECT oi.product_id, SUM(oi.quantity) as units
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE o.status != 'cancelled' AND o.created_at >= datetime('now', ?)
+    GROUP BY oi.product_id
+  ),
+  candidates AS (
+    SELECT a.id as product_id, b.id as recommended_product_id,
+      (SELECT COUNT(*) FROM product_attributes x
+       JOIN product_attributes y ON y.name = x.name AND y.value = x.value
+       WHERE x.product_id = a.id AND y.product_id = b.id)
+      + 1 - COALESCE(CAST(ABS(a.price - b.price) AS REAL) / NULLIF(MAX(a.price, b.price), 0), 0) as score,
+      COALESCE(us.units, 0) as units
+    FROM products a
+    JOIN products b ON b.category_id = a.category_id AND b.id != a.id AND b.is_active = 1
+    LEFT JOIN units_sold us ON us.product_id = b.id
+    WHERE a.is_active = 1
+  ),
+  ranked AS (
+    SELECT candidates.*,
+           ROW_NUMBER() OVER (PARTITION BY product_id ORDER BY score DESC, units DESC, recommended_product_id) as position
+    FROM candidates
+  )
+  SELECT product_id, recommended_product_id, 'similar', ROUND(score, 4), NULL
+  FROM ranked
+  WHERE position <= ?
+`;
+
+/**
+ * Run statements on a connection, in order
+ * @param {sqlite3.Database} connection - Connection to run them on
+ * @param {Array<Array>} statements - [sql, params] pairs
+ * @returns {Promise<void>} Rejects with the first statement error
+ */
+function runInOrder(connection, statements) {
+  return new Promise((resolve, reject) => {
+    let failed = null;
+
+    connection.serialize(() => {
+      statements.forEach(([sql, params]) => connection.run(sql, params, (err) => {
+        failed = failed || err;
+      }));
+
+      // Runs after every statement has reported back
+      connection.get('SELECT 1', () => (failed ? reject(failed) : resolve()));
+    });
+  });
+}
+
+/**
+ * Rebuild every product's recommendations in one transaction. The rebuild
+ * runs on its own connection so its transaction holds only its own
+ * statements, and a rebuild requested while one is running joins it.
+ * @returns {Promise<object>} Number of stored rows per type
+ */
+function refreshRecommendations() {
+  if (!refreshInProgress) {
+    refreshInProgress = rebuildRecommendations().finally(() => {
+      refreshInProgress = null;
+    });
+  }
+
+  return refreshInProgress;
+}
+
+/**
+ * Replace the stored recommendations with freshly computed ones
+ * @returns {Promise<object>} Number of stored rows per type
+ */
+async function rebuildRecommendations() {
+  const lookback = `-${LOOKBACK_DAYS} days`;
+  const connection = await openConnection();
+
+  try {
+    await runInOrder(connection, [['BEGIN IMMEDIATE TRANSACTION', []]]);
+    try {
+      await runInOrder(connection, [
+        ['DELETE FROM product_recommendations', []],
+        [BOUGHT_TOGETHER_SQL, [lookback, MIN_SHARED_ORDERS, MAX_STORED]],
+        [SIMILAR_SQL, [lookback, MAX_STORED]]
+      ]);
+      await runInOrder(connection, [['COMMIT', []]]);
+    } catch (error) {
+      await runInOrder(connection, [['ROLLBACK', []]]).catch(() => null);
+      throw error;
+    }
+  } catch (error) {
+    throw new Error('Failed to refresh recommendations: ' + error.message);
+  } finally {
+    connection.close();
+  }
+
+  const rows = await queryAll('SELECT type, COUNT(*) as count FROM product_recommendations GROUP BY type', []);
+  return Object.fromEntries(
+    Object.keys(RECOMMENDATION_TYPES).map(type => [type, (rows.find(row => row.type === type) || { count: 0 }).count])
+  );
+}
+
+/**
+ * Get when the recommendations were last rebuilt
+ * @returns {Promise<Date|null>} Time of the last refresh, or null if there are none
+ */
+async function getLastRefresh() {
+  const [row] = await queryAll('SELECT MAX(computed_at) as computed_at FROM product_recommendations', []);
+  return row.computed_at ? new Date(row.computed_at.replace(' ', 'T') + 'Z') : null;
+}
+
+/**
+ * Refresh recommendations now if they are missing or stale, then on a timer
+ * @returns {Promise<void>}
+ */
+async function scheduleRecommendationRefresh() {
+  const refresh = () => refreshRecommendations()
+    .then(counts => console.log(`Recommendations refreshed (${counts.bought_together} bought together, ${counts.similar} similar)`))
+    .catch(error => console.error('Recommendation refresh error:', error));
+
+  const lastRefresh = await getLastRefresh();
+  if (!lastRefresh || Date.now() - lastRefresh.getTime() >= REFRESH_INTERVAL_MS) {
+    await refresh();
+  }
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  }
+}
+
+/**
+ * Get a product's recommendations, skipping inactive and sold out products
+ * @param {number} productId - Product ID
+ * @param {object} options - { types, limit, excludeIds } (excludeIds: e.g. products already in the cart)
+ * @returns {Promise<object>} { boughtTogether: [...], similar: [...] } for the requested types
+ */
+async function getRecommendations(productId, { types = Object.keys(RECOMMENDATION_TYPES), limit = 6, excludeIds = [] } = {}) {
+  const excluded = [productId, ...excludeIds];
+
+  const lists = await Promise.all(types.map(type => queryAll(
+    `SELECT
+       p.id, p.name, cp.price, cp.compare_at_price, p.category_id, r.score, r.shared_orders,
+       pimg.image_url as primary_image,
+       pimg.renditions as primary_image_renditions,
+       rs.average_rating,
+       COALESCE(rs.review_count, 0) as review_count,
+       EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active = 1) as has_variants
+     FROM product_recommendations r
+     JOIN products p ON p.id = r.recommended_product_id AND p.is_active = 1
+     JOIN product_stock s ON s.product_id = p.id
+     JOIN product_current_prices cp ON cp.product_id = p.id
+     LEFT JOIN product_rating_summary rs ON rs.product_id = p.id
+     LEFT JOIN product_images pimg ON pimg.id = (
+       SELECT id FROM product_images WHERE product_id = p.id AND is_primary = 1 LIMIT 1
+     )
+     WHERE r.product_id = ? AND r.type = ? AND s.quantity - s.reserved_quantity > 0
+       AND p.id NOT IN (${excluded.map(() => '?').join(', ')})
+     ORDER BY r.score DESC, r.recommended_product_id
+     LIMIT ?`,
+    [productId, type, ...excluded, limit]
+  )));
+
+  const recommendations = {};
+  types.forEach((type, index) => {
+    recommendations[RECOMMENDATION_TYPES[type]] = lists[index].map(({ primary_image_renditions, ...product }) => {
+      // Cards use the card-sized image, as in the product list
+      const { sizes, srcset, webpSrcset } = formatProductImage({ renditions: primary_image_renditions });
+
+      return {
+        ...product,
+        has_variants: Boolean(product.has_variants),
+        primary_image: sizes ? sizes.card.url : product.primary_image,
+        primary_image_srcset: srcset,
+        primary_image_webp_srcset: webpSrcset
+      };
+    });
+  });
+
+  return recommendations;
+}
+
+module.exports = {
+  RECOMMENDATION_TYPES,
+  refreshRecommendations,
+  scheduleRecommendationRefresh,
+  getLastRefresh,
+  getRecommendations
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { db, runStatements } = require('../config/database');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 14;
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Plain refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build a refresh token for a session
+ * The session ID prefix lets us find the session even when the secret part
+ * no longer matches, so a rotated token presented again can be recognized.
+ * @param {number} sessionId - Session ID
+ * @returns {string} Refresh token
+ */
+function buildRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+}
+
+/**
+ * Create a new session for a user
+ * @param {number} userId - User ID
+ * @param {object} context - Request context (ipAddress, userAgent)
+ * @returns {Promise<object>} Session ID and refresh token
+ */
+function createSession(userId, context = {}) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO sessions (user_id, user_agent, ip_address, expires_at, last_used_at)
+       VALUES (?, ?, ?, datetime('now', ?), CURRENT_TIMESTAMP)`,
+      [userId, context.userAgent || null, context.ipAddress || null, `+${REFRESH_TOKEN_TTL_DAYS} days`],
+      function(err) {
+        if (err) {
+          return reject(new Error('Failed to create session: ' + err.message));
+        }
+
+        const sessionId = this.lastID;
+        const refreshToken = buildRefreshToken(sessionId);
+
+        db.run(
+          'UPDATE sessions SET refresh_token_hash = ? WHERE id = ?',
+          [hashToken(refreshToken), sessionId],
+          (err) => {
+            if (err) {
+              return reject(new Error('Failed to store refresh token: ' + err.message));
+            }
+
+            resolve({ sessionId, refreshToken });
+          }
+        );
+      }
+    );
+  });
+}
+
+/**
+ * Create a session in which a staff member acts as another user
+ * It has no refresh token, so it ends when its access token expires.
+ * @param {number} userId - User being impersonated
+ * @param {number} impersonatorId - Staff member doing the impersonation
+ * @param {number} ttlSeconds - Session lifetime
+ * @param {object} context - Request context (ipAddress, userAgent)
+ * @returns {Promise<number>} Session ID
+ */
+function createImpersonationSession(userId, impersonatorId, ttlSeconds, context = {}) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO sessions (user_id, impersonator_id, user_agent, ip_address, expires_at, last_used_at)
+       VALUES (?, ?, ?, ?, datetime('now', ?), CURRENT_TIMESTAMP)`,
+      [userId, impersonatorId, context.userAgent || null, context.ipAddress || null, `+${ttlSeconds} seconds`],
+      function(err) {
+        if (err) {
+          return reject(new Error('Failed to create impersonation session: ' + err.message));
+        }
+
+        resolve(this.lastID);
+      }
+    );
+  });
+}
+
+/**
+ * Get a session that is neither revoked nor expired
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<object|null>} Session or null
+ */
+function getActiveSession(sessionId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM sessions
+       WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')`,
+      [sessionId],
+      (err, session) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(session || null);
+      }
+    );
+  });
+}
+
+/**
+ * Check whether a token was issued for a session and later rotated away
+ * @param {number} sessionId - Session ID
+ * @param {string} tokenHash - Hash of the presented refresh token
+ * @returns {Promise<boolean>} True if the token is a rotated one
+ */
+function isRotatedToken(sessionId, tokenHash) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT id FROM session_rotated_tokens WHERE session_id = ? AND token_hash = ?',
+      [sessionId, tokenHash],
+      (err, row) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(Boolean(row));
+      }
+    );
+  });
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * Presenting an already rotated token revokes the whole session, since it
+ * means the token was copied by someone else. Any other token that does not
+ * match is just rejected, so guessing session IDs cannot sign anyone out.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {object} context - Request context (ipAddress, userAgent)
+ * @returns {Promise<object|null>} Session and new refresh token, or null if invalid
+ */
+async function rotateRefreshToken(refreshToken, context = {}) {
+  const sessionId = parseInt(String(refreshToken).split('.')[0]);
+
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await getActiveSession(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const presentedHash = Buffer.from(tokenHash, 'hex');
+  const storedHash = Buffer.from(session.refresh_token_hash || '', 'hex');
+
+  if (storedHash.length !== presentedHash.length || !crypto.timingSafeEqual(storedHash, presentedHash)) {
+    if (await isRotatedToken(sessionId, tokenHash)) {
+      await revokeSession(sessionId, 'refresh_token_reuse');
+    }
+    return null;
+  }
+
+  const newRefreshToken = buildRefreshToken(sessionId);
+
+  // The old token is kept as rotated only if this request is the one that rotates it
+  const [, rotated] = await runStatements(run => {
+    run(
+      `INSERT INTO session_rotated_tokens (session_id, token_hash)
+       SELECT id, refresh_token_hash FROM sessions WHERE id = ? AND refresh_token_hash = ?`,
+      [sessionId, session.refresh_token_hash]
+    );
+    run(
+      `UPDATE sessions
+       SET refresh_token_hash = ?, ip_address = ?, user_agent = ?, last_used_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND refresh_token_hash = ?`,
+      [
+        hashToken(newRefreshToken),
+        context.ipAddress || session.ip_address,
+        context.userAgent || session.user_agent,
+        sessionId,
+        session.refresh_token_hash
+      ]
+    );
+  }, 'Failed to rotate refresh token');
+
+  // Another request rotated the token first
+  if (rotated === 0) {
+    return null;
+  }
+
+  return { session, refreshToken: newRefreshToken };
+}
+
+/**
+ * Revoke a single session
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Revocation reason (logout, password_change, admin, ...)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+function revokeSession(sessionId, reason) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+      [reason, sessionId],
+      function(err) {
+        if (err) {
+          return reject(new Error('Failed to revoke session: ' + err.message));
+        }
+
+        resolve(this.changes);
+      }
+    );
+  });
+}
+
+/**
+ * Revoke all sessions of a user
+ * @param {number} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {number} exceptSessionId - Session to keep (e.g. the one changing the password)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+function revokeUserSessions(userId, reason, exceptSessionId = null) {
+  return new Promise((resolve, reject) => {
+    let query = 'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL';
+    const queryParams = [reason, userId];
+
+    if (exceptSessionId) {
+      query += ' AND id != ?';
+      queryParams.push(exceptSessionId);
+    }
+
+    db.run(query, queryParams, function(err) {
+      if (err) {
+        return reject(new Error('Failed to revoke sessions: ' + err.message));
+      }
+
+      resolve(this.changes);
+    });
+  });
+}
+
+/**
+ * List active sessions of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Sessions without token hashes
+ */
+function getUserSessions(userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, user_agent, ip_address, impersonator_id, created_at, last_used_at, expires_at
+       FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+       ORDER BY last_used_at DESC`,
+      [userId],
+      (err, sessions) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(sessions);
+      }
+    );
+  });
+}
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  getActiveSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getUserSessions
+};
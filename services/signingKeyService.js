@@ -0,0 +1,230 @@
+/**
+ * Signing Key Service
+ * Asymmetric key pairs for access tokens. The newest active key signs new
+ * tokens; every active key and recently retired key is published as a JWKS
+ * so other services can verify tokens without sharing a secret.
+ */
+
+const crypto = require('crypto');
+const { db, runStatements } = require('../config/database');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
+// Encrypts private keys at rest when set
+const SIGNING_KEY_PASSPHRASE = process.env.SIGNING_KEY_PASSPHRASE || null;
+// Retired keys stay published this long so tokens they already signed still verify.
+// Must be longer than the access token lifetime.
+const RETIRED_KEY_GRACE_SECONDS = parseInt(process.env.SIGNING_KEY_GRACE_SECONDS) || 24 * 60 * 60;
+// How often the in-memory key set is reloaded (picks up rotations made by other processes)
+const KEY_CACHE_TTL_MS = 60 * 1000;
+// Tokens naming a kid that is not cached reload the keys at most this often, so
+// tokens with made-up kids cannot turn every request into a database query
+const UNKNOWN_KID_RELOAD_INTERVAL_MS = 5 * 1000;
+
+let keyCache = {
+  keys: new Map(),
+  signingKey: null,
+  loadedAt: 0
+};
+let refreshTimer = null;
+let lastUnknownKidReload = 0;
+
+/**
+ * Generate a key pair for an algorithm
+ * @param {string} algorithm - RS256 or ES256
+ * @returns {object} PEM encoded publicKey and privateKey
+ */
+function generateKeyPair(algorithm) {
+  const privateKeyEncoding = { type: 'pkcs8', format: 'pem' };
+  if (SIGNING_KEY_PASSPHRASE) {
+    privateKeyEncoding.cipher = 'aes-256-cbc';
+    privateKeyEncoding.passphrase = SIGNING_KEY_PASSPHRASE;
+  }
+
+  const options = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding
+  };
+
+  if (algorithm === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...options });
+  }
+
+  return crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...options });
+}
+
+/**
+ * Load published keys from the database into the cache
+ * @returns {Promise<void>}
+ */
+function refreshKeys() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM signing_keys
+       WHERE status = 'active' OR (status = 'retired' AND retired_at > datetime('now', ?))
+       ORDER BY id DESC`,
+      [`-${RETIRED_KEY_GRACE_SECONDS} seconds`],
+      (err, rows) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        keyCache = {
+          keys: new Map(rows.map(row => [row.kid, row])),
+          signingKey: rows.find(row => row.status === 'active') || null,
+          loadedAt: Date.now()
+        };
+
+        resolve();
+      }
+    );
+  });
+}
+
+/**
+ * Reload the key cache if it is older than the cache TTL
+ * @returns {Promise<void>}
+ */
+function ensureFreshKeys() {
+  if (Date.now() - keyCache.loadedAt < KEY_CACHE_TTL_MS) {
+    return Promise.resolve();
+  }
+  return refreshKeys();
+}
+
+/**
+ * Create a new active signing key and retire the previous ones
+ * @param {string} algorithm - RS256 or ES256
+ * @returns {Promise<object>} New key (kid, algorithm)
+ */
+async function rotateSigningKey(algorithm = JWT_ALGORITHM) {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+  }
+
+  const { publicKey, privateKey } = generateKeyPair(algorithm);
+  const kid = crypto.randomBytes(12).toString('hex');
+
+  await runStatements(run => {
+    run(`UPDATE signing_keys SET status = 'retired', retired_at = CURRENT_TIMESTAMP WHERE status = 'active'`);
+    run(
+      'INSERT INTO signing_keys (kid, algorithm, public_key, private_key) VALUES (?, ?, ?, ?)',
+      [kid, algorithm, publicKey, privateKey]
+    );
+  }, 'Failed to rotate signing key');
+
+  await refreshKeys();
+  return { kid, algorithm };
+}
+
+/**
+ * Delete retired keys whose grace period is over
+ * @returns {Promise<number>} Number of keys deleted
+ */
+function pruneRetiredKeys() {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM signing_keys WHERE status = 'retired' AND retired_at <= datetime('now', ?)`,
+      [`-${RETIRED_KEY_GRACE_SECONDS} seconds`],
+      function(err) {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(this.changes);
+      }
+    );
+  });
+}
+
+/**
+ * Load signing keys at startup, creating the first key if there is none
+ * @returns {Promise<void>}
+ */
+async function initializeSigningKeys() {
+  if (!SIGNING_KEY_PASSPHRASE) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SIGNING_KEY_PASSPHRASE is required in production to encrypt signing keys at rest');
+    }
+    console.warn('⚠️  SIGNING_KEY_PASSPHRASE is not set; new signing keys are stored unencrypted');
+  }
+
+  await refreshKeys();
+
+  if (!keyCache.signingKey) {
+    const { kid, algorithm } = await rotateSigningKey();
+    console.log(`Created ${algorithm} signing key ${kid}`);
+  }
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      refreshKeys().catch(error => console.error('Signing key refresh error:', error));
+    }, KEY_CACHE_TTL_MS);
+    refreshTimer.unref();
+  }
+}
+
+/**
+ * Get the key used to sign new tokens
+ * @returns {object} kid, algorithm and private key (usable by jsonwebtoken)
+ */
+function getSigningKey() {
+  const key = keyCache.signingKey;
+
+  if (!key) {
+    throw new Error('No signing key loaded; call initializeSigningKeys() first');
+  }
+
+  return {
+    kid: key.kid,
+    algorithm: key.algorithm,
+    privateKey: SIGNING_KEY_PASSPHRASE
+      ? { key: key.private_key, passphrase: SIGNING_KEY_PASSPHRASE }
+      : key.private_key
+  };
+}
+
+/**
+ * Get the public key for a kid, reloading if it is not cached yet (at most
+ * once per UNKNOWN_KID_RELOAD_INTERVAL_MS)
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<string|null>} PEM public key, or null if unknown or no longer published
+ */
+async function getPublicKey(kid) {
+  await ensureFreshKeys();
+
+  if (!keyCache.keys.has(kid) && Date.now() - lastUnknownKidReload >= UNKNOWN_KID_RELOAD_INTERVAL_MS) {
+    lastUnknownKidReload = Date.now();
+    await refreshKeys();
+  }
+
+  const key = keyCache.keys.get(kid);
+  return key ? key.public_key : null;
+}
+
+/**
+ * Build the JSON Web Key Set of all published keys
+ * @returns {Promise<object>} JWKS document
+ */
+async function getJwks() {
+  await ensureFreshKeys();
+
+  const keys = [...keyCache.keys.values()].map(key => ({
+    ...crypto.createPublicKey(key.public_key).export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.algorithm,
+    use: 'sig'
+  }));
+
+  return { keys };
+}
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  initializeSigningKeys,
+  rotateSigningKey,
+  pruneRetiredKeys,
+  getSigningKey,
+  getPublicKey,
+  getJwks
+};
@@ -0,0 +1,118 @@
+/**
+ * Slug Service
+ * Products and categories have a unique URL slug (generated from the name,
+ * or set by hand) and optional meta title/description for search engines.
+ * The API resolves them by slug as well as by ID. A slug that is replaced,
+ * whether by a rename or by hand, is kept in slug_redirects by triggers so
+ * old links redirect to the current slug.
+ */
+
+const { queryAll } = require('../config/database');
+const { slugify, uniqueSlug } = require('../utils/slug');
+
+// Table of each entity that has slugs
+const SLUG_TABLES = {
+  product: 'products',
+  category: 'categories'
+};
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 100;
+const MAX_META_TITLE_LENGTH = 100;
+const MAX_META_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Validate the slug and meta fields of a product or category request
+ * @param {object} body - { slug, metaTitle, metaDescription }
+ * @returns {object} { seo } with the fields that were sent (null or '' clears a
+ * meta field), or { error }
+ */
+function parseSeoInput(body) {
+  const seo = {};
+
+  if (body.slug !== undefined && body.slug !== null && body.slug !== '') {
+    const slug = String(body.slug).trim().toLowerCase();
+    if (!SLUG_PATTERN.test(slug) || slug.length > MAX_SLUG_LENGTH) {
+      return { error: `slug must be up to ${MAX_SLUG_LENGTH} lowercase letters, digits and single hyphens, e.g. galaxy-s24` };
+    }
+    if (/^\d+$/.test(slug)) {
+      return { error: 'slug cannot be only digits, since those are read as IDs' };
+    }
+    seo.slug = slug;
+  }
+
+  for (const [field, maxLength] of [['metaTitle', MAX_META_TITLE_LENGTH], ['metaDescription', MAX_META_DESCRIPTION_LENGTH]]) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    const value = body[field] === null ? '' : String(body[field]).trim();
+    if (value.length > maxLength) {
+      return { error: `${field} is longer than ${maxLength} characters` };
+    }
+    seo[field] = value || null;
+  }
+
+  return { seo };
+}
+
+/**
+ * Whether another product or category already uses a slug
+ * @param {string} entityType - 'product' or 'category'
+ * @param {string} slug - Slug
+ * @param {number|null} excludeId - The product or category being updated
+ * @returns {Promise<boolean>} True if the slug is taken
+ */
+async function isSlugTaken(entityType, slug, excludeId = null) {
+  const rows = await queryAll(
+    `SELECT id FROM ${SLUG_TABLES[entityType]} WHERE slug = ? AND id IS NOT ?`,
+    [slug, excludeId]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Make a unique slug from a name. Old slugs of other products or categories
+ * are avoided too, so their links keep redirecting.
+ * @param {string} entityType - 'product' or 'category'
+ * @param {string} name - Product or category name
+ * @param {number|null} excludeId - The product or category being updated (its own
+ * current and old slugs may be reused)
+ * @returns {Promise<string>} Slug
+ */
+async function generateSlug(entityType, name, excludeId = null) {
+  const base = slugify(name, entityType);
+  const rows = await queryAll(
+    `SELECT slug FROM ${SLUG_TABLES[entityType]} WHERE (slug = ? OR slug LIKE ?) AND id IS NOT ?
+     UNION
+     SELECT slug FROM slug_redirects WHERE entity_type = ? AND (slug = ? OR slug LIKE ?) AND entity_id IS NOT ?`,
+    [base, `${base}-%`, excludeId, entityType, base, `${base}-%`, excludeId]
+  );
+  return uniqueSlug(base, new Set(rows.map(row => row.slug)));
+}
+
+/**
+ * Find a product or category by its current or an old slug
+ * @param {string} entityType - 'product' or 'category'
+ * @param {string} slug - Slug from the URL
+ * @returns {Promise<object|null>} { id, slug, current } where slug is the current slug
+ * and current is false for an old slug, or null if no such slug exists
+ */
+async function findBySlug(entityType, slug) {
+  const table = SLUG_TABLES[entityType];
+  const [row] = await queryAll(
+    `SELECT id, slug, 1 as current FROM ${table} WHERE slug = ?
+     UNION ALL
+     SELECT t.id, t.slug, 0 FROM slug_redirects r JOIN ${table} t ON t.id = r.entity_id
+     WHERE r.entity_type = ? AND r.slug = ?
+     ORDER BY current DESC
+     LIMIT 1`,
+    [slug, entityType, slug]
+  );
+  return row ? { id: row.id, slug: row.slug, current: Boolean(row.current) } : null;
+}
+
+module.exports = {
+  parseSeoInput,
+  isSlugTaken,
+  generateSlug,
+  findBySlug
+};
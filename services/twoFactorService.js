@@ -0,0 +1,330 @@
+/**
+ * Two-Factor Authentication Service
+ * Time-based one-time passwords (RFC 6238, compatible with Google Authenticator,
+ * Authy, 1Password, ...), recovery codes and pending login challenges.
+ */
+
+const crypto = require('crypto');
+const { db, runStatements } = require('../config/database');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Legacy Store';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Hash a recovery code or challenge token for storage
+ * @param {string} value - Plain value
+ * @returns {string} SHA-256 hex digest
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label shown in the app (username or email)
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate the TOTP code for a time step
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} timeStep - Number of periods since the Unix epoch
+ * @returns {string} Zero-padded code
+ */
+function generateTotp(secret, timeStep) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(timeStep));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code, allowing one period of clock drift either way
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Last accepted time step (codes at or before it are replays)
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!secret || !/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let drift = -1; drift <= 1; drift++) {
+    const step = currentStep + drift;
+
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = Buffer.from(generateTotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>} Plain recovery codes (shown to the user once)
+ */
+async function generateRecoveryCodes(userId) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  await runStatements(run => {
+    run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    codes.forEach(code => run('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashValue(code)]));
+  }, 'Failed to store recovery codes');
+
+  return codes;
+}
+
+/**
+ * Use up a recovery code
+ * @param {number} userId - User ID
+ * @param {string} code - Recovery code entered by the user
+ * @returns {Promise<boolean>} Whether the code was valid and unused
+ */
+function consumeRecoveryCode(userId, code) {
+  return new Promise((resolve, reject) => {
+    // Accept codes typed without the dash or in upper case
+    const compact = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+    const normalized = `${compact.slice(0, 5)}-${compact.slice(5)}`;
+
+    db.run(
+      'UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [userId, hashValue(normalized)],
+      function(err) {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(this.changes === 1);
+      }
+    );
+  });
+}
+
+/**
+ * Count unused recovery codes
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Remaining codes
+ */
+function countRecoveryCodes(userId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT COUNT(*) as remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId],
+      (err, result) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(result.remaining);
+      }
+    );
+  });
+}
+
+/**
+ * Create a login challenge after the password step succeeded
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} Challenge token for the second login step
+ */
+function createLoginChallenge(userId) {
+  return new Promise((resolve, reject) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    db.run(
+      `INSERT INTO two_factor_challenges (user_id, token_hash, expires_at)
+       VALUES (?, ?, datetime('now', ?))`,
+      [userId, hashValue(token), `+${CHALLENGE_TTL_MINUTES} minutes`],
+      (err) => {
+        if (err) {
+          return reject(new Error('Failed to create login challenge: ' + err.message));
+        }
+
+        resolve(token);
+      }
+    );
+  });
+}
+
+/**
+ * Get a login challenge that is still open
+ * @param {string} token - Challenge token
+ * @returns {Promise<object|null>} Challenge or null
+ */
+function getLoginChallenge(token) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM two_factor_challenges
+       WHERE token_hash = ? AND completed_at IS NULL AND attempts < ? AND expires_at > datetime('now')`,
+      [hashValue(token), CHALLENGE_MAX_ATTEMPTS],
+      (err, challenge) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(challenge || null);
+      }
+    );
+  });
+}
+
+/**
+ * Record a wrong code for a challenge (it closes after too many attempts)
+ * @param {number} challengeId - Challenge ID
+ * @returns {Promise<void>}
+ */
+function recordChallengeFailure(challengeId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE id = ?',
+      [challengeId],
+      (err) => {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve();
+      }
+    );
+  });
+}
+
+/**
+ * Close a challenge once the second step succeeded
+ * @param {number} challengeId - Challenge ID
+ * @returns {Promise<boolean>} False if another request completed it first
+ */
+function completeLoginChallenge(challengeId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE two_factor_challenges SET completed_at = CURRENT_TIMESTAMP WHERE id = ? AND completed_at IS NULL',
+      [challengeId],
+      function(err) {
+        if (err) {
+          return reject(new Error('Database error: ' + err.message));
+        }
+
+        resolve(this.changes === 1);
+      }
+    );
+  });
+}
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUri,
+  generateTotp,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordChallengeFailure,
+  completeLoginChallenge
+};
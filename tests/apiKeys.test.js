@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, get, createStaffSession } = require('./helpers');
+
+let admin;
+
+beforeAll(async () => {
+  await setupDatabase();
+  admin = await createStaffSession({ username: 'grace' });
+});
+afterAll(teardownDatabase);
+
+function createKey(body, token = admin.token) {
+  return request(app).post('/api/api-keys')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'Warehouse sync', ...body });
+}
+
+describe('creating API keys', () => {
+  test('returns the key once and stores only its prefix', async () => {
+    const res = await createKey({ scopes: ['inventory:read'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.apiKey).toMatch(/^lsk_[0-9a-f]{48}$/);
+    expect(res.body.details).toEqual(expect.objectContaining({
+      keyPrefix: res.body.apiKey.slice(0, 12),
+      scopes: ['inventory:read'],
+      createdBy: admin.id
+    }));
+
+    const row = await get('SELECT * FROM api_keys WHERE id = ?', [res.body.details.id]);
+    expect(JSON.stringify(row)).not.toContain(res.body.apiKey);
+  });
+
+  test('refuses scopes that only a signed-in person may use, and unknown ones', async () => {
+    const nonDelegable = await createKey({ scopes: ['inventory:read', 'users:erase'] });
+    expect(nonDelegable.status).toBe(400);
+    expect(nonDelegable.body.scopes).toEqual(['users:erase']);
+
+    const unknown = await createKey({ scopes: ['inventory:delete'] });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.scopes).toEqual(['inventory:delete']);
+  });
+
+  test('refuses scopes the caller does not hold', async () => {
+    const { lastID: roleId } = await run("INSERT INTO roles (name) VALUES ('integrations')");
+    await run(
+      `INSERT INTO role_permissions (role_id, permission_id)
+       SELECT ?, id FROM permissions WHERE name IN ('api_keys:manage', 'inventory:read')`,
+      [roleId]
+    );
+    const manager = await createStaffSession({ username: 'heidi', role: 'integrations' });
+
+    const res = await createKey({ scopes: ['inventory:read', 'inventory:write'] }, manager.token);
+
+    expect(res.status).toBe(403);
+    expect(res.body.scopes).toEqual(['inventory:write']);
+  });
+});
+
+describe('authenticating with an API key', () => {
+  let apiKey;
+  let keyId;
+
+  beforeAll(async () => {
+    const res = await createKey({ scopes: ['inventory:read'] });
+    apiKey = res.body.apiKey;
+    keyId = res.body.details.id;
+  });
+
+  test('is accepted in either header on routes its scopes cover', async () => {
+    const byHeader = await request(app).get('/api/inventory').set('X-API-Key', apiKey);
+    expect(byHeader.status).toBe(200);
+
+    const byAuthorization = await request(app).get('/api/inventory').set('Authorization', `ApiKey ${apiKey}`);
+    expect(byAuthorization.status).toBe(200);
+  });
+
+  test('is refused on routes needing another permission', async () => {
+    const res = await request(app).put('/api/inventory/product/1').set('X-API-Key', apiKey).send({ quantity: 5 });
+
+    expect(res.status).toBe(403);
+    expect(res.body.requiredPermission).toBe('inventory:write');
+  });
+
+  test('is refused on routes without a permission check', async () => {
+    const res = await request(app).get('/api/auth/profile').set('X-API-Key', apiKey);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('This endpoint does not accept API keys');
+  });
+
+  test('stops working once revoked or expired', async () => {
+    const revoked = await createKey({ scopes: ['inventory:read'] });
+    await request(app).delete(`/api/api-keys/${revoked.body.details.id}`).set('Authorization', `Bearer ${admin.token}`);
+    expect((await request(app).get('/api/inventory').set('X-API-Key', revoked.body.apiKey)).status).toBe(401);
+
+    const expired = await createKey({ scopes: ['inventory:read'], expiresInDays: 1 });
+    await run("UPDATE api_keys SET expires_at = datetime('now', '-1 minute') WHERE id = ?", [expired.body.details.id]);
+    expect((await request(app).get('/api/inventory').set('X-API-Key', expired.body.apiKey)).status).toBe(401);
+  });
+
+  test('records when and from where the key was last used', async () => {
+    const res = await request(app).get(`/api/api-keys/${keyId}`).set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.body.apiKey.lastUsedAt).not.toBeNull();
+    expect(res.body.apiKey.lastUsedIp).not.toBeNull();
+  });
+});
+
+describe('API key rate limits', () => {
+  test('requests over the per-minute limit get 429 with a retry time', async () => {
+    const { body } = await createKey({ scopes: ['inventory:read'], rateLimitPerMinute: 2 });
+    const send = () => request(app).get('/api/inventory').set('X-API-Key', body.apiKey);
+
+    const first = await send();
+    expect(first.headers['x-ratelimit-limit']).toBe('2');
+    expect(first.headers['x-ratelimit-remaining']).toBe('1');
+    expect((await send()).status).toBe(200);
+
+    const limited = await send();
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toBe('API key rate limit exceeded');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('each key has a window of its own', async () => {
+    const { body: busy } = await createKey({ scopes: ['inventory:read'], rateLimitPerMinute: 1 });
+    const { body: quiet } = await createKey({ scopes: ['inventory:read'], rateLimitPerMinute: 1 });
+
+    await request(app).get('/api/inventory').set('X-API-Key', busy.apiKey);
+    expect((await request(app).get('/api/inventory').set('X-API-Key', busy.apiKey)).status).toBe(429);
+    expect((await request(app).get('/api/inventory').set('X-API-Key', quiet.apiKey)).status).toBe(200);
+  });
+});
@@ -0,0 +1,286 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, get, createUser, login } = require('./helpers');
+const { generateTotp } = require('../services/twoFactorService');
+const { getMailSink, clearMailSink } = require('../services/notificationService');
+
+const TOTP_PERIOD_SECONDS = 30;
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+// A code for the next period: still accepted (clock drift), and never a replay of
+// the code just used to enable two-factor authentication
+function nextTotp(secret) {
+  return generateTotp(secret, currentStep() + 1);
+}
+
+// A well-formed code that no accepted period produces
+function wrongTotp(secret) {
+  const valid = [-1, 0, 1, 2].map(drift => generateTotp(secret, currentStep() + drift));
+  return ['000000', '111111', '222222', '333333', '444444'].find(code => !valid.includes(code));
+}
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+describe('login', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser({ username: 'alice' });
+  });
+
+  test('returns an access token and a refresh token', async () => {
+    const res = await login('alice', user.password);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+    expect(res.body.user).toMatchObject({ username: 'alice', role: 'customer' });
+  });
+
+  test('accepts the email address instead of the username', async () => {
+    const res = await login(user.email, user.password);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('rejects a wrong password and an unknown user alike', async () => {
+    const wrongPassword = await login('alice', 'Not-The-Password-1');
+    const unknownUser = await login('nobody', user.password);
+
+    expect(wrongPassword.status).toBe(401);
+    expect(unknownUser.status).toBe(401);
+    expect(wrongPassword.body.error).toBe(unknownUser.body.error);
+  });
+
+  test('the access token opens the profile', async () => {
+    const { body } = await login('alice', user.password);
+
+    const res = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe('alice');
+  });
+});
+
+describe('refresh token rotation', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser({ username: 'bob' });
+  });
+
+  test('issues a new refresh token and accepts it once', async () => {
+    const { body: session } = await login('bob', user.password);
+
+    const first = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(session.refreshToken);
+
+    const second = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+    expect(second.status).toBe(200);
+  });
+
+  test('reusing a rotated refresh token revokes the session', async () => {
+    const { body: session } = await login('bob', user.password);
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(replay.status).toBe(401);
+
+    // The legitimate holder of the newer token is signed out too
+    const afterReplay = await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.refreshToken });
+    expect(afterReplay.status).toBe(401);
+
+    const profile = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${rotated.body.token}`);
+    expect(profile.status).toBe(401);
+  });
+
+  test('a token never issued for the session is rejected without revoking it', async () => {
+    const { body: session } = await login('bob', user.password);
+    const sessionId = session.refreshToken.split('.')[0];
+
+    const forged = await request(app).post('/api/auth/refresh').send({ refreshToken: `${sessionId}.deadbeef` });
+    expect(forged.status).toBe(401);
+
+    const genuine = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(genuine.status).toBe(200);
+  });
+});
+
+describe('revoked sessions', () => {
+  test('logout revokes the access token and the refresh token', async () => {
+    const user = await createUser({ username: 'carol' });
+    const { body: session } = await login('carol', user.password);
+
+    const logout = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${session.token}`);
+    expect(logout.status).toBe(200);
+
+    const profile = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${session.token}`);
+    expect(profile.status).toBe(401);
+    expect(profile.body.error).toBe('Session has been revoked');
+
+    const refresh = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  test('other sessions survive a logout', async () => {
+    const user = await createUser({ username: 'dave' });
+    const { body: laptop } = await login('dave', user.password);
+    const { body: phone } = await login('dave', user.password);
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${laptop.token}`);
+
+    const profile = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${phone.token}`);
+    expect(profile.status).toBe(200);
+  });
+});
+
+describe('two-factor enrollment', () => {
+  let user;
+  let token;
+  let secret;
+  let recoveryCodes;
+
+  beforeAll(async () => {
+    user = await createUser({ username: 'erin' });
+    token = (await login('erin', user.password)).body.token;
+  });
+
+  test('setup returns a secret that only takes effect once a code confirms it', async () => {
+    const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', `Bearer ${token}`);
+    expect(setup.status).toBe(200);
+    expect(setup.body.otpauthUri).toContain(setup.body.secret);
+    secret = setup.body.secret;
+
+    const loginBeforeEnable = await login('erin', user.password);
+    expect(loginBeforeEnable.body.twoFactorRequired).toBeUndefined();
+
+    const wrongCode = await request(app).post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: wrongTotp(secret) });
+    expect(wrongCode.status).toBe(400);
+  });
+
+  test('enable with a valid code returns recovery codes', async () => {
+    const res = await request(app).post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(secret, currentStep()) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodes.length).toBeGreaterThan(0);
+    recoveryCodes = res.body.recoveryCodes;
+
+    const row = await get('SELECT two_factor_enabled FROM users WHERE id = ?', [user.id]);
+    expect(row.two_factor_enabled).toBe(1);
+  });
+
+  test('login then asks for a code instead of issuing tokens', async () => {
+    const first = await login('erin', user.password);
+    expect(first.body).toMatchObject({ twoFactorRequired: true });
+    expect(first.body.token).toBeUndefined();
+
+    const wrong = await request(app).post('/api/auth/login/2fa')
+      .send({ challengeToken: first.body.challengeToken, code: wrongTotp(secret) });
+    expect(wrong.status).toBe(401);
+
+    const second = await request(app).post('/api/auth/login/2fa')
+      .send({ challengeToken: first.body.challengeToken, code: nextTotp(secret) });
+    expect(second.status).toBe(200);
+    expect(second.body.token).toEqual(expect.any(String));
+  });
+
+  test('a recovery code signs in once', async () => {
+    const challenge = (await login('erin', user.password)).body.challengeToken;
+    const res = await request(app).post('/api/auth/login/2fa').send({ challengeToken: challenge, recoveryCode: recoveryCodes[0] });
+    expect(res.status).toBe(200);
+
+    const reuseChallenge = (await login('erin', user.password)).body.challengeToken;
+    const reuse = await request(app).post('/api/auth/login/2fa').send({ challengeToken: reuseChallenge, recoveryCode: recoveryCodes[0] });
+    expect(reuse.status).toBe(401);
+  });
+
+  test('new recovery codes need the password as well as a code', async () => {
+    // Codes already used to sign in are refused as replays
+    await run('UPDATE users SET two_factor_last_step = NULL WHERE id = ?', [user.id]);
+
+    const withoutPassword = await request(app).post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(secret, currentStep()) });
+    expect(withoutPassword.status).toBe(400);
+
+    const wrongPassword = await request(app).post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'Not-The-Password-1', code: generateTotp(secret, currentStep()) });
+    expect(wrongPassword.status).toBe(401);
+
+    const res = await request(app).post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: user.password, code: generateTotp(secret, currentStep()) });
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodes).not.toContain(recoveryCodes[1]);
+  });
+});
+
+describe('password reset tokens', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser({ username: 'frank' });
+  });
+
+  beforeEach(clearMailSink);
+
+  // Request a reset email and return the token from its link
+  async function requestResetToken() {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    expect(res.status).toBe(200);
+
+    const [message] = getMailSink(user.email);
+    return message.metadata.token;
+  }
+
+  test('gives the same answer for unknown addresses and sends nothing', async () => {
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(getMailSink('nobody@example.com')).toHaveLength(0);
+  });
+
+  test('sets the new password, signs out existing sessions and works only once', async () => {
+    const { body: session } = await login('frank', user.password);
+    const token = await requestResetToken();
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token, password: 'Brand-New-Secret-7' });
+    expect(res.status).toBe(200);
+
+    expect((await login('frank', user.password)).status).toBe(401);
+    expect((await login('frank', 'Brand-New-Secret-7')).status).toBe(200);
+
+    const profile = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${session.token}`);
+    expect(profile.status).toBe(401);
+
+    const reuse = await request(app).post('/api/auth/reset-password').send({ token, password: 'Another-Secret-88' });
+    expect(reuse.status).toBe(400);
+  });
+
+  test('a password the policy rejects does not use up the token', async () => {
+    const token = await requestResetToken();
+
+    const weak = await request(app).post('/api/auth/reset-password').send({ token, password: 'short' });
+    expect(weak.status).toBe(400);
+    expect(weak.body.violations.length).toBeGreaterThan(0);
+
+    const retry = await request(app).post('/api/auth/reset-password').send({ token, password: 'Second-Try-Secret-9' });
+    expect(retry.status).toBe(200);
+  });
+
+  test('rejects a made-up token', async () => {
+    const res = await request(app).post('/api/auth/reset-password').send({ token: 'not-a-real-token', password: 'Brand-New-Secret-7' });
+    expect(res.status).toBe(400);
+  });
+});
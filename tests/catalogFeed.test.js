@@ -0,0 +1,142 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, createCategory, createProduct, createStaffSession } = require('./helpers');
+
+const BASE_URL = 'http://localhost:3000';
+
+let ids;
+
+beforeAll(async () => {
+  await setupDatabase();
+  const admin = await createStaffSession({ username: 'abel' });
+  const electronics = await createCategory('Electronics');
+  const laptops = await createCategory('Laptops', electronics);
+  const phones = await createCategory('Phones', electronics);
+
+  ids = {
+    laptop: await createProduct({
+      name: 'Gram 14 & Sleeve', categoryId: laptops, price: 1290000, stock: 4, sku: 'GRAM-14', description: 'Light\tand thin'
+    }),
+    phone: await createProduct({ name: 'Galaxy', categoryId: phones, price: 1500000, sku: 'GALAXY' }),
+    retired: await createProduct({ name: 'Old Phone', categoryId: phones, stock: 1, sku: 'OLD-1' })
+  };
+  await run("UPDATE products SET slug = 'gram-14', weight = 1.2 WHERE id = ?", [ids.laptop]);
+  await run("INSERT INTO product_attributes (product_id, name, value) VALUES (?, 'brand', 'LG')", [ids.laptop]);
+  await run('UPDATE products SET is_active = 0 WHERE id = ?', [ids.retired]);
+
+  for (const variant of [
+    { sku: 'GALAXY-256-BK', options: { storage: '256GB', color: 'Black' }, stockQuantity: 2 },
+    { sku: 'GALAXY-512-WH', options: { storage: '512GB', color: 'White' }, price: 1700000 }
+  ]) {
+    const res = await request(app).post(`/api/products/${ids.phone}/variants`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send(variant);
+    expect(res.status).toBe(201);
+  }
+});
+afterAll(teardownDatabase);
+
+// Read the feed's items as { field: value } objects (repeated fields as arrays)
+async function feedItems() {
+  const res = await request(app).get('/feeds/products.xml');
+  expect(res.status).toBe(200);
+
+  return res.text.split('<item>').slice(1).map(item => {
+    const fields = {};
+    for (const [, field, value] of item.matchAll(/<g:(\w+)>([^<]*)<\/g:\1>/g)) {
+      fields[field] = fields[field] === undefined ? value : [].concat(fields[field], value);
+    }
+    return fields;
+  });
+}
+
+describe('product feed', () => {
+  test('lists each active product with its storefront link, price, stock and category path', async () => {
+    const items = await feedItems();
+
+    expect(items.find(item => item.id === 'GRAM-14')).toEqual({
+      id: 'GRAM-14',
+      title: 'Gram 14 &amp; Sleeve',
+      description: 'Light\tand thin',
+      link: `${BASE_URL}/products/gram-14`,
+      availability: 'in_stock',
+      price: '1290000 KRW',
+      brand: 'LG',
+      condition: 'new',
+      identifier_exists: 'no',
+      product_type: 'Electronics &gt; Laptops',
+      shipping_weight: '1.2 kg'
+    });
+    expect(items.map(item => item.id)).not.toContain('OLD-1');
+  });
+
+  test('products with variants are listed per variant, grouped under the product SKU', async () => {
+    const variants = (await feedItems()).filter(item => item.item_group_id === 'GALAXY');
+
+    expect(variants.map(item => [item.id, item.title, item.price, item.availability, item.color])).toEqual([
+      ['GALAXY-256-BK', 'Galaxy (256GB / Black)', '1500000 KRW', 'in_stock', 'Black'],
+      ['GALAXY-512-WH', 'Galaxy (512GB / White)', '1700000 KRW', 'out_of_stock', 'White']
+    ]);
+  });
+
+  test('a sale shows the regular price and the sale price', async () => {
+    await run(
+      `INSERT INTO price_schedules (product_id, price, compare_at_price, starts_at)
+       VALUES (?, 990000, 1290000, datetime('now', '-1 hour'))`,
+      [ids.laptop]
+    );
+
+    const laptop = (await feedItems()).find(item => item.id === 'GRAM-14');
+
+    expect([laptop.price, laptop.sale_price]).toEqual(['1290000 KRW', '990000 KRW']);
+  });
+
+  test('changes to a product show up in the next feed', async () => {
+    await run("UPDATE products SET name = 'Gram 14 Pro' WHERE id = ?", [ids.laptop]);
+    await run('UPDATE inventory SET quantity = 0 WHERE product_id = ?', [ids.laptop]);
+
+    const laptop = (await feedItems()).find(item => item.id === 'GRAM-14');
+
+    expect([laptop.title, laptop.availability]).toEqual(['Gram 14 Pro', 'out_of_stock']);
+
+    await run('UPDATE products SET is_active = 0 WHERE id = ?', [ids.laptop]);
+    expect((await feedItems()).map(item => item.id)).not.toContain('GRAM-14');
+    await run('UPDATE products SET is_active = 1 WHERE id = ?', [ids.laptop]);
+  });
+
+  test('the TSV feed has a header row and one row per item, without tabs inside cells', async () => {
+    const res = await request(app).get('/feeds/products.tsv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/tab-separated-values/);
+
+    const [header, ...rows] = res.text.split('\n').filter(Boolean).map(line => line.split('\t'));
+    expect(header).toEqual([
+      'id', 'item_group_id', 'title', 'description', 'link', 'image_link', 'additional_image_link',
+      'availability', 'price', 'sale_price', 'brand', 'condition', 'identifier_exists',
+      'product_type', 'color', 'size', 'shipping_weight'
+    ]);
+    expect(rows.every(row => row.length === header.length)).toBe(true);
+
+    const laptop = Object.fromEntries(header.map((field, index) => [field, rows[0][index]]));
+    expect(laptop).toMatchObject({ id: 'GRAM-14', description: 'Light and thin', product_type: 'Electronics > Laptops' });
+    expect(rows.map(row => row[0])).toEqual(['GRAM-14', 'GALAXY-256-BK', 'GALAXY-512-WH']);
+  });
+});
+
+describe('sitemap', () => {
+  test('lists the home page, categories and active products', async () => {
+    const res = await request(app).get('/sitemap.xml');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/xml/);
+    expect(res.text).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<urlset xmlns="http:\/\/www.sitemaps.org\/schemas\/sitemap\/0.9">/);
+
+    const locations = [...res.text.matchAll(/<loc>([^<]*)<\/loc>/g)].map(([, loc]) => loc);
+    expect(locations).toContain(`${BASE_URL}/`);
+    expect(locations).toContain(`${BASE_URL}/products/gram-14`);
+    expect(locations).toContain(`${BASE_URL}/products/${ids.phone}`);
+    expect(locations).not.toContain(`${BASE_URL}/products/${ids.retired}`);
+    expect(locations.filter(loc => loc.includes('/categories/'))).toHaveLength(3);
+    expect(res.text).toMatch(/<lastmod>\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/lastmod>/);
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, createUser, login, createProduct, createStaffSession } = require('./helpers');
+
+let admin;
+
+beforeAll(async () => {
+  await setupDatabase();
+  admin = await createStaffSession({ username: 'carol' });
+});
+afterAll(teardownDatabase);
+
+function asAdmin(req) {
+  return req.set('Authorization', `Bearer ${admin.token}`);
+}
+
+async function createCategory(name, parentId = null) {
+  const res = await asAdmin(request(app).post('/api/categories')).send({ name, parentId });
+  expect(res.status).toBe(201);
+  return res.body.category;
+}
+
+function moveCategory(categoryId, parentId) {
+  return asAdmin(request(app).put(`/api/categories/${categoryId}`)).send({ parentId });
+}
+
+describe('category tree', () => {
+  let electronics;
+  let computers;
+  let laptops;
+
+  beforeAll(async () => {
+    electronics = await createCategory('Electronics');
+    computers = await createCategory('Computers', electronics.id);
+    laptops = await createCategory('Laptops', computers.id);
+  });
+
+  test('a category shows its path from the root and its children', async () => {
+    const res = await request(app).get(`/api/categories/${laptops.id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.path.map(category => category.name)).toEqual(['Electronics', 'Computers']);
+
+    const parent = await request(app).get(`/api/categories/${electronics.id}`);
+    expect(parent.body.category.children.map(category => category.name)).toEqual(['Computers']);
+  });
+
+  test('a category cannot be moved under itself', async () => {
+    const res = await moveCategory(computers.id, computers.id);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('A category cannot be moved under itself or one of its subcategories');
+  });
+
+  test('a category cannot be moved under one of its subcategories', async () => {
+    const res = await moveCategory(electronics.id, laptops.id);
+
+    expect(res.status).toBe(409);
+    expect((await request(app).get('/api/categories/tree')).body.categories.map(category => category.name))
+      .toEqual(['Electronics']);
+  });
+
+  test('a category can be moved elsewhere with its subtree', async () => {
+    const office = await createCategory('Office');
+
+    const res = await moveCategory(computers.id, office.id);
+
+    expect(res.status).toBe(200);
+    const laptopsNow = await request(app).get(`/api/categories/${laptops.id}`);
+    expect(laptopsNow.body.category.path.map(category => category.name)).toEqual(['Office', 'Computers']);
+
+    expect((await moveCategory(computers.id, electronics.id)).status).toBe(200);
+  });
+
+  test('the parent must exist', async () => {
+    const res = await moveCategory(computers.id, 999999);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Parent category 999999 not found');
+  });
+
+  test('names are unique among siblings only', async () => {
+    const duplicate = await asAdmin(request(app).post('/api/categories')).send({ name: 'computers', parentId: electronics.id });
+    expect(duplicate.status).toBe(409);
+
+    const elsewhere = await asAdmin(request(app).post('/api/categories')).send({ name: 'Computers' });
+    expect(elsewhere.status).toBe(201);
+  });
+});
+
+describe('categories left in a cycle by direct database edits', () => {
+  test('do not stop the catalog or the category from loading', async () => {
+    const first = await createCategory('Loop A');
+    const second = await createCategory('Loop B', first.id);
+    await createProduct({ name: 'Looped product', categoryId: second.id });
+    await run('UPDATE categories SET parent_id = ? WHERE id = ?', [second.id, first.id]);
+
+    const products = await request(app).get(`/api/products?categories=${first.id}`);
+    expect(products.status).toBe(200);
+    expect(products.body.products.map(product => product.name)).toEqual(['Looped product']);
+
+    const category = await request(app).get(`/api/categories/${first.id}`);
+    expect(category.status).toBe(200);
+  });
+});
+
+describe('deleting categories', () => {
+  test('only empty categories can be deleted', async () => {
+    const parent = await createCategory('Garden');
+    const child = await createCategory('Tools', parent.id);
+    const product = await createProduct({ name: 'Rake', categoryId: child.id });
+    const remove = id => asAdmin(request(app).delete(`/api/categories/${id}`));
+
+    expect((await remove(parent.id)).status).toBe(409);
+    expect((await remove(child.id)).status).toBe(409);
+
+    await run('DELETE FROM inventory WHERE product_id = ?', [product]);
+    await run('DELETE FROM products WHERE id = ?', [product]);
+    expect((await remove(child.id)).status).toBe(200);
+    expect((await remove(parent.id)).status).toBe(200);
+  });
+
+  test('changes need the categories:write permission', async () => {
+    const customer = await createUser({ username: 'dave' });
+    const { body } = await login('dave', customer.password);
+
+    const res = await request(app).post('/api/categories')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ name: 'Mine' });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, createUser, login, createCategory, createStaffSession } = require('./helpers');
+
+let admin;
+let categories;
+let skuCounter = 0;
+
+beforeAll(async () => {
+  await setupDatabase();
+  admin = await createStaffSession({ username: 'xena' });
+  const electronics = await createCategory('Electronics');
+  categories = {
+    electronics,
+    laptops: await createCategory('Laptops', electronics),
+    books: await createCategory('Books')
+  };
+});
+afterAll(teardownDatabase);
+
+function asAdmin(req) {
+  return req.set('Authorization', `Bearer ${admin.token}`);
+}
+
+function defineAttribute(categoryId, definition) {
+  return asAdmin(request(app).post(`/api/categories/${categoryId}/attributes`)).send(definition);
+}
+
+function createProduct(categoryId, attributes) {
+  skuCounter += 1;
+  return asAdmin(request(app).post('/api/products')).send({
+    name: `Product ${skuCounter}`, categoryId, price: 1000000, sku: `ATTR-${skuCounter}`, attributes
+  });
+}
+
+describe('attribute definitions', () => {
+  beforeAll(async () => {
+    for (const [categoryId, definition] of [
+      [categories.electronics, { name: 'brand', label: 'Brand', type: 'text', isRequired: true, sortOrder: 1 }],
+      [categories.electronics, { name: 'warranty_years', label: 'Warranty', type: 'number', sortOrder: 9 }],
+      [categories.laptops, { name: 'brand', label: 'Brand', type: 'enum', options: ['Acme', 'Zen'], isRequired: true, sortOrder: 1 }],
+      [categories.laptops, { name: 'screen_size', label: 'Screen size', type: 'unit', unit: 'inch', sortOrder: 2 }]
+    ]) {
+      expect((await defineAttribute(categoryId, definition)).status).toBe(201);
+    }
+  });
+
+  test('a subcategory inherits its parents\' attributes and its own definition wins', async () => {
+    const res = await request(app).get(`/api/categories/${categories.laptops}/attributes`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.attributes.map(attribute => [attribute.name, attribute.type, attribute.inherited])).toEqual([
+      ['brand', 'enum', false],
+      ['screen_size', 'unit', false],
+      ['warranty_years', 'number', true]
+    ]);
+  });
+
+  test.each([
+    [{ name: 'Screen Size!', type: 'text' }, 'name is required and may only use letters, digits and underscores'],
+    [{ name: 'color', type: 'colour' }, 'type must be one of: text, number, enum, unit'],
+    [{ name: 'color', type: 'enum', options: [] }, 'options must list 1 to 100 allowed values for an enum attribute'],
+    [{ name: 'color', type: 'enum', options: ['Red', 'red'] }, 'Option red is listed twice'],
+    [{ name: 'color', type: 'text', options: ['Red'] }, 'options only apply to enum attributes'],
+    [{ name: 'weight', type: 'unit', unit: '2kg' }, 'unit must be 1 to 20 characters without digits, e.g. inch or GB']
+  ])('definition %j is refused', async (definition, error) => {
+    const res = await defineAttribute(categories.books, definition);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(error);
+  });
+
+  test('a category defines each attribute once', async () => {
+    const res = await defineAttribute(categories.laptops, { name: 'Screen_Size', type: 'number' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('This category already defines the attribute screen_size');
+  });
+
+  test('an attribute cannot be renamed', async () => {
+    const { body } = await request(app).get(`/api/categories/${categories.laptops}/attributes`);
+    const screenSize = body.attributes.find(attribute => attribute.name === 'screen_size');
+
+    const res = await asAdmin(request(app).put(`/api/categories/${categories.laptops}/attributes/${screenSize.id}`))
+      .send({ name: 'display_size' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('An attribute cannot be renamed, since products store their values under its name');
+  });
+
+  test('definitions can only be changed by their own category', async () => {
+    const { body } = await request(app).get(`/api/categories/${categories.laptops}/attributes`);
+    const warranty = body.attributes.find(attribute => attribute.name === 'warranty_years');
+
+    const res = await asAdmin(request(app).put(`/api/categories/${categories.laptops}/attributes/${warranty.id}`))
+      .send({ label: 'Years of warranty' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('changes need the categories:write permission', async () => {
+    const customer = await createUser({ username: 'yuri' });
+    const { body } = await login('yuri', customer.password);
+
+    const res = await request(app).post(`/api/categories/${categories.books}/attributes`)
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ name: 'author', type: 'text' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('product attributes checked against the category schema', () => {
+  test.each([
+    [{ screen_size: '14' }, 'Brand (brand) is required in this category'],
+    [{ brand: 'Orange' }, 'Brand (brand) must be one of: Acme, Zen'],
+    [{ brand: 'Acme', screen_size: '14 cm' }, 'Screen size (screen_size) must be a number in inch, e.g. 13.6 or 13.6 inch'],
+    [{ brand: 'Acme', warranty_years: 'two' }, 'Warranty (warranty_years) must be a number']
+  ])('attributes %j are refused', async (attributes, error) => {
+    const res = await createProduct(categories.laptops, attributes);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(error);
+  });
+
+  test('values are stored in canonical form and free-form attributes are kept', async () => {
+    const res = await createProduct(categories.laptops, {
+      brand: 'acme', screen_size: '13.60 Inch', warranty_years: '02', color: 'silver'
+    });
+    expect(res.status).toBe(201);
+
+    const { body } = await request(app).get(`/api/products/${res.body.productId}`);
+
+    expect(body.product.attributes).toEqual({ brand: 'Acme', screen_size: '13.6', warranty_years: '2', color: 'silver' });
+    expect(body.product.attribute_list).toEqual([
+      { name: 'brand', label: 'Brand', type: 'enum', unit: null, value: 'Acme' },
+      { name: 'screen_size', label: 'Screen size', type: 'unit', unit: 'inch', value: 13.6 },
+      { name: 'warranty_years', label: 'Warranty', type: 'number', unit: null, value: 2 },
+      { name: 'color', label: 'color', type: 'text', unit: null, value: 'silver' }
+    ]);
+  });
+
+  test('a product moved to another category is checked against its schema', async () => {
+    const created = await createProduct(categories.books, { isbn: '978-0' });
+
+    const res = await asAdmin(request(app).put(`/api/products/${created.body.productId}`))
+      .send({ categoryId: categories.laptops });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Brand (brand) is required in this category');
+  });
+
+  test('values of a deleted definition become free-form', async () => {
+    const created = await createProduct(categories.books, {});
+    expect(created.status).toBe(201);
+    const definition = await defineAttribute(categories.books, { name: 'pages', type: 'number' });
+
+    const refused = await asAdmin(request(app).put(`/api/products/${created.body.productId}`))
+      .send({ attributes: { pages: 'many' } });
+    expect(refused.body.error).toBe('pages must be a number');
+
+    await asAdmin(request(app).delete(`/api/categories/${categories.books}/attributes/${definition.body.attribute.id}`));
+    const accepted = await asAdmin(request(app).put(`/api/products/${created.body.productId}`))
+      .send({ attributes: { pages: 'many' } });
+    expect(accepted.status).toBe(200);
+  });
+});
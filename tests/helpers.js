@@ -0,0 +1,99 @@
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { db, initializeDatabase } = require('../config/database');
+const { initializeSigningKeys } = require('../services/signingKeyService');
+const { generateSecret, generateTotp } = require('../services/twoFactorService');
+const app = require('../server');
+
+// Create the schema and the first signing key in this test file's database
+async function setupDatabase() {
+  await initializeDatabase();
+  await initializeSigningKeys();
+}
+
+// Close the connection and delete the test database
+function teardownDatabase() {
+  return new Promise(resolve => {
+    db.close(() => fs.rm(process.env.DB_PATH, { force: true }, () => resolve()));
+  });
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this);
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+// Insert an active user; the password counts as just changed so it has not expired
+async function createUser({ username, password = 'Correct-Horse-42', role = 'customer' }) {
+  const email = `${username}@example.com`;
+  const passwordHash = await bcrypt.hash(password, 4);
+  const { lastID } = await run(
+    `INSERT INTO users (username, email, password_hash, first_name, last_name, role, password_changed_at)
+     VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [username, email, passwordHash, username, 'Test', role]
+  );
+  return { id: lastID, username, email, password };
+}
+
+async function createCategory(name, parentId = null) {
+  const { lastID } = await run('INSERT INTO categories (name, parent_id) VALUES (?, ?)', [name, parentId]);
+  return lastID;
+}
+
+let skuCounter = 0;
+
+// Insert an active product with an inventory row of its own
+async function createProduct({ name, categoryId, price = 10000, stock = 0, description = null, sku }) {
+  skuCounter += 1;
+  const { lastID } = await run(
+    'INSERT INTO products (name, description, category_id, price, sku) VALUES (?, ?, ?, ?, ?)',
+    [name, description, categoryId, price, sku || `SKU-${skuCounter}`]
+  );
+  await run('INSERT INTO inventory (product_id, quantity, reorder_level) VALUES (?, ?, 0)', [lastID, stock]);
+  return lastID;
+}
+
+// Sign in and return the response
+function login(username, password) {
+  return request(app).post('/api/auth/login').send({ username, password });
+}
+
+// Create a staff user who has enrolled in two-factor authentication, as staff
+// must, sign in with a code and return the user with an access token
+async function createStaffSession({ username, role = 'admin' }) {
+  const user = await createUser({ username, role });
+  const secret = generateSecret();
+  await run('UPDATE users SET two_factor_enabled = 1, two_factor_secret = ? WHERE id = ?', [secret, user.id]);
+
+  const { body: challenge } = await login(username, user.password);
+  const step = Math.floor(Date.now() / 1000 / 30);
+  const res = await request(app).post('/api/auth/login/2fa')
+    .send({ challengeToken: challenge.challengeToken, code: generateTotp(secret, step) });
+  return { ...user, secret, token: res.body.token };
+}
+
+module.exports = {
+  app,
+  setupDatabase,
+  teardownDatabase,
+  run,
+  get,
+  createUser,
+  createCategory,
+  createProduct,
+  login,
+  createStaffSession
+};
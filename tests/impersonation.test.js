@@ -0,0 +1,153 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, get, createUser, login, createStaffSession } = require('./helpers');
+
+let agent;
+
+beforeAll(async () => {
+  await setupDatabase();
+  agent = await createStaffSession({ username: 'sybil', role: 'support' });
+});
+afterAll(teardownDatabase);
+
+// Start impersonating a user and return the response
+function impersonate(userId, reason = 'Customer cannot see their order') {
+  return request(app).post(`/api/auth/impersonate/${userId}`)
+    .set('Authorization', `Bearer ${agent.token}`)
+    .send({ reason });
+}
+
+function profile(token) {
+  return request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`);
+}
+
+// Audit entries for impersonated requests are written once the response is
+// sent, so wait for them to appear
+async function findAuditEntry(sql, params) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const row = await get(sql, params);
+    if (row) {
+      return row;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return undefined;
+}
+
+describe('starting an impersonation', () => {
+  test('requires a reason and records it', async () => {
+    const customer = await createUser({ username: 'peggy' });
+
+    expect((await impersonate(customer.id, ' ')).status).toBe(400);
+
+    const res = await impersonate(customer.id, 'Checkout fails for this account');
+    expect(res.status).toBe(200);
+    expect(res.body.impersonator).toEqual({ id: agent.id, username: 'sybil' });
+
+    const entry = await findAuditEntry(
+      "SELECT * FROM audit_logs WHERE table_name = 'users' AND action = 'IMPERSONATE' AND record_id = ?",
+      [customer.id]
+    );
+    expect(entry.user_id).toBe(agent.id);
+    expect(JSON.parse(entry.new_values).reason).toBe('Checkout fails for this account');
+  });
+
+  test('is refused for staff accounts and for users without the permission', async () => {
+    const admin = await createUser({ username: 'rupert', role: 'admin' });
+    const staff = await impersonate(admin.id);
+    expect(staff.status).toBe(403);
+    expect(staff.body.error).toBe('Only customer accounts can be impersonated');
+
+    const customer = await createUser({ username: 'quentin' });
+    const { body: { token } } = await login('quentin', customer.password);
+    const res = await request(app).post(`/api/auth/impersonate/${agent.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reason: 'Curious' });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('acting as a customer', () => {
+  let customer;
+  let token;
+
+  beforeAll(async () => {
+    customer = await createUser({ username: 'olga' });
+    token = (await impersonate(customer.id)).body.token;
+  });
+
+  test('each request is marked and written to the audit trail', async () => {
+    const res = await request(app).get('/api/orders').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-impersonated-by']).toBe('sybil');
+
+    const entry = await findAuditEntry(
+      "SELECT * FROM audit_logs WHERE table_name = 'impersonation' AND record_id = ? AND action = 'GET'",
+      [customer.id]
+    );
+    expect(entry.user_id).toBe(agent.id);
+    expect(JSON.parse(entry.new_values)).toEqual(expect.objectContaining({ path: '/api/orders', status: 200 }));
+  });
+
+  test('sensitive actions are refused', async () => {
+    const asCustomer = req => req.set('Authorization', `Bearer ${token}`);
+    const refused = [
+      await asCustomer(request(app).put('/api/auth/profile')).send({ firstName: 'Changed' }),
+      await asCustomer(request(app).post('/api/auth/2fa/setup')),
+      await asCustomer(request(app).post('/api/orders')).send({ items: [] }),
+      await asCustomer(request(app).get(`/api/users/${customer.id}/data-export`)),
+      await asCustomer(request(app).post(`/api/auth/impersonate/${agent.id}`)).send({ reason: 'Chain' })
+    ];
+
+    for (const res of refused) {
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('This action is not allowed while impersonating a user');
+    }
+    expect((await get('SELECT first_name FROM users WHERE id = ?', [customer.id])).first_name).toBe('olga');
+  });
+
+  test('stopping ends the impersonation token but not the staff session', async () => {
+    const res = await request(app).delete('/api/auth/impersonate').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect((await profile(token)).status).toBe(401);
+    expect((await profile(agent.token)).status).toBe(200);
+  });
+});
+
+describe('the staff member\'s own session', () => {
+  test('signing out ends the impersonations started from it', async () => {
+    const other = await createStaffSession({ username: 'walter', role: 'support' });
+    const customer = await createUser({ username: 'victoria' });
+    const { body } = await request(app).post(`/api/auth/impersonate/${customer.id}`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .send({ reason: 'Wrong delivery address' });
+    expect((await profile(body.token)).status).toBe(200);
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${other.token}`);
+
+    expect((await profile(body.token)).status).toBe(401);
+  });
+});
+
+describe('impersonating a customer who becomes staff', () => {
+  test('the impersonation ends once the customer is given a role with permissions', async () => {
+    const customer = await createUser({ username: 'trent' });
+    const { body } = await impersonate(customer.id);
+    expect((await profile(body.token)).status).toBe(200);
+
+    const warehouse = await get("SELECT id FROM roles WHERE name = 'warehouse'");
+    await run('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [customer.id, warehouse.id]);
+
+    const res = await request(app).get('/api/inventory').set('Authorization', `Bearer ${body.token}`);
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Impersonation has ended');
+
+    // The session stays ended even if the role is taken away again
+    await run('DELETE FROM user_roles WHERE user_id = ?', [customer.id]);
+    expect((await profile(body.token)).status).toBe(401);
+
+    const session = await get('SELECT revoked_reason FROM sessions WHERE user_id = ? AND impersonator_id = ?', [customer.id, agent.id]);
+    expect(session.revoked_reason).toBe('impersonation_target_staff');
+  });
+});
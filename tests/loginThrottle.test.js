@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, get, createUser, login } = require('./helpers');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+// Record failed sign-ins for a user as if they had just happened
+async function recordFailures(user, count) {
+  for (let i = 0; i < count; i++) {
+    await run(
+      `INSERT INTO login_attempts (username, user_id, success, failure_reason)
+       VALUES (?, ?, 0, 'invalid_password')`,
+      [user.username, user.id]
+    );
+  }
+}
+
+describe('failed sign-ins', () => {
+  test('a few failures delay the next attempt', async () => {
+    const user = await createUser({ username: 'uma' });
+    await recordFailures(user, 3);
+
+    const res = await login('uma', user.password);
+
+    expect(res.status).toBe(429);
+    expect(res.body.error).toBe('Too many failed login attempts, please wait before retrying');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(2);
+  });
+
+  test('enough failures lock the account, even for the right password', async () => {
+    const user = await createUser({ username: 'victor' });
+    await recordFailures(user, 5);
+
+    const res = await login('victor', user.password);
+
+    expect(res.status).toBe(429);
+    expect(res.body.error).toBe('Account temporarily locked due to too many failed login attempts');
+    expect(res.body.retryAfter).toBeGreaterThan(14 * 60);
+    expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+  });
+
+  test('retrying while locked does not extend the lockout', async () => {
+    const user = await createUser({ username: 'wendy' });
+    await recordFailures(user, 5);
+
+    await login('wendy', user.password);
+    await login('wendy', user.password);
+
+    const { failures } = await get(
+      `SELECT COUNT(*) as failures FROM login_attempts
+       WHERE user_id = ? AND success = 0 AND failure_reason != 'throttled'`,
+      [user.id]
+    );
+    expect(failures).toBe(5);
+  });
+
+  test('failures expire after the window', async () => {
+    const user = await createUser({ username: 'xavier' });
+    await recordFailures(user, 5);
+    await run("UPDATE login_attempts SET created_at = datetime('now', '-16 minutes') WHERE user_id = ?", [user.id]);
+
+    expect((await login('xavier', user.password)).status).toBe(200);
+  });
+
+  test('a successful sign-in resets the count', async () => {
+    const user = await createUser({ username: 'yara' });
+    await recordFailures(user, 2);
+    expect((await login('yara', user.password)).status).toBe(200);
+
+    // Two more failures would have reached the delay threshold without the reset
+    await recordFailures(user, 2);
+    expect((await login('yara', user.password)).status).toBe(200);
+  });
+
+  test('an unknown username is throttled by the name typed', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await login('Nobody', 'wrong-password')).status).toBe(401);
+    }
+
+    // Case does not matter, so the same counter applies
+    expect((await login('nobody', 'wrong-password')).status).toBe(429);
+  });
+});
+
+describe('login history', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser({ username: 'zoe' });
+    await login('zoe', 'not-my-password');
+    await login('zoe', user.password);
+  });
+
+  test('lists the user\'s own sign-ins, newest first', async () => {
+    const { body: { token } } = await login('zoe', user.password);
+
+    const res = await request(app).get(`/api/users/${user.id}/login-history`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.attempts.map(attempt => [attempt.success, attempt.failure_reason]))
+      .toEqual([[true, null], [true, null], [false, 'invalid_password']]);
+    expect(res.body.pagination.total).toBe(3);
+  });
+
+  test('is not shown to other customers', async () => {
+    const other = await createUser({ username: 'zack' });
+    const { body: { token } } = await login('zack', other.password);
+
+    const res = await request(app).get(`/api/users/${user.id}/login-history`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
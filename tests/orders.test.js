@@ -0,0 +1,329 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, get, createUser, login, createStaffSession } = require('./helpers');
+
+const ADDRESS = { street: '1 Test Street', city: 'Seoul', postalCode: '04524', country: 'KR' };
+
+let categoryId;
+let skuCounter = 0;
+
+// Insert an active product with an inventory row of its own
+async function createProduct({ name, price, stock = 0 }) {
+  skuCounter += 1;
+  const { lastID } = await run(
+    'INSERT INTO products (name, category_id, price, sku) VALUES (?, ?, ?, ?)',
+    [name, categoryId, price, `TEST-${skuCounter}`]
+  );
+  await run('INSERT INTO inventory (product_id, quantity, reorder_level) VALUES (?, ?, 0)', [lastID, stock]);
+  return lastID;
+}
+
+// Make a product a bundle of the given components ({ productId, quantity })
+async function createBundle({ name, price, pricing, discountPercent = 0, components }) {
+  const productId = await createProduct({ name, price });
+  await run('INSERT INTO product_bundles (product_id, pricing, discount_percent) VALUES (?, ?, ?)',
+    [productId, pricing, discountPercent]);
+  for (const component of components) {
+    await run('INSERT INTO product_bundle_items (bundle_product_id, component_product_id, quantity) VALUES (?, ?, ?)',
+      [productId, component.productId, component.quantity]);
+  }
+  return productId;
+}
+
+// Put a product on sale from an hour ago, with no end
+function startSale(productId, price, compareAtPrice) {
+  return run(
+    `INSERT INTO price_schedules (product_id, price, compare_at_price, starts_at)
+     VALUES (?, ?, ?, datetime('now', '-1 hour'))`,
+    [productId, price, compareAtPrice]
+  );
+}
+
+function getInventory(productId) {
+  return get('SELECT quantity, reserved_quantity FROM inventory WHERE product_id = ? AND variant_id IS NULL', [productId]);
+}
+
+async function countOrders() {
+  return (await get('SELECT COUNT(*) as count FROM orders')).count;
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  categoryId = (await run('INSERT INTO categories (name) VALUES (?)', ['테스트'])).lastID;
+});
+afterAll(teardownDatabase);
+
+describe('orders', () => {
+  let token;
+
+  beforeAll(async () => {
+    const customer = await createUser({ username: 'grace' });
+    token = (await login('grace', customer.password)).body.token;
+  });
+
+  function placeOrder(items) {
+    return request(app).post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ items, shippingAddress: ADDRESS, billingAddress: ADDRESS });
+  }
+
+  test('totals the items and reserves their stock', async () => {
+    const mouse = await createProduct({ name: 'Mouse', price: 25, stock: 10 });
+    const cable = await createProduct({ name: 'Cable', price: 7.5, stock: 10 });
+
+    const res = await placeOrder([{ productId: mouse, quantity: 2 }, { productId: cable, quantity: 3 }]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.totalAmount).toBeCloseTo(72.5);
+    expect(await getInventory(mouse)).toEqual({ quantity: 10, reserved_quantity: 2 });
+    expect(await getInventory(cable)).toEqual({ quantity: 10, reserved_quantity: 3 });
+  });
+
+  test('charges the sale price and records the schedule on the order item', async () => {
+    const keyboard = await createProduct({ name: 'Keyboard', price: 100, stock: 5 });
+    const { lastID: scheduleId } = await startSale(keyboard, 80, 100);
+
+    const res = await placeOrder([{ productId: keyboard, quantity: 2 }]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.totalAmount).toBeCloseTo(160);
+
+    const item = await get('SELECT unit_price, total_price, price_schedule_id FROM order_items WHERE order_id = ?', [res.body.orderId]);
+    expect(item).toEqual({ unit_price: 80, total_price: 160, price_schedule_id: scheduleId });
+  });
+
+  test('rejects more than the available stock without creating an order', async () => {
+    const monitor = await createProduct({ name: 'Monitor', price: 300, stock: 1 });
+    const ordersBefore = await countOrders();
+
+    const res = await placeOrder([{ productId: monitor, quantity: 2 }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Insufficient stock for product Monitor/);
+    expect(await countOrders()).toBe(ordersBefore);
+    expect(await getInventory(monitor)).toEqual({ quantity: 1, reserved_quantity: 0 });
+  });
+});
+
+describe('bundles', () => {
+  let token;
+
+  beforeAll(async () => {
+    const customer = await createUser({ username: 'heidi' });
+    token = (await login('heidi', customer.password)).body.token;
+  });
+
+  function placeOrder(items) {
+    return request(app).post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ items, shippingAddress: ADDRESS, billingAddress: ADDRESS });
+  }
+
+  function getCurrentPrice(productId) {
+    return get('SELECT price, compare_at_price FROM product_current_prices WHERE product_id = ?', [productId]);
+  }
+
+  test('a discounted-sum bundle is priced from its components and follows their sale prices', async () => {
+    const camera = await createProduct({ name: 'Camera', price: 200, stock: 5 });
+    const lens = await createProduct({ name: 'Lens', price: 100, stock: 5 });
+    const kit = await createBundle({
+      name: 'Camera Kit',
+      price: 0,
+      pricing: 'discounted_sum',
+      discountPercent: 10,
+      components: [{ productId: camera, quantity: 1 }, { productId: lens, quantity: 2 }]
+    });
+
+    expect(await getCurrentPrice(kit)).toEqual({ price: 360, compare_at_price: 400 });
+
+    await startSale(lens, 50, 100);
+
+    expect(await getCurrentPrice(kit)).toEqual({ price: 270, compare_at_price: 300 });
+  });
+
+  test('ordering a bundle reserves each component and charges the bundle price', async () => {
+    const phone = await createProduct({ name: 'Phone', price: 500, stock: 10 });
+    const charger = await createProduct({ name: 'Charger', price: 20, stock: 10 });
+    const starterSet = await createBundle({
+      name: 'Starter Set',
+      price: 0,
+      pricing: 'discounted_sum',
+      discountPercent: 20,
+      components: [{ productId: phone, quantity: 1 }, { productId: charger, quantity: 2 }]
+    });
+
+    const res = await placeOrder([{ productId: starterSet, quantity: 3 }]);
+
+    expect(res.status).toBe(201);
+    // (500 + 2 × 20) × 0.8 = 432 per set
+    expect(res.body.totalAmount).toBeCloseTo(1296);
+    expect(await getInventory(phone)).toEqual({ quantity: 10, reserved_quantity: 3 });
+    expect(await getInventory(charger)).toEqual({ quantity: 10, reserved_quantity: 6 });
+
+    const item = await get('SELECT product_id, quantity, unit_price FROM order_items WHERE order_id = ?', [res.body.orderId]);
+    expect(item).toEqual({ product_id: starterSet, quantity: 3, unit_price: 432 });
+  });
+
+  test('a fixed-price bundle charges its own price', async () => {
+    const tablet = await createProduct({ name: 'Tablet', price: 400, stock: 5 });
+    const pen = await createProduct({ name: 'Pen', price: 100, stock: 5 });
+    const creatorSet = await createBundle({
+      name: 'Creator Set',
+      price: 450,
+      pricing: 'fixed',
+      components: [{ productId: tablet, quantity: 1 }, { productId: pen, quantity: 1 }]
+    });
+
+    const res = await placeOrder([{ productId: creatorSet, quantity: 2 }]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.totalAmount).toBeCloseTo(900);
+  });
+
+  test('a component out of stock rejects the bundle and reserves nothing', async () => {
+    const gameConsole = await createProduct({ name: 'Console', price: 300, stock: 5 });
+    const controller = await createProduct({ name: 'Controller', price: 60, stock: 3 });
+    const gameSet = await createBundle({
+      name: 'Game Set',
+      price: 0,
+      pricing: 'discounted_sum',
+      components: [{ productId: gameConsole, quantity: 1 }, { productId: controller, quantity: 2 }]
+    });
+    const ordersBefore = await countOrders();
+
+    const res = await placeOrder([{ productId: gameSet, quantity: 2 }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Insufficient stock for bundle Game Set/);
+    expect(await countOrders()).toBe(ordersBefore);
+    expect(await getInventory(gameConsole)).toEqual({ quantity: 5, reserved_quantity: 0 });
+    expect(await getInventory(controller)).toEqual({ quantity: 3, reserved_quantity: 0 });
+  });
+});
+
+describe('order status changes', () => {
+  let customerToken;
+  let staffToken;
+
+  beforeAll(async () => {
+    const customer = await createUser({ username: 'kim' });
+    customerToken = (await login('kim', customer.password)).body.token;
+    staffToken = (await createStaffSession({ username: 'lee' })).token;
+  });
+
+  async function placeOrder(items) {
+    const res = await request(app).post('/api/orders')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ items, shippingAddress: ADDRESS, billingAddress: ADDRESS });
+    expect(res.status).toBe(201);
+    return res.body.orderId;
+  }
+
+  function setStatus(orderId, status) {
+    return request(app).put(`/api/orders/${orderId}/status`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ status });
+  }
+
+  async function getOrderStatus(orderId) {
+    return (await get('SELECT status FROM orders WHERE id = ?', [orderId])).status;
+  }
+
+  test('confirming an order turns the reserved stock into sold stock', async () => {
+    const lamp = await createProduct({ name: 'Lamp', price: 40, stock: 6 });
+    const orderId = await placeOrder([{ productId: lamp, quantity: 2 }]);
+
+    const res = await setStatus(orderId, 'confirmed');
+
+    expect(res.status).toBe(200);
+    expect(await getInventory(lamp)).toEqual({ quantity: 4, reserved_quantity: 0 });
+  });
+
+  test('cancelling a bundle order releases each component', async () => {
+    const desk = await createProduct({ name: 'Desk', price: 200, stock: 4 });
+    const chair = await createProduct({ name: 'Chair', price: 100, stock: 8 });
+    const officeSet = await createBundle({
+      name: 'Office Set',
+      price: 280,
+      pricing: 'fixed',
+      components: [{ productId: desk, quantity: 1 }, { productId: chair, quantity: 2 }]
+    });
+    const orderId = await placeOrder([{ productId: officeSet, quantity: 2 }]);
+    expect(await getInventory(chair)).toEqual({ quantity: 8, reserved_quantity: 4 });
+
+    const res = await request(app).put(`/api/orders/${orderId}/cancel`).set('Authorization', `Bearer ${customerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await getOrderStatus(orderId)).toBe('cancelled');
+    expect(await getInventory(desk)).toEqual({ quantity: 4, reserved_quantity: 0 });
+    expect(await getInventory(chair)).toEqual({ quantity: 8, reserved_quantity: 0 });
+  });
+
+  test('a status change whose stock cannot be updated is refused and changes nothing', async () => {
+    const bulb = await createProduct({ name: 'Bulb', price: 5, stock: 10 });
+    const shade = await createProduct({ name: 'Shade', price: 15, stock: 10 });
+    const orderId = await placeOrder([{ productId: bulb, quantity: 3 }, { productId: shade, quantity: 1 }]);
+    await run('DELETE FROM inventory WHERE product_id = ?', [shade]);
+
+    const res = await setStatus(orderId, 'confirmed');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(new RegExp(`^Stock for product ${shade} could not be updated`));
+    expect(await getOrderStatus(orderId)).toBe('pending');
+    // The item sold before the failure is rolled back too
+    expect(await getInventory(bulb)).toEqual({ quantity: 10, reserved_quantity: 3 });
+  });
+
+  test('only pending orders can be cancelled', async () => {
+    const fan = await createProduct({ name: 'Fan', price: 30, stock: 2 });
+    const orderId = await placeOrder([{ productId: fan, quantity: 1 }]);
+    await setStatus(orderId, 'confirmed');
+
+    const res = await request(app).put(`/api/orders/${orderId}/cancel`).set('Authorization', `Bearer ${customerToken}`);
+
+    expect(res.status).toBe(400);
+    expect(await getInventory(fan)).toEqual({ quantity: 1, reserved_quantity: 0 });
+  });
+});
+
+describe('reviews of bundle purchases', () => {
+  let token;
+  let speaker;
+  let partySet;
+
+  beforeAll(async () => {
+    const customer = await createUser({ username: 'ivan' });
+    token = (await login('ivan', customer.password)).body.token;
+
+    speaker = await createProduct({ name: 'Speaker', price: 80, stock: 5 });
+    const microphone = await createProduct({ name: 'Microphone', price: 40, stock: 5 });
+    partySet = await createBundle({
+      name: 'Party Set',
+      price: 100,
+      pricing: 'fixed',
+      components: [{ productId: speaker, quantity: 1 }, { productId: microphone, quantity: 1 }]
+    });
+
+    const order = await request(app).post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ items: [{ productId: partySet, quantity: 1 }], shippingAddress: ADDRESS, billingAddress: ADDRESS });
+    await run("UPDATE orders SET status = 'delivered' WHERE id = ?", [order.body.orderId]);
+  });
+
+  function postReview(productId) {
+    return request(app).post(`/api/products/${productId}/reviews`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ rating: 5, title: 'Great', body: 'Works as described.' });
+  }
+
+  test('a product received only as a bundle component cannot be reviewed', async () => {
+    const res = await postReview(speaker);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('the bundle itself can be reviewed', async () => {
+    const res = await postReview(partySet);
+
+    expect(res.status).toBe(201);
+  });
+});
@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, createUser, login, createStaffSession } = require('./helpers');
+
+beforeAll(setupDatabase);
+afterAll(teardownDatabase);
+
+function register(username, password) {
+  return request(app).post('/api/auth/register').send({
+    username,
+    email: `${username}@example.com`,
+    password,
+    firstName: username,
+    lastName: 'Test'
+  });
+}
+
+function changePassword(user, newPassword) {
+  return request(app).put('/api/auth/profile')
+    .set('Authorization', `Bearer ${user.token}`)
+    .send({ currentPassword: user.password, newPassword });
+}
+
+describe('password rules', () => {
+  test('are published for the registration form', async () => {
+    const res = await request(app).get('/api/auth/password-policy');
+
+    expect(res.status).toBe(200);
+    expect(res.body.policy).toEqual({
+      minLength: 10,
+      maxBytes: 72,
+      minCharacterClasses: 3,
+      historySize: 5,
+      adminMaxAgeDays: 90
+    });
+  });
+
+  test.each([
+    ['Sh0rt!', 'Password must be at least 10 characters long'],
+    ['onlylowercaseletters', 'Password must use at least 3 of: lowercase letters, uppercase letters, digits, symbols'],
+    ['Password2024!', 'Password is too common'],
+    ['Juliet-Sierra-9', 'Password must not contain your username or email address'],
+    ['Correct-Horse-42'.repeat(5), 'Password must be at most 72 bytes long']
+  ])('registration refuses %s', async (password, violation) => {
+    const res = await register('juliet', password);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Password does not meet the password policy');
+    expect(res.body.violations).toContain(violation);
+  });
+
+  test('registration accepts a password that meets every rule', async () => {
+    expect((await register('kilo', 'Quiet-Lantern-58')).status).toBe(201);
+  });
+});
+
+describe('changing a password', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser({ username: 'lima' });
+    user.token = (await login('lima', user.password)).body.token;
+  });
+
+  test('a recent password cannot be chosen again', async () => {
+    const first = 'Amber-Window-31';
+    expect((await changePassword(user, first)).status).toBe(200);
+    user.password = first;
+
+    expect((await changePassword(user, 'Silver-Meadow-74')).status).toBe(200);
+    user.password = 'Silver-Meadow-74';
+
+    for (const reused of [first, 'Silver-Meadow-74']) {
+      const res = await changePassword(user, reused);
+      expect(res.status).toBe(400);
+      expect(res.body.violations).toEqual(['Password must differ from your last 5 passwords']);
+    }
+  });
+
+  test('the new password must meet the same rules as at registration', async () => {
+    const res = await changePassword(user, 'lima-Password-1');
+
+    expect(res.status).toBe(400);
+    expect(res.body.violations).toContain('Password must not contain your username or email address');
+  });
+});
+
+describe('staff password age', () => {
+  test('an expired staff password suspends permissions until it is changed', async () => {
+    const admin = await createStaffSession({ username: 'mike' });
+    await run("UPDATE users SET password_changed_at = datetime('now', '-91 days') WHERE id = ?", [admin.id]);
+
+    const blocked = await request(app).get('/api/users').set('Authorization', `Bearer ${admin.token}`);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body).toEqual({ error: 'Password change required', restrictions: ['password_change'] });
+
+    const changed = await changePassword(admin, 'Copper-Harbor-26');
+    expect(changed.status).toBe(200);
+    expect(changed.body.token).toBeDefined();
+
+    const allowed = await request(app).get('/api/users').set('Authorization', `Bearer ${changed.body.token}`);
+    expect(allowed.status).toBe(200);
+  });
+
+  test('customers are not asked to change old passwords', async () => {
+    const customer = await createUser({ username: 'nora' });
+    await run("UPDATE users SET password_changed_at = datetime('now', '-400 days') WHERE id = ?", [customer.id]);
+
+    const res = await login('nora', customer.password);
+
+    expect(res.status).toBe(200);
+    expect(res.body).not.toHaveProperty('restrictions');
+  });
+});
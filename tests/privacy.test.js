@@ -0,0 +1,197 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, get, createUser, login, createStaffSession } = require('./helpers');
+
+const ADDRESS = JSON.stringify({ street: '12 Sejong-daero', city: 'Seoul', postalCode: '04524', country: 'KR' });
+
+let admin;
+
+beforeAll(async () => {
+  await setupDatabase();
+  admin = await createStaffSession({ username: 'alice' });
+});
+afterAll(teardownDatabase);
+
+// Create a customer with an address and an order, signed in
+async function createCustomer(username, orderStatus = 'delivered') {
+  const user = await createUser({ username });
+  await run(
+    `INSERT INTO user_addresses (user_id, street_address, city, state, postal_code, country)
+     VALUES (?, '12 Sejong-daero', 'Seoul', 'Seoul', '04524', 'KR')`,
+    [user.id]
+  );
+  const { lastID: orderId } = await run(
+    `INSERT INTO orders (user_id, order_number, status, total_amount, shipping_address, billing_address, notes)
+     VALUES (?, ?, ?, 30000, ?, ?, 'Leave at the door')`,
+    [user.id, `ORD-${username}`, orderStatus, ADDRESS, ADDRESS]
+  );
+  const { body } = await login(username, user.password);
+  return { ...user, orderId, token: body.token };
+}
+
+function requestErasure(user, body = { password: user.password }) {
+  return request(app).post(`/api/users/${user.id}/erasure-requests`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send(body);
+}
+
+function completeErasure(requestId) {
+  return request(app).post(`/api/users/erasure-requests/${requestId}/complete`)
+    .set('Authorization', `Bearer ${admin.token}`);
+}
+
+describe('data export', () => {
+  let customer;
+
+  beforeAll(async () => {
+    customer = await createCustomer('bruno');
+  });
+
+  test('gives the user everything stored about them, without secrets', async () => {
+    const res = await request(app).get(`/api/users/${customer.id}/data-export`)
+      .set('Authorization', `Bearer ${customer.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="user-\d+-data-export-\d{4}-\d{2}-\d{2}\.json"/);
+    expect(res.body.profile.username).toBe('bruno');
+    expect(res.body.profile).not.toHaveProperty('password_hash');
+    expect(res.body.profile).not.toHaveProperty('two_factor_secret');
+    expect(res.body.addresses).toHaveLength(1);
+    expect(res.body.orders[0].shipping_address.city).toBe('Seoul');
+    expect(res.body.sessions).toHaveLength(1);
+    expect(res.body.loginHistory[0].success).toBe(1);
+  });
+
+  test('can be downloaded as a zip with one file per section', async () => {
+    const res = await request(app).get(`/api/users/${customer.id}/data-export?format=zip`)
+      .set('Authorization', `Bearer ${customer.token}`)
+      .responseType('blob');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.body.subarray(0, 4).toString('binary')).toBe('PK\u0003\u0004');
+    expect(res.body.toString('binary')).toContain('/orders.json');
+  });
+
+  test('rejects unknown formats', async () => {
+    const res = await request(app).get(`/api/users/${customer.id}/data-export?format=csv`)
+      .set('Authorization', `Bearer ${customer.token}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('is only available to the user and to staff who can read users', async () => {
+    const other = await createCustomer('carla');
+    const byOther = await request(app).get(`/api/users/${customer.id}/data-export`)
+      .set('Authorization', `Bearer ${other.token}`);
+    expect(byOther.status).toBe(403);
+
+    const byAdmin = await request(app).get(`/api/users/${customer.id}/data-export`)
+      .set('Authorization', `Bearer ${admin.token}`);
+    expect(byAdmin.status).toBe(200);
+  });
+});
+
+describe('erasure requests', () => {
+  test('need the account password and only one can be pending', async () => {
+    const customer = await createCustomer('dmitri');
+
+    expect((await requestErasure(customer, {})).status).toBe(400);
+    expect((await requestErasure(customer, { password: 'not-my-password' })).status).toBe(401);
+
+    const created = await requestErasure(customer);
+    expect(created.status).toBe(201);
+    expect(created.body.request.status).toBe('pending');
+
+    const duplicate = await requestErasure(customer);
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.request.id).toBe(created.body.request.id);
+  });
+
+  test('can be withdrawn by the user while pending', async () => {
+    const customer = await createCustomer('elena');
+    const { body } = await requestErasure(customer);
+
+    const res = await request(app).delete(`/api/users/${customer.id}/erasure-requests/${body.request.id}`)
+      .set('Authorization', `Bearer ${customer.token}`);
+
+    expect(res.status).toBe(200);
+    expect((await completeErasure(body.request.id)).status).toBe(409);
+  });
+
+  test('can only be rejected with a note', async () => {
+    const customer = await createCustomer('farid');
+    const { body } = await requestErasure(customer);
+    const reject = note => request(app).post(`/api/users/erasure-requests/${body.request.id}/reject`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ note });
+
+    expect((await reject('  ')).status).toBe(400);
+    expect((await reject('Account is under a fraud investigation')).status).toBe(200);
+    expect((await get('SELECT status FROM data_erasure_requests WHERE id = ?', [body.request.id])).status).toBe('rejected');
+  });
+});
+
+describe('completing an erasure', () => {
+  test('anonymizes the account and keeps its orders without personal details', async () => {
+    const customer = await createCustomer('gideon');
+    const { body } = await requestErasure(customer);
+
+    const res = await completeErasure(body.request.id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.ordersAnonymized).toBe(1);
+
+    const user = await get('SELECT * FROM users WHERE id = ?', [customer.id]);
+    expect(user).toEqual(expect.objectContaining({
+      username: `erased_user_${customer.id}`,
+      email: `erased_${customer.id}@erased.invalid`,
+      first_name: '[erased]',
+      is_active: 0
+    }));
+    expect(user.erased_at).not.toBeNull();
+
+    const order = await get('SELECT shipping_address, notes FROM orders WHERE id = ?', [customer.orderId]);
+    expect(JSON.parse(order.shipping_address)).toEqual({ erased: true, country: 'KR' });
+    expect(order.notes).toBeNull();
+
+    expect(await get('SELECT id FROM user_addresses WHERE user_id = ?', [customer.id])).toBeUndefined();
+    expect(await get('SELECT id FROM login_attempts WHERE user_id = ?', [customer.id])).toBeUndefined();
+    expect((await login('gideon', customer.password)).status).toBe(401);
+    expect((await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${customer.token}`)).status).toBe(401);
+  });
+
+  test('is refused while the account holds a staff role', async () => {
+    const customer = await createCustomer('hanna');
+    const { body } = await requestErasure(customer);
+    await run("UPDATE users SET role = 'warehouse' WHERE id = ?", [customer.id]);
+
+    const res = await completeErasure(body.request.id);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Remove the staff roles of this account before erasing it');
+    expect((await get('SELECT username FROM users WHERE id = ?', [customer.id])).username).toBe('hanna');
+  });
+
+  test('is refused while the account has open orders', async () => {
+    const customer = await createCustomer('igor', 'shipped');
+    const { body } = await requestErasure(customer);
+
+    const res = await completeErasure(body.request.id);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('The account has orders that are still open');
+    expect(res.body.orders).toEqual([expect.objectContaining({ id: customer.orderId, status: 'shipped' })]);
+    expect((await get('SELECT status FROM data_erasure_requests WHERE id = ?', [body.request.id])).status).toBe('pending');
+  });
+
+  test('needs the erase permission', async () => {
+    const support = await createStaffSession({ username: 'jonas', role: 'support' });
+    const customer = await createCustomer('kira');
+    const { body } = await requestErasure(customer);
+
+    const res = await request(app).post(`/api/users/erasure-requests/${body.request.id}/complete`)
+      .set('Authorization', `Bearer ${support.token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
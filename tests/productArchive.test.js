@@ -0,0 +1,150 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, get, createUser, login, createCategory, createProduct, createStaffSession } = require('./helpers');
+
+let admin;
+let customer;
+let categoryId;
+
+beforeAll(async () => {
+  await setupDatabase();
+  admin = await createStaffSession({ username: 'vera' });
+  customer = await createUser({ username: 'walt' });
+  customer.token = (await login('walt', customer.password)).body.token;
+  categoryId = await createCategory('Lighting');
+});
+afterAll(teardownDatabase);
+
+function asAdmin(req) {
+  return req.set('Authorization', `Bearer ${admin.token}`);
+}
+
+function archive(productId) {
+  return asAdmin(request(app).delete(`/api/products/${productId}`));
+}
+
+function purge(productId) {
+  return asAdmin(request(app).delete(`/api/products/${productId}/purge`));
+}
+
+async function createOrder(productId, status) {
+  const { lastID: orderId } = await run(
+    `INSERT INTO orders (user_id, order_number, status, total_amount, shipping_address, billing_address)
+     VALUES (?, ?, ?, 10000, 'Seoul', 'Seoul')`,
+    [customer.id, `ORD-ARCHIVE-${productId}-${status}`, status]
+  );
+  await run(
+    'INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price) VALUES (?, ?, 1, 10000, 10000)',
+    [orderId, productId]
+  );
+}
+
+function addToCart(productId) {
+  return run('INSERT INTO shopping_cart (user_id, product_id, quantity) VALUES (?, ?, 1)', [customer.id, productId]);
+}
+
+async function cartProductIds() {
+  const res = await request(app).get(`/api/users/${customer.id}/cart`).set('Authorization', `Bearer ${customer.token}`);
+  expect(res.status).toBe(200);
+  return res.body.cartItems.map(item => item.product_id);
+}
+
+describe('archiving a product', () => {
+  test('hides it from the catalog and carts and reports what still refers to it', async () => {
+    const productId = await createProduct({ name: 'Desk Lamp', categoryId, stock: 3 });
+    await createOrder(productId, 'processing');
+    await createOrder(productId, 'delivered');
+    await addToCart(productId);
+
+    const res = await archive(productId);
+
+    expect(res.status).toBe(200);
+    expect(res.body.dependencies).toEqual({ openOrders: 1, orders: 2, carts: 1, bundles: 0 });
+    expect((await request(app).get('/api/products')).body.products).toEqual([]);
+    expect(await cartProductIds()).toEqual([]);
+    expect((await get('SELECT archived_at FROM products WHERE id = ?', [productId])).archived_at).not.toBeNull();
+  });
+
+  test('archived products are listed with their dependencies', async () => {
+    const res = await asAdmin(request(app).get('/api/products/archived')).query({ search: 'lamp' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.products.map(product => [product.name, product.dependencies])).toEqual([
+      ['Desk Lamp', { openOrders: 1, orders: 2, carts: 1, bundles: 0 }]
+    ]);
+    expect(res.body.pagination.total).toBe(1);
+  });
+
+  test('restoring brings it back to the catalog and to carts', async () => {
+    const { id } = await get("SELECT id FROM products WHERE name = 'Desk Lamp'");
+
+    const res = await asAdmin(request(app).post(`/api/products/${id}/restore`));
+
+    expect(res.status).toBe(200);
+    expect((await request(app).get('/api/products')).body.products.map(product => product.id)).toEqual([id]);
+    expect(await cartProductIds()).toEqual([id]);
+    expect((await get('SELECT archived_at FROM products WHERE id = ?', [id])).archived_at).toBeNull();
+
+    expect((await asAdmin(request(app).post(`/api/products/${id}/restore`))).status).toBe(409);
+  });
+});
+
+describe('purging a product', () => {
+  test('is only allowed once it is archived', async () => {
+    const productId = await createProduct({ name: 'Floor Lamp', categoryId });
+
+    const res = await purge(productId);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Archive the product before purging it');
+  });
+
+  test('is refused while orders refer to it', async () => {
+    const productId = await createProduct({ name: 'Wall Lamp', categoryId });
+    await createOrder(productId, 'cancelled');
+    await archive(productId);
+
+    const res = await purge(productId);
+
+    expect(res.status).toBe(409);
+    expect(res.body.dependencies.orders).toBe(1);
+    expect(await get('SELECT id FROM products WHERE id = ?', [productId])).toBeDefined();
+  });
+
+  test('is refused while a bundle includes it', async () => {
+    const bundleId = await createProduct({ name: 'Lamp Set', categoryId });
+    const productId = await createProduct({ name: 'Bulb', categoryId });
+    await run('INSERT INTO product_bundles (product_id) VALUES (?)', [bundleId]);
+    await run('INSERT INTO product_bundle_items (bundle_product_id, component_product_id, quantity) VALUES (?, ?, 2)',
+      [bundleId, productId]);
+    await archive(productId);
+
+    const res = await purge(productId);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Product is a component of a bundle; remove it from the bundle first');
+  });
+
+  test('removes the product with its inventory, cart rows and other data', async () => {
+    const productId = await createProduct({ name: 'Night Light', categoryId, stock: 2 });
+    await run("INSERT INTO product_attributes (product_id, name, value) VALUES (?, 'color', 'white')", [productId]);
+    await addToCart(productId);
+    await archive(productId);
+
+    const res = await purge(productId);
+
+    expect(res.status).toBe(200);
+    expect(res.body.removed).toEqual({ cartItems: 1, images: 0, inventoryRows: 1 });
+    expect(await get('SELECT id FROM products WHERE id = ?', [productId])).toBeUndefined();
+    expect(await get('SELECT * FROM product_attributes WHERE product_id = ?', [productId])).toBeUndefined();
+    expect((await purge(productId)).status).toBe(404);
+  });
+
+  test('needs the products:write permission', async () => {
+    const productId = await createProduct({ name: 'Candle', categoryId });
+
+    const res = await request(app).delete(`/api/products/${productId}`).set('Authorization', `Bearer ${customer.token}`);
+
+    expect(res.status).toBe(403);
+    expect((await get('SELECT is_active FROM products WHERE id = ?', [productId])).is_active).toBe(1);
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, createCategory, createProduct } = require('./helpers');
+
+let categories;
+let ids;
+
+async function setAttributes(productId, attributes) {
+  for (const [name, value] of Object.entries(attributes)) {
+    await run('INSERT INTO product_attributes (product_id, name, value) VALUES (?, ?, ?)', [productId, name, value]);
+  }
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  const electronics = await createCategory('Electronics');
+  categories = {
+    electronics,
+    laptops: await createCategory('Laptops', electronics),
+    phones: await createCategory('Phones', electronics),
+    clothing: await createCategory('Clothing')
+  };
+
+  ids = {
+    ultrabook: await createProduct({ name: 'Ultrabook', categoryId: categories.laptops, price: 1200000, stock: 5 }),
+    netbook: await createProduct({ name: 'Netbook', categoryId: categories.laptops, price: 800000 }),
+    phone: await createProduct({ name: 'Phone', categoryId: categories.phones, price: 450000, stock: 3 }),
+    shirt: await createProduct({ name: 'Shirt', categoryId: categories.clothing, price: 30000, stock: 10 })
+  };
+  await setAttributes(ids.ultrabook, { brand: 'Acme', ram: '16' });
+  await setAttributes(ids.netbook, { brand: 'Zen', ram: '8' });
+  await setAttributes(ids.phone, { brand: 'Acme' });
+  await setAttributes(ids.shirt, { color: 'black' });
+
+  // Inactive products are left out of the list and of every count
+  const retired = await createProduct({ name: 'Old laptop', categoryId: categories.laptops, price: 100, stock: 1 });
+  await setAttributes(retired, { brand: 'Zen' });
+  await run('UPDATE products SET is_active = 0 WHERE id = ?', [retired]);
+});
+afterAll(teardownDatabase);
+
+async function list(queryString = '') {
+  const res = await request(app).get(`/api/products${queryString}`);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+function categoryCounts(facets) {
+  return Object.fromEntries(facets.categories.map(category => [category.name, category.count]));
+}
+
+function bucketCounts(facets) {
+  return facets.priceRanges.map(range => range.count);
+}
+
+describe('facet counts', () => {
+  test('count every active product, with parent categories including their subcategories', async () => {
+    const { facets } = await list();
+
+    expect(categoryCounts(facets)).toEqual({ Clothing: 1, Electronics: 3, Laptops: 2, Phones: 1 });
+    expect(bucketCounts(facets)).toEqual([0, 1, 0, 1, 1, 1]);
+    expect(facets.availability).toEqual({ inStock: 3, outOfStock: 1 });
+    expect(facets.attributes).toEqual({
+      brand: [{ value: 'Acme', count: 2 }, { value: 'Zen', count: 1 }],
+      color: [{ value: 'black', count: 1 }],
+      ram: [{ value: '8', count: 1 }, { value: '16', count: 1 }]
+    });
+  });
+
+  test('a category filter matches subcategories and leaves the other category counts visible', async () => {
+    const { products, facets } = await list(`?categories=${categories.electronics}`);
+
+    expect(products.map(product => product.id).sort()).toEqual([ids.ultrabook, ids.netbook, ids.phone].sort());
+    expect(categoryCounts(facets)).toEqual({ Clothing: 1, Electronics: 3, Laptops: 2, Phones: 1 });
+    expect(bucketCounts(facets)).toEqual([0, 0, 0, 1, 1, 1]);
+    expect(facets.attributes).not.toHaveProperty('color');
+  });
+
+  test('an attribute filter narrows the other facets but not its own', async () => {
+    const { products, facets } = await list('?attributes[brand]=Acme');
+
+    expect(products.map(product => product.id).sort()).toEqual([ids.ultrabook, ids.phone].sort());
+    expect(facets.attributes.brand).toEqual([{ value: 'Acme', count: 2 }, { value: 'Zen', count: 1 }]);
+    expect(facets.attributes.ram).toEqual([{ value: '16', count: 1 }]);
+    expect(categoryCounts(facets)).toEqual({ Electronics: 2, Laptops: 1, Phones: 1 });
+  });
+
+  test('numeric attributes can be filtered by range', async () => {
+    const { products } = await list('?attributes[ram][min]=10');
+
+    expect(products.map(product => product.id)).toEqual([ids.ultrabook]);
+  });
+
+  test('price and availability filters combine', async () => {
+    const { products, facets } = await list('?minPrice=100000&maxPrice=1000000&inStock=true');
+
+    expect(products.map(product => product.id)).toEqual([ids.phone]);
+    expect(facets.availability).toEqual({ inStock: 1, outOfStock: 1 });
+    // Counted over the products in stock, at any price
+    expect(bucketCounts(facets)).toEqual([0, 1, 0, 1, 0, 1]);
+  });
+
+  test('invalid filters are rejected', async () => {
+    for (const queryString of ['?minPrice=-1', '?categories=laptops', '?attributes[ram][avg]=8', '?attributes[ram][min]=many']) {
+      expect((await request(app).get(`/api/products${queryString}`)).status).toBe(400);
+    }
+  });
+
+  test('prices are bucketed by the current sale price', async () => {
+    await run(
+      `INSERT INTO price_schedules (product_id, price, compare_at_price, starts_at)
+       VALUES (?, 5000, 30000, datetime('now', '-1 hour'))`,
+      [ids.shirt]
+    );
+
+    const { products, facets } = await list('?maxPrice=9999');
+
+    expect(products.map(product => product.id)).toEqual([ids.shirt]);
+    expect(bucketCounts(facets)).toEqual([1, 0, 0, 1, 1, 1]);
+  });
+});
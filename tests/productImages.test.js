@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, get, createCategory, createStaffSession } = require('./helpers');
+const { queryAll } = require('../config/database');
+const { formatProductImage, removeImageFiles } = require('../services/productImageService');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads', 'products');
+
+let admin;
+let categoryId;
+let skuCounter = 0;
+
+beforeAll(async () => {
+  await setupDatabase();
+  admin = await createStaffSession({ username: 'erin' });
+  categoryId = await createCategory('Cameras');
+});
+afterAll(async () => {
+  // Delete the files the uploads wrote to uploads/products
+  const rows = await queryAll('SELECT * FROM product_images');
+  await Promise.all(rows.map(row => removeImageFiles(formatProductImage(row))));
+  await teardownDatabase();
+});
+
+function createImage(width, height, { format = 'jpeg', orientation } = {}) {
+  let image = sharp({ create: { width, height, channels: 3, background: '#3366cc' } })[format]();
+  if (orientation) {
+    image = image.withExif({ IFD0: { Make: 'TestCam', Model: 'GPS Tagged' } }).withMetadata({ orientation });
+  }
+  return image.toBuffer();
+}
+
+// Create a product through the API with the given image files ({ buffer, name })
+function uploadProduct(files) {
+  skuCounter += 1;
+  const req = request(app).post('/api/products')
+    .set('Authorization', `Bearer ${admin.token}`)
+    .field('name', `Camera ${skuCounter}`)
+    .field('categoryId', String(categoryId))
+    .field('price', '250000')
+    .field('sku', `CAM-${skuCounter}`);
+  files.forEach(file => req.attach('images', file.buffer, file.name));
+  return req;
+}
+
+function uploadedFile(url) {
+  return path.join(UPLOAD_DIR, path.basename(url));
+}
+
+describe('uploading product images', () => {
+  test('each image is rotated upright, stripped of metadata and saved in every size as JPEG and WebP', async () => {
+    const res = await uploadProduct([{ buffer: await createImage(1600, 1000, { orientation: 6 }), name: 'side.jpg' }]);
+    expect(res.status).toBe(201);
+
+    const { body } = await request(app).get(`/api/products/${res.body.productId}`);
+    const [image] = body.product.images;
+
+    // Orientation 6 means the photo was taken sideways
+    expect(image.is_primary).toBe(1);
+    expect([image.width, image.height]).toEqual([750, 1200]);
+    expect(image.image_url).toBe(image.sizes.zoom.url);
+    expect(Object.fromEntries(Object.entries(image.sizes).map(([size, { width, height }]) => [size, [width, height]])))
+      .toEqual({ thumbnail: [94, 150], card: [250, 400], zoom: [750, 1200] });
+
+    for (const rendition of Object.values(image.sizes)) {
+      const jpeg = await sharp(uploadedFile(rendition.url)).metadata();
+      const webp = await sharp(uploadedFile(rendition.webpUrl)).metadata();
+      expect([jpeg.format, webp.format]).toEqual(['jpeg', 'webp']);
+      expect(jpeg.exif).toBeUndefined();
+      expect(jpeg.orientation).toBeUndefined();
+    }
+
+    expect(image.srcset).toBe(
+      `${image.sizes.thumbnail.url} 94w, ${image.sizes.card.url} 250w, ${image.sizes.zoom.url} 750w`
+    );
+    expect(image.webpSrcset).toContain(`${image.sizes.zoom.webpUrl} 750w`);
+  });
+
+  test('small images are not enlarged and each width is listed once', async () => {
+    const res = await uploadProduct([{ buffer: await createImage(300, 240, { format: 'png' }), name: 'small.png' }]);
+
+    const { body } = await request(app).get(`/api/products/${res.body.productId}`);
+    const [image] = body.product.images;
+
+    expect([image.sizes.card.width, image.sizes.zoom.width]).toEqual([300, 300]);
+    expect(image.srcset).toBe(`${image.sizes.thumbnail.url} 150w, ${image.sizes.card.url} 300w`);
+  });
+
+  test('the product list shows the card-sized primary image', async () => {
+    const res = await uploadProduct([{ buffer: await createImage(800, 800), name: 'front.jpg' }]);
+
+    const { body } = await request(app).get('/api/products').query({ limit: 100 });
+    const product = body.products.find(item => item.id === res.body.productId);
+
+    expect(product.primary_image).toMatch(/-card\.jpg$/);
+    expect(product.primary_image_srcset).toMatch(/-thumbnail\.jpg 150w, .*-card\.jpg 400w, .*-zoom\.jpg 800w$/);
+    expect(product.primary_image_webp_srcset).toMatch(/\.webp 800w$/);
+  });
+
+  test('images below the minimum size are refused before the product is saved', async () => {
+    const res = await uploadProduct([{ buffer: await createImage(180, 600), name: 'narrow.jpg' }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('narrow.jpg must be at least 200x200 pixels (got 180x600)');
+    expect(await get('SELECT id FROM products WHERE sku = ?', [`CAM-${skuCounter}`])).toBeUndefined();
+  });
+
+  test('files that are not images are refused', async () => {
+    const res = await uploadProduct([{ buffer: Buffer.from('not really a png'), name: 'fake.png' }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('fake.png is not a readable image');
+  });
+});
+
+describe('managing a product gallery', () => {
+  let productId;
+  let imageIds;
+
+  function gallery(method, url = '') {
+    return request(app)[method](`/api/products/${productId}/images${url}`).set('Authorization', `Bearer ${admin.token}`);
+  }
+
+  async function listImages() {
+    const res = await gallery('get');
+    expect(res.status).toBe(200);
+    return res.body.images;
+  }
+
+  beforeAll(async () => {
+    const buffer = await createImage(300, 300);
+    const res = await uploadProduct(['front', 'back', 'side'].map(name => ({ buffer, name: `${name}.jpg` })));
+    productId = res.body.productId;
+    imageIds = (await listImages()).map(image => image.id);
+  });
+
+  test('images can be put in a new order', async () => {
+    const reversed = [...imageIds].reverse();
+
+    const res = await gallery('put', '/order').send({ imageIds: reversed });
+
+    expect(res.status).toBe(200);
+    expect(res.body.images.map(image => image.id)).toEqual(reversed);
+    expect((await request(app).get(`/api/products/${productId}`)).body.product.images.map(image => image.id))
+      .toEqual(reversed);
+  });
+
+  test('a new order must list every image exactly once', async () => {
+    for (const ids of [imageIds.slice(1), [imageIds[0], imageIds[0], imageIds[1]], [...imageIds.slice(1), 999999]]) {
+      const res = await gallery('put', '/order').send({ imageIds: ids });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("imageIds must list each of the product's 3 image IDs exactly once");
+    }
+  });
+
+  test('another image can be made primary', async () => {
+    const res = await gallery('put', `/${imageIds[2]}`).send({ isPrimary: true });
+
+    expect(res.status).toBe(200);
+    expect((await listImages()).filter(image => image.is_primary).map(image => image.id)).toEqual([imageIds[2]]);
+    expect((await gallery('put', `/${imageIds[2]}`).send({ isPrimary: false })).status).toBe(400);
+  });
+
+  test('alt text can be set and cleared', async () => {
+    const set = await gallery('put', `/${imageIds[0]}`).send({ altText: '  Front view  ' });
+    expect(set.body.image.alt_text).toBe('Front view');
+
+    const cleared = await gallery('put', `/${imageIds[0]}`).send({ altText: '' });
+    expect(cleared.body.image.alt_text).toBeNull();
+
+    expect((await gallery('put', `/${imageIds[0]}`).send({ altText: 'x'.repeat(201) })).status).toBe(400);
+  });
+
+  test('deleting the primary image removes its files and promotes the next image', async () => {
+    const primary = (await listImages()).find(image => image.is_primary);
+    const files = Object.values(primary.sizes).flatMap(rendition => [rendition.url, rendition.webpUrl]).map(uploadedFile);
+    expect(files.every(file => fs.existsSync(file))).toBe(true);
+
+    const res = await gallery('delete', `/${primary.id}`);
+
+    expect(res.status).toBe(200);
+    expect(files.some(file => fs.existsSync(file))).toBe(false);
+
+    const remaining = await listImages();
+    expect(remaining.map(image => image.id)).not.toContain(primary.id);
+    expect(remaining.filter(image => image.is_primary).map(image => image.id)).toEqual([remaining[0].id]);
+  });
+
+  test('images of another product are not found', async () => {
+    const other = await uploadProduct([{ buffer: await createImage(300, 300), name: 'other.jpg' }]);
+    const [otherImage] = (await request(app).get(`/api/products/${other.body.productId}`)).body.product.images;
+
+    expect((await gallery('put', `/${otherImage.id}`).send({ altText: 'Mine now' })).status).toBe(404);
+    expect((await gallery('delete', `/${otherImage.id}`)).status).toBe(404);
+  });
+});
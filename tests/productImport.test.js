@@ -0,0 +1,155 @@
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { app, setupDatabase, teardownDatabase, run, get, createStaffSession } = require('./helpers');
+
+let token;
+
+function importFile(contents, filename = 'products.csv', query = '') {
+  return request(app).post(`/api/products/import${query}`)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', Buffer.from(contents), filename);
+}
+
+function getProduct(sku) {
+  return get(
+    `SELECT p.id, p.name, p.price, p.is_active, i.quantity
+     FROM products p LEFT JOIN inventory i ON i.product_id = p.id AND i.variant_id IS NULL
+     WHERE p.sku = ?`,
+    [sku]
+  );
+}
+
+async function countProducts() {
+  return (await get('SELECT COUNT(*) as count FROM products')).count;
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  await run('INSERT INTO categories (name) VALUES (?)', ['전자제품']);
+  token = (await createStaffSession({ username: 'judy' })).token;
+});
+afterAll(teardownDatabase);
+
+describe('CSV import', () => {
+  test('creates new products with their stock and updates existing ones by SKU', async () => {
+    const created = await importFile([
+      'sku,name,price,category,stock_quantity',
+      'IMP-001,USB Hub,29000,전자제품,15',
+      'IMP-002,SSD 1TB,"129,000",전자제품,4'
+    ].join('\n'));
+
+    expect(created.status).toBe(200);
+    expect(created.body.summary).toEqual({ rows: 2, create: 2, update: 0, failed: 0 });
+    expect(await getProduct('IMP-001')).toMatchObject({ name: 'USB Hub', price: 29000, quantity: 15 });
+    expect(await getProduct('IMP-002')).toMatchObject({ price: 129000, quantity: 4 });
+
+    // Columns left out of the file are not changed
+    const updated = await importFile('sku,price\nIMP-001,25000');
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.summary).toMatchObject({ create: 0, update: 1 });
+    expect(await getProduct('IMP-001')).toMatchObject({ name: 'USB Hub', price: 25000, quantity: 15 });
+  });
+
+  test('a file with any invalid row imports nothing and reports every error', async () => {
+    const productsBefore = await countProducts();
+
+    const res = await importFile([
+      'sku,name,price,category,stock_quantity',
+      'IMP-101,Webcam,59000,전자제품,3',
+      'IMP-102,Headset,-1,전자제품,2',
+      'IMP-103,Speaker,39000,없는카테고리,1',
+      'IMP-101,Webcam again,59000,전자제품,3'
+    ].join('\n'));
+
+    expect(res.status).toBe(422);
+    expect(res.body.message).toBe('3 row(s) have errors, nothing was imported');
+    expect(res.body.rows.map(row => row.action)).toEqual(['create', 'error', 'error', 'error']);
+    expect(res.body.rows[1].errors).toContain('price must be a non-negative number');
+    expect(res.body.rows[3].errors).toContain('SKU IMP-101 is already used on row 2');
+    expect(await countProducts()).toBe(productsBefore);
+  });
+
+  test('a dry run reports the changes without saving them', async () => {
+    const productsBefore = await countProducts();
+
+    const res = await importFile('sku,name,price,category\nIMP-201,Router,89000,전자제품', 'products.csv', '?dryRun=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ message: 'All rows are valid', dryRun: true });
+    expect(res.body.summary.create).toBe(1);
+    expect(await countProducts()).toBe(productsBefore);
+  });
+
+  test('rejects unknown columns', async () => {
+    const res = await importFile('sku,name,colour\nIMP-301,Cable,red');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Unknown columns: colour/);
+  });
+});
+
+describe('import rollback', () => {
+  // Make the database refuse one product, the way a constraint or a full disk would
+  beforeAll(() => run(
+    `CREATE TRIGGER fail_import_insert BEFORE INSERT ON products
+     WHEN NEW.sku = 'IMP-FAIL'
+     BEGIN SELECT RAISE(ABORT, 'insert refused'); END`
+  ));
+  afterAll(() => run('DROP TRIGGER fail_import_insert'));
+
+  test('a statement failing halfway through undoes the rows already written', async () => {
+    await importFile('sku,name,price,category,stock_quantity\nIMP-401,Charger,19000,전자제품,10');
+    const productsBefore = await countProducts();
+
+    const res = await importFile([
+      'sku,name,price,category,stock_quantity',
+      'IMP-401,Fast Charger,24000,전자제품,20',
+      'IMP-402,Power Bank,35000,전자제품,5',
+      'IMP-FAIL,Broken,1000,전자제품,1'
+    ].join('\n'));
+
+    expect(res.status).toBe(500);
+    expect(await countProducts()).toBe(productsBefore);
+    expect(await getProduct('IMP-401')).toMatchObject({ name: 'Charger', price: 19000, quantity: 10 });
+    expect(await getProduct('IMP-402')).toBeUndefined();
+  });
+});
+
+describe('XLSX import', () => {
+  test('reads the first worksheet like a CSV file', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Products');
+    worksheet.addRow(['SKU', 'Name', 'Price', 'Category', 'Stock Quantity']);
+    worksheet.addRow(['IMP-501', 'Tablet Stand', 15000, '전자제품', 8]);
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    const res = await importFile(buffer, 'products.xlsx');
+
+    expect(res.status).toBe(200);
+    expect(await getProduct('IMP-501')).toMatchObject({ name: 'Tablet Stand', price: 15000, quantity: 8 });
+  });
+
+  test('rejects a file that is not a workbook', async () => {
+    const res = await importFile('not a workbook', 'products.xlsx');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('The file is not a valid XLSX workbook');
+  });
+});
+
+describe('CSV export', () => {
+  test('escapes formula-like values and imports them back unchanged', async () => {
+    await importFile('sku,name,price,category\nIMP-601,"=HYPERLINK(""http://example.com"")",1000,전자제품');
+
+    const exported = await request(app).get('/api/products/export?format=csv').set('Authorization', `Bearer ${token}`);
+
+    expect(exported.status).toBe(200);
+    expect(exported.text).toContain('"\'=HYPERLINK(""http://example.com"")"');
+
+    const reimported = await importFile(exported.text);
+
+    expect(reimported.status).toBe(200);
+    expect((await getProduct('IMP-601')).name).toBe('=HYPERLINK("http://example.com")');
+  });
+});
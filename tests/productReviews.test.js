@@ -0,0 +1,155 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, get, createUser, login, createCategory, createProduct, createStaffSession } = require('./helpers');
+
+let productId;
+let moderator;
+let orderCounter = 0;
+
+beforeAll(async () => {
+  await setupDatabase();
+  productId = await createProduct({ name: 'Espresso Grinder', categoryId: await createCategory('Kitchen') });
+  moderator = await createStaffSession({ username: 'olga', role: 'support' });
+});
+afterAll(teardownDatabase);
+
+// Sign in a new customer, with a delivered order for the product unless told otherwise
+async function createCustomer(username, { delivered = true } = {}) {
+  const user = await createUser({ username });
+  if (delivered) {
+    orderCounter += 1;
+    const { lastID: orderId } = await run(
+      `INSERT INTO orders (user_id, order_number, status, total_amount, shipping_address, billing_address)
+       VALUES (?, ?, 'delivered', 10000, 'Seoul', 'Seoul')`,
+      [user.id, `ORD-REVIEW-${orderCounter}`]
+    );
+    await run(
+      'INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price) VALUES (?, ?, 1, 10000, 10000)',
+      [orderId, productId]
+    );
+  }
+  user.token = (await login(username, user.password)).body.token;
+  return user;
+}
+
+function submitReview(user, review) {
+  return request(app).post(`/api/products/${productId}/reviews`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send(review);
+}
+
+function moderate(reviewId, decision, token = moderator.token) {
+  return request(app).put(`/api/reviews/${reviewId}/moderation`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(decision);
+}
+
+async function publicReviews() {
+  const res = await request(app).get(`/api/products/${productId}/reviews`);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+describe('submitting a review', () => {
+  test('is held for moderation', async () => {
+    const customer = await createCustomer('pavel');
+
+    const res = await submitReview(customer, { rating: 4, title: ' Solid ', body: 'Grinds evenly.' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.review).toMatchObject({ status: 'pending', rating: 4, title: 'Solid' });
+    expect((await publicReviews()).reviews).toEqual([]);
+  });
+
+  test('needs a delivered order for the product', async () => {
+    const browser = await createCustomer('quinn', { delivered: false });
+
+    const res = await submitReview(browser, { rating: 5, body: 'Looks great.' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Only customers who have received this product can review it');
+  });
+
+  test('is allowed once per product', async () => {
+    const customer = await createCustomer('rosa');
+    const first = await submitReview(customer, { rating: 3, body: 'Fine.' });
+
+    const second = await submitReview(customer, { rating: 5, body: 'Better now.' });
+
+    expect(second.status).toBe(409);
+    expect(second.body.reviewId).toBe(first.body.review.id);
+  });
+
+  test('needs a rating from 1 to 5 and some text', async () => {
+    const customer = await createCustomer('sami');
+
+    expect((await submitReview(customer, { rating: 6, body: 'Too good.' })).body.error)
+      .toBe('Rating must be a whole number from 1 to 5');
+    expect((await submitReview(customer, { rating: 5, body: '   ' })).body.error).toBe('Review text is required');
+  });
+});
+
+describe('moderating reviews', () => {
+  test('the queue lists pending reviews, oldest first', async () => {
+    const res = await request(app).get('/api/reviews').set('Authorization', `Bearer ${moderator.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.reviews.map(review => review.status)).toEqual(['pending', 'pending']);
+    expect(res.body.reviews.map(review => review.body)).toEqual(['Grinds evenly.', 'Fine.']);
+  });
+
+  test('approved reviews are shown publicly and counted in the rating summary', async () => {
+    const { body: queue } = await request(app).get('/api/reviews').set('Authorization', `Bearer ${moderator.token}`);
+    const [first, second] = queue.reviews;
+
+    expect((await moderate(first.id, { status: 'approved' })).status).toBe(200);
+    expect((await moderate(second.id, { status: 'rejected', note: 'Please describe the product' })).status).toBe(200);
+
+    const { summary, reviews } = await publicReviews();
+    expect(reviews.map(review => review.id)).toEqual([first.id]);
+    expect(reviews[0]).not.toHaveProperty('moderation_note');
+    expect(summary).toEqual({ averageRating: 4, reviewCount: 1, distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 } });
+  });
+
+  test('the reviewer sees the decision and the moderator note', async () => {
+    const reviewer = await get("SELECT id FROM users WHERE username = 'rosa'");
+    const { token } = (await login('rosa', 'Correct-Horse-42')).body;
+
+    const mine = await request(app).get('/api/reviews/mine').set('Authorization', `Bearer ${token}`);
+
+    expect(mine.body.reviews[0]).toMatchObject({ status: 'rejected', moderation_note: 'Please describe the product' });
+    const notification = await get('SELECT type, message FROM notifications WHERE user_id = ?', [reviewer.id]);
+    expect(notification).toEqual({
+      type: 'review_rejected',
+      message: 'Your review of Espresso Grinder was not published. Reason: Please describe the product'
+    });
+  });
+
+  test('an edited review goes back to the queue and leaves the public list', async () => {
+    const { token } = (await login('pavel', 'Correct-Horse-42')).body;
+    const { reviews: [approved] } = await publicReviews();
+
+    const res = await request(app).put(`/api/products/${productId}/reviews/${approved.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ rating: 2 });
+
+    expect(res.body.review).toMatchObject({ status: 'pending', moderation_note: null });
+    expect(await publicReviews()).toMatchObject({ reviews: [], summary: { averageRating: null, reviewCount: 0 } });
+  });
+
+  test('only approved or rejected can be chosen', async () => {
+    const { id } = await get('SELECT id FROM product_reviews LIMIT 1');
+
+    const res = await moderate(id, { status: 'pending' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('status must be approved or rejected');
+  });
+
+  test('customers cannot see the queue or moderate', async () => {
+    const customer = await createCustomer('tomas');
+    const { id } = await get('SELECT id FROM product_reviews LIMIT 1');
+
+    expect((await request(app).get('/api/reviews').set('Authorization', `Bearer ${customer.token}`)).status).toBe(403);
+    expect((await moderate(id, { status: 'approved' }, customer.token)).status).toBe(403);
+  });
+});
@@ -0,0 +1,83 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, createCategory, createProduct } = require('./helpers');
+
+let ids;
+
+beforeAll(async () => {
+  await setupDatabase();
+  const peripherals = await createCategory('주변기기');
+  const cables = await createCategory('Cables');
+
+  ids = {
+    mouse: await createProduct({ name: 'Wireless Mouse', categoryId: peripherals, description: 'Quiet clicks' }),
+    cable: await createProduct({ name: 'USB Cable', categoryId: cables, description: 'Charges a wireless mouse dock' }),
+    sku: await createProduct({ name: 'Dock', categoryId: peripherals, sku: 'WIRELESS-DOCK-1' }),
+    keyboard: await createProduct({ name: '블루투스키보드 무선', categoryId: peripherals }),
+    pad: await createProduct({ name: '<b>Bold</b> Mouse & Pad', categoryId: peripherals })
+  };
+});
+afterAll(teardownDatabase);
+
+function search(query) {
+  return request(app).get('/api/products').query(query);
+}
+
+function productIds(res) {
+  return res.body.products.map(product => product.id);
+}
+
+describe('product search', () => {
+  test('ranks name matches above SKU matches above description matches', async () => {
+    const res = await search({ search: 'wireless' });
+
+    expect(res.status).toBe(200);
+    expect(productIds(res)).toEqual([ids.mouse, ids.sku, ids.cable]);
+  });
+
+  test('every term must match', async () => {
+    const res = await search({ search: 'mouse quiet' });
+
+    expect(productIds(res)).toEqual([ids.mouse]);
+  });
+
+  test('matches the category name', async () => {
+    const res = await search({ search: 'cables' });
+
+    expect(productIds(res)).toEqual([ids.cable]);
+  });
+
+  test('finds Korean words inside longer words', async () => {
+    expect(productIds(await search({ search: '키보드' }))).toEqual([ids.keyboard]);
+    expect(productIds(await search({ search: '투스키' }))).toEqual([ids.keyboard]);
+  });
+
+  test('matches terms shorter than a trigram', async () => {
+    expect(productIds(await search({ search: '무선' }))).toEqual([ids.keyboard]);
+    expect(productIds(await search({ search: 'pa' }))).toEqual([ids.pad]);
+  });
+
+  test('treats search syntax as plain text', async () => {
+    const res = await search({ search: 'mouse" OR "cable*' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.products).toEqual([]);
+  });
+
+  test('highlights matches with the rest of the text escaped', async () => {
+    const res = await search({ search: 'mouse' });
+    const pad = res.body.products.find(product => product.id === ids.pad);
+
+    expect(pad.highlights.name).toBe('&lt;b&gt;Bold&lt;/b&gt; <mark>Mouse</mark> &amp; Pad');
+    expect(pad.highlights.categoryName).toBe('주변기기');
+  });
+
+  test('can be sorted by another column', async () => {
+    const res = await search({ search: 'wireless', sortBy: 'name', sortOrder: 'ASC' });
+
+    expect(res.body.products.map(product => product.name)).toEqual(['Dock', 'USB Cable', 'Wireless Mouse']);
+  });
+
+  test('rejects unknown sort columns', async () => {
+    expect((await search({ search: 'mouse', sortBy: 'password' })).status).toBe(400);
+  });
+});
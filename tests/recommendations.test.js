@@ -0,0 +1,123 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, createUser, createCategory, createProduct } = require('./helpers');
+const { refreshRecommendations } = require('../services/recommendationService');
+
+let ids;
+let customer;
+let orderCounter = 0;
+
+// Insert an order containing one of each product
+async function createOrder(productIds, { status = 'delivered', daysAgo = 0 } = {}) {
+  orderCounter += 1;
+  const { lastID: orderId } = await run(
+    `INSERT INTO orders (user_id, order_number, status, total_amount, shipping_address, billing_address, created_at)
+     VALUES (?, ?, ?, 10000, 'Seoul', 'Seoul', datetime('now', ?))`,
+    [customer.id, `ORD-REC-${orderCounter}`, status, `-${daysAgo} days`]
+  );
+  for (const productId of productIds) {
+    await run(
+      'INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price) VALUES (?, ?, 1, 10000, 10000)',
+      [orderId, productId]
+    );
+  }
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  customer = await createUser({ username: 'uma' });
+  const machines = await createCategory('Coffee Machines');
+  const supplies = await createCategory('Coffee Supplies');
+
+  ids = {
+    grinder: await createProduct({ name: 'Burr Grinder', categoryId: machines, price: 100000, stock: 5 }),
+    rival: await createProduct({ name: 'Rival Grinder', categoryId: machines, price: 95000, stock: 5 }),
+    budget: await createProduct({ name: 'Budget Grinder', categoryId: machines, price: 40000, stock: 5 }),
+    beans: await createProduct({ name: 'Beans', categoryId: supplies, price: 15000, stock: 5 }),
+    filters: await createProduct({ name: 'Filters', categoryId: supplies, price: 5000, stock: 5 }),
+    mug: await createProduct({ name: 'Mug', categoryId: supplies, price: 8000, stock: 5 }),
+    descaler: await createProduct({ name: 'Descaler', categoryId: supplies, price: 9000, stock: 5 })
+  };
+  await run("INSERT INTO product_attributes (product_id, name, value) VALUES (?, 'burr', 'conical'), (?, 'burr', 'conical'), (?, 'burr', 'flat')",
+    [ids.grinder, ids.rival, ids.budget]);
+
+  await createOrder([ids.grinder, ids.beans, ids.filters]);
+  await createOrder([ids.grinder, ids.beans, ids.filters]);
+  await createOrder([ids.grinder, ids.beans]);
+  // Bought together once only, which is below the noise threshold
+  await createOrder([ids.grinder, ids.mug]);
+  // Cancelled and old orders are not counted
+  await createOrder([ids.grinder, ids.descaler], { status: 'cancelled' });
+  await createOrder([ids.grinder, ids.descaler], { status: 'cancelled' });
+  await createOrder([ids.grinder, ids.descaler], { daysAgo: 400 });
+  await createOrder([ids.grinder, ids.descaler], { daysAgo: 400 });
+});
+afterAll(teardownDatabase);
+
+async function recommendations(productId, query = {}) {
+  const res = await request(app).get(`/api/products/${productId}/recommendations`).query(query);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+function listed(products) {
+  return products.map(product => [product.name, product.score, product.shared_orders]);
+}
+
+describe('product recommendations', () => {
+  test('are empty until they are first computed', async () => {
+    expect(await recommendations(ids.grinder)).toEqual({ productId: ids.grinder, boughtTogether: [], similar: [] });
+  });
+
+  test('a refresh stores co-purchases and similar products of the same category', async () => {
+    const counts = await refreshRecommendations();
+
+    expect(counts).toEqual({ bought_together: 6, similar: 18 });
+
+    const { boughtTogether, similar } = await recommendations(ids.grinder);
+    // Scored by the share of the grinder's 4 counted orders
+    expect(listed(boughtTogether)).toEqual([['Beans', 0.75, 3], ['Filters', 0.5, 2]]);
+    // Shared attributes first, then the closest price
+    expect(listed(similar)).toEqual([['Rival Grinder', 1.95, null], ['Budget Grinder', 0.4, null]]);
+  });
+
+  test('sold out, inactive and excluded products are skipped', async () => {
+    await run('UPDATE inventory SET quantity = 0 WHERE product_id = ?', [ids.filters]);
+    await run('UPDATE products SET is_active = 0 WHERE id = ?', [ids.budget]);
+
+    const { boughtTogether, similar } = await recommendations(ids.grinder, { exclude: `${ids.rival},abc` });
+
+    expect(listed(boughtTogether)).toEqual([['Beans', 0.75, 3]]);
+    expect(similar).toEqual([]);
+
+    await run('UPDATE inventory SET quantity = 5 WHERE product_id = ?', [ids.filters]);
+    await run('UPDATE products SET is_active = 1 WHERE id = ?', [ids.budget]);
+  });
+
+  test('one list can be asked for, up to a limit', async () => {
+    const body = await recommendations(ids.grinder, { type: 'bought_together', limit: 1 });
+
+    expect(body).not.toHaveProperty('similar');
+    expect(listed(body.boughtTogether)).toEqual([['Beans', 0.75, 3]]);
+  });
+
+  test('the next refresh replaces the stored lists', async () => {
+    await createOrder([ids.grinder, ids.mug]);
+
+    await refreshRecommendations();
+
+    const { boughtTogether } = await recommendations(ids.grinder);
+    expect(listed(boughtTogether)).toEqual([['Beans', 0.6, 3], ['Filters', 0.4, 2], ['Mug', 0.4, 2]]);
+  });
+
+  test('a refresh asked for while one is running joins it', async () => {
+    const first = refreshRecommendations();
+
+    expect(refreshRecommendations()).toBe(first);
+    await first;
+  });
+
+  test('unknown list types and products are refused', async () => {
+    expect((await request(app).get(`/api/products/${ids.grinder}/recommendations?type=popular`)).status).toBe(400);
+    expect((await request(app).get('/api/products/999999/recommendations')).status).toBe(404);
+  });
+});
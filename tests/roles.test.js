@@ -0,0 +1,94 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, get, createUser, createStaffSession } = require('./helpers');
+
+let manager;
+
+// Create a role holding the given permissions
+async function createRole(name, permissions) {
+  const { lastID } = await run('INSERT INTO roles (name) VALUES (?)', [name]);
+  await run(
+    `INSERT INTO role_permissions (role_id, permission_id)
+     SELECT ?, id FROM permissions WHERE name IN (${permissions.map(() => '?').join(', ')})`,
+    [lastID, ...permissions]
+  );
+  return lastID;
+}
+
+function asManager(req) {
+  return req.set('Authorization', `Bearer ${manager.token}`);
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  await createRole('role-manager', ['roles:manage', 'users:read']);
+  manager = await createStaffSession({ username: 'mallory', role: 'role-manager' });
+});
+afterAll(teardownDatabase);
+
+describe('granting permissions through roles', () => {
+  test('a new role can only carry permissions the caller holds', async () => {
+    const allowed = await asManager(request(app).post('/api/roles'))
+      .send({ name: 'readers', permissions: ['users:read'] });
+    expect(allowed.status).toBe(201);
+
+    const refused = await asManager(request(app).post('/api/roles'))
+      .send({ name: 'erasers', permissions: ['users:read', 'users:erase'] });
+    expect(refused.status).toBe(403);
+    expect(refused.body).toEqual({ error: 'You can only grant permissions you hold', permissions: ['users:erase'] });
+    expect(await get('SELECT id FROM roles WHERE name = ?', ['erasers'])).toBeUndefined();
+  });
+
+  test('permissions the caller lacks cannot be added to an existing role', async () => {
+    const roleId = await createRole('auditors', ['users:read']);
+
+    const res = await asManager(request(app).put(`/api/roles/${roleId}`))
+      .send({ permissions: ['users:read', 'users:write'] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.permissions).toEqual(['users:write']);
+  });
+
+  test('a permission the caller lacks can still be removed from a role', async () => {
+    const roleId = await createRole('order-desk', ['orders:read', 'orders:write']);
+
+    // Dropping a permission is not a grant, even one the caller does not hold
+    const res = await asManager(request(app).put(`/api/roles/${roleId}`))
+      .send({ permissions: ['orders:read'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.role.permissions).toEqual(['orders:read']);
+  });
+
+  test('a role can only be assigned when the caller holds all of its permissions', async () => {
+    const customer = await createUser({ username: 'niaj' });
+    const supportRole = await get("SELECT id FROM roles WHERE name = 'support'");
+    const readers = await get("SELECT id FROM roles WHERE name = 'readers'");
+
+    const toSelf = await asManager(request(app).post(`/api/users/${manager.id}/roles`)).send({ roleId: supportRole.id });
+    expect(toSelf.status).toBe(403);
+
+    const toOther = await asManager(request(app).post(`/api/users/${customer.id}/roles`)).send({ roleId: supportRole.id });
+    expect(toOther.status).toBe(403);
+    expect(await get('SELECT * FROM user_roles WHERE user_id = ?', [customer.id])).toBeUndefined();
+
+    const held = await asManager(request(app).post(`/api/users/${customer.id}/roles`)).send({ roleId: readers.id });
+    expect(held.status).toBe(201);
+  });
+
+  test('a base role with permissions the caller lacks cannot be given', async () => {
+    const res = await asManager(request(app).put(`/api/users/${manager.id}`)).send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+    expect((await get('SELECT role FROM users WHERE id = ?', [manager.id])).role).toBe('role-manager');
+  });
+
+  test('an admin can grant any permission', async () => {
+    const admin = await createStaffSession({ username: 'olivia' });
+
+    const res = await request(app).post('/api/roles')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'privacy-officers', permissions: ['users:erase'] });
+
+    expect(res.status).toBe(201);
+  });
+});
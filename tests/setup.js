@@ -0,0 +1,10 @@
+// Runs before each test file: every file gets a database of its own and
+// keeps emails in memory instead of sending them
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+process.env.NODE_ENV = 'test';
+process.env.DB_PATH = path.join(os.tmpdir(), `legacy-ecommerce-test-${crypto.randomBytes(6).toString('hex')}.db`);
+process.env.MAIL_TRANSPORT = 'sink';
+delete process.env.MAIL_SINK_DIR;
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, run, createUser, login } = require('./helpers');
+const { rotateSigningKey } = require('../services/signingKeyService');
+
+const realNow = Date.now;
+let clockOffset = 0;
+let user;
+
+// Key caches are time based, so the tests move the clock forward instead of waiting
+function advanceClock(ms) {
+  clockOffset += ms;
+}
+
+beforeAll(async () => {
+  jest.spyOn(Date, 'now').mockImplementation(() => realNow() + clockOffset);
+  await setupDatabase();
+  user = await createUser({ username: 'ivan' });
+});
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await teardownDatabase();
+});
+
+async function signIn() {
+  const res = await login('ivan', user.password);
+  return res.body.token;
+}
+
+function profile(token) {
+  return request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`);
+}
+
+async function getJwks() {
+  const res = await request(app).get('/.well-known/jwks.json');
+  expect(res.status).toBe(200);
+  return res.body.keys;
+}
+
+// Verify a token the way another service would: with the matching key from the JWKS
+function verifyWithJwks(token, keys) {
+  const { kid } = jwt.decode(token, { complete: true }).header;
+  const jwk = keys.find(key => key.kid === kid);
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+  return jwt.verify(token, publicKey, { algorithms: [jwk.alg] });
+}
+
+function generateRsaKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return { kid: crypto.randomBytes(12).toString('hex'), publicKey, privateKey };
+}
+
+// Store a key the way a rotation in another process would (it is published as
+// a retired key), leaving this process's key cache as it was
+async function insertKeyFromAnotherProcess() {
+  const key = generateRsaKey();
+  await run(
+    `INSERT INTO signing_keys (kid, algorithm, public_key, private_key, status, retired_at)
+     VALUES (?, 'RS256', ?, ?, 'retired', CURRENT_TIMESTAMP)`,
+    [key.kid, key.publicKey, key.privateKey]
+  );
+  return key;
+}
+
+// Sign the claims of an existing access token with another key
+function resign(token, key) {
+  const claims = jwt.decode(token);
+  return jwt.sign(claims, key.privateKey, { algorithm: 'RS256', keyid: key.kid });
+}
+
+describe('published signing keys', () => {
+  test('the JWKS holds the public key that signed the access token', async () => {
+    const token = await signIn();
+    const keys = await getJwks();
+
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toEqual(expect.objectContaining({ kty: 'RSA', alg: 'RS256', use: 'sig' }));
+    expect(keys[0]).not.toHaveProperty('d');
+    expect(jwt.decode(token, { complete: true }).header.kid).toBe(keys[0].kid);
+    expect(verifyWithJwks(token, keys).username).toBe('ivan');
+  });
+
+  test('after a rotation new tokens use the new kid and old tokens still verify', async () => {
+    const oldToken = await signIn();
+    const oldKid = jwt.decode(oldToken, { complete: true }).header.kid;
+
+    const { kid } = await rotateSigningKey('ES256');
+    const newToken = await signIn();
+    const keys = await getJwks();
+
+    expect(jwt.decode(newToken, { complete: true }).header).toEqual(expect.objectContaining({ alg: 'ES256', kid }));
+    expect(keys.map(key => key.kid).sort()).toEqual([oldKid, kid].sort());
+    expect(verifyWithJwks(newToken, keys).username).toBe('ivan');
+    expect((await profile(oldToken)).status).toBe(200);
+    expect((await profile(newToken)).status).toBe(200);
+  });
+
+  test('a retired key is dropped once its grace period is over', async () => {
+    const token = await signIn();
+    const { kid } = jwt.decode(token, { complete: true }).header;
+    await rotateSigningKey();
+
+    await run("UPDATE signing_keys SET retired_at = datetime('now', '-25 hours') WHERE kid = ?", [kid]);
+    advanceClock(61 * 1000);
+
+    expect((await getJwks()).map(key => key.kid)).not.toContain(kid);
+    expect((await profile(token)).status).toBe(403);
+  });
+});
+
+describe('tokens naming a kid that is not cached', () => {
+  test('reload the keys, so a rotation made by another process is picked up', async () => {
+    const token = await signIn();
+    const key = await insertKeyFromAnotherProcess();
+    advanceClock(6 * 1000);
+
+    expect((await profile(resign(token, key))).status).toBe(200);
+  });
+
+  test('reload the keys at most once per interval', async () => {
+    const token = await signIn();
+    advanceClock(6 * 1000);
+
+    // A made-up kid uses up the reload
+    const madeUp = { ...generateRsaKey(), kid: 'not-a-real-key' };
+    expect((await profile(resign(token, madeUp))).status).toBe(403);
+
+    const key = await insertKeyFromAnotherProcess();
+    expect((await profile(resign(token, key))).status).toBe(403);
+
+    advanceClock(5 * 1000);
+    expect((await profile(resign(token, key))).status).toBe(200);
+  });
+});
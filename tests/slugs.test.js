@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { app, setupDatabase, teardownDatabase, createStaffSession } = require('./helpers');
+
+let admin;
+let categoryId;
+let skuCounter = 0;
+
+beforeAll(async () => {
+  await setupDatabase();
+  admin = await createStaffSession({ username: 'zara' });
+  categoryId = (await asAdmin(request(app).post('/api/categories')).send({ name: '노트북' })).body.category.id;
+});
+afterAll(teardownDatabase);
+
+function asAdmin(req) {
+  return req.set('Authorization', `Bearer ${admin.token}`);
+}
+
+function createProduct(fields) {
+  skuCounter += 1;
+  return asAdmin(request(app).post('/api/products'))
+    .send({ categoryId, price: 1500000, sku: `SLUG-${skuCounter}`, ...fields });
+}
+
+function updateProduct(productId, fields) {
+  return asAdmin(request(app).put(`/api/products/${productId}`)).send(fields);
+}
+
+describe('product slugs', () => {
+  test('are made from the name, with Hangul romanized and a number added when taken', async () => {
+    const first = await createProduct({ name: '삼성 노트북 Pro' });
+    const second = await createProduct({ name: 'Samseong Noteubuk PRO!' });
+
+    expect(first.body.slug).toBe('samseong-noteubuk-pro');
+    expect(second.body.slug).toBe('samseong-noteubuk-pro-2');
+
+    const res = await request(app).get('/api/products/samseong-noteubuk-pro-2');
+    expect(res.status).toBe(200);
+    expect(res.body.product.id).toBe(second.body.productId);
+  });
+
+  test('an old slug redirects permanently to the current one', async () => {
+    const { body: created } = await createProduct({ name: 'Gram 14' });
+
+    await updateProduct(created.productId, { name: 'Gram 15' });
+    await updateProduct(created.productId, { slug: 'lg-gram' });
+
+    for (const oldSlug of ['gram-14', 'gram-15']) {
+      const res = await request(app).get(`/api/products/${oldSlug}`);
+      expect(res.status).toBe(301);
+      expect(res.headers.location).toBe('/api/products/lg-gram');
+    }
+    expect((await request(app).get('/api/products/lg-gram')).body.product.id).toBe(created.productId);
+  });
+
+  test('new products do not get another product\'s old slug', async () => {
+    const res = await createProduct({ name: 'Gram 14' });
+
+    expect(res.body.slug).toBe('gram-14-2');
+    expect((await request(app).get('/api/products/gram-14')).status).toBe(301);
+  });
+
+  test('an old slug set by hand on another product stops redirecting', async () => {
+    const { body: created } = await createProduct({ name: 'Zenbook', slug: 'gram-15' });
+
+    expect(created.slug).toBe('gram-15');
+    const res = await request(app).get('/api/products/gram-15');
+    expect(res.status).toBe(200);
+    expect(res.body.product.id).toBe(created.productId);
+  });
+
+  test('a product can go back to one of its own old slugs', async () => {
+    const { product } = (await request(app).get('/api/products/lg-gram')).body;
+
+    expect((await updateProduct(product.id, { slug: 'gram-14' })).status).toBe(200);
+
+    expect((await request(app).get('/api/products/gram-14')).status).toBe(200);
+    expect((await request(app).get('/api/products/lg-gram')).headers.location).toBe('/api/products/gram-14');
+  });
+
+  test('slugs that are taken, malformed or only digits are refused', async () => {
+    expect((await createProduct({ name: 'Copy', slug: 'gram-14' })).status).toBe(409);
+    expect((await createProduct({ name: 'Bad', slug: 'Not A Slug' })).status).toBe(400);
+
+    const digits = await createProduct({ name: 'Digits', slug: '2024' });
+    expect(digits.status).toBe(400);
+    expect(digits.body.error).toBe('slug cannot be only digits, since those are read as IDs');
+  });
+
+  test('unknown slugs are not found', async () => {
+    expect((await request(app).get('/api/products/no-such-product')).status).toBe(404);
+  });
+});
+
+describe('category slugs', () => {
+  test('a renamed category redirects from its old slug', async () => {
+    const created = await asAdmin(request(app).post('/api/categories')).send({ name: 'Tablets' });
+    expect(created.body.category.slug).toBe('tablets');
+
+    await asAdmin(request(app).put(`/api/categories/${created.body.category.id}`)).send({ name: 'Tablet PCs' });
+
+    const res = await request(app).get('/api/categories/tablets');
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/categories/tablet-pcs');
+
+    const current = await request(app).get('/api/categories/tablet-pcs');
+    expect(current.body.category.id).toBe(created.body.category.id);
+  });
+
+  test('Hangul category names are romanized', async () => {
+    expect((await request(app).get(`/api/categories/${categoryId}`)).body.category.slug).toBe('noteubuk');
+  });
+});
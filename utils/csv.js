@@ -0,0 +1,115 @@
+/**
+ * CSV reading and writing (RFC 4180)
+ * Values are kept as strings; converting them is up to the caller, so codes
+ * such as SKU "00123" are not turned into numbers.
+ * Written values that a spreadsheet would run as a formula (e.g. "=HYPERLINK(...)")
+ * get a leading apostrophe, which is removed again when the file is read back.
+ */
+
+// Spreadsheet apps treat cells starting with one of these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Plain numbers such as "-5" are not formulas and are written as they are
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * Check whether a value would be run as a formula by a spreadsheet
+ * @param {string} text - Cell text
+ * @returns {boolean} True if it must be escaped
+ */
+function isFormulaLike(text) {
+  return FORMULA_PREFIX.test(text) && !NUMBER.test(text);
+}
+
+/**
+ * Remove the apostrophe formatCsvValue() puts in front of formula-like values
+ * @param {string} cell - Cell text as read
+ * @returns {string} Original value
+ */
+function unescapeFormula(cell) {
+  return cell.startsWith("'") && isFormulaLike(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text (a leading UTF-8 byte order mark is ignored)
+ * @returns {string[][]} Rows (blank lines are kept as [''] so row numbers match the file)
+ * @throws {Error} If a quoted value is never closed
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(unescapeFormula(cell));
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(unescapeFormula(cell));
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted value in CSV');
+  }
+
+  // No row after the final line break
+  if (cell !== '' || row.length > 0) {
+    row.push(unescapeFormula(cell));
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a value if it contains a separator, quote or line break, and put an
+ * apostrophe in front of it if a spreadsheet would run it as a formula
+ * @param {*} value - Cell value (null and undefined become empty cells)
+ * @returns {string} CSV cell
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = isFormulaLike(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows of cells
+ * @param {Array[]} rows - Rows (the first one is usually the header)
+ * @returns {string} CSV text with CRLF line endings and a byte order mark, so Excel reads it as UTF-8
+ */
+function toCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(formatCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
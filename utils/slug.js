@@ -0,0 +1,109 @@
+/**
+ * URL slugs from product and category names
+ * Hangul is romanized (Revised Romanization, without the sound change rules
+ * beyond linking a final consonant to a following vowel), so "삼성 노트북"
+ * becomes "samseong-noteubuk" rather than an empty or percent-encoded slug.
+ */
+
+const HANGUL_START = 0xAC00;
+const HANGUL_COUNT = 11172;
+const SYLLABLES_PER_INITIAL = 588;
+const FINALS_PER_MEDIAL = 28;
+
+const INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const MEDIALS = [
+  'a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae',
+  'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'
+];
+// Final consonants before another consonant or at the end of a word
+const FINALS = [
+  '', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l',
+  'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'
+];
+// Final consonants carried over to a following syllable that starts with a vowel (ㅇ)
+const FINALS_BEFORE_VOWEL = [
+  '', 'g', 'kk', 'ks', 'n', 'nj', 'nh', 'd', 'r', 'lg', 'lm', 'lb', 'ls', 'lt',
+  'lp', 'lh', 'm', 'b', 'ps', 's', 'ss', 'ng', 'j', 'ch', 'k', 't', 'p', 'h'
+];
+const SILENT_INITIAL = 11; // ㅇ
+const RIEUL_INITIAL = 5; // ㄹ
+const RIEUL_FINAL = 8; // ㄹ
+
+const MAX_GENERATED_LENGTH = 80;
+
+/**
+ * Romanize the Hangul syllables in a text, leaving everything else as it is
+ * @param {string} text - Text
+ * @returns {string} Text with Hangul syllables written in Latin letters
+ */
+function romanizeHangul(text) {
+  let result = '';
+  let previousFinal = 0;
+
+  for (const char of String(text)) {
+    const index = char.codePointAt(0) - HANGUL_START;
+
+    if (index < 0 || index >= HANGUL_COUNT) {
+      result += FINALS[previousFinal] + char;
+      previousFinal = 0;
+      continue;
+    }
+
+    const initial = Math.floor(index / SYLLABLES_PER_INITIAL);
+    const medial = Math.floor((index % SYLLABLES_PER_INITIAL) / FINALS_PER_MEDIAL);
+
+    result += initial === SILENT_INITIAL ? FINALS_BEFORE_VOWEL[previousFinal] : FINALS[previousFinal];
+    // ㄹ followed by ㄹ is written ll (실리콘 => sillikon)
+    result += initial === RIEUL_INITIAL && previousFinal === RIEUL_FINAL ? 'l' : INITIALS[initial];
+    result += MEDIALS[medial];
+    previousFinal = index % FINALS_PER_MEDIAL;
+  }
+
+  return result + FINALS[previousFinal];
+}
+
+/**
+ * Make a slug from a name: romanized, lowercase ASCII letters and digits
+ * separated by single hyphens
+ * @param {string} name - Product or category name
+ * @param {string} prefix - Used on its own when nothing is left of the name, and put
+ * in front of names that are only digits (which would read as IDs)
+ * @returns {string} Slug of at most 80 characters
+ */
+function slugify(name, prefix) {
+  const slug = romanizeHangul(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_GENERATED_LENGTH)
+    .replace(/-+$/, '');
+
+  if (!slug) {
+    return prefix;
+  }
+
+  return /^\d+$/.test(slug) ? `${prefix}-${slug}` : slug;
+}
+
+/**
+ * Add a number to a slug until it is not taken (notebook, notebook-2, notebook-3, ...)
+ * @param {string} slug - Slug from slugify()
+ * @param {Set<string>} taken - Slugs already in use
+ * @returns {string} Free slug
+ */
+function uniqueSlug(slug, taken) {
+  let candidate = slug;
+  for (let number = 2; taken.has(candidate); number++) {
+    candidate = `${slug}-${number}`;
+  }
+  return candidate;
+}
+
+module.exports = {
+  romanizeHangul,
+  slugify,
+  uniqueSlug
+};